@@ -10,6 +10,27 @@ export interface TributePlan {
   tributeSubscriptionId?: string | number;
   tributePeriodId?: string | number;
   price?: number;
+  /** Идентификаторы планов младших уровней, доступ к которым даёт этот план. */
+  includes?: string[];
+  description?: string;
+  /** Цены в других валютах в минимальных единицах, например `{ rub: 99000, usd: 1100 }`. */
+  prices?: Record<string, number>;
+  /** Тексты по локалям (`ru`, `en-US`). */
+  translations?: Record<string, { title?: string; description?: string }>;
+  /** Уровень плана: переход на план с большим `rank` считается апгрейдом (`subscription.changed`). */
+  rank?: number;
+  /** Устаревший план: продолжает сопоставляться с вебхуками текущих подписчиков, но не попадает в `listPlans()` и не продаётся. */
+  archived?: boolean;
+  metadata?: Record<string, any>;
+}
+
+export interface TributeDigitalProduct {
+  id: string;
+  title: string;
+  tributeProductId: string | number;
+  amount?: number;
+  currency?: string;
+  productLink?: string;
   metadata?: Record<string, any>;
 }
 
@@ -31,25 +52,48 @@ export interface StoredSubscription {
   amount: number;
   currency: string;
   period: string;
-  status: 'pending' | 'active' | 'cancelled';
+  status: 'pending' | 'active' | 'cancelled' | 'expired';
   createdAt: Date;
   lastEventAt: Date;
   expiresAt: Date | null;
   cancelledAt: Date | null;
   cancelReason: string | null;
+  /** Когда планировщик перевёл подписку в `expired`. */
+  expiredAt?: Date | null;
+  /** Значение `expiresAt`, для которого уже отправлено `subscription.expiring`. */
+  expiringNoticeFor?: Date | null;
+  /** Результат проверки интента при первой оплате; `missing` — подписка создана без интента (`intentPolicy: 'optional'`). Сохраняется при продлениях. */
+  intentStatus?: 'matched' | 'expired' | 'missing' | null;
   metadata?: Record<string, any>;
 }
 
-export type PaymentKind = 'subscription' | 'donation';
+export interface ExpiringSubscriptionFilters {
+  before: Date;
+  /** По умолчанию `['active', 'cancelled']`. */
+  status?: StoredSubscription['status'] | StoredSubscription['status'][];
+  limit?: number;
+}
+
+export type PaymentKind = 'subscription' | 'donation' | 'order' | 'digital_product';
 
 export interface PaymentRecord {
   kind: PaymentKind;
   tributeSubscriptionId?: string | number;
   planId?: string;
   donationRequestId?: string | number;
+  orderId?: string | number;
+  productId?: string;
+  tributeProductId?: string | number;
   telegramUserId: string | number;
   userId?: string | number | null;
+  /** Валовая сумма, совпадает с `grossAmount`. */
   amount: number;
+  /** Сколько заплатил покупатель (`price` Tribute). */
+  grossAmount?: number;
+  /** Сколько получает автор после комиссии Tribute (`amount` Tribute). */
+  netAmount?: number;
+  /** Комиссия: `grossAmount - netAmount`. */
+  fee?: number;
   currency: string;
   paidAt: Date;
   payload?: Record<string, any>;
@@ -58,11 +102,116 @@ export interface PaymentRecord {
 export interface PaymentListFilters {
   telegramUserId?: string | number;
   kind?: PaymentKind | PaymentKind[];
+  productId?: string;
   since?: Date | string | number;
   until?: Date | string | number;
   limit?: number;
 }
 
+/** `gross` — цена для покупателя, `net` — сумма после комиссии Tribute. */
+export type PaymentAmountBasis = 'gross' | 'net';
+
+export interface PaymentTotalsFilters extends PaymentListFilters {
+  /** По умолчанию `gross`. */
+  basis?: PaymentAmountBasis;
+}
+
+export interface PaymentTotals {
+  basis: PaymentAmountBasis;
+  count: number;
+  /** Суммы по валютам (в нижнем регистре). */
+  totals: Array<{ currency: string; count: number; amount: number }>;
+}
+
+export interface SubscriptionListFilters {
+  planId?: string | string[];
+  status?: StoredSubscription['status'] | StoredSubscription['status'][];
+  /** Только подписки с `createdAt` не позже этого момента. */
+  createdBefore?: Date | string | number;
+}
+
+export type AnalyticsInterval = 'day' | 'week' | 'month';
+
+export interface PaymentAggregateQuery {
+  kind?: PaymentKind | PaymentKind[];
+  planId?: string | string[];
+  since: Date;
+  until: Date;
+  /** Группировка по интервалу `paidAt` в UTC (неделя начинается с понедельника). */
+  interval: AnalyticsInterval;
+  basis: PaymentAmountBasis;
+  /** `payer` — группировка по `telegramUserId` за весь период вместо интервалов. По умолчанию `interval`. */
+  groupBy?: 'interval' | 'payer';
+}
+
+export interface PaymentAggregateRow {
+  /** При группировке по интервалу. */
+  intervalStart?: Date;
+  /** При группировке по плательщику. */
+  telegramUserId?: string | number;
+  planId: string | null;
+  /** В нижнем регистре. */
+  currency: string;
+  count: number;
+  amount: number;
+  /** Уникальные `telegramUserId`. */
+  payers: number;
+}
+
+export interface RevenueAnalyticsOptions {
+  /** Округляется вниз до начала интервала. */
+  since: Date | string | number;
+  /** По умолчанию — текущий момент. */
+  until?: Date | string | number;
+  /** По умолчанию `month`. */
+  interval?: AnalyticsInterval;
+  /** База для `revenue`, `arpu` и `ltv`, по умолчанию `gross`. MRR всегда валовой. */
+  basis?: PaymentAmountBasis;
+  planId?: string | string[];
+}
+
+export interface RevenueAnalyticsRow {
+  intervalStart: Date;
+  /** Не включается в интервал. */
+  intervalEnd: Date;
+  planId: string;
+  currency: string;
+  /** MRR активных подписок на конец интервала (или `until`), в минимальных единицах валюты. Считается по ценам подписок, поэтому всегда валовой. */
+  mrr: number;
+  activeSubscribers: number;
+  newSubscribers: number;
+  churnedSubscribers: number;
+  revenue: number;
+  payments: number;
+  payers: number;
+  /** `revenue / payers`. */
+  arpu: number;
+}
+
+export interface RevenueCohort {
+  cohortStart: Date;
+  planId: string;
+  currency: string;
+  size: number;
+  /** Платежи подписчиков когорты по плану до `until`, валовые или чистые по `basis`. */
+  revenue: number;
+  /** `revenue / size`. */
+  ltv: number;
+  /** Сколько подписчиков когорты активны на конец каждого интервала, начиная с интервала когорты. */
+  retained: number[];
+  retention: number[];
+}
+
+export interface RevenueAnalytics {
+  since: Date;
+  until: Date;
+  interval: AnalyticsInterval;
+  /** Относится к `revenue`, `arpu` и `ltv`, но не к `mrr`. */
+  basis: PaymentAmountBasis;
+  rows: RevenueAnalyticsRow[];
+  cohorts: RevenueCohort[];
+}
+
 export interface CancellationRecord {
   cancelledAt: Date;
   cancelReason?: string | null;
@@ -92,6 +241,82 @@ export interface DonationCancellationRecord {
   payload?: Record<string, any>;
 }
 
+export interface OrderProduct {
+  productName: string;
+  quantity: number;
+  price: number;
+  currency: string;
+}
+
+export type OrderStatus = 'created' | 'shipped' | 'canceled';
+
+export type WebhookEventStatus = 'received' | 'processed' | 'ignored' | 'duplicate' | 'failed' | 'deferred';
+
+export interface StoredWebhookEvent {
+  id: string;
+  name: string;
+  status: WebhookEventStatus;
+  event: TributeEventEnvelope;
+  attempts: number;
+  error: { name: string; message: string } | null;
+  receivedAt: Date;
+  updatedAt: Date;
+  processedAt: Date | null;
+  /** Идентификатор ключа, которым подписана последняя доставка. */
+  apiKeyId?: string | null;
+}
+
+export type TributeApiKeyInput = string | { key: string; id?: string; expiresAt?: Date | string | number | null };
+
+export interface TributeApiKey {
+  /** Заданный `id` или отпечаток ключа (первые 12 символов SHA-256), безопасен для логов. */
+  id: string;
+  key: string;
+  expiresAt: Date | null;
+}
+
+export interface WebhookEventListFilters {
+  status?: WebhookEventStatus | WebhookEventStatus[];
+  name?: string;
+  since?: Date | string | number;
+  until?: Date | string | number;
+  limit?: number;
+}
+
+export interface WebhookReplayResult {
+  id: string;
+  status: WebhookEventStatus;
+  result?: TributeEventResult;
+  error?: Error;
+}
+
+export interface StoredOrder {
+  orderId: string | number;
+  telegramUserId: string | number;
+  userId: string | number | null;
+  status: OrderStatus;
+  tributeStatus: string | null;
+  products: OrderProduct[];
+  total: number;
+  currency: string;
+  shippingAddress: string | null;
+  trackingNumber: string | null;
+  createdAt: Date;
+  updatedAt: Date;
+  lastEventAt: Date;
+  shippedAt: Date | null;
+  cancelledAt: Date | null;
+  metadata?: Record<string, any>;
+}
+
+export interface OrderListFilters {
+  telegramUserId?: string | number;
+  status?: OrderStatus | OrderStatus[];
+  since?: Date | string | number;
+  until?: Date | string | number;
+  limit?: number;
+}
+
 export interface TributeEventEnvelope {
   name: string;
   created_at: string;
@@ -101,15 +326,24 @@ export interface TributeEventEnvelope {
 
 export interface SubscriptionEventContext extends Record<string, any> {
   intent?: SubscriptionIntent;
-  intentStatus?: 'matched' | 'expired';
+  intentStatus?: 'matched' | 'expired' | 'missing';
   previousSubscription?: StoredSubscription;
   cancellation?: Record<string, any>;
   event?: TributeEventEnvelope;
+  /** Ключ API, подписавший вебхук. */
+  apiKeyId?: string;
+  /** Только для `expiring`. */
+  expiresAt?: Date;
+  daysLeft?: number;
+  /** Только для `changed`: прежний и новый план, направление перехода по `rank`. */
+  fromPlan?: TributePlan;
+  toPlan?: TributePlan;
+  direction?: 'upgrade' | 'downgrade' | 'crossgrade';
 }
 
 export interface SubscriptionEventResult {
   category: 'subscription';
-  type: 'created' | 'renewed' | 'cancelled';
+  type: 'created' | 'renewed' | 'changed' | 'cancelled' | 'expired' | 'expiring';
   subscription: StoredSubscription;
   context?: SubscriptionEventContext;
 }
@@ -121,7 +355,26 @@ export interface DonationEventResult {
   context?: Record<string, any>;
 }
 
-export type TributeEventResult = SubscriptionEventResult | DonationEventResult;
+export interface OrderEventResult {
+  category: 'order';
+  type: OrderStatus;
+  order: StoredOrder;
+  context?: { previousOrder?: StoredOrder; event?: TributeEventEnvelope } & Record<string, any>;
+}
+
+export interface DigitalProductEventResult {
+  category: 'product';
+  type: 'purchased';
+  product: TributeDigitalProduct;
+  payment: PaymentRecord;
+  context?: { event?: TributeEventEnvelope } & Record<string, any>;
+}
+
+export type TributeEventResult =
+  | SubscriptionEventResult
+  | DonationEventResult
+  | OrderEventResult
+  | DigitalProductEventResult;
 
 export abstract class SubscriptionStore {
   saveIntent(intent: SubscriptionIntent): Promise<void>;
@@ -145,14 +398,130 @@ export abstract class SubscriptionStore {
     donationRequestId: string | number,
     cancellation: DonationCancellationRecord
   ): Promise<StoredDonation | undefined>;
+  upsertOrder(order: StoredOrder): Promise<{ previous?: StoredOrder }>;
+  getOrderById(orderId: string | number): Promise<StoredOrder | undefined>;
+  listOrders(filters?: OrderListFilters): Promise<StoredOrder[]>;
+  listExpiringSubscriptions(filters: ExpiringSubscriptionFilters): Promise<StoredSubscription[]>;
+  /** Нужен только аналитике (`getRevenueAnalytics`). Сортировка по `createdAt` (ASC). */
+  listSubscriptions(filters?: SubscriptionListFilters): Promise<StoredSubscription[]>;
+  /**
+   * Необязательный хук аналитики: группировка платежей на стороне БД. Без него аналитика загружает платежи через `listPayments`.
+   */
+  aggregatePayments?(query: PaymentAggregateQuery): Promise<PaymentAggregateRow[]>;
   consumeIntentByTelegramAndPlan?(telegramUserId: string | number, planId: string): Promise<SubscriptionIntent | undefined>;
+  saveWebhookEvent(record: StoredWebhookEvent): Promise<void>;
+  getWebhookEvent(id: string): Promise<StoredWebhookEvent | undefined>;
+  listWebhookEvents(filters?: WebhookEventListFilters): Promise<StoredWebhookEvent[]>;
 }
 
 export class InMemorySubscriptionStore extends SubscriptionStore {}
 
+export interface FileSubscriptionStoreOptions {
+  directory: string;
+  compactEvery?: number;
+  fsync?: boolean;
+  /** Только чтение: каталог должен существовать, файлы не создаются и не исправляются, запись отклоняется. */
+  readOnly?: boolean;
+}
+
+export class FileSubscriptionStore extends InMemorySubscriptionStore {
+  constructor(options: FileSubscriptionStoreOptions);
+  open(): Promise<void>;
+  compact(): Promise<void>;
+  close(): Promise<void>;
+}
+
+export interface PostgresQueryClient {
+  query(text: string, params?: any[]): Promise<{ rows: Record<string, any>[]; rowCount?: number | null }>;
+}
+
+export interface PostgresSubscriptionStoreOptions {
+  client: PostgresQueryClient;
+  schema?: string;
+  now?: () => Date;
+}
+
+export class PostgresSubscriptionStore extends SubscriptionStore {
+  constructor(options: PostgresSubscriptionStoreOptions);
+  readonly client: PostgresQueryClient;
+  migrate(): Promise<void>;
+}
+
+export function getPostgresSchemaSql(options?: { schema?: string }): string;
+
+/**
+ * Аналитика выручки поверх API хранилища; `manager.getRevenueAnalytics` вызывает её с часами менеджера.
+ */
+export function computeRevenueAnalytics(store: SubscriptionStore, options: RevenueAnalyticsOptions): Promise<RevenueAnalytics>;
+/**
+ * Реализация хука `aggregatePayments` в памяти — для собственных хранилищ.
+ */
+export function aggregatePaymentRecords(payments: PaymentRecord[], query: PaymentAggregateQuery): PaymentAggregateRow[];
+
+export interface Entitlement {
+  planId: string;
+  grantedByPlanId: string;
+  subscription: StoredSubscription;
+  accessUntil: Date | null;
+  inGracePeriod: boolean;
+}
+
+export type IntentPolicy = 'required' | 'optional' | 'deferred';
+
+export interface TributeClock {
+  now(): Date;
+  setTimeout?(callback: () => void, ms: number): any;
+  clearTimeout?(handle: any): void;
+}
+
+export interface ExpiryCheckResult {
+  expired: SubscriptionEventResult[];
+  expiring: SubscriptionEventResult[];
+}
+
+export interface PresentedPlan extends Pick<TributePlan, 'id' | 'title' | 'description' | 'amount' | 'currency' | 'period' | 'subscriptionLink' | 'metadata'> {
+  /** Все валюты, в которых продаётся план. */
+  currencies: string[];
+  /** Цена, отформатированная через `Intl.NumberFormat`, например `990,00 ₽`; нет, если у плана не задана `currency` или `amount`. */
+  displayPrice?: string;
+}
+
+export interface PlanMatchCriterion {
+  criterion: 'subscription_id' | 'period_id' | 'price' | 'currency' | 'period' | 'amount';
+  /** `skipped` — критерий не задан в плане (или `period` отсутствует в payload). */
+  status: 'passed' | 'failed' | 'skipped';
+  expected: unknown;
+  actual: unknown;
+}
+
+export interface PlanMatchExplanation {
+  /** План, который будет выбран, или `null`. */
+  planId: string | null;
+  /** `currency` — вариант цены плана, с которым сравнивался payload. */
+  plans: Array<{ planId: string; archived: boolean; matched: boolean; currency: string; criteria: PlanMatchCriterion[] }>;
+  /** Payload подошёл нескольким планам, выбран первый. */
+  warnings: string[];
+}
+
+export interface PlansUpdateResult {
+  added: string[];
+  removed: string[];
+  changed: string[];
+}
+
 export interface TributeSubscriptionManagerOptions {
   plans: TributePlan[];
-  apiKey: string;
+  /** JSON-файл, из которого загружены планы; нужен для `reloadPlans()` и `startPlansWatcher()`. */
+  plansFile?: string;
+  /** Как часто `startPlansWatcher()` проверяет `plansFile`. По умолчанию 5 секунд. */
+  plansWatchIntervalMs?: number;
+  /** Отменять прежнюю подписку пользователя при переходе на другой план. По умолчанию `false`. */
+  closeSupersededSubscriptions?: boolean;
+  products?: TributeDigitalProduct[];
+  /** Можно не указывать, если передан `apiKeys`. */
+  apiKey?: string;
+  /** Ключи для проверки подписи в порядке приоритета (ротация ключа); ключ с прошедшим `expiresAt` не принимается. */
+  apiKeys?: TributeApiKeyInput[];
   store: SubscriptionStore;
   logger?: Pick<Console, 'debug' | 'info' | 'warn' | 'error'> | Console;
   intentTtlMs?: number;
@@ -160,22 +529,57 @@ export interface TributeSubscriptionManagerOptions {
   allowedWebhookEvents?: string[];
   eventPublisher?: (event: TributeEventResult) => void | Promise<void>;
   eventPublisherFailureMode?: 'throw' | 'log';
+  intentPolicy?: IntentPolicy;
+  accessGracePeriodMs?: number;
+  clock?: TributeClock;
+  /** За сколько дней до `expiresAt` отправлять `subscription.expiring` (0 — не отправлять). По умолчанию 3. */
+  expiringNoticeDays?: number;
+  expiryCheckIntervalMs?: number;
+  /** Токен бота для проверки `initData` Telegram Mini App. */
+  botToken?: string;
+  /** Максимальный возраст `initData` (`auth_date`) в секундах, 0 — без проверки. По умолчанию сутки. */
+  initDataMaxAgeSeconds?: number;
+  /** Максимальный возраст данных Telegram Login Widget в секундах, 0 — без проверки. По умолчанию сутки. */
+  loginMaxAgeSeconds?: number;
 }
 
 export interface TributeConfigOverrides {
   plans?: TributePlan[];
   plansJson?: string | Record<string, any>;
   plansFile?: string;
+  products?: TributeDigitalProduct[];
+  productsJson?: string | Record<string, any>[];
+  productsFile?: string;
   apiKey?: string;
+  apiKeys?: TributeApiKeyInput[];
   intentTtlMs?: number;
   intentTtlMinutes?: number;
   signatureEncoding?: 'hex' | 'base64';
   allowDonations?: boolean;
+  allowOrders?: boolean;
+  allowDigitalProducts?: boolean;
   allowedWebhookEvents?: string[];
   logger?: Pick<Console, 'debug' | 'info' | 'warn' | 'error'> | Console;
   store?: SubscriptionStore;
   eventPublisher?: (event: TributeEventResult) => void | Promise<void>;
   eventPublisherFailureMode?: 'throw' | 'log';
+  intentPolicy?: IntentPolicy;
+  accessGracePeriodMs?: number;
+  accessGracePeriodHours?: number;
+  expiringNoticeDays?: number;
+  expiryCheckIntervalMs?: number;
+  expiryCheckIntervalMinutes?: number;
+  botToken?: string;
+  initDataMaxAgeSeconds?: number;
+  loginMaxAgeSeconds?: number;
+  plansWatchIntervalMs?: number;
+  plansWatchIntervalSeconds?: number;
+  closeSupersededSubscriptions?: boolean;
+}
+
+export interface TributeAccountsConfigOverrides extends Omit<TributeConfigOverrides, 'plans' | 'plansJson' | 'plansFile' | 'products' | 'productsJson' | 'productsFile' | 'apiKey' | 'apiKeys' | 'store'> {
+  /** Секции аккаунтов: общие настройки переопределяются настройками аккаунта. */
+  accounts: Record<string, TributeConfigOverrides>;
 }
 
 export interface TributeConfigOptions {
@@ -192,34 +596,293 @@ export interface ManualCancellationOptions {
 
 export class TributeSubscriptionManager extends EventEmitter {
   constructor(options: TributeSubscriptionManagerOptions);
-  listPlans(): Array<Pick<TributePlan, 'id' | 'title' | 'amount' | 'currency' | 'period' | 'subscriptionLink' | 'metadata'>>;
+  /** Публичные планы без архивных; тексты и цена — для `locale`/`currency`. */
+  listPlans(options?: { locale?: string; currency?: string }): PresentedPlan[];
+  listProducts(): Array<Pick<TributeDigitalProduct, 'id' | 'title' | 'amount' | 'currency' | 'productLink' | 'metadata'>>;
+  hasPurchasedProduct(telegramUserId: string | number, productId: string): Promise<boolean>;
   getIntentById(intentId: string): Promise<SubscriptionIntent | undefined>;
   getSubscriptionByTributeId(tributeSubscriptionId: string | number): Promise<StoredSubscription | undefined>;
   getSubscriptionForUser(params: { telegramUserId: string | number; planId: string; }): Promise<StoredSubscription | undefined>;
   listPayments(filters?: PaymentListFilters): Promise<PaymentRecord[]>;
+  /**
+   * Суммы платежей по валютам: валовые (`basis: 'gross'`, по умолчанию) или за вычетом комиссии (`'net'`).
+   */
+  getPaymentTotals(filters?: PaymentTotalsFilters): Promise<PaymentTotals>;
+  /**
+   * MRR, новые и ушедшие подписчики, ARPU и удержание когорт по интервалам, планам и валютам.
+   */
+  getRevenueAnalytics(options: RevenueAnalyticsOptions): Promise<RevenueAnalytics>;
+  /**
+   * Есть ли у пользователя доступ сейчас (с учётом отменённых, но оплаченных подписок, льготного периода и `includes`).
+   */
+  hasActiveAccess(params: { telegramUserId: string | number; planId?: string; at?: Date | string | number }): Promise<boolean>;
+  listEntitlements(telegramUserId: string | number, options?: { at?: Date | string | number }): Promise<Entitlement[]>;
+  /**
+   * Переводит закончившиеся подписки в `expired` и отправляет напоминания `subscription.expiring`.
+   */
+  runExpiryCheck(): Promise<ExpiryCheckResult>;
+  startExpiryScheduler(): void;
+  stopExpiryScheduler(): void;
+  readonly plansFile: string | null;
+  /**
+   * Заменяет каталог планов без перезапуска; при ошибке валидации остаются прежние планы. Эмитит `plans.updated`.
+   */
+  updatePlans(plans: TributePlan[]): PlansUpdateResult;
+  /** Перечитывает `plansFile` и применяет его через `updatePlans()`. */
+  reloadPlans(): PlansUpdateResult;
+  /** Показывает для каждого плана, какие критерии payload подписки прошли, не прошли или не заданы. */
+  explainPlanMatch(payload: Record<string, any>): PlanMatchExplanation;
+  startPlansWatcher(): void;
+  stopPlansWatcher(): void;
+  getOrderById(orderId: string | number): Promise<StoredOrder | undefined>;
+  listOrders(filters?: OrderListFilters): Promise<StoredOrder[]>;
   cancelSubscriptionLocally(options: ManualCancellationOptions): Promise<SubscriptionEventResult>;
   createSubscriptionIntent(params: { planId: string; telegramUserId: string | number; metadata?: Record<string, any> }): Promise<{ 
     intentId: string;
     intentExpiresAt: Date;
     subscriptionLink: string;
     plan: TributePlan;
+    deferredSubscription?: SubscriptionEventResult;
+  }>;
+  /**
+   * Создаёт интент для пользователя Telegram Mini App: `telegramUserId` берётся из подписанного `initData`,
+   * профиль сохраняется в `metadata.telegramUser`.
+   */
+  createSubscriptionIntentFromInitData(params: {
+    planId: string;
+    initData: string;
+    botToken?: string;
+    metadata?: Record<string, any>;
+  }): Promise<{
+    intentId: string;
+    intentExpiresAt: Date;
+    subscriptionLink: string;
+    plan: TributePlan;
+    telegramUser: TelegramUserProfile;
+    deferredSubscription?: SubscriptionEventResult;
+  }>;
+  /**
+   * Создаёт интент для пользователя, вошедшего через Telegram Login Widget (данные проверяются по токену бота).
+   */
+  createSubscriptionIntentFromLoginPayload(params: {
+    planId: string;
+    loginPayload: Record<string, string | number>;
+    botToken?: string;
+    metadata?: Record<string, any>;
+  }): Promise<{
+    intentId: string;
+    intentExpiresAt: Date;
+    subscriptionLink: string;
+    plan: TributePlan;
+    telegramUser: TelegramUserProfile;
+    deferredSubscription?: SubscriptionEventResult;
   }>;
   /**
    * Обрабатывает вебхук Tribute. Возвращает `undefined`, если событие устаревшее или повторное.
    */
-  handleWebhook(rawBody: Buffer, signatureHeader: string): Promise<TributeEventResult | undefined>;
+  handleWebhook(rawBody: Buffer | Uint8Array | ArrayBuffer, signatureHeader: string): Promise<TributeEventResult | undefined>;
+  /**
+   * Обрабатывает вебхук в виде WHATWG `Request` и возвращает `Response` (edge/serverless, Node 18+).
+   */
+  handleRequest(request: Request, options?: WebhookHandlerOptions): Promise<Response>;
+  /**
+   * Повторно обрабатывает событие из inbox (например, после исправления конфигурации планов).
+   */
+  replayEvent(eventId: string): Promise<TributeEventResult | undefined>;
+  replayFailed(options?: { limit?: number }): Promise<WebhookReplayResult[]>;
+  listWebhookEvents(filters?: WebhookEventListFilters): Promise<StoredWebhookEvent[]>;
 }
 
+export type TributeManagerConfig = Omit<TributeSubscriptionManagerOptions, 'store'> & { store?: SubscriptionStore };
+
+export function createTributeConfig(
+  overrides: TributeAccountsConfigOverrides,
+  options?: TributeConfigOptions
+): { accounts: Record<string, TributeManagerConfig> };
+/**
+ * При `TRIBUTE_ACCOUNTS` в окружении возвращает `{ accounts }`, как и вариант с `overrides.accounts`.
+ */
 export function createTributeConfig(
   overrides?: TributeConfigOverrides,
   options?: TributeConfigOptions
-): Omit<TributeSubscriptionManagerOptions, 'store'> & { store?: SubscriptionStore };
+): TributeManagerConfig | { accounts: Record<string, TributeManagerConfig> };
+
+/**
+ * Несколько аккаунтов Tribute за одним вебхуком: аккаунт определяется по ключу, которым подписан запрос.
+ * События менеджеров пробрасываются с именем аккаунта вторым аргументом.
+ */
+export class TributeAccountRouter extends EventEmitter {
+  constructor(options: {
+    accounts: Record<string, TributeSubscriptionManager | TributeSubscriptionManagerOptions>;
+    logger?: Pick<Console, 'debug' | 'info' | 'warn' | 'error'> | Console;
+  });
+  readonly managers: Map<string, TributeSubscriptionManager>;
+  logger: Pick<Console, 'debug' | 'info' | 'warn' | 'error'> | Console;
+  listAccounts(): string[];
+  /** Бросает `TributeAccountNotFoundError` для неизвестного аккаунта. */
+  getManager(name: string): TributeSubscriptionManager;
+  resolveAccount(
+    rawBody: Buffer | Uint8Array | ArrayBuffer,
+    signatureHeader: string | undefined | null
+  ): { name: string; manager: TributeSubscriptionManager } | undefined;
+  handleWebhook(rawBody: Buffer | Uint8Array | ArrayBuffer, signatureHeader: string): Promise<TributeEventResult | undefined>;
+  handleRequest(request: Request, options?: WebhookHandlerOptions): Promise<Response>;
+}
+
+export interface TelegramUserProfile {
+  id: number;
+  firstName?: string;
+  lastName?: string;
+  username?: string;
+  languageCode?: string;
+  isPremium?: boolean;
+  photoUrl?: string;
+}
+
+export interface VerifiedInitData {
+  user: TelegramUserProfile;
+  authDate: Date;
+  queryId?: string;
+  startParam?: string;
+  fields: Record<string, string>;
+}
+
+/**
+ * Проверяет подпись и свежесть `Telegram.WebApp.initData`. Бросает `TributeInitDataError`.
+ */
+export function verifyWebAppInitData(
+  initData: string,
+  botToken: string,
+  options?: { maxAgeSeconds?: number; now?: Date }
+): VerifiedInitData;
+
+/**
+ * Проверяет данные Telegram Login Widget (подпись и `auth_date`). Бросает `TributeLoginPayloadError`.
+ */
+export function verifyTelegramLoginPayload(
+  data: Record<string, string | number | undefined | null>,
+  botToken: string,
+  options?: { maxAgeSeconds?: number; now?: Date }
+): { user: TelegramUserProfile; authDate: Date };
+
+/**
+ * Базовый класс всех ошибок библиотеки.
+ */
+export class TributeError extends Error {
+  constructor(message: string, options?: { code?: string; httpStatus?: number; retryable?: boolean; cause?: unknown });
+  /** Стабильный машинный код, например `intent_not_found`. */
+  code: string;
+  /** HTTP-статус, которым стоит ответить API. */
+  httpStatus: number;
+  /** Повтор того же запроса может пройти успешно (Tribute стоит повторить доставку). */
+  retryable: boolean;
+}
+
+/**
+ * Неожиданный сбой хранилища или публикатора событий при обработке вебхука; исходная ошибка — в `cause`.
+ */
+export class TributeProcessingError extends TributeError {
+  constructor(stage: 'inbox' | 'handler' | 'publisher', cause: unknown);
+  stage: 'inbox' | 'handler' | 'publisher';
+  cause: unknown;
+}
 
-export class TributeSignatureError extends Error {}
-export class TributeConfigurationError extends Error {}
-export class TributePlanNotFoundError extends Error { planId: string; }
-export class TributeIntentNotFoundError extends Error { telegramUserId: string | number; planId: string; }
-export class TributeSubscriptionNotFoundError extends Error { subscriptionId: string | number; }
-export class TributeDonationNotFoundError extends Error { donationRequestId: string | number; }
+export class TributeSignatureError extends TributeError {}
+export class TributeConfigurationError extends TributeError {}
+export class TributePlanNotFoundError extends TributeError {
+  planId: string;
+  /** Разбор сопоставления, если payload вебхука не подошёл ни к одному плану. */
+  explanation?: PlanMatchExplanation;
+}
+export class TributeProductNotFoundError extends TributeError { productId: string; }
+export class TributeIntentNotFoundError extends TributeError { telegramUserId: string | number; planId: string; }
+export class TributeSubscriptionNotFoundError extends TributeError { subscriptionId: string | number; }
+export class TributeWebhookEventNotFoundError extends TributeError { eventId: string; }
+export class TributeDonationNotFoundError extends TributeError { donationRequestId: string | number; }
+export class TributeInitDataError extends TributeError {
+  reason: 'missing' | 'missing_hash' | 'invalid_hash' | 'invalid_auth_date' | 'expired' | 'invalid_user';
+}
+export class TributeLoginPayloadError extends TributeError {
+  reason: 'missing' | 'missing_hash' | 'invalid_hash' | 'invalid_auth_date' | 'expired' | 'invalid_user';
+}
+
+export class TributeAccountNotFoundError extends TributeError {
+  accountName: string;
+}
+
+export function verifyTributeSignature(rawBody: Buffer | Uint8Array | ArrayBuffer, signatureHeader: string | undefined | null, apiKey: string, encoding?: 'hex' | 'base64'): boolean;
+
+/**
+ * Проверяет подпись несколькими ключами по очереди и возвращает подошедший (просроченные ключи пропускаются).
+ */
+export function matchTributeSignature(
+  rawBody: Buffer | Uint8Array | ArrayBuffer,
+  signatureHeader: string | undefined | null,
+  apiKeys: TributeApiKey[],
+  options?: { encoding?: 'hex' | 'base64'; now?: Date }
+): TributeApiKey | undefined;
+
+export class TributeInvalidPayloadError extends TributeError {}
+
+/** Тело вебхука больше `maxBodyBytes`; HTTP-адаптеры отвечают 413. */
+export class TributePayloadTooLargeError extends TributeError { limit: number; }
+
+export interface PayloadProblem {
+  /** Путь к полю, например `payload.amount` или `payload.products[0].quantity`. */
+  field: string;
+  message: string;
+}
+
+/**
+ * Payload вебхука не соответствует схеме события; HTTP-адаптеры отвечают 400 со списком `problems`.
+ */
+export class TributePayloadValidationError extends TributeInvalidPayloadError {
+  eventName: string;
+  problems: PayloadProblem[];
+}
+
+export interface WebhookFieldSchema {
+  type: 'id' | 'string' | 'number' | 'integer' | 'boolean' | 'date' | 'currency' | 'array' | 'object';
+  required?: boolean;
+  nullable?: boolean;
+  positive?: boolean;
+  nonNegative?: boolean;
+  items?: Record<string, WebhookFieldSchema>;
+}
+
+/** Схемы payload для каждого события каталога Tribute. */
+export const webhookPayloadSchemas: Readonly<Record<string, Record<string, WebhookFieldSchema>>>;
+
+/**
+ * Проверяет конверт и payload события; пустой массив — событие корректно.
+ */
+export function validateWebhookEvent(event: TributeEventEnvelope): PayloadProblem[];
+
+export interface WebhookHandlerOptions {
+  signatureHeader?: string;
+  maxBodyBytes?: number;
+  onProcessed?: (result: TributeEventResult | undefined) => void | Promise<void>;
+}
+
+export interface WebhookResponse {
+  status: number;
+  body: { ok: boolean; error?: string; problems?: PayloadProblem[] };
+}
 
-export function verifyTributeSignature(rawBody: Buffer, signatureHeader: string | undefined | null, apiKey: string, encoding?: 'hex' | 'base64'): boolean;
+export function mapWebhookError(error: unknown): WebhookResponse;
+export function createExpressMiddleware(
+  manager: TributeSubscriptionManager | TributeAccountRouter,
+  options?: WebhookHandlerOptions
+): (req: any, res: any, next?: (...args: any[]) => void) => Promise<void>;
+export function createFastifyHandler(
+  manager: TributeSubscriptionManager | TributeAccountRouter,
+  options?: WebhookHandlerOptions
+): (request: any, reply: any) => Promise<any>;
+export function createFetchHandler(
+  manager: TributeSubscriptionManager | TributeAccountRouter,
+  options?: WebhookHandlerOptions
+): (request: Request) => Promise<Response>;
+export function createNodeHttpHandler(
+  manager: TributeSubscriptionManager | TributeAccountRouter,
+  options?: WebhookHandlerOptions
+): (req: import('node:http').IncomingMessage, res: import('node:http').ServerResponse) => Promise<void>;
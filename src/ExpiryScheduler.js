@@ -0,0 +1,82 @@
+import { systemClock } from './clock.js';
+
+/**
+ * @typedef {import('./clock.js').TributeClock} TributeClock
+ */
+
+/**
+ * Periodically runs the manager's expiry check. Runs never overlap: the next one is scheduled
+ * only after the previous one settled, so a slow store cannot pile up concurrent passes.
+ */
+export class ExpiryScheduler {
+  /**
+   * @param {Object} options
+   * @param {() => Promise<unknown>} options.run
+   * @param {number} options.intervalMs
+   * @param {TributeClock} [options.clock]
+   * @param {Console | { error?: Function }} [options.logger]
+   */
+  constructor({ run, intervalMs, clock = systemClock, logger = console }) {
+    this.run = run;
+    this.intervalMs = intervalMs;
+    this.clock = { ...systemClock, ...clock };
+    this.logger = logger;
+    this.timer = null;
+    this.started = false;
+    this.inFlight = false;
+  }
+
+  get running() {
+    return this.started;
+  }
+
+  /**
+   * Run a check right away and keep running one every `intervalMs`.
+   */
+  start() {
+    if (this.started) {
+      return;
+    }
+    this.started = true;
+    if (!this.inFlight) {
+      this.#schedule(0);
+    }
+  }
+
+  stop() {
+    this.started = false;
+    if (this.timer !== null) {
+      this.clock.clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * @param {number} delayMs
+   */
+  #schedule(delayMs) {
+    this.timer = this.clock.setTimeout(() => {
+      this.timer = null;
+      this.#tick();
+    }, delayMs);
+    // the scheduler must not keep the process alive on its own
+    this.timer?.unref?.();
+  }
+
+  async #tick() {
+    this.inFlight = true;
+    try {
+      await this.run();
+    } catch (error) {
+      this.logger?.error?.('Tribute expiry check failed', {
+        error: error instanceof Error ? { message: error.message, stack: error.stack } : error,
+      });
+    } finally {
+      this.inFlight = false;
+    }
+    // a stop() + start() during the run leaves rescheduling to this tick
+    if (this.started && this.timer === null) {
+      this.#schedule(this.intervalMs);
+    }
+  }
+}
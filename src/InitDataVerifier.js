@@ -0,0 +1,115 @@
+import crypto from 'crypto';
+import { safeCompareDigest } from './SignatureVerifier.js';
+import { TributeInitDataError } from './errors.js';
+
+export const DEFAULT_INIT_DATA_MAX_AGE_SECONDS = 24 * 60 * 60;
+
+/**
+ * @typedef {Object} TelegramUserProfile
+ * @property {number} id
+ * @property {string} [firstName]
+ * @property {string} [lastName]
+ * @property {string} [username]
+ * @property {string} [languageCode]
+ * @property {boolean} [isPremium]
+ * @property {string} [photoUrl]
+ */
+
+/**
+ * @typedef {Object} VerifiedInitData
+ * @property {TelegramUserProfile} user
+ * @property {Date} authDate
+ * @property {string} [queryId]
+ * @property {string} [startParam]
+ * @property {Record<string, string>} fields - All signed fields except `hash`, as sent by Telegram.
+ */
+
+/**
+ * Verify Telegram Mini App `initData` (`Telegram.WebApp.initData`) as described in
+ * https://core.telegram.org/bots/webapps#validating-data-received-via-the-mini-app
+ *
+ * @param {string} initData - Raw query string from `Telegram.WebApp.initData`.
+ * @param {string} botToken - Token of the bot that opened the Mini App.
+ * @param {Object} [options]
+ * @param {number} [options.maxAgeSeconds=86400] - Reject data signed earlier than this; `0` disables the check.
+ * @param {Date} [options.now] - Moment to check freshness against.
+ * @returns {VerifiedInitData}
+ * @throws {TributeInitDataError}
+ */
+export function verifyWebAppInitData(initData, botToken, { maxAgeSeconds = DEFAULT_INIT_DATA_MAX_AGE_SECONDS, now = new Date() } = {}) {
+  if (!botToken) {
+    throw new Error('Telegram bot token is required for initData verification');
+  }
+  if (typeof initData !== 'string' || initData === '') {
+    throw new TributeInitDataError('missing', 'initData is required');
+  }
+
+  const params = new URLSearchParams(initData);
+  const hash = params.get('hash');
+  if (!hash) {
+    throw new TributeInitDataError('missing_hash', 'initData does not contain hash');
+  }
+  /** @type {Record<string, string>} */
+  const fields = {};
+  for (const [key, value] of params) {
+    if (key !== 'hash') {
+      fields[key] = value;
+    }
+  }
+  const dataCheckString = Object.keys(fields)
+    .sort()
+    .map((key) => `${key}=${fields[key]}`)
+    .join('\n');
+  const secret = crypto.createHmac('sha256', 'WebAppData').update(botToken).digest();
+  const digest = crypto.createHmac('sha256', secret).update(dataCheckString).digest('hex');
+  if (!safeCompareDigest(digest, hash)) {
+    throw new TributeInitDataError('invalid_hash', 'initData hash does not match');
+  }
+
+  const authDateSeconds = Number(fields.auth_date);
+  if (!Number.isSafeInteger(authDateSeconds) || authDateSeconds <= 0) {
+    throw new TributeInitDataError('invalid_auth_date', 'initData auth_date is missing or invalid');
+  }
+  const authDate = new Date(authDateSeconds * 1000);
+  if (maxAgeSeconds > 0 && now.getTime() - authDate.getTime() > maxAgeSeconds * 1000) {
+    throw new TributeInitDataError('expired', `initData is older than ${maxAgeSeconds} seconds`);
+  }
+
+  let rawUser;
+  try {
+    rawUser = JSON.parse(fields.user ?? '');
+  } catch (error) {
+    rawUser = undefined;
+  }
+  if (!rawUser || typeof rawUser !== 'object' || !Number.isSafeInteger(rawUser.id)) {
+    throw new TributeInitDataError('invalid_user', 'initData does not contain a valid user object');
+  }
+
+  return {
+    user: toTelegramUserProfile(rawUser),
+    authDate,
+    queryId: fields.query_id,
+    startParam: fields.start_param,
+    fields,
+  };
+}
+
+/**
+ * Convert Telegram user fields (snake_case, as in initData `user` or Login Widget data) into a profile.
+ * @param {Record<string, any>} rawUser
+ * @returns {TelegramUserProfile}
+ */
+export function toTelegramUserProfile(rawUser) {
+  const profile = {
+    id: rawUser.id,
+    firstName: rawUser.first_name,
+    lastName: rawUser.last_name,
+    username: rawUser.username,
+    languageCode: rawUser.language_code,
+    isPremium: rawUser.is_premium,
+    photoUrl: rawUser.photo_url,
+  };
+  return /** @type {TelegramUserProfile} */ (
+    Object.fromEntries(Object.entries(profile).filter(([, value]) => value !== undefined))
+  );
+}
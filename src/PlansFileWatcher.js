@@ -0,0 +1,95 @@
+import fs from 'node:fs';
+import { systemClock } from './clock.js';
+
+/**
+ * Polls a plans file and calls `onChange` when its contents differ from the last seen version.
+ * Polling (instead of `fs.watch`) survives editors and deploy tools that replace the file by rename.
+ */
+export class PlansFileWatcher {
+  /**
+   * @param {Object} options
+   * @param {string} options.filePath
+   * @param {number} options.intervalMs
+   * @param {() => unknown} options.onChange
+   * @param {import('./clock.js').TributeClock} [options.clock]
+   * @param {Console | { error?: Function }} [options.logger]
+   * @param {typeof import('node:fs')} [options.fs]
+   */
+  constructor({ filePath, intervalMs, onChange, clock = systemClock, logger = console, fs: fsModule = fs }) {
+    this.filePath = filePath;
+    this.intervalMs = intervalMs;
+    this.onChange = onChange;
+    this.clock = { ...systemClock, ...clock };
+    this.logger = logger;
+    this.fs = fsModule;
+    this.timer = null;
+    this.started = false;
+    /** @type {string | null} */
+    this.lastContents = null;
+  }
+
+  get running() {
+    return this.started;
+  }
+
+  /**
+   * Remember the current contents and start polling; the first check happens after `intervalMs`.
+   */
+  start() {
+    if (this.started) {
+      return;
+    }
+    this.started = true;
+    this.lastContents = this.#read();
+    this.#schedule();
+  }
+
+  stop() {
+    this.started = false;
+    if (this.timer !== null) {
+      this.clock.clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * @returns {string | null} `null` while the file is missing (e.g. between unlink and rename).
+   */
+  #read() {
+    try {
+      return this.fs.readFileSync(this.filePath, 'utf8');
+    } catch (error) {
+      if (error?.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  #schedule() {
+    this.timer = this.clock.setTimeout(() => {
+      this.timer = null;
+      this.#tick();
+    }, this.intervalMs);
+    // the watcher must not keep the process alive on its own
+    this.timer?.unref?.();
+  }
+
+  async #tick() {
+    try {
+      const contents = this.#read();
+      if (contents !== null && contents !== this.lastContents) {
+        this.lastContents = contents;
+        await this.onChange();
+      }
+    } catch (error) {
+      this.logger?.error?.('Tribute plans reload failed, keeping previous plans', {
+        file: this.filePath,
+        error: error instanceof Error ? { message: error.message } : error,
+      });
+    }
+    if (this.started && this.timer === null) {
+      this.#schedule();
+    }
+  }
+}
@@ -1,9 +1,28 @@
 import crypto from 'crypto';
 
+/**
+ * Convert webhook body coming from Node or WHATWG APIs into a Buffer without copying.
+ *
+ * @param {Buffer | Uint8Array | ArrayBuffer} rawBody
+ * @returns {Buffer}
+ */
+export function toRawBodyBuffer(rawBody) {
+  if (Buffer.isBuffer(rawBody)) {
+    return rawBody;
+  }
+  if (rawBody instanceof Uint8Array) {
+    return Buffer.from(rawBody.buffer, rawBody.byteOffset, rawBody.byteLength);
+  }
+  if (rawBody instanceof ArrayBuffer) {
+    return Buffer.from(rawBody);
+  }
+  throw new TypeError('Expected rawBody to be a Buffer, Uint8Array or ArrayBuffer with the exact request bytes');
+}
+
 /**
  * Verify Tribute webhook signature.
  *
- * @param {Buffer} rawBody - Raw request body buffer.
+ * @param {Buffer | Uint8Array | ArrayBuffer} rawBody - Raw request body (Buffer from express.raw, or bytes from `Request.arrayBuffer()`).
  * @param {string | undefined | null} signatureHeader - Value of `trbt-signature` header.
  * @param {string} apiKey - Tribute API key (HMAC secret).
  * @param {"hex"|"base64"} [encoding="hex"] - Encoding used by Tribute signature header.
@@ -18,16 +37,53 @@ export function verifyTributeSignature(rawBody, signatureHeader, apiKey, encodin
     return false;
   }
 
-  if (!Buffer.isBuffer(rawBody)) {
-    throw new TypeError('Expected rawBody to be a Buffer produced by express.raw or equivalent');
-  }
-
+  const body = toRawBodyBuffer(rawBody);
   const hmac = crypto.createHmac('sha256', apiKey);
-  hmac.update(rawBody);
+  hmac.update(body);
   const digest = hmac.digest(encoding);
 
+  return safeCompareDigest(digest, signatureHeader, encoding);
+}
+
+/**
+ * Verify Tribute webhook signature against several keys (e.g. during key rotation).
+ * Keys are tried in order; keys whose `expiresAt` has passed are skipped.
+ *
+ * @param {Buffer | Uint8Array | ArrayBuffer} rawBody
+ * @param {string | undefined | null} signatureHeader
+ * @param {import('./types.js').TributeApiKey[]} apiKeys
+ * @param {Object} [options]
+ * @param {"hex"|"base64"} [options.encoding="hex"]
+ * @param {Date} [options.now] - Moment to check key expiry against.
+ * @returns {import('./types.js').TributeApiKey | undefined} The key that produced the signature.
+ */
+export function matchTributeSignature(rawBody, signatureHeader, apiKeys, { encoding = 'hex', now = new Date() } = {}) {
+  if (!signatureHeader) {
+    return undefined;
+  }
+  const body = toRawBodyBuffer(rawBody);
+  return apiKeys.find(
+    (apiKey) =>
+      !(apiKey.expiresAt instanceof Date && apiKey.expiresAt.getTime() <= now.getTime()) &&
+      verifyTributeSignature(body, signatureHeader, apiKey.key, encoding),
+  );
+}
+
+/**
+ * Timing-safe comparison of an expected digest with the value received from the client.
+ * Malformed or differently sized input is reported as a mismatch instead of throwing.
+ *
+ * @param {string} expected - Digest computed on our side.
+ * @param {unknown} received - Digest sent by the client.
+ * @param {"hex"|"base64"} [encoding="hex"]
+ * @returns {boolean}
+ */
+export function safeCompareDigest(expected, received, encoding = 'hex') {
+  if (typeof received !== 'string' || received === '') {
+    return false;
+  }
   try {
-    return crypto.timingSafeEqual(Buffer.from(digest, encoding), Buffer.from(signatureHeader, encoding));
+    return crypto.timingSafeEqual(Buffer.from(expected, encoding), Buffer.from(received, encoding));
   } catch (error) {
     return false;
   }
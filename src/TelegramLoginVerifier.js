@@ -0,0 +1,64 @@
+import crypto from 'crypto';
+import { safeCompareDigest } from './SignatureVerifier.js';
+import { toTelegramUserProfile } from './InitDataVerifier.js';
+import { TributeLoginPayloadError } from './errors.js';
+
+export const DEFAULT_LOGIN_MAX_AGE_SECONDS = 24 * 60 * 60;
+
+/**
+ * @typedef {Object} VerifiedLoginPayload
+ * @property {import('./InitDataVerifier.js').TelegramUserProfile} user
+ * @property {Date} authDate
+ */
+
+/**
+ * Verify data passed by the Telegram Login Widget (`onauth` callback or redirect query) as described in
+ * https://core.telegram.org/widgets/login#checking-authorization
+ *
+ * @param {Record<string, string|number|undefined|null>} data - `id`, `first_name`, ..., `auth_date` and `hash`.
+ * @param {string} botToken - Token of the bot linked to the widget.
+ * @param {Object} [options]
+ * @param {number} [options.maxAgeSeconds=86400] - Reject logins older than this; `0` disables the check.
+ * @param {Date} [options.now] - Moment to check freshness against.
+ * @returns {VerifiedLoginPayload}
+ * @throws {TributeLoginPayloadError}
+ */
+export function verifyTelegramLoginPayload(data, botToken, { maxAgeSeconds = DEFAULT_LOGIN_MAX_AGE_SECONDS, now = new Date() } = {}) {
+  if (!botToken) {
+    throw new Error('Telegram bot token is required for login payload verification');
+  }
+  if (!data || typeof data !== 'object') {
+    throw new TributeLoginPayloadError('missing', 'Login payload is required');
+  }
+  const { hash } = data;
+  if (!hash) {
+    throw new TributeLoginPayloadError('missing_hash', 'Login payload does not contain hash');
+  }
+
+  const dataCheckString = Object.keys(data)
+    .filter((key) => key !== 'hash' && data[key] !== undefined && data[key] !== null)
+    .sort()
+    .map((key) => `${key}=${data[key]}`)
+    .join('\n');
+  // unlike Mini Apps, the widget key is a plain SHA-256 of the bot token
+  const secret = crypto.createHash('sha256').update(botToken).digest();
+  const digest = crypto.createHmac('sha256', secret).update(dataCheckString).digest('hex');
+  if (!safeCompareDigest(digest, String(hash))) {
+    throw new TributeLoginPayloadError('invalid_hash', 'Login payload hash does not match');
+  }
+
+  const authDateSeconds = Number(data.auth_date);
+  if (!Number.isSafeInteger(authDateSeconds) || authDateSeconds <= 0) {
+    throw new TributeLoginPayloadError('invalid_auth_date', 'Login payload auth_date is missing or invalid');
+  }
+  const authDate = new Date(authDateSeconds * 1000);
+  if (maxAgeSeconds > 0 && now.getTime() - authDate.getTime() > maxAgeSeconds * 1000) {
+    throw new TributeLoginPayloadError('expired', `Login payload is older than ${maxAgeSeconds} seconds`);
+  }
+
+  const id = Number(data.id);
+  if (!Number.isSafeInteger(id) || id <= 0) {
+    throw new TributeLoginPayloadError('invalid_user', 'Login payload does not contain a valid user id');
+  }
+  return { user: toTelegramUserProfile({ ...data, id }), authDate };
+}
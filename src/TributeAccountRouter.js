@@ -0,0 +1,126 @@
+import { EventEmitter } from 'node:events';
+import { matchTributeSignature, toRawBodyBuffer } from './SignatureVerifier.js';
+import { handleFetchRequest } from './middleware.js';
+import { TributeSubscriptionManager } from './TributeSubscriptionManager.js';
+import { TributeAccountNotFoundError, TributeConfigurationError, TributeSignatureError } from './errors.js';
+
+/**
+ * @typedef {import('./types.js').TributeEventResult} TributeEventResult
+ */
+
+const ACCOUNT_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Serves several Tribute creator accounts from one webhook endpoint. Every account has its own
+ * manager (plans, API keys, store); the account of a delivery is the one whose key signed it.
+ *
+ * Manager events are re-emitted as `event`, `<category>.any` and `<category>.<type>` with the
+ * account name as the second argument.
+ */
+export class TributeAccountRouter extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Record<string, TributeSubscriptionManager | ConstructorParameters<typeof TributeSubscriptionManager>[0]>} options.accounts
+   *   Ready managers or options to build them, keyed by account name.
+   * @param {Console | { debug?: Function, info?: Function, warn?: Function, error?: Function }} [options.logger]
+   */
+  constructor({ accounts, logger = console } = {}) {
+    super();
+    if (!accounts || typeof accounts !== 'object' || Array.isArray(accounts) || Object.keys(accounts).length === 0) {
+      throw new TributeConfigurationError('accounts must be an object with at least one account');
+    }
+    this.logger = logger;
+    /** @type {Map<string, TributeSubscriptionManager>} */
+    this.managers = new Map();
+    const keyOwners = new Map();
+    for (const [name, account] of Object.entries(accounts)) {
+      if (!ACCOUNT_NAME_PATTERN.test(name)) {
+        throw new TributeConfigurationError(`Account name "${name}" may contain only letters, digits, "-" and "_"`);
+      }
+      const manager =
+        account instanceof TributeSubscriptionManager ? account : new TributeSubscriptionManager({ logger, ...account });
+      for (const { key } of manager.apiKeys) {
+        if (keyOwners.has(key)) {
+          // the signature could not tell these accounts apart
+          throw new TributeConfigurationError(`Accounts "${keyOwners.get(key)}" and "${name}" share an API key`);
+        }
+        keyOwners.set(key, name);
+      }
+      manager.on('event', (result) => this.#forward(result, name));
+      this.managers.set(name, manager);
+    }
+  }
+
+  /**
+   * @returns {string[]}
+   */
+  listAccounts() {
+    return [...this.managers.keys()];
+  }
+
+  /**
+   * @param {string} name
+   * @returns {TributeSubscriptionManager}
+   */
+  getManager(name) {
+    const manager = this.managers.get(name);
+    if (!manager) {
+      throw new TributeAccountNotFoundError(name);
+    }
+    return manager;
+  }
+
+  /**
+   * Find the account whose API key signed the delivery.
+   * @param {Buffer | Uint8Array | ArrayBuffer} rawBody
+   * @param {string | undefined | null} signatureHeader
+   * @returns {{ name: string, manager: TributeSubscriptionManager } | undefined}
+   */
+  resolveAccount(rawBody, signatureHeader) {
+    const body = toRawBodyBuffer(rawBody);
+    for (const [name, manager] of this.managers) {
+      const apiKey = matchTributeSignature(body, signatureHeader, manager.apiKeys, {
+        encoding: manager.signatureEncoding,
+        now: manager.clock.now(),
+      });
+      if (apiKey) {
+        return { name, manager };
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Same contract as `TributeSubscriptionManager.handleWebhook`, so the router can be passed to HTTP adapters.
+   * @param {Buffer | Uint8Array | ArrayBuffer} rawBody
+   * @param {string} signatureHeader
+   * @returns {Promise<TributeEventResult | undefined>}
+   */
+  async handleWebhook(rawBody, signatureHeader) {
+    const account = this.resolveAccount(rawBody, signatureHeader);
+    if (!account) {
+      throw new TributeSignatureError();
+    }
+    this.logger?.debug?.('Tribute webhook routed to account', { account: account.name });
+    return account.manager.handleWebhook(rawBody, signatureHeader);
+  }
+
+  /**
+   * @param {Request} request
+   * @param {import('./middleware.js').WebhookHandlerOptions} [options]
+   * @returns {Promise<Response>}
+   */
+  async handleRequest(request, options = {}) {
+    return handleFetchRequest(this, request, options);
+  }
+
+  /**
+   * @param {TributeEventResult} result
+   * @param {string} name
+   */
+  #forward(result, name) {
+    this.emit(`${result.category}.${result.type}`, result, name);
+    this.emit(`${result.category}.any`, result, name);
+    this.emit('event', result, name);
+  }
+}
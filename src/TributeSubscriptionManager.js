@@ -1,36 +1,87 @@
 import { EventEmitter } from 'node:events';
-import { randomUUID } from 'node:crypto';
-import { verifyTributeSignature } from './SignatureVerifier.js';
+import { isDeepStrictEqual } from 'node:util';
+import { createHash, randomUUID } from 'node:crypto';
+import { matchTributeSignature, toRawBodyBuffer } from './SignatureVerifier.js';
+import { DEFAULT_INIT_DATA_MAX_AGE_SECONDS, verifyWebAppInitData } from './InitDataVerifier.js';
+import { DEFAULT_LOGIN_MAX_AGE_SECONDS, verifyTelegramLoginPayload } from './TelegramLoginVerifier.js';
+import { handleFetchRequest } from './middleware.js';
 import {
   TributeConfigurationError,
   TributeDonationNotFoundError,
+  TributeError,
   TributeIntentNotFoundError,
+  TributeInvalidPayloadError,
+  TributePayloadValidationError,
   TributePlanNotFoundError,
+  TributeProcessingError,
+  TributeProductNotFoundError,
   TributeSignatureError,
   TributeSubscriptionNotFoundError,
+  TributeWebhookEventNotFoundError,
 } from './errors.js';
 import { SubscriptionStore } from './store/SubscriptionStore.js';
+import { normalizeApiKeys } from './apiKeys.js';
+import { ExpiryScheduler } from './ExpiryScheduler.js';
+import { systemClock } from './clock.js';
+import { validateWebhookEvent } from './webhookSchemas.js';
+import { readPlansFile } from './config.js';
+import { PlansFileWatcher } from './PlansFileWatcher.js';
+import { assertUnambiguousPlans, explainPlanMatch, findPlanForPayload } from './planMatching.js';
+import { assertValidLocale, assertValidPlanPresentation, presentPlan } from './planPresentation.js';
+import { paymentAmounts, resolvePaymentAmountBasis, summarizePayments } from './paymentAmounts.js';
+import { computeRevenueAnalytics } from './revenueAnalytics.js';
 
 /**
  * @typedef {import('./types.js').TributePlan} TributePlan
+ * @typedef {import('./types.js').TributeDigitalProduct} TributeDigitalProduct
+ * @typedef {import('./types.js').DigitalProductEventResult} DigitalProductEventResult
  * @typedef {import('./types.js').SubscriptionIntent} SubscriptionIntent
  * @typedef {import('./types.js').TributeEventEnvelope} TributeEventEnvelope
  * @typedef {import('./types.js').StoredSubscription} StoredSubscription
  * @typedef {import('./types.js').SubscriptionEventResult} SubscriptionEventResult
  * @typedef {import('./types.js').DonationEventResult} DonationEventResult
  * @typedef {import('./types.js').StoredDonation} StoredDonation
+ * @typedef {import('./types.js').StoredOrder} StoredOrder
+ * @typedef {import('./types.js').OrderEventResult} OrderEventResult
+ * @typedef {import('./types.js').OrderListFilters} OrderListFilters
  * @typedef {import('./types.js').PaymentListFilters} PaymentListFilters
+ * @typedef {import('./types.js').PaymentTotalsFilters} PaymentTotalsFilters
+ * @typedef {import('./types.js').PaymentTotals} PaymentTotals
+ * @typedef {import('./types.js').RevenueAnalyticsOptions} RevenueAnalyticsOptions
+ * @typedef {import('./types.js').RevenueAnalytics} RevenueAnalytics
  * @typedef {import('./types.js').ManualCancellationOptions} ManualCancellationOptions
  * @typedef {import('./types.js').TributeEventResult} TributeEventResult
+ * @typedef {import('./types.js').StoredWebhookEvent} StoredWebhookEvent
+ * @typedef {import('./types.js').WebhookEventStatus} WebhookEventStatus
+ * @typedef {import('./types.js').WebhookEventListFilters} WebhookEventListFilters
+ * @typedef {import('./types.js').WebhookReplayResult} WebhookReplayResult
+ * @typedef {import('./types.js').Entitlement} Entitlement
+ * @typedef {import('./types.js').ExpiryCheckResult} ExpiryCheckResult
+ * @typedef {import('./types.js').PlansUpdateResult} PlansUpdateResult
+ * @typedef {import('./planMatching.js').PlanMatchExplanation} PlanMatchExplanation
+ * @typedef {import('./planPresentation.js').PresentedPlan} PresentedPlan
+ * @typedef {import('./clock.js').TributeClock} TributeClock
  */
 
 const DEFAULT_INTENT_TTL_MS = 15 * 60 * 1000; // 15 minutes
+const DEFAULT_EXPIRY_CHECK_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+const DEFAULT_PLANS_WATCH_INTERVAL_MS = 5 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const INTENT_POLICIES = ['required', 'optional', 'deferred'];
+// returned by handlers when the event is parked until a matching intent appears
+const DEFERRED = Symbol('deferred');
+/** Inbox statuses a redelivery must not reopen. */
+const SETTLED_WEBHOOK_STATUSES = new Set(['processed', 'duplicate', 'ignored']);
 const SUPPORTED_WEBHOOK_EVENTS = [
   'new_subscription',
   'cancelled_subscription',
   'new_donation',
   'recurrent_donation',
   'cancelled_donation',
+  'physical_order_created',
+  'physical_order_shipped',
+  'physical_order_canceled',
+  'new_digital_product',
 ];
 
 /**
@@ -39,10 +90,34 @@ const SUPPORTED_WEBHOOK_EVENTS = [
  */
 export class TributeSubscriptionManager extends EventEmitter {
 
+  /**
+   * Plan id -> ids of plans it grants access to (itself and everything reachable via `includes`).
+   * @type {Map<string, Set<string>>}
+   */
+  #planAccess;
+
+  /** @type {ExpiryScheduler} */
+  #expiryScheduler;
+
+  /** @type {PlansFileWatcher | null} */
+  #plansWatcher = null;
+
+  /**
+   * Envelope being processed -> id of the API key its delivery was signed with (reported in result context).
+   * @type {WeakMap<TributeEventEnvelope, string>}
+   */
+  #eventApiKeyIds = new WeakMap();
+
   /**
    * @param {Object} options
-   * @param {TributePlan[]} options.plans
-   * @param {string} options.apiKey
+   * @param {TributePlan[]} options.plans - Plans with `archived: true` still match webhooks but are not offered.
+   * @param {string} [options.plansFile] - JSON file the plans came from; enables `reloadPlans()` and `startPlansWatcher()`.
+   * @param {number} [options.plansWatchIntervalMs] - How often the plans watcher polls `plansFile`.
+   * @param {boolean} [options.closeSupersededSubscriptions] - Cancel the previous subscription when a user moves to another plan.
+   * @param {TributeDigitalProduct[]} [options.products]
+   * @param {string} [options.apiKey]
+   * @param {import('./types.js').TributeApiKeyInput[]} [options.apiKeys] - Accepted webhook keys in order of preference,
+   *   each optionally with `expiresAt`; lets old and new keys coexist during rotation.
    * @param {SubscriptionStore} options.store
    * @param {Console | { debug?: Function, info?: Function, warn?: Function, error?: Function }} [options.logger]
    * @param {number} [options.intentTtlMs]
@@ -50,10 +125,20 @@ export class TributeSubscriptionManager extends EventEmitter {
    * @param {string[]} [options.allowedWebhookEvents]
    * @param {(event: TributeEventResult) => (void|Promise<void>)} [options.eventPublisher]
    * @param {'throw'|'log'} [options.eventPublisherFailureMode]
+   * @param {'required'|'optional'|'deferred'} [options.intentPolicy] - What to do with `new_subscription` without intent.
+   * @param {number} [options.accessGracePeriodMs] - Extra access time after `expiresAt` for `hasActiveAccess`.
+   * @param {TributeClock} [options.clock] - Time source for access checks, inbox timestamps and the expiry scheduler.
+   * @param {number} [options.expiringNoticeDays] - How many days ahead `subscription.expiring` is emitted (0 disables it).
+   * @param {number} [options.expiryCheckIntervalMs] - How often the expiry scheduler runs.
+   * @param {string} [options.botToken] - Telegram bot token used to verify Mini App initData.
+   * @param {number} [options.initDataMaxAgeSeconds] - How old initData may be (`auth_date`), 0 disables the check.
+   * @param {number} [options.loginMaxAgeSeconds] - How old a Login Widget payload may be, 0 disables the check.
   */
   constructor({
     plans,
+    products = [],
     apiKey,
+    apiKeys,
     store,
     logger = console,
     intentTtlMs = DEFAULT_INTENT_TTL_MS,
@@ -61,19 +146,38 @@ export class TributeSubscriptionManager extends EventEmitter {
     allowedWebhookEvents = SUPPORTED_WEBHOOK_EVENTS,
     eventPublisher,
     eventPublisherFailureMode = 'throw',
+    intentPolicy = 'required',
+    accessGracePeriodMs = 0,
+    clock = systemClock,
+    expiringNoticeDays = 3,
+    expiryCheckIntervalMs = DEFAULT_EXPIRY_CHECK_INTERVAL_MS,
+    botToken,
+    initDataMaxAgeSeconds = DEFAULT_INIT_DATA_MAX_AGE_SECONDS,
+    loginMaxAgeSeconds = DEFAULT_LOGIN_MAX_AGE_SECONDS,
+    plansFile,
+    plansWatchIntervalMs = DEFAULT_PLANS_WATCH_INTERVAL_MS,
+    closeSupersededSubscriptions = false,
   }) {
     super();
     if (!Array.isArray(plans) || plans.length === 0) {
       throw new TributeConfigurationError('At least one subscription plan must be provided');
     }
-    if (!apiKey) {
-      throw new TributeConfigurationError('Tribute API key is required');
-    }
+    const normalizedApiKeys = normalizeApiKeys(apiKey, apiKeys);
     if (!(store instanceof SubscriptionStore)) {
       throw new TributeConfigurationError('store must extend SubscriptionStore');
     }
+    if (!Array.isArray(products)) {
+      throw new TributeConfigurationError('products must be an array when provided');
+    }
+    for (const product of products) {
+      if (!product?.id || product.tributeProductId === undefined || product.tributeProductId === null) {
+        throw new TributeConfigurationError('Every digital product must define "id" and "tributeProductId"');
+      }
+    }
     this.plans = plans;
-    this.apiKey = apiKey;
+    this.products = products;
+    this.apiKeys = normalizedApiKeys;
+    this.apiKey = normalizedApiKeys[0].key;
     this.store = store;
     this.logger = logger;
     this.intentTtlMs = intentTtlMs;
@@ -95,24 +199,182 @@ export class TributeSubscriptionManager extends EventEmitter {
     }
     this.eventPublisher = eventPublisher ?? null;
     this.eventPublisherFailureMode = eventPublisherFailureMode;
+    if (!INTENT_POLICIES.includes(intentPolicy)) {
+      throw new TributeConfigurationError('intentPolicy must be one of "required", "optional" or "deferred"');
+    }
+    if (intentPolicy === 'deferred' && store.saveWebhookEvent === SubscriptionStore.prototype.saveWebhookEvent) {
+      throw new TributeConfigurationError('intentPolicy "deferred" requires a store implementing the webhook inbox');
+    }
+    this.intentPolicy = intentPolicy;
+    if (typeof accessGracePeriodMs !== 'number' || !Number.isFinite(accessGracePeriodMs) || accessGracePeriodMs < 0) {
+      throw new TributeConfigurationError('accessGracePeriodMs must be a non-negative number');
+    }
+    this.accessGracePeriodMs = accessGracePeriodMs;
+    if (typeof closeSupersededSubscriptions !== 'boolean') {
+      throw new TributeConfigurationError('closeSupersededSubscriptions must be a boolean');
+    }
+    this.closeSupersededSubscriptions = closeSupersededSubscriptions;
+    this.#planAccess = this.#preparePlans(plans);
+    if (typeof clock?.now !== 'function') {
+      throw new TributeConfigurationError('clock must implement now()');
+    }
+    if (typeof expiringNoticeDays !== 'number' || !Number.isFinite(expiringNoticeDays) || expiringNoticeDays < 0) {
+      throw new TributeConfigurationError('expiringNoticeDays must be a non-negative number');
+    }
+    if (typeof expiryCheckIntervalMs !== 'number' || !Number.isFinite(expiryCheckIntervalMs) || expiryCheckIntervalMs <= 0) {
+      throw new TributeConfigurationError('expiryCheckIntervalMs must be a positive number');
+    }
+    if (typeof initDataMaxAgeSeconds !== 'number' || !Number.isFinite(initDataMaxAgeSeconds) || initDataMaxAgeSeconds < 0) {
+      throw new TributeConfigurationError('initDataMaxAgeSeconds must be a non-negative number');
+    }
+    if (typeof loginMaxAgeSeconds !== 'number' || !Number.isFinite(loginMaxAgeSeconds) || loginMaxAgeSeconds < 0) {
+      throw new TributeConfigurationError('loginMaxAgeSeconds must be a non-negative number');
+    }
+    this.botToken = botToken ?? null;
+    this.initDataMaxAgeSeconds = initDataMaxAgeSeconds;
+    this.loginMaxAgeSeconds = loginMaxAgeSeconds;
+    this.clock = clock;
+    this.expiringNoticeDays = expiringNoticeDays;
+    this.#expiryScheduler = new ExpiryScheduler({
+      run: () => this.runExpiryCheck(),
+      intervalMs: expiryCheckIntervalMs,
+      clock,
+      logger,
+    });
+    if (plansFile !== undefined && (typeof plansFile !== 'string' || plansFile === '')) {
+      throw new TributeConfigurationError('plansFile must be a non-empty string when provided');
+    }
+    if (typeof plansWatchIntervalMs !== 'number' || !Number.isFinite(plansWatchIntervalMs) || plansWatchIntervalMs <= 0) {
+      throw new TributeConfigurationError('plansWatchIntervalMs must be a positive number');
+    }
+    this.plansFile = plansFile ?? null;
+    if (this.plansFile) {
+      this.#plansWatcher = new PlansFileWatcher({
+        filePath: this.plansFile,
+        intervalMs: plansWatchIntervalMs,
+        onChange: () => this.reloadPlans(),
+        clock,
+        logger,
+      });
+    }
+  }
+
+  /**
+   * Get public plans description for UI. Archived plans are left out.
+   * Titles and descriptions come from `translations` for `locale` (or its language), the price from
+   * `prices` for `currency` when the plan is sold in it; `displayPrice` is formatted for `locale`.
+   * @param {Object} [options]
+   * @param {string} [options.locale] - BCP 47 tag, e.g. `ru` or `en-US`; defaults to the runtime locale for prices.
+   * @param {string} [options.currency] - Preferred currency, e.g. `rub`.
+   * @returns {PresentedPlan[]}
+   */
+  listPlans({ locale, currency } = {}) {
+    assertValidLocale(locale);
+    return this.plans.filter((plan) => !plan.archived).map((plan) => presentPlan(plan, { locale, currency }));
   }
 
   /**
-   * Get public plans description for UI.
-   * @returns {Array<{ id: string, title: string, amount: number, currency: string, period: string, subscriptionLink: string, metadata?: Object }>}
+   * Replace the plan catalog without a restart. The new list is validated first; on error the current
+   * plans stay in place. Plans dropped from the list stop matching webhooks, so renewals of their
+   * subscribers fail with TributePlanNotFoundError: keep such plans with `archived: true` instead.
+   * Emits `plans.updated` with the returned summary.
+   * @param {TributePlan[]} plans
+   * @returns {PlansUpdateResult}
    */
-  listPlans() {
-    return this.plans.map(({ id, title, amount, currency, period, subscriptionLink, metadata }) => ({
+  updatePlans(plans) {
+    const planAccess = this.#preparePlans(plans);
+    const previous = new Map(this.plans.map((plan) => [plan.id, plan]));
+    const nextIds = new Set(plans.map((plan) => plan.id));
+    /** @type {PlansUpdateResult} */
+    const summary = {
+      added: plans.filter((plan) => !previous.has(plan.id)).map((plan) => plan.id),
+      removed: [...previous.keys()].filter((id) => !nextIds.has(id)),
+      changed: plans
+        .filter((plan) => previous.has(plan.id) && !isDeepStrictEqual(previous.get(plan.id), plan))
+        .map((plan) => plan.id),
+    };
+    this.plans = plans;
+    this.#planAccess = planAccess;
+    if (summary.removed.length > 0) {
+      this.logger?.warn?.('Tribute plans removed; mark them archived to keep matching renewals of existing subscribers', {
+        removed: summary.removed,
+      });
+    }
+    this.logger?.info?.('Tribute plans updated', summary);
+    this.emit('plans.updated', summary);
+    return summary;
+  }
+
+  /**
+   * Show how a subscription webhook payload is matched: for every plan, which criteria passed, failed
+   * or were not configured, and which plan wins. Useful when Tribute webhooks end up with
+   * TributePlanNotFoundError or on an unexpected plan.
+   * @param {Record<string, any>} payload - `payload` of a `new_subscription` / `cancelled_subscription` event.
+   * @returns {PlanMatchExplanation}
+   */
+  explainPlanMatch(payload) {
+    return explainPlanMatch(this.plans, payload ?? {});
+  }
+
+  /**
+   * Read `plansFile` again and apply it with `updatePlans()`.
+   * @returns {PlansUpdateResult}
+   */
+  reloadPlans() {
+    if (!this.plansFile) {
+      throw new TributeConfigurationError('plansFile is not configured; pass plans to updatePlans() instead');
+    }
+    return this.updatePlans(readPlansFile(this.plansFile));
+  }
+
+  /**
+   * Poll `plansFile` every `plansWatchIntervalMs` and reload plans when it changes. A broken file is
+   * logged and the previous plans are kept. The timer does not keep the process alive.
+   */
+  startPlansWatcher() {
+    if (!this.#plansWatcher) {
+      throw new TributeConfigurationError('plansFile is required to watch plans');
+    }
+    this.#plansWatcher.start();
+  }
+
+  stopPlansWatcher() {
+    this.#plansWatcher?.stop();
+  }
+
+  /**
+   * Get public digital product catalog for UI.
+   * @returns {Array<{ id: string, title: string, amount?: number, currency?: string, productLink?: string, metadata?: Object }>}
+   */
+  listProducts() {
+    return this.products.map(({ id, title, amount, currency, productLink, metadata }) => ({
       id,
       title,
       amount,
       currency,
-      period,
-      subscriptionLink,
+      productLink,
       metadata: metadata ?? undefined,
     }));
   }
 
+  /**
+   * Check whether Telegram user has ever bought digital product from the catalog.
+   * @param {number|string} telegramUserId
+   * @param {string} productId - Internal product id from the catalog.
+   * @returns {Promise<boolean>}
+   */
+  async hasPurchasedProduct(telegramUserId, productId) {
+    if (telegramUserId === undefined || telegramUserId === null || telegramUserId === '') {
+      throw new TributeConfigurationError('telegramUserId is required');
+    }
+    const product = this.products.find((p) => p.id === productId);
+    if (!product) {
+      throw new TributeProductNotFoundError(productId);
+    }
+    const purchases = await this.listPayments({ telegramUserId, kind: 'digital_product', productId: product.id, limit: 1 });
+    return purchases.length > 0;
+  }
+
   /**
    * Retrieve previously created intent by id without consuming it.
    * Useful for manual verification flows.
@@ -178,6 +440,160 @@ export class TributeSubscriptionManager extends EventEmitter {
     return this.store.listPayments(filters);
   }
 
+  /**
+   * Sum payments matching `filters` per currency, by gross price (default) or net amount after Tribute's fee.
+   * @param {PaymentTotalsFilters} [filters]
+   * @returns {Promise<PaymentTotals>}
+   */
+  async getPaymentTotals({ basis, ...filters } = {}) {
+    const resolvedBasis = resolvePaymentAmountBasis(basis);
+    return summarizePayments(await this.listPayments(filters), resolvedBasis);
+  }
+
+  /**
+   * MRR, new and churned subscribers, ARPU and cohort retention per interval, plan and currency.
+   * Needs `SubscriptionStore.listSubscriptions`; `until` defaults to the manager clock.
+   * @param {RevenueAnalyticsOptions} options
+   * @returns {Promise<RevenueAnalytics>}
+   */
+  async getRevenueAnalytics(options) {
+    return computeRevenueAnalytics(this.store, { ...options, until: options?.until ?? this.clock.now() });
+  }
+
+  /**
+   * Check whether the Telegram user may use paid content right now. Cancelled subscriptions keep
+   * access until `expiresAt` plus `accessGracePeriodMs`; plans listed in `includes` are granted too.
+   * @param {Object} params
+   * @param {number|string} params.telegramUserId
+   * @param {string} [params.planId] - Omit to check access to any plan.
+   * @param {Date|string|number} [params.at] - Moment to check (defaults to now).
+   * @returns {Promise<boolean>}
+   */
+  async hasActiveAccess({ telegramUserId, planId, at } = {}) {
+    if (planId !== undefined && !this.#planAccess.has(planId)) {
+      throw new TributePlanNotFoundError(planId);
+    }
+    const entitlements = await this.listEntitlements(telegramUserId, { at });
+    return planId === undefined ? entitlements.length > 0 : entitlements.some((entitlement) => entitlement.planId === planId);
+  }
+
+  /**
+   * List plans the Telegram user currently has access to, including plans implied by tier hierarchies.
+   * @param {number|string} telegramUserId
+   * @param {Object} [options]
+   * @param {Date|string|number} [options.at] - Moment to check (defaults to now).
+   * @returns {Promise<Entitlement[]>}
+   */
+  async listEntitlements(telegramUserId, { at } = {}) {
+    if (telegramUserId === undefined || telegramUserId === null || telegramUserId === '') {
+      throw new TributeConfigurationError('telegramUserId is required');
+    }
+    const now = at === undefined ? this.clock.now() : this.#ensureDate(at, 'at');
+    /** @type {Map<string, Entitlement>} */
+    const entitlements = new Map();
+    for (const plan of this.plans) {
+      const subscription = await this.getSubscriptionForUser({ telegramUserId, planId: plan.id });
+      const window = this.#getAccessWindow(subscription, now);
+      if (!window) {
+        continue;
+      }
+      for (const grantedPlanId of this.#planAccess.get(plan.id)) {
+        const current = entitlements.get(grantedPlanId);
+        const outlasts =
+          !current ||
+          (current.accessUntil !== null &&
+            (window.accessUntil === null || window.accessUntil.getTime() > current.accessUntil.getTime()));
+        if (outlasts) {
+          entitlements.set(grantedPlanId, {
+            planId: grantedPlanId,
+            grantedByPlanId: plan.id,
+            subscription,
+            accessUntil: window.accessUntil,
+            inGracePeriod: window.inGracePeriod,
+          });
+        }
+      }
+    }
+    return this.plans.filter((plan) => entitlements.has(plan.id)).map((plan) => entitlements.get(plan.id));
+  }
+
+  /**
+   * Move subscriptions whose access ended (`expiresAt` plus `accessGracePeriodMs`) to `expired` and emit
+   * `subscription.expired`, then emit `subscription.expiring` once per billing period for active
+   * subscriptions ending within `expiringNoticeDays`. A renewal webhook makes the subscription active again.
+   * @returns {Promise<ExpiryCheckResult>}
+   */
+  async runExpiryCheck() {
+    const now = this.clock.now();
+    /** @type {ExpiryCheckResult} */
+    const summary = { expired: [], expiring: [] };
+
+    const ended = await this.store.listExpiringSubscriptions({
+      before: new Date(now.getTime() - this.accessGracePeriodMs),
+      status: ['active', 'cancelled'],
+    });
+    for (const subscription of ended) {
+      const result = await this.#runExpiryStep(subscription, () => this.#expireSubscription(subscription, now));
+      if (result) {
+        summary.expired.push(result);
+      }
+    }
+
+    if (this.expiringNoticeDays > 0) {
+      const ending = await this.store.listExpiringSubscriptions({
+        before: new Date(now.getTime() + this.expiringNoticeDays * DAY_MS),
+        status: 'active',
+      });
+      for (const subscription of ending) {
+        const alreadyNotified = subscription.expiringNoticeFor?.getTime() === subscription.expiresAt.getTime();
+        if (alreadyNotified || subscription.expiresAt.getTime() <= now.getTime()) {
+          continue;
+        }
+        const result = await this.#runExpiryStep(subscription, () => this.#notifyExpiring(subscription, now));
+        if (result) {
+          summary.expiring.push(result);
+        }
+      }
+    }
+    return summary;
+  }
+
+  /**
+   * Start running `runExpiryCheck()` every `expiryCheckIntervalMs` (first run happens right away).
+   * The timer does not keep the process alive.
+   */
+  startExpiryScheduler() {
+    this.#expiryScheduler.start();
+  }
+
+  stopExpiryScheduler() {
+    this.#expiryScheduler.stop();
+  }
+
+  /**
+   * Load physical order by Tribute order id.
+   * @param {number|string} orderId
+   * @returns {Promise<StoredOrder | undefined>}
+   */
+  async getOrderById(orderId) {
+    if (orderId === undefined || orderId === null || orderId === '') {
+      throw new TributeConfigurationError('orderId is required');
+    }
+    return this.store.getOrderById(orderId);
+  }
+
+  /**
+   * List physical orders recorded by the store.
+   * @param {OrderListFilters} [filters]
+   * @returns {Promise<StoredOrder[]>}
+   */
+  async listOrders(filters = {}) {
+    if (typeof this.store.listOrders !== 'function') {
+      throw new TributeConfigurationError('SubscriptionStore.listOrders is not implemented');
+    }
+    return this.store.listOrders(filters);
+  }
+
   /**
    * Cancel subscription locally (e.g. after admin action) without waiting for Tribute webhook.
    * @param {ManualCancellationOptions} options
@@ -216,17 +632,18 @@ export class TributeSubscriptionManager extends EventEmitter {
 
   /**
    * Create subscription intent after user confirmed Telegram identity.
+   * `telegramUserId` is trusted as is: prefer `createSubscriptionIntentFromInitData` for Mini Apps
+   * and `createSubscriptionIntentFromLoginPayload` for the Login Widget.
    * @param {Object} params
    * @param {string} params.planId
    * @param {number|string} params.telegramUserId
    * @param {Object} [params.metadata]
-   * @returns {Promise<{ intentId: string, intentExpiresAt: Date, subscriptionLink: string, plan: TributePlan }>}
+   * With `intentPolicy: 'deferred'` a parked `new_subscription` of the same user and plan is processed
+   * right away and returned as `deferredSubscription`.
+   * @returns {Promise<{ intentId: string, intentExpiresAt: Date, subscriptionLink: string, plan: TributePlan, deferredSubscription?: SubscriptionEventResult }>}
    */
   async createSubscriptionIntent({ planId, telegramUserId, metadata = {} }) {
-    const plan = this.plans.find((p) => p.id === planId);
-    if (!plan) {
-      throw new TributePlanNotFoundError(planId);
-    }
+    const plan = this.#getOfferedPlan(planId);
     if (telegramUserId === undefined || telegramUserId === null || telegramUserId === '') {
       throw new TributeConfigurationError('telegramUserId is required to create subscription intent');
     }
@@ -243,33 +660,339 @@ export class TributeSubscriptionManager extends EventEmitter {
     };
     await this.store.saveIntent(intent);
     this.logger?.debug?.('Tribute intent created', intent);
-    return {
+    const response = {
       intentId: intent.id,
       intentExpiresAt: intent.expiresAt,
       subscriptionLink: plan.subscriptionLink,
       plan,
     };
+    if (this.intentPolicy === 'deferred') {
+      const deferredSubscription = await this.#resumeDeferredSubscription(plan, telegramUserId);
+      if (deferredSubscription) {
+        response.deferredSubscription = deferredSubscription;
+      }
+    }
+    return response;
+  }
+
+  /**
+   * Create subscription intent for the user of a Telegram Mini App. `telegramUserId` is taken from the
+   * signed `initData`, so a client cannot create intents on behalf of somebody else.
+   * The verified profile is stored in `metadata.telegramUser`.
+   * @param {Object} params
+   * @param {string} params.planId
+   * @param {string} params.initData - Raw `Telegram.WebApp.initData` string.
+   * @param {string} [params.botToken] - Defaults to the `botToken` manager option.
+   * @param {Object} [params.metadata]
+   * @returns {Promise<{ intentId: string, intentExpiresAt: Date, subscriptionLink: string, plan: TributePlan, telegramUser: import('./InitDataVerifier.js').TelegramUserProfile, deferredSubscription?: SubscriptionEventResult }>}
+   * @throws {import('./errors.js').TributeInitDataError} When the signature is wrong or `auth_date` is too old.
+   */
+  async createSubscriptionIntentFromInitData({ planId, initData, botToken = this.botToken, metadata = {} }) {
+    if (!botToken) {
+      throw new TributeConfigurationError('botToken is required to verify Telegram initData');
+    }
+    this.#getOfferedPlan(planId);
+    const verified = verifyWebAppInitData(initData, botToken, {
+      maxAgeSeconds: this.initDataMaxAgeSeconds,
+      now: this.clock.now(),
+    });
+    return this.#createVerifiedIntent(planId, verified, metadata);
+  }
+
+  /**
+   * Create subscription intent for a user identified by the Telegram Login Widget on a website.
+   * Same guarantees as `createSubscriptionIntentFromInitData`: the user id comes from the signed payload.
+   * @param {Object} params
+   * @param {string} params.planId
+   * @param {Record<string, string|number>} params.loginPayload - Data from the widget (`id`, `auth_date`, `hash`, ...).
+   * @param {string} [params.botToken] - Defaults to the `botToken` manager option.
+   * @param {Object} [params.metadata]
+   * @returns {Promise<{ intentId: string, intentExpiresAt: Date, subscriptionLink: string, plan: TributePlan, telegramUser: import('./InitDataVerifier.js').TelegramUserProfile, deferredSubscription?: SubscriptionEventResult }>}
+   * @throws {import('./errors.js').TributeLoginPayloadError} When the payload is forged or too old.
+   */
+  async createSubscriptionIntentFromLoginPayload({ planId, loginPayload, botToken = this.botToken, metadata = {} }) {
+    if (!botToken) {
+      throw new TributeConfigurationError('botToken is required to verify Telegram login payload');
+    }
+    this.#getOfferedPlan(planId);
+    const verified = verifyTelegramLoginPayload(loginPayload, botToken, {
+      maxAgeSeconds: this.loginMaxAgeSeconds,
+      now: this.clock.now(),
+    });
+    return this.#createVerifiedIntent(planId, verified, metadata);
   }
 
   /**
-   * Verify webhook payload and dispatch to handlers.
-   * Returns undefined when event is duplicate or older than the last processed one.
-   * @param {Buffer} rawBody
+   * @param {string} planId
+   * @param {{ user: import('./InitDataVerifier.js').TelegramUserProfile, authDate: Date }} verified
+   * @param {Object} metadata
+   */
+  async #createVerifiedIntent(planId, { user, authDate }, metadata) {
+    const response = await this.createSubscriptionIntent({
+      planId,
+      telegramUserId: user.id,
+      metadata: { ...metadata, telegramUser: user, telegramAuthDate: authDate.toISOString() },
+    });
+    return { ...response, telegramUser: user };
+  }
+
+  /**
+   * Process the oldest parked `new_subscription` of the user and plan, if any.
+   * Failures are logged and left in the inbox as `failed` so the intent creation still succeeds.
+   * @param {TributePlan} plan
+   * @param {number|string} telegramUserId
+   * @returns {Promise<SubscriptionEventResult | undefined>}
+   */
+  async #resumeDeferredSubscription(plan, telegramUserId) {
+    const parked = await this.store.listWebhookEvents({ status: 'deferred', name: 'new_subscription' });
+    const record = parked
+      .reverse()
+      .find(
+        ({ event }) =>
+          String(event.payload?.telegram_user_id) === String(telegramUserId) &&
+          this.#findPlanForPayload(event.payload ?? {})?.id === plan.id,
+      );
+    if (!record) {
+      return undefined;
+    }
+    try {
+      const { result } = await this.#processInboxEvent({ ...record, attempts: record.attempts + 1 });
+      return /** @type {SubscriptionEventResult | undefined} */ (result);
+    } catch (error) {
+      this.logger?.error?.('Failed to process deferred Tribute subscription', {
+        id: record.id,
+        error: error instanceof Error ? error.message : error,
+      });
+      return undefined;
+    }
+  }
+
+  /**
+   * Verify webhook payload, store it in the inbox and dispatch to handlers.
+   * Returns undefined when event is duplicate, older than the last processed one or disabled.
+   * @param {Buffer | Uint8Array | ArrayBuffer} rawBody
    * @param {string} signatureHeader
    * @returns {Promise<TributeEventResult | undefined>}
   */
   async handleWebhook(rawBody, signatureHeader) {
-    const isValid = verifyTributeSignature(rawBody, signatureHeader, this.apiKey, this.signatureEncoding);
-    if (!isValid) {
+    const body = toRawBodyBuffer(rawBody);
+    const apiKey = matchTributeSignature(body, signatureHeader, this.apiKeys, {
+      encoding: this.signatureEncoding,
+      now: this.clock.now(),
+    });
+    if (!apiKey) {
       throw new TributeSignatureError();
     }
+    if (apiKey !== this.apiKeys[0]) {
+      this.logger?.info?.('Tribute webhook signed with a secondary API key', { apiKeyId: apiKey.id });
+    }
     /** @type {TributeEventEnvelope} */
-    const event = JSON.parse(rawBody.toString('utf8'));
+    let event;
+    try {
+      event = JSON.parse(body.toString('utf8'));
+    } catch (error) {
+      throw new TributeInvalidPayloadError(
+        `Tribute webhook body is not valid JSON: ${error instanceof Error ? error.message : error}`,
+      );
+    }
+    if (!event || typeof event !== 'object' || Array.isArray(event) || typeof event.name !== 'string') {
+      throw new TributeInvalidPayloadError();
+    }
+    try {
+      const record = await this.#receiveWebhookEvent(event, apiKey.id);
+      if (SETTLED_WEBHOOK_STATUSES.has(record.status)) {
+        this.logger?.debug?.('Tribute webhook redelivered after it was settled', { id: record.id, status: record.status });
+        return undefined;
+      }
+      const { result } = await this.#processInboxEvent(record);
+      return result;
+    } catch (error) {
+      // handler failures are already wrapped; whatever is left comes from the inbox
+      throw this.#toProcessingError(error, 'inbox');
+    }
+  }
+
+  /**
+   * Process stored inbox event again, e.g. after fixing plan configuration.
+   * Idempotency rules still apply, so replaying a processed event marks it `duplicate`.
+   * @param {string} eventId
+   * @returns {Promise<TributeEventResult | undefined>}
+   */
+  async replayEvent(eventId) {
+    if (!eventId) {
+      throw new TributeConfigurationError('eventId is required');
+    }
+    const record = await this.store.getWebhookEvent(eventId);
+    if (!record) {
+      throw new TributeWebhookEventNotFoundError(eventId);
+    }
+    const { result } = await this.#processInboxEvent({ ...record, attempts: record.attempts + 1 });
+    return result;
+  }
+
+  /**
+   * Replay every `failed` inbox event, oldest first. Errors are collected instead of thrown.
+   * @param {Object} [options]
+   * @param {number} [options.limit]
+   * @returns {Promise<WebhookReplayResult[]>}
+   */
+  async replayFailed({ limit } = {}) {
+    const failed = (await this.store.listWebhookEvents({ status: 'failed' })).reverse();
+    const batch = typeof limit === 'number' && limit > 0 ? failed.slice(0, limit) : failed;
+    /** @type {WebhookReplayResult[]} */
+    const results = [];
+    for (const record of batch) {
+      try {
+        const { status, result } = await this.#processInboxEvent({ ...record, attempts: record.attempts + 1 });
+        results.push({ id: record.id, status, result });
+      } catch (error) {
+        results.push({ id: record.id, status: 'failed', error });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * List webhook inbox records.
+   * @param {WebhookEventListFilters} [filters]
+   * @returns {Promise<StoredWebhookEvent[]>}
+   */
+  async listWebhookEvents(filters = {}) {
+    return this.store.listWebhookEvents(filters);
+  }
+
+  /**
+   * Store verified envelope before processing so it survives failures.
+   * Retries of the same event share the record and bump `attempts`; a settled record keeps its
+   * status and `processedAt`, so the caller can skip it as a duplicate.
+   * @param {TributeEventEnvelope} event
+   * @param {string} apiKeyId - Id of the key the delivery was signed with.
+   * @returns {Promise<StoredWebhookEvent>}
+   */
+  async #receiveWebhookEvent(event, apiKeyId) {
+    const id = createHash('sha256')
+      .update(`${event.name}\n${event.created_at ?? ''}\n${JSON.stringify(event.payload ?? null)}`)
+      .digest('hex');
+    const now = this.clock.now();
+    const existing = await this.store.getWebhookEvent(id);
+    if (existing && SETTLED_WEBHOOK_STATUSES.has(existing.status)) {
+      const redelivered = { ...existing, attempts: existing.attempts + 1, updatedAt: now };
+      await this.store.saveWebhookEvent(redelivered);
+      return redelivered;
+    }
+    /** @type {StoredWebhookEvent} */
+    const record = {
+      id,
+      name: event.name,
+      status: 'received',
+      event,
+      attempts: (existing?.attempts ?? 0) + 1,
+      error: existing?.error ?? null,
+      receivedAt: existing?.receivedAt ?? now,
+      updatedAt: now,
+      processedAt: existing?.processedAt ?? null,
+      apiKeyId,
+    };
+    await this.store.saveWebhookEvent(record);
+    return record;
+  }
+
+  /**
+   * @param {StoredWebhookEvent} record
+   * @returns {Promise<{ status: WebhookEventStatus, result: TributeEventResult | undefined }>}
+   */
+  async #processInboxEvent(record) {
+    const { event } = record;
     if (!this.allowedWebhookEvents.has(event.name)) {
       this.logger?.debug?.('Ignoring Tribute event disabled by configuration', event.name);
-      return undefined;
+      await this.#settleWebhookEvent(record, 'ignored');
+      return { status: 'ignored', result: undefined };
+    }
+    if (event.name.startsWith('physical_order_') && !this.#storeSupportsOrders()) {
+      this.logger?.warn?.('Ignoring Tribute order event: store does not implement upsertOrder', event.name);
+      await this.#settleWebhookEvent(record, 'ignored');
+      return { status: 'ignored', result: undefined };
+    }
+    if (record.apiKeyId) {
+      this.#eventApiKeyIds.set(event, record.apiKeyId);
+    }
+    let result;
+    try {
+      const problems = validateWebhookEvent(event);
+      if (problems.length > 0) {
+        throw new TributePayloadValidationError(event.name, problems);
+      }
+      result = await this.#dispatchEvent(event);
+      if (result === DEFERRED) {
+        await this.#settleWebhookEvent(record, 'deferred');
+        return { status: 'deferred', result: undefined };
+      }
+    } catch (error) {
+      const failure = this.#toProcessingError(error, 'handler');
+      await this.#settleWebhookEvent(record, 'failed', failure).catch((inboxError) => {
+        this.logger?.error?.('Failed to record Tribute webhook failure', { id: record.id, error: inboxError?.message });
+      });
+      throw failure;
     }
+    const status = result ? 'processed' : 'duplicate';
+    await this.#settleWebhookEvent(record, status);
+    return { status, result };
+  }
+
+  /**
+   * Library errors already say whether a retry helps; anything else (store, driver, publisher)
+   * is unexpected and wrapped so callers can rely on `code`/`retryable`.
+   * @param {unknown} error
+   * @param {'inbox'|'handler'|'publisher'} stage
+   * @returns {TributeError}
+   */
+  #toProcessingError(error, stage) {
+    return error instanceof TributeError ? error : new TributeProcessingError(stage, error);
+  }
+
+  /**
+   * @param {StoredWebhookEvent} record
+   * @param {WebhookEventStatus} status
+   * @param {unknown} [error]
+   */
+  async #settleWebhookEvent(record, status, error) {
+    const now = this.clock.now();
+    await this.store.saveWebhookEvent({
+      ...record,
+      status,
+      error:
+        status === 'failed'
+          ? { name: error instanceof Error ? error.name : 'Error', message: error instanceof Error ? error.message : String(error) }
+          : null,
+      updatedAt: now,
+      processedAt: status === 'failed' || status === 'deferred' ? record.processedAt : now,
+    });
+  }
 
+  /**
+   * Base `context` of webhook results: the envelope and the id of the API key that signed it.
+   * @param {TributeEventEnvelope} event
+   * @returns {{ event: TributeEventEnvelope, apiKeyId?: string }}
+   */
+  #webhookContext(event) {
+    const apiKeyId = this.#eventApiKeyIds.get(event);
+    return apiKeyId ? { event, apiKeyId } : { event };
+  }
+
+  /**
+   * Stores written before physical orders existed inherit the throwing `upsertOrder` of the base class;
+   * their order webhooks are acknowledged instead of failing on every Tribute retry.
+   * @returns {boolean}
+   */
+  #storeSupportsOrders() {
+    return typeof this.store.upsertOrder === 'function' && this.store.upsertOrder !== SubscriptionStore.prototype.upsertOrder;
+  }
+
+  /**
+   * @param {TributeEventEnvelope} event
+   * @returns {Promise<TributeEventResult | undefined>}
+   */
+  async #dispatchEvent(event) {
     switch (event.name) {
       case 'new_subscription':
         return this.#handleNewSubscription(event);
@@ -281,12 +1004,31 @@ export class TributeSubscriptionManager extends EventEmitter {
         return this.#handleRecurrentDonation(event);
       case 'cancelled_donation':
         return this.#handleCancelledDonation(event);
+      case 'physical_order_created':
+        return this.#handlePhysicalOrder(event, 'created');
+      case 'physical_order_shipped':
+        return this.#handlePhysicalOrder(event, 'shipped');
+      case 'physical_order_canceled':
+        return this.#handlePhysicalOrder(event, 'canceled');
+      case 'new_digital_product':
+        return this.#handleNewDigitalProduct(event);
       default:
         this.logger?.info?.('Unhandled Tribute event', event.name);
         return undefined;
     }
   }
 
+  /**
+   * Handle webhook delivered as WHATWG `Request` (edge/serverless runtimes, Node 18+ fetch API).
+   * Resolves with `Response` using the same status codes as HTTP middleware.
+   * @param {Request} request
+   * @param {import('./middleware.js').WebhookHandlerOptions} [options]
+   * @returns {Promise<Response>}
+   */
+  async handleRequest(request, options = {}) {
+    return handleFetchRequest(this, request, options);
+  }
+
   /**
    * @param {string | undefined | null} value
    * @param {string} fieldName
@@ -377,27 +1119,30 @@ export class TributeSubscriptionManager extends EventEmitter {
    * @returns {TributePlan | undefined}
    */
   #findPlanForPayload(payload) {
-    return this.plans.find((plan) => {
-      if (plan.tributeSubscriptionId !== undefined && plan.tributeSubscriptionId !== payload.subscription_id) {
-        return false;
-      }
-      if (plan.tributePeriodId !== undefined && plan.tributePeriodId !== payload.period_id) {
-        return false;
-      }
-      if (plan.price !== undefined && plan.price !== payload.price) {
-        return false;
-      }
-      if (plan.currency !== undefined && plan.currency.toLowerCase() !== String(payload.currency ?? '').toLowerCase()) {
-        return false;
-      }
-      if (plan.period && payload.period && String(plan.period) !== String(payload.period)) {
-        return false;
-      }
-      if (plan.amount !== undefined && plan.amount !== payload.amount && plan.amount !== payload.price) {
-        return false;
-      }
-      return true;
+    return findPlanForPayload(this.plans, payload);
+  }
+
+  /**
+   * @param {Record<string, any>} payload
+   * @param {string} eventName
+   * @returns {TributePlan}
+   */
+  #requirePlanForPayload(payload, eventName) {
+    const plan = this.#findPlanForPayload(payload);
+    if (plan) {
+      return plan;
+    }
+    const explanation = this.explainPlanMatch(payload);
+    this.logger?.warn?.(`Plan not found for ${eventName}`, {
+      payload,
+      failedCriteria: Object.fromEntries(
+        explanation.plans.map(({ planId, criteria }) => [
+          planId,
+          criteria.filter(({ status }) => status === 'failed').map(({ criterion }) => criterion),
+        ]),
+      ),
     });
+    throw new TributePlanNotFoundError(String(payload.subscription_id ?? payload.period_id ?? payload.price), explanation);
   }
 
   /**
@@ -406,11 +1151,7 @@ export class TributeSubscriptionManager extends EventEmitter {
    */
   async #handleNewSubscription(event) {
     const payload = event.payload ?? {};
-    const plan = this.#findPlanForPayload(payload);
-    if (!plan) {
-      this.logger?.warn?.('Plan not found for new_subscription', payload);
-      throw new TributePlanNotFoundError(String(payload.subscription_id ?? payload.period_id ?? payload.price));
-    }
+    const plan = this.#requirePlanForPayload(payload, 'new_subscription');
 
     const eventTimestamp = this.#getEventTimestamp(event);
     const createdAt = this.#getEventCreatedAt(event);
@@ -443,11 +1184,25 @@ export class TributeSubscriptionManager extends EventEmitter {
         intent = await this.#consumeIntentByTelegramAndPlan(payload.telegram_user_id, plan.id);
       }
 
-      if (!intent) {
+      if (intent) {
+        ({ intent, status: intentStatus } = this.#evaluateIntent(intent, plan, eventTimestamp, payload.telegram_user_id));
+      } else if (this.intentPolicy === 'optional') {
+        this.logger?.warn?.('Tribute intent not found; creating subscription without intent', {
+          telegramUserId: payload.telegram_user_id,
+          planId: plan.id,
+        });
+        intentStatus = 'missing';
+      } else if (this.intentPolicy === 'deferred') {
+        this.logger?.info?.('Tribute intent not found; deferring subscription until intent is created', {
+          telegramUserId: payload.telegram_user_id,
+          planId: plan.id,
+        });
+        const deferred = { telegramUserId: payload.telegram_user_id, planId: plan.id, event };
+        this.emit('subscription.deferred', deferred);
+        return DEFERRED;
+      } else {
         throw new TributeIntentNotFoundError(payload.telegram_user_id, plan.id);
       }
-
-      ({ intent, status: intentStatus } = this.#evaluateIntent(intent, plan, eventTimestamp, payload.telegram_user_id));
     }
 
     const expiresAt = payload.expires_at
@@ -469,6 +1224,7 @@ export class TributeSubscriptionManager extends EventEmitter {
       expiresAt,
       cancelledAt: null,
       cancelReason: null,
+      intentStatus: existingSubscription ? existingSubscription.intentStatus ?? null : intentStatus ?? null,
       metadata: existingSubscription?.metadata ?? intent?.metadata ?? plan.metadata ?? {},
     });
 
@@ -479,16 +1235,18 @@ export class TributeSubscriptionManager extends EventEmitter {
       planId: subscriptionRecord.planId,
       telegramUserId: subscriptionRecord.telegramUserId,
       userId: payload.user_id ?? existingSubscription?.userId,
-      amount: subscriptionRecord.amount,
+      ...paymentAmounts(subscriptionRecord.amount, payload.amount ?? subscriptionRecord.amount),
       currency: subscriptionRecord.currency,
       paidAt: createdAt,
       payload,
     });
 
-    const context = { event };
+    const context = this.#webhookContext(event);
     if (intent) {
       context.intent = intent;
-      context.intentStatus = intentStatus ?? 'matched';
+    }
+    if (intentStatus) {
+      context.intentStatus = intentStatus;
     }
     if (previous) {
       context.previousSubscription = previous;
@@ -505,20 +1263,113 @@ export class TributeSubscriptionManager extends EventEmitter {
     this.emit('subscription.any', result);
     this.emit('event', result);
     await this.#publishEvent(result);
+    if (!previous) {
+      await this.#detectPlanChanges(subscriptionRecord, plan, event, createdAt);
+    } else if (previous.planId !== plan.id) {
+      // same Tribute subscription moved to another period or price
+      const fromPlan = this.plans.find((candidate) => candidate.id === previous.planId);
+      if (fromPlan) {
+        await this.#emitPlanChange(subscriptionRecord, previous, fromPlan, plan, event);
+      }
+    }
     return result;
   }
 
+  /**
+   * A new Tribute subscription while the user still has an active one on another plan means the user
+   * switched plans: emit `subscription.changed` for every such subscription and, with
+   * `closeSupersededSubscriptions`, cancel it.
+   * @param {StoredSubscription} subscription - The subscription just created.
+   * @param {TributePlan} toPlan
+   * @param {TributeEventEnvelope} event
+   * @param {Date} changedAt
+   */
+  async #detectPlanChanges(subscription, toPlan, event, changedAt) {
+    if (subscription.telegramUserId === undefined || subscription.telegramUserId === null) {
+      return;
+    }
+    for (const fromPlan of this.plans) {
+      if (fromPlan.id === toPlan.id) {
+        continue;
+      }
+      const previous = await this.getSubscriptionForUser({ telegramUserId: subscription.telegramUserId, planId: fromPlan.id });
+      if (!previous || previous.status !== 'active' || previous.tributeSubscriptionId === subscription.tributeSubscriptionId) {
+        continue;
+      }
+      await this.#emitPlanChange(subscription, previous, fromPlan, toPlan, event);
+      if (this.closeSupersededSubscriptions) {
+        await this.#closeSupersededSubscription(previous, toPlan, changedAt);
+      }
+    }
+  }
+
+  /**
+   * @param {StoredSubscription} subscription
+   * @param {StoredSubscription} previous
+   * @param {TributePlan} fromPlan
+   * @param {TributePlan} toPlan
+   * @param {TributeEventEnvelope} event
+   */
+  async #emitPlanChange(subscription, previous, fromPlan, toPlan, event) {
+    const context = this.#webhookContext(event);
+    context.fromPlan = fromPlan;
+    context.toPlan = toPlan;
+    context.direction = this.#planChangeDirection(fromPlan, toPlan);
+    context.previousSubscription = previous;
+    const result = /** @type {SubscriptionEventResult} */ ({
+      category: 'subscription',
+      type: 'changed',
+      subscription,
+      context,
+    });
+    this.emit('subscription.changed', result);
+    this.emit('subscription.any', result);
+    this.emit('event', result);
+    await this.#publishEvent(result);
+  }
+
+  /**
+   * @param {TributePlan} fromPlan
+   * @param {TributePlan} toPlan
+   * @returns {'upgrade'|'downgrade'|'crossgrade'} `crossgrade` when ranks are equal or not configured.
+   */
+  #planChangeDirection(fromPlan, toPlan) {
+    if (fromPlan.rank === undefined || toPlan.rank === undefined || fromPlan.rank === toPlan.rank) {
+      return 'crossgrade';
+    }
+    return toPlan.rank > fromPlan.rank ? 'upgrade' : 'downgrade';
+  }
+
+  /**
+   * @param {StoredSubscription} previous
+   * @param {TributePlan} toPlan
+   * @param {Date} cancelledAt
+   */
+  async #closeSupersededSubscription(previous, toPlan, cancelledAt) {
+    const cancellation = { cancelledAt, cancelReason: 'plan_changed', payload: { supersededByPlanId: toPlan.id } };
+    const updatedSubscription = await this.store.markSubscriptionCancelled(previous.tributeSubscriptionId, cancellation);
+    if (!updatedSubscription) {
+      return;
+    }
+    const result = /** @type {SubscriptionEventResult} */ ({
+      category: 'subscription',
+      type: 'cancelled',
+      subscription: updatedSubscription,
+      context: { cancellation: { ...cancellation, source: 'plan_change' } },
+    });
+    this.emit('subscription.cancelled', result);
+    this.emit('subscription.any', result);
+    this.emit('event', result);
+    await this.#publishEvent(result);
+  }
+
   /**
    * @param {TributeEventEnvelope} event
    * @returns {Promise<SubscriptionEventResult>}
    */
   async #handleCancelledSubscription(event) {
     const payload = event.payload ?? {};
-    const plan = this.#findPlanForPayload(payload);
-    if (!plan) {
-      this.logger?.warn?.('Plan not found for cancelled_subscription', payload);
-      throw new TributePlanNotFoundError(String(payload.subscription_id ?? payload.period_id ?? payload.price));
-    }
+    const plan = this.#requirePlanForPayload(payload, 'cancelled_subscription');
     const eventTimestamp = this.#getEventTimestamp(event);
     const cancellationAt = this.#getEventCreatedAt(event);
     const existingSubscription = payload.subscription_id
@@ -566,7 +1417,7 @@ export class TributeSubscriptionManager extends EventEmitter {
       category: 'subscription',
       type: 'cancelled',
       subscription: updatedSubscription,
-      context: { cancellation, event },
+      context: { cancellation, ...this.#webhookContext(event) },
     });
     this.emit('subscription.cancelled', result);
     this.emit('subscription.any', result);
@@ -582,12 +1433,6 @@ export class TributeSubscriptionManager extends EventEmitter {
   async #handleNewDonation(event) {
     const payload = event.payload ?? {};
     const donationRequestId = payload.donation_request_id;
-    if (donationRequestId === undefined || donationRequestId === null) {
-      throw new TributeConfigurationError('donation_request_id is required for donation events');
-    }
-    if (payload.telegram_user_id === undefined || payload.telegram_user_id === null) {
-      throw new TributeConfigurationError('telegram_user_id is required for donation events');
-    }
 
     const existing = await this.store.getDonationByRequestId(donationRequestId);
     const period = payload.period ?? existing?.period ?? 'once';
@@ -631,7 +1476,7 @@ export class TributeSubscriptionManager extends EventEmitter {
       donationRequestId,
       telegramUserId: donationRecord.telegramUserId,
       userId: donationRecord.userId ?? undefined,
-      amount: donationRecord.amount,
+      ...paymentAmounts(donationRecord.amount),
       currency: donationRecord.currency,
       paidAt: createdAt,
       payload,
@@ -641,7 +1486,7 @@ export class TributeSubscriptionManager extends EventEmitter {
       category: 'donation',
       type: 'created',
       donation: donationRecord,
-      context: { event },
+      context: this.#webhookContext(event),
     });
 
     this.emit('donation.created', result);
@@ -658,12 +1503,6 @@ export class TributeSubscriptionManager extends EventEmitter {
   async #handleRecurrentDonation(event) {
     const payload = event.payload ?? {};
     const donationRequestId = payload.donation_request_id;
-    if (donationRequestId === undefined || donationRequestId === null) {
-      throw new TributeConfigurationError('donation_request_id is required for donation events');
-    }
-    if (payload.telegram_user_id === undefined || payload.telegram_user_id === null) {
-      throw new TributeConfigurationError('telegram_user_id is required for donation events');
-    }
 
     const existing = await this.store.getDonationByRequestId(donationRequestId);
     if (!existing) {
@@ -709,7 +1548,7 @@ export class TributeSubscriptionManager extends EventEmitter {
       donationRequestId,
       telegramUserId: donationRecord.telegramUserId,
       userId: donationRecord.userId ?? undefined,
-      amount: donationRecord.amount,
+      ...paymentAmounts(donationRecord.amount),
       currency: donationRecord.currency,
       paidAt: createdAt,
       payload,
@@ -719,7 +1558,7 @@ export class TributeSubscriptionManager extends EventEmitter {
       category: 'donation',
       type: 'recurrent',
       donation: donationRecord,
-      context: { event },
+      context: this.#webhookContext(event),
     });
 
     this.emit('donation.recurrent', result);
@@ -736,9 +1575,6 @@ export class TributeSubscriptionManager extends EventEmitter {
   async #handleCancelledDonation(event) {
     const payload = event.payload ?? {};
     const donationRequestId = payload.donation_request_id;
-    if (donationRequestId === undefined || donationRequestId === null) {
-      throw new TributeConfigurationError('donation_request_id is required for donation events');
-    }
     const eventTimestamp = this.#getEventTimestamp(event);
     const cancelledAt = this.#getEventCreatedAt(event);
     const existing = await this.store.getDonationByRequestId(donationRequestId);
@@ -778,7 +1614,7 @@ export class TributeSubscriptionManager extends EventEmitter {
       category: 'donation',
       type: 'cancelled',
       donation,
-      context: { cancellation, event },
+      context: { cancellation, ...this.#webhookContext(event) },
     });
     this.emit('donation.cancelled', result);
     this.emit('donation.any', result);
@@ -787,6 +1623,249 @@ export class TributeSubscriptionManager extends EventEmitter {
     return result;
   }
 
+  /**
+   * Shared handler for `physical_order_*` events. Tribute sends the full order
+   * snapshot with every event, so a missing local record is recreated from payload.
+   * @param {TributeEventEnvelope} event
+   * @param {'created'|'shipped'|'canceled'} type
+   * @returns {Promise<OrderEventResult>}
+   */
+  async #handlePhysicalOrder(event, type) {
+    const payload = event.payload ?? {};
+    const orderId = payload.order_id;
+
+    const existing = await this.store.getOrderById(orderId);
+    if (!existing && (payload.telegram_user_id === undefined || payload.telegram_user_id === null)) {
+      // the schema allows it for follow-up events, but a new record needs an owner
+      throw new TributePayloadValidationError(event.name, [
+        { field: 'payload.telegram_user_id', message: 'is required for an order that is not stored yet' },
+      ]);
+    }
+    if (!existing && type !== 'created') {
+      this.logger?.warn?.(`Order not found for physical_order_${type}, creating new record`, payload);
+    }
+    const eventTimestamp = this.#getEventTimestamp(event);
+    const eventCreatedAt = this.#getEventCreatedAt(event);
+
+    if (existing) {
+      if (
+        type === 'canceled' &&
+        existing.cancelledAt instanceof Date &&
+        this.#isOutdatedEvent(existing.cancelledAt, eventCreatedAt)
+      ) {
+        this.#logDuplicateEvent('order.canceled', { orderId }, existing.cancelledAt, eventCreatedAt);
+        return undefined;
+      }
+      if (this.#isOutdatedEvent(existing.lastEventAt, eventTimestamp)) {
+        this.#logDuplicateEvent(`order.${type}`, { orderId }, existing.lastEventAt, eventTimestamp);
+        return undefined;
+      }
+    }
+
+    const products = Array.isArray(payload.products)
+      ? payload.products.map((product) => ({
+          productName: product?.product_name ?? '',
+          quantity: product?.quantity ?? 1,
+          price: product?.price ?? 0,
+          currency: product?.currency ?? payload.currency ?? '',
+        }))
+      : existing?.products ?? [];
+
+    const orderRecord = /** @type {StoredOrder} */ ({
+      orderId,
+      telegramUserId: payload.telegram_user_id ?? existing?.telegramUserId,
+      userId: payload.user_id ?? existing?.userId ?? null,
+      status: type,
+      tributeStatus: payload.status ?? existing?.tributeStatus ?? null,
+      products,
+      total: payload.total ?? existing?.total ?? 0,
+      currency: payload.currency ?? existing?.currency ?? '',
+      shippingAddress: payload.shipping_address ?? existing?.shippingAddress ?? null,
+      trackingNumber: payload.tracking_number ?? existing?.trackingNumber ?? null,
+      createdAt: existing?.createdAt
+        ?? (payload.created_at ? this.#parseDate(payload.created_at, 'payload.created_at') : eventCreatedAt),
+      updatedAt: payload.updated_at ? this.#parseDate(payload.updated_at, 'payload.updated_at') : eventCreatedAt,
+      lastEventAt: eventTimestamp,
+      shippedAt: type === 'shipped' ? eventCreatedAt : existing?.shippedAt ?? null,
+      cancelledAt: type === 'canceled' ? eventCreatedAt : existing?.cancelledAt ?? null,
+      metadata: existing?.metadata ?? {},
+    });
+
+    const { previous } = await this.store.upsertOrder(orderRecord);
+    if (type === 'created') {
+      await this.store.recordPayment({
+        kind: 'order',
+        orderId,
+        telegramUserId: orderRecord.telegramUserId,
+        userId: orderRecord.userId ?? undefined,
+        ...paymentAmounts(orderRecord.total),
+        currency: orderRecord.currency,
+        paidAt: orderRecord.createdAt,
+        payload,
+      });
+    }
+
+    const context = this.#webhookContext(event);
+    if (previous) {
+      context.previousOrder = previous;
+    }
+
+    const result = /** @type {OrderEventResult} */ ({
+      category: 'order',
+      type,
+      order: orderRecord,
+      context,
+    });
+
+    this.emit(`order.${type}`, result);
+    this.emit('order.any', result);
+    this.emit('event', result);
+    await this.#publishEvent(result);
+    return result;
+  }
+
+  /**
+   * Digital purchases carry no unique id, so the payment journal itself is used for
+   * idempotency: a purchase of the same product by the same user at the same
+   * `created_at` is treated as a retry.
+   * @param {TributeEventEnvelope} event
+   * @returns {Promise<DigitalProductEventResult>}
+   */
+  async #handleNewDigitalProduct(event) {
+    const payload = event.payload ?? {};
+    const product = this.products.find((p) => String(p.tributeProductId) === String(payload.product_id));
+    if (!product) {
+      this.logger?.warn?.('Product not found for new_digital_product', payload);
+      throw new TributeProductNotFoundError(String(payload.product_id));
+    }
+
+    const paidAt = this.#getEventCreatedAt(event);
+    const previousPurchases = await this.store.listPayments({
+      telegramUserId: payload.telegram_user_id,
+      kind: 'digital_product',
+      productId: product.id,
+    });
+    const duplicate = previousPurchases.find((payment) => payment.paidAt.getTime() === paidAt.getTime());
+    if (duplicate) {
+      this.#logDuplicateEvent(
+        'product',
+        { productId: product.id, telegramUserId: payload.telegram_user_id },
+        duplicate.paidAt,
+        paidAt,
+      );
+      return undefined;
+    }
+
+    const payment = /** @type {import('./types.js').PaymentRecord} */ ({
+      kind: 'digital_product',
+      productId: product.id,
+      tributeProductId: payload.product_id,
+      telegramUserId: payload.telegram_user_id,
+      userId: payload.user_id ?? undefined,
+      ...paymentAmounts(payload.amount ?? product.amount ?? 0),
+      currency: payload.currency ?? product.currency ?? '',
+      paidAt,
+      payload,
+    });
+    await this.store.recordPayment(payment);
+
+    const result = /** @type {DigitalProductEventResult} */ ({
+      category: 'product',
+      type: 'purchased',
+      product,
+      payment,
+      context: this.#webhookContext(event),
+    });
+
+    this.emit('product.purchased', result);
+    this.emit('product.any', result);
+    this.emit('event', result);
+    await this.#publishEvent(result);
+    return result;
+  }
+
+  /**
+   * One failing subscription (store hiccup, publisher error) must not block the rest of the pass.
+   * @param {StoredSubscription} subscription
+   * @param {() => Promise<SubscriptionEventResult | undefined>} step
+   * @returns {Promise<SubscriptionEventResult | undefined>}
+   */
+  async #runExpiryStep(subscription, step) {
+    try {
+      return await step();
+    } catch (error) {
+      this.logger?.error?.('Tribute expiry check failed for subscription', {
+        tributeSubscriptionId: subscription.tributeSubscriptionId,
+        error: error instanceof Error ? { message: error.message, stack: error.stack } : error,
+      });
+      return undefined;
+    }
+  }
+
+  /**
+   * @param {StoredSubscription} candidate
+   * @param {Date} now
+   * @returns {Promise<SubscriptionEventResult | undefined>}
+   */
+  async #expireSubscription(candidate, now) {
+    // re-read right before writing: a renewal webhook may have landed since the list query
+    const current = await this.store.getSubscriptionByTributeId(candidate.tributeSubscriptionId);
+    if (!current || !['active', 'cancelled'].includes(current.status) || !this.#sameExpiry(current, candidate)) {
+      return undefined;
+    }
+    // lastEventAt stays untouched so a delayed renewal webhook is not mistaken for an outdated one
+    const subscription = { ...current, status: 'expired', expiredAt: now };
+    const { previous } = await this.store.upsertSubscription(subscription);
+    const result = /** @type {SubscriptionEventResult} */ ({
+      category: 'subscription',
+      type: 'expired',
+      subscription,
+      context: { previousSubscription: previous ?? current },
+    });
+    this.emit('subscription.expired', result);
+    this.emit('subscription.any', result);
+    this.emit('event', result);
+    await this.#publishEvent(result);
+    return result;
+  }
+
+  /**
+   * @param {StoredSubscription} candidate
+   * @param {Date} now
+   * @returns {Promise<SubscriptionEventResult | undefined>}
+   */
+  async #notifyExpiring(candidate, now) {
+    const current = await this.store.getSubscriptionByTributeId(candidate.tributeSubscriptionId);
+    if (!current || current.status !== 'active' || !this.#sameExpiry(current, candidate)) {
+      return undefined;
+    }
+    const subscription = { ...current, expiringNoticeFor: current.expiresAt };
+    await this.store.upsertSubscription(subscription);
+    const result = /** @type {SubscriptionEventResult} */ ({
+      category: 'subscription',
+      type: 'expiring',
+      subscription,
+      context: {
+        expiresAt: current.expiresAt,
+        daysLeft: Math.ceil((current.expiresAt.getTime() - now.getTime()) / DAY_MS),
+      },
+    });
+    this.emit('subscription.expiring', result);
+    this.emit('subscription.any', result);
+    this.emit('event', result);
+    await this.#publishEvent(result);
+    return result;
+  }
+
+  /**
+   * @param {StoredSubscription} a
+   * @param {StoredSubscription} b
+   * @returns {boolean}
+   */
+  #sameExpiry(a, b) {
+    return a.expiresAt instanceof Date && b.expiresAt instanceof Date && a.expiresAt.getTime() === b.expiresAt.getTime();
+  }
+
   /**
    * Forward processed event to optional external publisher.
    * @param {TributeEventResult} result
@@ -804,7 +1883,7 @@ export class TributeSubscriptionManager extends EventEmitter {
         error: error instanceof Error ? { message: error.message, stack: error.stack } : error,
       });
       if (this.eventPublisherFailureMode === 'throw') {
-        throw error instanceof Error ? error : new Error(String(error));
+        throw this.#toProcessingError(error, 'publisher');
       }
     }
   }
@@ -832,6 +1911,105 @@ export class TributeSubscriptionManager extends EventEmitter {
     return undefined;
   }
 
+  /**
+   * @param {StoredSubscription | undefined} subscription
+   * @param {Date} now
+   * @returns {{ accessUntil: Date | null, inGracePeriod: boolean } | undefined} - `accessUntil: null` means open-ended.
+   */
+  #getAccessWindow(subscription, now) {
+    if (!subscription || !['active', 'cancelled'].includes(subscription.status)) {
+      return undefined;
+    }
+    if (!(subscription.expiresAt instanceof Date)) {
+      // without a paid-up date only a live subscription grants access
+      return subscription.status === 'active' ? { accessUntil: null, inGracePeriod: false } : undefined;
+    }
+    const accessUntil = new Date(subscription.expiresAt.getTime() + this.accessGracePeriodMs);
+    if (now.getTime() >= accessUntil.getTime()) {
+      return undefined;
+    }
+    return { accessUntil, inGracePeriod: now.getTime() >= subscription.expiresAt.getTime() };
+  }
+
+  /**
+   * Plan a new subscriber may buy: archived plans only serve existing subscribers.
+   * @param {string} planId
+   * @returns {TributePlan}
+   */
+  #getOfferedPlan(planId) {
+    const plan = this.plans.find((p) => p.id === planId);
+    if (!plan || plan.archived) {
+      throw new TributePlanNotFoundError(planId);
+    }
+    return plan;
+  }
+
+  /**
+   * Validate a plan catalog and build its access map.
+   * @param {TributePlan[]} plans
+   * @returns {Map<string, Set<string>>}
+   */
+  #preparePlans(plans) {
+    if (!Array.isArray(plans) || plans.length === 0) {
+      throw new TributeConfigurationError('At least one subscription plan must be provided');
+    }
+    const ids = new Set();
+    for (const plan of plans) {
+      if (!plan?.id) {
+        throw new TributeConfigurationError('Every subscription plan must define "id"');
+      }
+      if (ids.has(plan.id)) {
+        throw new TributeConfigurationError(`Plan id "${plan.id}" is defined more than once`);
+      }
+      ids.add(plan.id);
+      if (plan.archived !== undefined && typeof plan.archived !== 'boolean') {
+        throw new TributeConfigurationError(`Plan ${plan.id} must define "archived" as a boolean`);
+      }
+      if (plan.rank !== undefined && (typeof plan.rank !== 'number' || !Number.isFinite(plan.rank))) {
+        throw new TributeConfigurationError(`Plan ${plan.id} must define "rank" as a number`);
+      }
+      assertValidPlanPresentation(plan);
+    }
+    assertUnambiguousPlans(plans);
+    return this.#buildPlanAccess(plans);
+  }
+
+  /**
+   * @param {TributePlan[]} plans
+   * @returns {Map<string, Set<string>>}
+   */
+  #buildPlanAccess(plans) {
+    const byId = new Map(plans.map((plan) => [plan.id, plan]));
+    for (const plan of plans) {
+      if (plan.includes === undefined) {
+        continue;
+      }
+      if (!Array.isArray(plan.includes)) {
+        throw new TributeConfigurationError(`Plan ${plan.id} must define "includes" as an array of plan ids`);
+      }
+      for (const includedId of plan.includes) {
+        if (!byId.has(includedId)) {
+          throw new TributeConfigurationError(`Plan ${plan.id} includes unknown plan "${includedId}"`);
+        }
+      }
+    }
+    const access = new Map();
+    for (const plan of plans) {
+      const granted = new Set();
+      const pending = [plan.id];
+      while (pending.length) {
+        const planId = pending.pop();
+        if (granted.has(planId)) {
+          continue;
+        }
+        granted.add(planId);
+        pending.push(...(byId.get(planId).includes ?? []));
+      }
+      access.set(plan.id, granted);
+    }
+    return access;
+  }
+
   #evaluateIntent(intent, plan, eventTimestamp, telegramUserId) {
     let status = 'matched';
     if (intent.expiresAt instanceof Date && intent.expiresAt.getTime() < eventTimestamp.getTime()) {
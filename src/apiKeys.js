@@ -0,0 +1,63 @@
+import { createHash } from 'node:crypto';
+import { TributeConfigurationError } from './errors.js';
+
+/**
+ * @typedef {import('./types.js').TributeApiKey} TributeApiKey
+ * @typedef {import('./types.js').TributeApiKeyInput} TributeApiKeyInput
+ */
+
+/**
+ * Short, stable identifier of a key that is safe to log (first 12 hex chars of its SHA-256).
+ * @param {string} key
+ * @returns {string}
+ */
+export function fingerprintApiKey(key) {
+  return createHash('sha256').update(key).digest('hex').slice(0, 12);
+}
+
+/**
+ * Merge `apiKey` and `apiKeys` into one ordered list: `apiKey` goes first unless it is already listed.
+ * @param {string | undefined} apiKey
+ * @param {TributeApiKeyInput[] | undefined} apiKeys
+ * @returns {TributeApiKey[]}
+ */
+export function normalizeApiKeys(apiKey, apiKeys) {
+  if (apiKeys !== undefined && !Array.isArray(apiKeys)) {
+    throw new TributeConfigurationError('apiKeys must be an array of keys');
+  }
+  const entries = (apiKeys ?? []).map((entry, index) => normalizeApiKey(entry, index));
+  if (apiKey && !entries.some((entry) => entry.key === apiKey)) {
+    entries.unshift({ id: fingerprintApiKey(apiKey), key: apiKey, expiresAt: null });
+  }
+  if (entries.length === 0) {
+    throw new TributeConfigurationError('Tribute API key is required');
+  }
+  const ids = new Set();
+  for (const entry of entries) {
+    if (ids.has(entry.id)) {
+      throw new TributeConfigurationError(`Duplicate Tribute API key id "${entry.id}"`);
+    }
+    ids.add(entry.id);
+  }
+  return entries;
+}
+
+/**
+ * @param {TributeApiKeyInput} entry
+ * @param {number} index
+ * @returns {TributeApiKey}
+ */
+function normalizeApiKey(entry, index) {
+  const { key, id, expiresAt } = typeof entry === 'string' ? { key: entry } : entry ?? {};
+  if (typeof key !== 'string' || key === '') {
+    throw new TributeConfigurationError(`apiKeys[${index}] must be a non-empty string or { key, id?, expiresAt? }`);
+  }
+  let expiry = null;
+  if (expiresAt !== undefined && expiresAt !== null && expiresAt !== '') {
+    expiry = expiresAt instanceof Date ? expiresAt : new Date(expiresAt);
+    if (Number.isNaN(expiry.getTime())) {
+      throw new TributeConfigurationError(`apiKeys[${index}].expiresAt is not a valid date`);
+    }
+  }
+  return { id: id ? String(id) : fingerprintApiKey(key), key, expiresAt: expiry };
+}
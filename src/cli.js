@@ -0,0 +1,393 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { createTributeConfig } from './config.js';
+import { TributeSubscriptionManager } from './TributeSubscriptionManager.js';
+import { InMemorySubscriptionStore, FileSubscriptionStore, SubscriptionStore } from './store/index.js';
+import { signEvent } from './testing/webhookFixtures.js';
+import { TributeConfigurationError } from './errors.js';
+import { PAYMENT_AMOUNT_BASES } from './paymentAmounts.js';
+import { findAmountCrossMatches } from './planMatching.js';
+
+/**
+ * @typedef {Object} CliIO
+ * @property {NodeJS.ProcessEnv} [env]
+ * @property {{ write(chunk: string): any }} [stdout]
+ * @property {{ write(chunk: string): any }} [stderr]
+ * @property {typeof import('node:fs')} [fs]
+ * @property {typeof fetch} [fetch]
+ * @property {string} [cwd]
+ */
+
+const USAGE = `Usage: tribute <command> [options]
+
+Commands:
+  plans validate [--file <plans.json>] [--account <name>]
+      Load plans (and products) like createTributeConfig does and report problems.
+  sign <file> [--api-key <key>] [--encoding hex|base64]
+      Print the trbt-signature header value for the exact bytes of <file>.
+  send <file> --url <webhook url> [--api-key <key>] [--encoding hex|base64]
+      POST the signed file to a webhook endpoint and print the response.
+  payments export (--store-dir <dir> | --store-module <path>) [--format json|csv]
+                  [--telegram-user-id <id>] [--kind <kind>[,<kind>]] [--since <date>] [--until <date>] [--limit <n>]
+      Print payments recorded in the store.
+  payments totals (--store-dir <dir> | --store-module <path>) [--basis gross|net] [--format json|csv]
+                  [--telegram-user-id <id>] [--kind <kind>[,<kind>]] [--since <date>] [--until <date>]
+      Print per-currency sums of payments, gross (what buyers paid) or net of Tribute's fee.
+
+The API key defaults to TRIBUTE_API_KEY, the encoding to TRIBUTE_SIGNATURE_ENCODING.
+With TRIBUTE_ACCOUNTS set, pick the account with --account <name>.
+`;
+
+const BOOLEAN_FLAGS = new Set(['help']);
+const PLACEHOLDER_API_KEY = 'tribute-cli-plans-validate';
+const silentLogger = { debug() {}, info() {}, warn() {}, error() {} };
+const CSV_COLUMNS = [
+  'paidAt',
+  'kind',
+  'telegramUserId',
+  'userId',
+  'amount',
+  'grossAmount',
+  'netAmount',
+  'fee',
+  'currency',
+  'planId',
+  'tributeSubscriptionId',
+  'donationRequestId',
+  'orderId',
+  'productId',
+  'tributeProductId',
+];
+
+class CliUsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CliUsageError';
+  }
+}
+
+/**
+ * Split argv into positionals and `--name value` / `--name=value` options.
+ * @param {string[]} argv
+ * @returns {{ positionals: string[], options: Record<string, string|boolean> }}
+ */
+function parseArgs(argv) {
+  const positionals = [];
+  const options = {};
+  for (let index = 0; index < argv.length; index += 1) {
+    const arg = argv[index];
+    if (!arg.startsWith('--')) {
+      positionals.push(arg);
+      continue;
+    }
+    const separator = arg.indexOf('=');
+    const name = arg.slice(2, separator === -1 ? undefined : separator);
+    if (separator !== -1) {
+      options[name] = arg.slice(separator + 1);
+    } else if (BOOLEAN_FLAGS.has(name)) {
+      options[name] = true;
+    } else {
+      const value = argv[index + 1];
+      if (value === undefined || value.startsWith('--')) {
+        throw new CliUsageError(`Option --${name} requires a value`);
+      }
+      options[name] = value;
+      index += 1;
+    }
+  }
+  return { positionals, options };
+}
+
+function accountEnvPrefix(name) {
+  return `TRIBUTE_ACCOUNT_${name.toUpperCase().replace(/-/g, '_')}_`;
+}
+
+/**
+ * Run createTributeConfig and pick one account when TRIBUTE_ACCOUNTS/accounts are configured.
+ */
+function loadConfig(overrides, options, io) {
+  const config = createTributeConfig(overrides, { env: io.env, fs: io.fs });
+  if (!config.accounts) {
+    if (options.account) {
+      throw new CliUsageError('--account is only supported together with TRIBUTE_ACCOUNTS');
+    }
+    return config;
+  }
+  const names = Object.keys(config.accounts);
+  const name = options.account ?? (names.length === 1 ? names[0] : undefined);
+  if (!name) {
+    throw new CliUsageError(`Several accounts are configured (${names.join(', ')}), choose one with --account`);
+  }
+  if (!config.accounts[name]) {
+    throw new CliUsageError(`Unknown account "${name}", configured: ${names.join(', ')}`);
+  }
+  return config.accounts[name];
+}
+
+function resolveSigningOptions(options, io) {
+  const prefix = options.account ? accountEnvPrefix(String(options.account)) : 'TRIBUTE_';
+  const apiKey = options['api-key'] ?? io.env[`${prefix}API_KEY`] ?? io.env.TRIBUTE_API_KEY;
+  if (!apiKey) {
+    throw new CliUsageError(`API key is required: pass --api-key or set ${prefix}API_KEY`);
+  }
+  const encoding = options.encoding ?? io.env[`${prefix}SIGNATURE_ENCODING`] ?? io.env.TRIBUTE_SIGNATURE_ENCODING ?? 'hex';
+  if (!['hex', 'base64'].includes(encoding)) {
+    throw new CliUsageError(`Unsupported signature encoding: ${encoding}`);
+  }
+  return { apiKey, encoding };
+}
+
+function readFixture(file, io) {
+  if (!file) {
+    throw new CliUsageError('Event file is required');
+  }
+  const filePath = path.resolve(io.cwd, file);
+  if (!io.fs.existsSync(filePath)) {
+    throw new CliUsageError(`File not found: ${filePath}`);
+  }
+  // the signature covers exact bytes, so the file is sent as is
+  const body = io.fs.readFileSync(filePath);
+  let event;
+  try {
+    event = JSON.parse(body.toString('utf8'));
+  } catch (error) {
+    throw new CliUsageError(`${filePath} is not valid JSON: ${error instanceof Error ? error.message : error}`);
+  }
+  if (!event || typeof event.name !== 'string' || typeof event.payload !== 'object') {
+    io.stderr.write(`warning: ${filePath} does not look like a Tribute event (expected "name" and "payload")\n`);
+  }
+  return body;
+}
+
+async function validatePlans(options, io) {
+  const overrides = {};
+  const plansFile = options.file ? path.resolve(io.cwd, String(options.file)) : undefined;
+  // plans can be checked without the webhook secret
+  const hasKey = (prefix) => Boolean(io.env[`${prefix}API_KEY`] || io.env[`${prefix}API_KEYS`]);
+  if (io.env.TRIBUTE_ACCOUNTS) {
+    if (plansFile && !options.account) {
+      throw new CliUsageError('--file needs --account when TRIBUTE_ACCOUNTS is set');
+    }
+    overrides.accounts = {};
+    for (const name of io.env.TRIBUTE_ACCOUNTS.split(',').map((item) => item.trim()).filter(Boolean)) {
+      overrides.accounts[name] = hasKey(accountEnvPrefix(name)) ? {} : { apiKey: PLACEHOLDER_API_KEY };
+      if (plansFile && name === options.account) {
+        overrides.accounts[name].plansFile = plansFile;
+      }
+    }
+  } else {
+    if (plansFile) {
+      overrides.plansFile = plansFile;
+    }
+    if (!hasKey('TRIBUTE_')) {
+      overrides.apiKey = PLACEHOLDER_API_KEY;
+    }
+  }
+
+  const config = createTributeConfig(overrides, { env: io.env, fs: io.fs });
+  let accounts = config.accounts ? Object.entries(config.accounts) : [[undefined, config]];
+  if (options.account) {
+    accounts = [[options.account, loadConfig(overrides, options, io)]];
+  }
+  for (const [name, accountConfig] of accounts) {
+    // the manager checks what the loader does not, e.g. unknown ids in "includes"
+    new TributeSubscriptionManager({ ...accountConfig, store: new InMemorySubscriptionStore(), logger: silentLogger });
+    const label = name ? `${name}: ` : '';
+    const { plans, products } = accountConfig;
+    io.stdout.write(`OK: ${label}${plans.length} plan(s): ${plans.map((plan) => plan.id).join(', ')}\n`);
+    if (products.length > 0) {
+      io.stdout.write(`OK: ${label}${products.length} product(s): ${products.map((product) => product.id).join(', ')}\n`);
+    }
+    for (const [first, second] of findAmountCrossMatches(plans)) {
+      io.stderr.write(
+        `WARN: ${label}plans "${first}" and "${second}" differ only by amount; a webhook whose price is one amount and amount the other matches both, set "price" to tell them apart\n`,
+      );
+    }
+  }
+  return 0;
+}
+
+async function signFixture(file, options, io) {
+  const body = readFixture(file, io);
+  const { apiKey, encoding } = resolveSigningOptions(options, io);
+  const { signature } = signEvent(body, apiKey, { encoding });
+  io.stdout.write(`${signature}\n`);
+  return 0;
+}
+
+async function sendFixture(file, options, io) {
+  if (!options.url) {
+    throw new CliUsageError('--url is required');
+  }
+  const body = readFixture(file, io);
+  const { apiKey, encoding } = resolveSigningOptions(options, io);
+  const { headers } = signEvent(body, apiKey, { encoding });
+  const response = await io.fetch(String(options.url), { method: 'POST', headers, body });
+  const text = await response.text();
+  io.stdout.write(`${response.status} ${response.statusText}\n${text ? `${text}\n` : ''}`);
+  return response.ok ? 0 : 1;
+}
+
+async function loadStore(options, io) {
+  if (options['store-dir']) {
+    // the directory usually belongs to a running bot: read it without repairing or appending
+    return new FileSubscriptionStore({ directory: path.resolve(io.cwd, String(options['store-dir'])), readOnly: true });
+  }
+  if (options['store-module']) {
+    const modulePath = path.resolve(io.cwd, String(options['store-module']));
+    const exported = (await import(pathToFileURL(modulePath).href)).default;
+    const store = typeof exported === 'function' && !(exported.prototype instanceof SubscriptionStore)
+      ? await exported({ env: io.env })
+      : exported;
+    if (!(store instanceof SubscriptionStore)) {
+      throw new CliUsageError(`${modulePath} must export default a SubscriptionStore or a function returning one`);
+    }
+    return store;
+  }
+  throw new CliUsageError('payments commands need --store-dir <dir> or --store-module <path>');
+}
+
+function toCsvValue(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function resolveFormat(options) {
+  const format = options.format ?? 'json';
+  if (!['json', 'csv'].includes(format)) {
+    throw new CliUsageError(`Unsupported format: ${format}`);
+  }
+  return format;
+}
+
+function parsePaymentFilters(options) {
+  const filters = {};
+  if (options['telegram-user-id'] !== undefined) {
+    filters.telegramUserId = options['telegram-user-id'];
+  }
+  if (options.kind !== undefined) {
+    filters.kind = String(options.kind).split(',').map((kind) => kind.trim());
+  }
+  for (const key of ['since', 'until']) {
+    if (options[key] !== undefined) {
+      const date = new Date(String(options[key]));
+      if (Number.isNaN(date.getTime())) {
+        throw new CliUsageError(`--${key} must be a date, got "${options[key]}"`);
+      }
+      filters[key] = date;
+    }
+  }
+  if (options.limit !== undefined) {
+    const limit = Number(options.limit);
+    if (!Number.isInteger(limit) || limit <= 0) {
+      throw new CliUsageError(`--limit must be a positive integer, got "${options.limit}"`);
+    }
+    filters.limit = limit;
+  }
+  return filters;
+}
+
+/**
+ * Open the store from --store-dir/--store-module, run `callback` with a manager on it and close the store.
+ */
+async function withStoreManager(options, io, callback) {
+  const store = await loadStore(options, io);
+  try {
+    const config = loadConfig({ store }, options, io);
+    return await callback(new TributeSubscriptionManager({ ...config, store, logger: silentLogger }));
+  } finally {
+    await store.close?.();
+  }
+}
+
+async function exportPayments(options, io) {
+  const format = resolveFormat(options);
+  const filters = parsePaymentFilters(options);
+  return withStoreManager(options, io, async (manager) => {
+    const payments = await manager.listPayments(filters);
+    if (format === 'csv') {
+      io.stdout.write(`${CSV_COLUMNS.join(',')}\n`);
+      for (const payment of payments) {
+        io.stdout.write(`${CSV_COLUMNS.map((column) => toCsvValue(payment[column])).join(',')}\n`);
+      }
+    } else {
+      io.stdout.write(`${JSON.stringify(payments, null, 2)}\n`);
+    }
+    return 0;
+  });
+}
+
+async function totalPayments(options, io) {
+  const format = resolveFormat(options);
+  const basis = options.basis ?? 'gross';
+  if (!PAYMENT_AMOUNT_BASES.includes(basis)) {
+    throw new CliUsageError(`--basis must be one of ${PAYMENT_AMOUNT_BASES.join(', ')}, got "${basis}"`);
+  }
+  const filters = parsePaymentFilters(options);
+  return withStoreManager(options, io, async (manager) => {
+    const summary = await manager.getPaymentTotals({ ...filters, basis });
+    if (format === 'csv') {
+      io.stdout.write('currency,count,amount\n');
+      for (const { currency, count, amount } of summary.totals) {
+        io.stdout.write(`${[currency, count, amount].map(toCsvValue).join(',')}\n`);
+      }
+    } else {
+      io.stdout.write(`${JSON.stringify(summary, null, 2)}\n`);
+    }
+    return 0;
+  });
+}
+
+/**
+ * Entry point of the `tribute` bin. Never throws: errors are printed and turned into exit code 1
+ * (2 for usage mistakes).
+ * @param {string[]} argv - Arguments without `node` and the script path.
+ * @param {CliIO} [io]
+ * @returns {Promise<number>} Exit code.
+ */
+export async function runCli(argv, io = {}) {
+  const context = {
+    env: io.env ?? process.env,
+    stdout: io.stdout ?? process.stdout,
+    stderr: io.stderr ?? process.stderr,
+    fs: io.fs ?? fs,
+    fetch: io.fetch ?? globalThis.fetch,
+    cwd: io.cwd ?? process.cwd(),
+  };
+  try {
+    const { positionals, options } = parseArgs(argv);
+    const [command, subcommand, ...rest] = positionals;
+    if (options.help || !command) {
+      context.stdout.write(USAGE);
+      return options.help ? 0 : 2;
+    }
+    if (command === 'plans' && subcommand === 'validate') {
+      return await validatePlans(options, context);
+    }
+    if (command === 'sign') {
+      return await signFixture(subcommand, options, context);
+    }
+    if (command === 'send') {
+      return await sendFixture(subcommand, options, context);
+    }
+    if (command === 'payments' && subcommand === 'export') {
+      return await exportPayments(options, context);
+    }
+    if (command === 'payments' && subcommand === 'totals') {
+      return await totalPayments(options, context);
+    }
+    throw new CliUsageError(`Unknown command: ${[command, subcommand, ...rest].filter(Boolean).join(' ')}`);
+  } catch (error) {
+    if (error instanceof CliUsageError) {
+      context.stderr.write(`${error.message}\n\n${USAGE}`);
+      return 2;
+    }
+    const prefix = error instanceof TributeConfigurationError ? 'Configuration error' : 'Error';
+    context.stderr.write(`${prefix}: ${error instanceof Error ? error.message : error}\n`);
+    return 1;
+  }
+}
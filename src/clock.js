@@ -0,0 +1,13 @@
+/**
+ * @typedef {Object} TributeClock
+ * @property {() => Date} now
+ * @property {(callback: () => void, ms: number) => any} [setTimeout]
+ * @property {(handle: any) => void} [clearTimeout]
+ */
+
+/** @type {Required<TributeClock>} */
+export const systemClock = {
+  now: () => new Date(),
+  setTimeout: (callback, ms) => setTimeout(callback, ms),
+  clearTimeout: (handle) => clearTimeout(handle),
+};
@@ -1,12 +1,43 @@
 import fs from 'node:fs';
 import path from 'node:path';
 import { TributeConfigurationError } from './errors.js';
+import { normalizeApiKeys } from './apiKeys.js';
+import { assertUnambiguousPlans } from './planMatching.js';
+import { assertValidPlanPresentation } from './planPresentation.js';
 
 const DEFAULT_INTENT_TTL_MINUTES = 15;
+const DEFAULT_EXPIRING_NOTICE_DAYS = 3;
+const DEFAULT_EXPIRY_CHECK_INTERVAL_MINUTES = 60;
+const DEFAULT_INIT_DATA_MAX_AGE_SECONDS = 24 * 60 * 60;
+const DEFAULT_LOGIN_MAX_AGE_SECONDS = 24 * 60 * 60;
+const DEFAULT_PLANS_WATCH_INTERVAL_SECONDS = 5;
 const SUPPORTED_SIGNATURE_ENCODINGS = ['hex', 'base64'];
 const SUBSCRIPTION_EVENTS = ['new_subscription', 'cancelled_subscription'];
 const DONATION_EVENTS = ['new_donation', 'recurrent_donation', 'cancelled_donation'];
+const ORDER_EVENTS = ['physical_order_created', 'physical_order_shipped', 'physical_order_canceled'];
+const DIGITAL_PRODUCT_EVENTS = ['new_digital_product'];
 const EVENT_PUBLISHER_FAILURE_MODES = ['throw', 'log'];
+const INTENT_POLICIES = ['required', 'optional', 'deferred'];
+const ACCOUNT_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+const ACCOUNT_SCOPED_OPTIONS = [
+  'plans',
+  'plansJson',
+  'plansFile',
+  'products',
+  'productsJson',
+  'productsFile',
+  'apiKey',
+  'apiKeys',
+  'store',
+];
+const ACCOUNT_SCOPED_ENV = [
+  'TRIBUTE_API_KEY',
+  'TRIBUTE_API_KEYS',
+  'TRIBUTE_PLANS',
+  'TRIBUTE_PLANS_FILE',
+  'TRIBUTE_PRODUCTS',
+  'TRIBUTE_PRODUCTS_FILE',
+];
 
 function parseBoolean(value, fallback) {
   if (value === undefined || value === null || value === '') {
@@ -65,35 +96,128 @@ function loadPlansFromJson(json, source) {
     if (!plan.period) {
       throw new TributeConfigurationError(`Plan ${plan.id} in ${source} must define "period"`);
     }
+    if (plan.includes !== undefined && (!Array.isArray(plan.includes) || plan.includes.some((id) => typeof id !== 'string'))) {
+      throw new TributeConfigurationError(`Plan ${plan.id} in ${source} must define "includes" as an array of plan ids`);
+    }
+    if (plan.archived !== undefined && typeof plan.archived !== 'boolean') {
+      throw new TributeConfigurationError(`Plan ${plan.id} in ${source} must define "archived" as a boolean`);
+    }
+    if (plan.rank !== undefined && (typeof plan.rank !== 'number' || !Number.isFinite(plan.rank))) {
+      throw new TributeConfigurationError(`Plan ${plan.id} in ${source} must define "rank" as a number`);
+    }
+    assertValidPlanPresentation(plan, source);
   });
   return data;
 }
 
+/**
+ * Resolve, read and parse a JSON catalog file.
+ * @param {string} file
+ * @param {typeof import('node:fs')} fsModule
+ * @param {'Plans'|'Products'} label - Used in error messages.
+ * @returns {{ filePath: string, data: unknown }}
+ */
+function readJsonFile(file, fsModule, label) {
+  const filePath = path.resolve(file);
+  if (!fsModule.existsSync(filePath)) {
+    throw new TributeConfigurationError(`${label} file not found: ${filePath}`);
+  }
+  const fileContents = fsModule.readFileSync(filePath, 'utf8');
+  try {
+    return { filePath, data: JSON.parse(fileContents) };
+  } catch (error) {
+    throw new TributeConfigurationError(
+      `Failed to parse ${label.toLowerCase()} from ${filePath}: ${error instanceof Error ? error.message : error}`,
+    );
+  }
+}
+
+/**
+ * Read and validate a JSON plans file. Also used by the manager to reload plans at runtime.
+ * @param {string} file
+ * @param {typeof import('node:fs')} [fsModule]
+ * @returns {import('./types.js').TributePlan[]}
+ */
+export function readPlansFile(file, fsModule = fs) {
+  const { filePath, data } = readJsonFile(file, fsModule, 'Plans');
+  return loadPlansFromJson(data, filePath);
+}
+
+/**
+ * @param {string} file
+ * @param {typeof import('node:fs')} fsModule
+ * @returns {import('./types.js').TributeDigitalProduct[]}
+ */
+function readProductsFile(file, fsModule) {
+  const { filePath, data } = readJsonFile(file, fsModule, 'Products');
+  return loadProductsFromJson(data, filePath);
+}
+
+/**
+ * @returns {{ plans: import('./types.js').TributePlan[], plansFile?: string }} `plansFile` is set when plans
+ *   came from a file, so the manager can reload them later.
+ */
 function loadPlans({ overrides, env, fsModule }) {
   if (Array.isArray(overrides.plans) && overrides.plans.length > 0) {
-    return overrides.plans;
+    return { plans: overrides.plans };
   }
   if (overrides.plansJson) {
-    return loadPlansFromJson(overrides.plansJson, 'overrides.plansJson');
+    return { plans: loadPlansFromJson(overrides.plansJson, 'overrides.plansJson') };
   }
   if (overrides.plansFile) {
-    const filePath = path.resolve(overrides.plansFile);
-    if (!fsModule.existsSync(filePath)) {
-      throw new TributeConfigurationError(`Plans file not found: ${filePath}`);
-    }
-    const fileContents = fsModule.readFileSync(filePath, 'utf8');
-    return loadPlansFromJson(fileContents, filePath);
+    return { plans: readPlansFile(overrides.plansFile, fsModule), plansFile: path.resolve(overrides.plansFile) };
   }
   if (env.TRIBUTE_PLANS) {
-    return loadPlansFromJson(env.TRIBUTE_PLANS, 'TRIBUTE_PLANS');
+    return { plans: loadPlansFromJson(env.TRIBUTE_PLANS, 'TRIBUTE_PLANS') };
   }
   if (env.TRIBUTE_PLANS_FILE) {
-    const filePath = path.resolve(env.TRIBUTE_PLANS_FILE);
-    if (!fsModule.existsSync(filePath)) {
-      throw new TributeConfigurationError(`Plans file not found: ${filePath}`);
+    return { plans: readPlansFile(env.TRIBUTE_PLANS_FILE, fsModule), plansFile: path.resolve(env.TRIBUTE_PLANS_FILE) };
+  }
+  return { plans: [] };
+}
+
+function loadProductsFromJson(json, source) {
+  let data;
+  try {
+    data = typeof json === 'string' ? JSON.parse(json) : json;
+  } catch (error) {
+    throw new TributeConfigurationError(`Failed to parse products from ${source}: ${error instanceof Error ? error.message : error}`);
+  }
+  if (!Array.isArray(data)) {
+    throw new TributeConfigurationError(`Products in ${source} must be an array`);
+  }
+  data.forEach((product, index) => {
+    if (!product || typeof product !== 'object') {
+      throw new TributeConfigurationError(`Product at index ${index} in ${source} must be an object`);
+    }
+    if (!product.id) {
+      throw new TributeConfigurationError(`Product at index ${index} in ${source} is missing required "id"`);
     }
-    const fileContents = fsModule.readFileSync(filePath, 'utf8');
-    return loadPlansFromJson(fileContents, filePath);
+    if (product.tributeProductId === undefined || product.tributeProductId === null || product.tributeProductId === '') {
+      throw new TributeConfigurationError(`Product ${product.id} in ${source} is missing required "tributeProductId"`);
+    }
+    if (product.amount !== undefined && (typeof product.amount !== 'number' || product.amount <= 0)) {
+      throw new TributeConfigurationError(`Product ${product.id} in ${source} must define positive numeric "amount"`);
+    }
+  });
+  return data;
+}
+
+function loadProducts({ overrides, env, fsModule }) {
+  if (Array.isArray(overrides.products)) {
+    return loadProductsFromJson(overrides.products, 'overrides.products');
+  }
+  if (overrides.productsJson) {
+    return loadProductsFromJson(overrides.productsJson, 'overrides.productsJson');
+  }
+  if (overrides.productsFile) {
+    return readProductsFile(overrides.productsFile, fsModule);
+  }
+  if (env.TRIBUTE_PRODUCTS) {
+    return loadProductsFromJson(env.TRIBUTE_PRODUCTS, 'TRIBUTE_PRODUCTS');
+  }
+  if (env.TRIBUTE_PRODUCTS_FILE) {
+    return readProductsFile(env.TRIBUTE_PRODUCTS_FILE, fsModule);
   }
   return [];
 }
@@ -111,6 +235,76 @@ function resolveIntentTtl(overrides, env) {
   return parseNumber(minutes, DEFAULT_INTENT_TTL_MINUTES) * 60 * 1000;
 }
 
+function resolveAccessGracePeriod(overrides, env) {
+  if (overrides.accessGracePeriodMs !== undefined) {
+    return parseNumber(overrides.accessGracePeriodMs, 0);
+  }
+  if (env.TRIBUTE_ACCESS_GRACE_PERIOD_MS) {
+    return parseNumber(env.TRIBUTE_ACCESS_GRACE_PERIOD_MS, 0);
+  }
+  const hours = overrides.accessGracePeriodHours ?? env.TRIBUTE_ACCESS_GRACE_PERIOD_HOURS ?? 0;
+  return parseNumber(hours, 0) * 60 * 60 * 1000;
+}
+
+function resolveExpiringNoticeDays(overrides, env) {
+  return parseNumber(overrides.expiringNoticeDays ?? env.TRIBUTE_EXPIRING_NOTICE_DAYS, DEFAULT_EXPIRING_NOTICE_DAYS);
+}
+
+function resolveExpiryCheckInterval(overrides, env) {
+  if (overrides.expiryCheckIntervalMs !== undefined) {
+    return parseNumber(overrides.expiryCheckIntervalMs, undefined);
+  }
+  if (env.TRIBUTE_EXPIRY_CHECK_INTERVAL_MS) {
+    return parseNumber(env.TRIBUTE_EXPIRY_CHECK_INTERVAL_MS, undefined);
+  }
+  const minutes = overrides.expiryCheckIntervalMinutes
+    ?? env.TRIBUTE_EXPIRY_CHECK_INTERVAL_MINUTES
+    ?? DEFAULT_EXPIRY_CHECK_INTERVAL_MINUTES;
+  return parseNumber(minutes, DEFAULT_EXPIRY_CHECK_INTERVAL_MINUTES) * 60 * 1000;
+}
+
+function resolvePlansWatchInterval(overrides, env) {
+  if (overrides.plansWatchIntervalMs !== undefined) {
+    return parseNumber(overrides.plansWatchIntervalMs, undefined);
+  }
+  if (env.TRIBUTE_PLANS_WATCH_INTERVAL_MS) {
+    return parseNumber(env.TRIBUTE_PLANS_WATCH_INTERVAL_MS, undefined);
+  }
+  const seconds = overrides.plansWatchIntervalSeconds
+    ?? env.TRIBUTE_PLANS_WATCH_INTERVAL_SECONDS
+    ?? DEFAULT_PLANS_WATCH_INTERVAL_SECONDS;
+  return parseNumber(seconds, DEFAULT_PLANS_WATCH_INTERVAL_SECONDS) * 1000;
+}
+
+/**
+ * `TRIBUTE_API_KEYS` is either a JSON array (`[{ "key": "...", "id": "new" }, { "key": "...", "expiresAt": "..." }]`)
+ * or a comma-separated list where an expiry can follow the key after `@`: `newKey,oldKey@2025-07-01T00:00:00Z`.
+ */
+function resolveApiKeys(overrides, env) {
+  if (overrides.apiKeys !== undefined) {
+    return overrides.apiKeys;
+  }
+  const raw = env.TRIBUTE_API_KEYS?.trim();
+  if (!raw) {
+    return undefined;
+  }
+  if (raw.startsWith('[')) {
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      throw new TributeConfigurationError(`Unable to parse TRIBUTE_API_KEYS: ${error instanceof Error ? error.message : error}`);
+    }
+  }
+  return raw
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean)
+    .map((item) => {
+      const separator = item.lastIndexOf('@');
+      return separator === -1 ? item : { key: item.slice(0, separator), expiresAt: item.slice(separator + 1) };
+    });
+}
+
 function resolveSignatureEncoding(overrides, env) {
   const encoding = overrides.signatureEncoding ?? env.TRIBUTE_SIGNATURE_ENCODING ?? 'hex';
   if (!SUPPORTED_SIGNATURE_ENCODINGS.includes(encoding)) {
@@ -119,7 +313,7 @@ function resolveSignatureEncoding(overrides, env) {
   return encoding;
 }
 
-function resolveAllowedEvents(overrides, env) {
+function resolveAllowedEvents(overrides, env, products) {
   if (overrides.allowedWebhookEvents) {
     if (!Array.isArray(overrides.allowedWebhookEvents) || overrides.allowedWebhookEvents.length === 0) {
       throw new TributeConfigurationError('allowedWebhookEvents override must be a non-empty array');
@@ -127,7 +321,18 @@ function resolveAllowedEvents(overrides, env) {
     return overrides.allowedWebhookEvents;
   }
   const allowDonations = parseBoolean(overrides.allowDonations ?? env.TRIBUTE_ALLOW_DONATIONS, true);
-  return allowDonations ? [...SUBSCRIPTION_EVENTS, ...DONATION_EVENTS] : [...SUBSCRIPTION_EVENTS];
+  const allowOrders = parseBoolean(overrides.allowOrders ?? env.TRIBUTE_ALLOW_ORDERS, true);
+  // digital purchases can only be matched against a catalog, so they are opt-in by default
+  const allowDigitalProducts = parseBoolean(
+    overrides.allowDigitalProducts ?? env.TRIBUTE_ALLOW_DIGITAL_PRODUCTS,
+    products.length > 0,
+  );
+  return [
+    ...SUBSCRIPTION_EVENTS,
+    ...(allowDonations ? DONATION_EVENTS : []),
+    ...(allowOrders ? ORDER_EVENTS : []),
+    ...(allowDigitalProducts ? DIGITAL_PRODUCT_EVENTS : []),
+  ];
 }
 
 function resolveEventPublisherFailureMode(overrides, env) {
@@ -139,46 +344,128 @@ function resolveEventPublisherFailureMode(overrides, env) {
   return normalized;
 }
 
+function resolveIntentPolicy(overrides, env) {
+  const candidate = overrides.intentPolicy ?? env.TRIBUTE_INTENT_POLICY ?? 'required';
+  const normalized = typeof candidate === 'string' ? candidate.trim().toLowerCase() : candidate;
+  if (!INTENT_POLICIES.includes(normalized)) {
+    throw new TributeConfigurationError('intentPolicy must be one of "required", "optional" or "deferred"');
+  }
+  return normalized;
+}
+
 /**
  * Build configuration object for TributeSubscriptionManager.
  * Supports environment variables and JSON files to describe subscription plans.
+ * With `overrides.accounts` or `TRIBUTE_ACCOUNTS` it returns `{ accounts: { [name]: config } }` for TributeAccountRouter.
  *
  * @param {Object} [overrides]
  * @param {import('./types.js').TributePlan[]} [overrides.plans]
  * @param {string|Object} [overrides.plansJson]
  * @param {string} [overrides.plansFile]
+ * @param {import('./types.js').TributeDigitalProduct[]} [overrides.products]
+ * @param {string|Object} [overrides.productsJson]
+ * @param {string} [overrides.productsFile]
  * @param {string} [overrides.apiKey]
+ * @param {import('./types.js').TributeApiKeyInput[]} [overrides.apiKeys]
  * @param {number} [overrides.intentTtlMs]
  * @param {number} [overrides.intentTtlMinutes]
  * @param {"hex"|"base64"} [overrides.signatureEncoding]
  * @param {boolean} [overrides.allowDonations]
+ * @param {boolean} [overrides.allowOrders]
+ * @param {boolean} [overrides.allowDigitalProducts]
  * @param {string[]} [overrides.allowedWebhookEvents]
  * @param {(event: import('./types.js').TributeEventResult) => (void|Promise<void>)} [overrides.eventPublisher]
  * @param {'throw'|'log'} [overrides.eventPublisherFailureMode]
+ * @param {'required'|'optional'|'deferred'} [overrides.intentPolicy]
+ * @param {number} [overrides.accessGracePeriodMs]
+ * @param {number} [overrides.accessGracePeriodHours]
+ * @param {number} [overrides.expiringNoticeDays]
+ * @param {number} [overrides.expiryCheckIntervalMs]
+ * @param {number} [overrides.expiryCheckIntervalMinutes]
+ * @param {string} [overrides.botToken]
+ * @param {number} [overrides.initDataMaxAgeSeconds]
+ * @param {number} [overrides.loginMaxAgeSeconds]
+ * @param {number} [overrides.plansWatchIntervalMs] - How often `startPlansWatcher()` polls the plans file.
+ * @param {number} [overrides.plansWatchIntervalSeconds]
+ * @param {boolean} [overrides.closeSupersededSubscriptions] - Cancel the previous subscription on a plan change.
  * @param {Object} [overrides.logger]
  * @param {import('./store/SubscriptionStore.js').SubscriptionStore} [overrides.store]
+ * @param {Record<string, Object>} [overrides.accounts] - Per-account sections; switches the result to `{ accounts }`.
  * @param {Object} [options]
  * @param {NodeJS.ProcessEnv} [options.env]
  * @param {typeof import('node:fs')} [options.fs]
- * @returns {{ plans: import('./types.js').TributePlan[], apiKey: string, intentTtlMs: number, signatureEncoding: "hex"|"base64", allowedWebhookEvents: string[], logger?: any, store?: any }}
+ * @returns {{ plans: import('./types.js').TributePlan[], products: import('./types.js').TributeDigitalProduct[], apiKey: string, apiKeys: import('./types.js').TributeApiKey[], intentTtlMs: number, signatureEncoding: "hex"|"base64", allowedWebhookEvents: string[], intentPolicy: 'required'|'optional'|'deferred', accessGracePeriodMs: number, expiringNoticeDays: number, expiryCheckIntervalMs: number, initDataMaxAgeSeconds: number, loginMaxAgeSeconds: number, plansWatchIntervalMs: number, closeSupersededSubscriptions: boolean, plansFile?: string, botToken?: string, logger?: any, store?: any }}
  */
 export function createTributeConfig(overrides = {}, options = {}) {
   const env = options.env ?? process.env;
   const fsModule = options.fs ?? fs;
-  const plans = loadPlans({ overrides, env, fsModule });
+  const accountNames = resolveAccountNames(overrides, env);
+  if (accountNames) {
+    return createAccountsConfig(accountNames, overrides, env, fsModule);
+  }
+  return buildManagerConfig(overrides, env, fsModule);
+}
+
+function buildManagerConfig(overrides, env, fsModule) {
+  const { plans, plansFile } = loadPlans({ overrides, env, fsModule });
   if (!plans.length) {
     throw new TributeConfigurationError('No subscription plans defined. Provide overrides.plans or TRIBUTE_PLANS');
   }
-  const apiKey = overrides.apiKey ?? env.TRIBUTE_API_KEY;
-  if (!apiKey) {
-    throw new TributeConfigurationError('Tribute API key is required (set TRIBUTE_API_KEY or pass overrides.apiKey)');
+  assertUnambiguousPlans(plans);
+  const products = loadProducts({ overrides, env, fsModule });
+  const apiKeys = resolveApiKeys(overrides, env);
+  if (!overrides.apiKey && !env.TRIBUTE_API_KEY && !apiKeys?.length) {
+    throw new TributeConfigurationError(
+      'Tribute API key is required (set TRIBUTE_API_KEY/TRIBUTE_API_KEYS or pass overrides.apiKey)',
+    );
   }
+  const normalizedApiKeys = normalizeApiKeys(overrides.apiKey ?? env.TRIBUTE_API_KEY, apiKeys);
+  const apiKey = normalizedApiKeys[0].key;
   const intentTtlMs = resolveIntentTtl(overrides, env);
   const signatureEncoding = resolveSignatureEncoding(overrides, env);
-  const allowedWebhookEvents = resolveAllowedEvents(overrides, env);
+  const allowedWebhookEvents = resolveAllowedEvents(overrides, env, products);
   const eventPublisherFailureMode = resolveEventPublisherFailureMode(overrides, env);
+  const intentPolicy = resolveIntentPolicy(overrides, env);
+  const accessGracePeriodMs = resolveAccessGracePeriod(overrides, env);
+  const expiringNoticeDays = resolveExpiringNoticeDays(overrides, env);
+  const expiryCheckIntervalMs = resolveExpiryCheckInterval(overrides, env);
+  const initDataMaxAgeSeconds = parseNumber(
+    overrides.initDataMaxAgeSeconds ?? env.TRIBUTE_INIT_DATA_MAX_AGE_SECONDS,
+    DEFAULT_INIT_DATA_MAX_AGE_SECONDS,
+  );
+  const loginMaxAgeSeconds = parseNumber(
+    overrides.loginMaxAgeSeconds ?? env.TRIBUTE_LOGIN_MAX_AGE_SECONDS,
+    DEFAULT_LOGIN_MAX_AGE_SECONDS,
+  );
+  const botToken = overrides.botToken ?? env.TELEGRAM_BOT_TOKEN;
 
-  const config = { plans, apiKey, intentTtlMs, signatureEncoding, allowedWebhookEvents, eventPublisherFailureMode };
+  const config = {
+    plans,
+    products,
+    apiKey,
+    apiKeys: normalizedApiKeys,
+    intentTtlMs,
+    signatureEncoding,
+    allowedWebhookEvents,
+    eventPublisherFailureMode,
+    intentPolicy,
+    accessGracePeriodMs,
+    expiringNoticeDays,
+    expiryCheckIntervalMs,
+    initDataMaxAgeSeconds,
+    loginMaxAgeSeconds,
+    plansWatchIntervalMs: resolvePlansWatchInterval(overrides, env),
+    closeSupersededSubscriptions: parseBoolean(
+      overrides.closeSupersededSubscriptions ?? env.TRIBUTE_CLOSE_SUPERSEDED_SUBSCRIPTIONS,
+      false,
+    ),
+  };
+  if (plansFile) {
+    config.plansFile = plansFile;
+  }
+  if (botToken) {
+    config.botToken = botToken;
+  }
   if (overrides.logger) {
     config.logger = overrides.logger;
   }
@@ -194,4 +481,74 @@ export function createTributeConfig(overrides = {}, options = {}) {
   return config;
 }
 
+function resolveAccountNames(overrides, env) {
+  if (overrides.accounts !== undefined) {
+    if (!overrides.accounts || typeof overrides.accounts !== 'object' || Array.isArray(overrides.accounts)) {
+      throw new TributeConfigurationError('accounts override must be an object keyed by account name');
+    }
+    return Object.keys(overrides.accounts);
+  }
+  const raw = env.TRIBUTE_ACCOUNTS?.trim();
+  if (!raw) {
+    return undefined;
+  }
+  return raw
+    .split(',')
+    .map((name) => name.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Every account gets the shared settings plus its own section: `overrides.accounts[name]` and
+ * `TRIBUTE_ACCOUNT_<NAME>_*` variables (e.g. `TRIBUTE_ACCOUNT_STUDIO_API_KEY` for account `studio`).
+ * Keys, catalogs and stores are never shared between accounts.
+ */
+function createAccountsConfig(accountNames, overrides, env, fsModule) {
+  if (accountNames.length === 0) {
+    throw new TributeConfigurationError('At least one Tribute account must be configured');
+  }
+  const shared = { ...overrides };
+  for (const key of [...ACCOUNT_SCOPED_OPTIONS, 'accounts']) {
+    delete shared[key];
+  }
+  const sharedEnv = { ...env };
+  for (const key of ACCOUNT_SCOPED_ENV) {
+    delete sharedEnv[key];
+  }
+
+  // `eu-shop` and `eu_shop` (or `Studio` and `studio`) would read the same variables
+  const prefixes = new Map();
+  for (const name of accountNames) {
+    if (!ACCOUNT_NAME_PATTERN.test(name)) {
+      throw new TributeConfigurationError(`Account name "${name}" may contain only letters, digits, "-" and "_"`);
+    }
+    const prefix = `TRIBUTE_ACCOUNT_${name.toUpperCase().replace(/-/g, '_')}_`;
+    if (prefixes.has(prefix)) {
+      throw new TributeConfigurationError(
+        `Accounts "${prefixes.get(prefix)}" and "${name}" share the environment prefix ${prefix}; rename one of them`,
+      );
+    }
+    prefixes.set(prefix, name);
+  }
+
+  const accounts = {};
+  for (const [prefix, name] of prefixes) {
+    const accountEnv = { ...sharedEnv };
+    for (const [key, value] of Object.entries(env)) {
+      if (key.startsWith(prefix)) {
+        accountEnv[`TRIBUTE_${key.slice(prefix.length)}`] = value;
+      }
+    }
+    try {
+      accounts[name] = buildManagerConfig({ ...shared, ...overrides.accounts?.[name] }, accountEnv, fsModule);
+    } catch (error) {
+      if (error instanceof TributeConfigurationError) {
+        throw new TributeConfigurationError(`Account "${name}": ${error.message}`);
+      }
+      throw error;
+    }
+  }
+  return { accounts };
+}
+
 export const __config = {};
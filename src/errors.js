@@ -1,47 +1,213 @@
-export class TributeSignatureError extends Error {
+/**
+ * @typedef {Object} TributeErrorOptions
+ * @property {string} [code] - Stable machine-readable code, e.g. `intent_not_found`.
+ * @property {number} [httpStatus] - Status an API endpoint should answer with.
+ * @property {boolean} [retryable] - Whether the same request may succeed later (Tribute should redeliver).
+ * @property {unknown} [cause]
+ */
+
+/**
+ * Base class of every error thrown by the library.
+ */
+export class TributeError extends Error {
+  /**
+   * @param {string} message
+   * @param {TributeErrorOptions} [options]
+   */
+  constructor(message, { code = 'tribute_error', httpStatus = 500, retryable = false, cause } = {}) {
+    super(message, cause === undefined ? undefined : { cause });
+    this.name = 'TributeError';
+    this.code = code;
+    this.httpStatus = httpStatus;
+    this.retryable = retryable;
+  }
+}
+
+export class TributeSignatureError extends TributeError {
   constructor(message = 'Invalid Tribute webhook signature') {
-    super(message);
+    super(message, { code: 'invalid_signature', httpStatus: 401 });
     this.name = 'TributeSignatureError';
   }
 }
 
-export class TributeConfigurationError extends Error {
+export class TributeInvalidPayloadError extends TributeError {
+  /**
+   * @param {string} [message]
+   * @param {TributeErrorOptions} [options]
+   */
+  constructor(message = 'Tribute webhook body is not a valid event envelope', options = {}) {
+    super(message, { code: 'invalid_payload', httpStatus: 400, ...options });
+    this.name = 'TributeInvalidPayloadError';
+  }
+}
+
+/**
+ * Webhook body read by the HTTP adapters is larger than `maxBodyBytes`.
+ */
+export class TributePayloadTooLargeError extends TributeError {
+  /**
+   * @param {number} limit - Allowed size in bytes.
+   */
+  constructor(limit) {
+    super(`Tribute webhook body exceeds ${limit} bytes`, { code: 'payload_too_large', httpStatus: 413 });
+    this.name = 'TributePayloadTooLargeError';
+    this.limit = limit;
+  }
+}
+
+/**
+ * Invalid options or a store that lacks a required method. Webhooks failing because of it
+ * succeed once the configuration is fixed, so they are worth redelivering.
+ */
+export class TributeConfigurationError extends TributeError {
   constructor(message) {
-    super(message);
+    super(message, { code: 'configuration_error', httpStatus: 500, retryable: true });
     this.name = 'TributeConfigurationError';
   }
 }
 
-export class TributePlanNotFoundError extends Error {
-  constructor(planId) {
-    super(`Subscription plan with id "${planId}" was not found`);
+export class TributePlanNotFoundError extends TributeError {
+  /**
+   * @param {string} planId
+   * @param {import('./planMatching.js').PlanMatchExplanation} [explanation] - Set when a webhook payload matched no plan.
+   */
+  constructor(planId, explanation) {
+    super(`Subscription plan with id "${planId}" was not found`, { code: 'plan_not_found', httpStatus: 404, retryable: true });
     this.name = 'TributePlanNotFoundError';
     this.planId = planId;
+    if (explanation) {
+      this.explanation = explanation;
+    }
+  }
+}
+
+export class TributeProductNotFoundError extends TributeError {
+  constructor(productId) {
+    super(`Digital product with id "${productId}" was not found`, {
+      code: 'product_not_found',
+      httpStatus: 404,
+      retryable: true,
+    });
+    this.name = 'TributeProductNotFoundError';
+    this.productId = productId;
   }
 }
 
-export class TributeIntentNotFoundError extends Error {
+export class TributeIntentNotFoundError extends TributeError {
   constructor(telegramUserId, planId) {
-    super(`Pending intent was not found for telegramUserId=${telegramUserId} planId=${planId}`);
+    super(`Pending intent was not found for telegramUserId=${telegramUserId} planId=${planId}`, {
+      code: 'intent_not_found',
+      httpStatus: 404,
+      retryable: true,
+    });
     this.name = 'TributeIntentNotFoundError';
     this.telegramUserId = telegramUserId;
     this.planId = planId;
   }
 }
 
-export class TributeSubscriptionNotFoundError extends Error {
+export class TributeSubscriptionNotFoundError extends TributeError {
   constructor(subscriptionId) {
-    super(`Subscription with Tribute id "${subscriptionId}" was not found`);
+    super(`Subscription with Tribute id "${subscriptionId}" was not found`, {
+      code: 'subscription_not_found',
+      httpStatus: 404,
+      retryable: true,
+    });
     this.name = 'TributeSubscriptionNotFoundError';
     this.subscriptionId = subscriptionId;
   }
 }
 
-export class TributeDonationNotFoundError extends Error {
+export class TributeDonationNotFoundError extends TributeError {
   constructor(donationRequestId) {
-    super(`Donation with request id "${donationRequestId}" was not found`);
+    super(`Donation with request id "${donationRequestId}" was not found`, {
+      code: 'donation_not_found',
+      httpStatus: 404,
+      retryable: true,
+    });
     this.name = 'TributeDonationNotFoundError';
     this.donationRequestId = donationRequestId;
   }
 }
 
+
+export class TributeWebhookEventNotFoundError extends TributeError {
+  constructor(eventId) {
+    super(`Webhook event with id "${eventId}" was not found in the inbox`, { code: 'webhook_event_not_found', httpStatus: 404 });
+    this.name = 'TributeWebhookEventNotFoundError';
+    this.eventId = eventId;
+  }
+}
+
+export class TributeInitDataError extends TributeError {
+  /**
+   * @param {'missing'|'missing_hash'|'invalid_hash'|'invalid_auth_date'|'expired'|'invalid_user'} reason
+   * @param {string} [message]
+   */
+  constructor(reason, message = 'Telegram Mini App initData is invalid') {
+    super(message, { code: 'invalid_init_data', httpStatus: 401 });
+    this.name = 'TributeInitDataError';
+    this.reason = reason;
+  }
+}
+
+export class TributeLoginPayloadError extends TributeError {
+  /**
+   * @param {'missing'|'missing_hash'|'invalid_hash'|'invalid_auth_date'|'expired'|'invalid_user'} reason
+   * @param {string} [message]
+   */
+  constructor(reason, message = 'Telegram Login Widget payload is invalid') {
+    super(message, { code: 'invalid_login_payload', httpStatus: 401 });
+    this.name = 'TributeLoginPayloadError';
+    this.reason = reason;
+  }
+}
+
+export class TributeAccountNotFoundError extends TributeError {
+  constructor(accountName) {
+    super(`Tribute account "${accountName}" is not configured`, { code: 'account_not_found', httpStatus: 404 });
+    this.name = 'TributeAccountNotFoundError';
+    this.accountName = accountName;
+  }
+}
+
+/**
+ * Webhook payload does not match the schema of its event. Extends TributeInvalidPayloadError,
+ * so HTTP adapters answer 400.
+ */
+export class TributePayloadValidationError extends TributeInvalidPayloadError {
+  /**
+   * @param {string} eventName
+   * @param {Array<{ field: string, message: string }>} problems
+   */
+  constructor(eventName, problems) {
+    super(
+      `Tribute ${eventName} webhook payload is invalid: ${problems.map(({ field, message }) => `${field} ${message}`).join('; ')}`,
+      { code: 'payload_validation_failed' },
+    );
+    this.name = 'TributePayloadValidationError';
+    this.eventName = eventName;
+    this.problems = problems;
+  }
+}
+
+/**
+ * Unexpected failure of the store or the event publisher while handling a webhook.
+ * The original error is kept in `cause`.
+ */
+export class TributeProcessingError extends TributeError {
+  /**
+   * @param {'inbox'|'handler'|'publisher'} stage - Where processing failed.
+   * @param {unknown} cause
+   */
+  constructor(stage, cause) {
+    super(`Tribute webhook processing failed in ${stage}: ${cause instanceof Error ? cause.message : String(cause)}`, {
+      code: 'processing_failed',
+      httpStatus: 500,
+      retryable: true,
+      cause,
+    });
+    this.name = 'TributeProcessingError';
+    this.stage = stage;
+  }
+}
@@ -1,6 +1,24 @@
 export { TributeSubscriptionManager } from './TributeSubscriptionManager.js';
-export { verifyTributeSignature } from './SignatureVerifier.js';
+export { TributeAccountRouter } from './TributeAccountRouter.js';
+export { verifyTributeSignature, matchTributeSignature } from './SignatureVerifier.js';
+export { verifyWebAppInitData } from './InitDataVerifier.js';
+export { verifyTelegramLoginPayload } from './TelegramLoginVerifier.js';
+export { validateWebhookEvent, webhookPayloadSchemas } from './webhookSchemas.js';
 export * from './errors.js';
 export * from './types.js';
-export { SubscriptionStore, InMemorySubscriptionStore } from './store/index.js';
+export {
+  SubscriptionStore,
+  InMemorySubscriptionStore,
+  FileSubscriptionStore,
+  PostgresSubscriptionStore,
+  getPostgresSchemaSql,
+} from './store/index.js';
 export { createTributeConfig } from './config.js';
+export { computeRevenueAnalytics, aggregatePaymentRecords } from './revenueAnalytics.js';
+export {
+  createExpressMiddleware,
+  createFastifyHandler,
+  createFetchHandler,
+  createNodeHttpHandler,
+  mapWebhookError,
+} from './middleware.js';
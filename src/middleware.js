@@ -0,0 +1,288 @@
+import {
+  TributeConfigurationError,
+  TributeError,
+  TributeInvalidPayloadError,
+  TributePayloadTooLargeError,
+  TributePayloadValidationError,
+  TributeSignatureError,
+} from './errors.js';
+
+/**
+ * @typedef {import('./TributeSubscriptionManager.js').TributeSubscriptionManager} TributeSubscriptionManager
+ * @typedef {import('./types.js').TributeEventResult} TributeEventResult
+ */
+
+/**
+ * @typedef {Object} WebhookHandlerOptions
+ * @property {string} [signatureHeader="trbt-signature"] - Header carrying Tribute HMAC signature.
+ * @property {number} [maxBodyBytes=1048576] - Upper limit for body read from the request stream.
+ * @property {(result: TributeEventResult | undefined) => (void|Promise<void>)} [onProcessed] - Called after successful processing.
+ */
+
+/**
+ * @typedef {Object} WebhookResponse
+ * @property {number} status
+ * @property {{ ok: boolean, error?: string, problems?: Array<{ field: string, message: string }> }} body
+ */
+
+const DEFAULT_SIGNATURE_HEADER = 'trbt-signature';
+const DEFAULT_MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * Map library error to the HTTP response Tribute expects (see tribute-webhooks.md):
+ * 401 for signature problems, 400 for malformed bodies (with field problems when the payload fails its schema),
+ * the error's own `httpStatus` for other non-retryable library errors and 500 for everything else so Tribute retries.
+ * @param {unknown} error
+ * @returns {WebhookResponse}
+ */
+export function mapWebhookError(error) {
+  if (error instanceof TributeSignatureError) {
+    return { status: 401, body: { ok: false, error: 'invalid signature' } };
+  }
+  if (error instanceof TributePayloadValidationError) {
+    return { status: 400, body: { ok: false, error: 'invalid payload', problems: error.problems } };
+  }
+  if (error instanceof TributeInvalidPayloadError) {
+    return { status: 400, body: { ok: false, error: 'invalid payload' } };
+  }
+  if (error instanceof TributePayloadTooLargeError) {
+    return { status: 413, body: { ok: false, error: 'payload too large' } };
+  }
+  if (error instanceof TributeError && !error.retryable && error.httpStatus < 500) {
+    return { status: error.httpStatus, body: { ok: false, error: error.code } };
+  }
+  return { status: 500, body: { ok: false, error: 'internal error' } };
+}
+
+/**
+ * Run webhook through the manager and build response. Duplicates and ignored events are
+ * acknowledged with 200, otherwise Tribute would keep retrying them.
+ * @param {TributeSubscriptionManager} manager
+ * @param {Buffer | Uint8Array} rawBody
+ * @param {string | undefined} signature
+ * @param {WebhookHandlerOptions} options
+ * @returns {Promise<WebhookResponse>}
+ */
+export async function processWebhook(manager, rawBody, signature, options = {}) {
+  try {
+    const result = await manager.handleWebhook(rawBody, signature);
+    await options.onProcessed?.(result);
+    return { status: 200, body: { ok: true } };
+  } catch (error) {
+    const response = mapWebhookError(error);
+    if (response.status >= 500) {
+      manager.logger?.error?.('Tribute webhook processing failed', {
+        error: error instanceof Error ? { name: error.name, message: error.message, stack: error.stack } : error,
+      });
+    } else {
+      manager.logger?.warn?.('Tribute webhook rejected', { status: response.status, error: error?.message });
+    }
+    return response;
+  }
+}
+
+/**
+ * @param {Record<string, string | string[] | undefined>} headers
+ * @param {string} name
+ * @returns {string | undefined}
+ */
+function readHeader(headers, name) {
+  const value = headers?.[name.toLowerCase()];
+  return Array.isArray(value) ? value[0] : value;
+}
+
+/**
+ * Collect request stream into a Buffer respecting size limit.
+ * @param {NodeJS.ReadableStream} stream
+ * @param {number} limit
+ * @returns {Promise<Buffer>}
+ */
+function readStream(stream, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    stream.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        // keep draining the stream so the response can still be delivered
+        chunks.length = 0;
+        reject(new TributePayloadTooLargeError(limit));
+        return;
+      }
+      chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+    });
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+  });
+}
+
+/**
+ * Resolve raw body from framework request. Parsed JSON bodies cannot be used because
+ * the signature is computed over the exact bytes Tribute sent.
+ * @param {any} request
+ * @param {number} limit
+ * @returns {Promise<Buffer>}
+ */
+async function resolveRawBody(request, limit) {
+  if (Buffer.isBuffer(request.rawBody)) {
+    return request.rawBody;
+  }
+  if (typeof request.rawBody === 'string') {
+    return Buffer.from(request.rawBody, 'utf8');
+  }
+  if (Buffer.isBuffer(request.body)) {
+    return request.body;
+  }
+  if (typeof request.body === 'string') {
+    return Buffer.from(request.body, 'utf8');
+  }
+  // body-parser leaves `{}` and no `_body` flag when the content type did not match
+  const untouchedBody =
+    typeof request.body === 'object' && request.body !== null && Object.keys(request.body).length === 0 && !request._body;
+  if (request.body !== undefined && request.body !== null && !untouchedBody) {
+    throw new TributeConfigurationError(
+      'Tribute webhook body was already parsed; mount the handler before JSON body parsers or expose raw body',
+    );
+  }
+  const stream = request.raw ?? request;
+  if (typeof stream.on !== 'function' || stream.readableEnded) {
+    throw new TributeConfigurationError('Tribute webhook request stream is not readable');
+  }
+  return readStream(stream, limit);
+}
+
+/**
+ * @param {import('node:http').ServerResponse} res
+ * @param {WebhookResponse} response
+ */
+function sendJson(res, { status, body }) {
+  const payload = JSON.stringify(body);
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  res.setHeader('Content-Length', Buffer.byteLength(payload));
+  res.end(payload);
+}
+
+/**
+ * Read raw body and signature from framework request and process webhook.
+ * @param {TributeSubscriptionManager} manager
+ * @param {any} request
+ * @param {WebhookHandlerOptions} options
+ * @returns {Promise<WebhookResponse>}
+ */
+async function handleFrameworkRequest(manager, request, options) {
+  const signatureHeader = options.signatureHeader ?? DEFAULT_SIGNATURE_HEADER;
+  let rawBody;
+  try {
+    rawBody = await resolveRawBody(request, options.maxBodyBytes ?? DEFAULT_MAX_BODY_BYTES);
+  } catch (error) {
+    if (error instanceof TributeConfigurationError) {
+      manager.logger?.error?.('Tribute webhook body is unavailable', { error: error.message });
+    }
+    return mapWebhookError(error);
+  }
+  return processWebhook(manager, rawBody, readHeader(request.headers, signatureHeader), options);
+}
+
+/**
+ * Express (or Connect) middleware. Works with `express.raw()` mounted before it
+ * or reads the request stream itself when no body parser ran.
+ * @param {TributeSubscriptionManager} manager
+ * @param {WebhookHandlerOptions} [options]
+ * @returns {(req: any, res: any, next?: Function) => Promise<void>}
+ */
+export function createExpressMiddleware(manager, options = {}) {
+  assertManager(manager);
+  return async function tributeWebhookMiddleware(req, res) {
+    const response = await handleFrameworkRequest(manager, req, options);
+    sendJson(res, response);
+  };
+}
+
+/**
+ * Fastify route handler. Fastify parses JSON by default, so register a buffer
+ * content-type parser (`parseAs: 'buffer'`) or a raw-body plugin for the route.
+ * @param {TributeSubscriptionManager} manager
+ * @param {WebhookHandlerOptions} [options]
+ * @returns {(request: any, reply: any) => Promise<any>}
+ */
+export function createFastifyHandler(manager, options = {}) {
+  assertManager(manager);
+  return async function tributeWebhookHandler(request, reply) {
+    const { status, body } = await handleFrameworkRequest(manager, request, options);
+    return reply.code(status).header('content-type', 'application/json; charset=utf-8').send(body);
+  };
+}
+
+/**
+ * Process WHATWG `Request` and build `Response` (Node 18+, Deno, Bun, edge runtimes).
+ * @param {TributeSubscriptionManager} manager
+ * @param {Request} request
+ * @param {WebhookHandlerOptions} [options]
+ * @returns {Promise<Response>}
+ */
+export async function handleFetchRequest(manager, request, options = {}) {
+  if (request.method !== 'POST') {
+    return toFetchResponse({ status: 405, body: { ok: false, error: 'method not allowed' } }, { Allow: 'POST' });
+  }
+  const limit = options.maxBodyBytes ?? DEFAULT_MAX_BODY_BYTES;
+  const declaredLength = Number(request.headers.get('content-length'));
+  if (Number.isFinite(declaredLength) && declaredLength > limit) {
+    return toFetchResponse(mapWebhookError(new TributePayloadTooLargeError(limit)));
+  }
+  const rawBody = new Uint8Array(await request.arrayBuffer());
+  if (rawBody.byteLength > limit) {
+    return toFetchResponse(mapWebhookError(new TributePayloadTooLargeError(limit)));
+  }
+  const signature = request.headers.get(options.signatureHeader ?? DEFAULT_SIGNATURE_HEADER) ?? undefined;
+  return toFetchResponse(await processWebhook(manager, rawBody, signature, options));
+}
+
+/**
+ * Fetch-style handler: `export default { fetch: createFetchHandler(manager) }`.
+ * @param {TributeSubscriptionManager} manager
+ * @param {WebhookHandlerOptions} [options]
+ * @returns {(request: Request) => Promise<Response>}
+ */
+export function createFetchHandler(manager, options = {}) {
+  assertManager(manager);
+  return (request) => handleFetchRequest(manager, request, options);
+}
+
+/**
+ * @param {WebhookResponse} response
+ * @param {Record<string, string>} [headers]
+ * @returns {Response}
+ */
+function toFetchResponse({ status, body }, headers = {}) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json; charset=utf-8', ...headers },
+  });
+}
+
+/**
+ * Plain `node:http` request listener (`http.createServer(createNodeHttpHandler(manager))`).
+ * Accepts only POST requests.
+ * @param {TributeSubscriptionManager} manager
+ * @param {WebhookHandlerOptions} [options]
+ * @returns {(req: import('node:http').IncomingMessage, res: import('node:http').ServerResponse) => Promise<void>}
+ */
+export function createNodeHttpHandler(manager, options = {}) {
+  assertManager(manager);
+  return async function tributeWebhookListener(req, res) {
+    if (req.method !== 'POST') {
+      res.setHeader('Allow', 'POST');
+      sendJson(res, { status: 405, body: { ok: false, error: 'method not allowed' } });
+      return;
+    }
+    const response = await handleFrameworkRequest(manager, req, options);
+    sendJson(res, response);
+  };
+}
+
+function assertManager(manager) {
+  if (!manager || typeof manager.handleWebhook !== 'function') {
+    throw new TributeConfigurationError('Tribute webhook handler requires TributeSubscriptionManager instance');
+  }
+}
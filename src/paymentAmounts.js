@@ -0,0 +1,65 @@
+import { TributeConfigurationError } from './errors.js';
+
+/**
+ * @typedef {import('./types.js').PaymentRecord} PaymentRecord
+ * @typedef {import('./types.js').PaymentAmountBasis} PaymentAmountBasis
+ * @typedef {import('./types.js').PaymentTotals} PaymentTotals
+ */
+
+/** @type {ReadonlyArray<PaymentAmountBasis>} */
+export const PAYMENT_AMOUNT_BASES = Object.freeze(['gross', 'net']);
+
+/**
+ * Amount fields of a payment record. `amount` stays the gross price for existing consumers.
+ * @param {number} gross - What the buyer paid (Tribute `price`).
+ * @param {number} [net] - What the creator receives (Tribute `amount`); defaults to `gross`.
+ * @returns {Pick<PaymentRecord, 'amount'|'grossAmount'|'netAmount'|'fee'>}
+ */
+export function paymentAmounts(gross, net = gross) {
+  return { amount: gross, grossAmount: gross, netAmount: net, fee: gross - net };
+}
+
+/**
+ * @param {unknown} basis
+ * @returns {PaymentAmountBasis}
+ * @throws {TributeConfigurationError} For anything but `gross`/`net`.
+ */
+export function resolvePaymentAmountBasis(basis = 'gross') {
+  if (!PAYMENT_AMOUNT_BASES.includes(/** @type {PaymentAmountBasis} */ (basis))) {
+    throw new TributeConfigurationError(`Payment amount basis must be one of ${PAYMENT_AMOUNT_BASES.join(', ')}, got "${basis}"`);
+  }
+  return /** @type {PaymentAmountBasis} */ (basis);
+}
+
+/**
+ * Gross or net amount of a payment. Records stored before the split only have `amount`, which is used for both.
+ * @param {PaymentRecord} payment
+ * @param {PaymentAmountBasis} basis
+ * @returns {number}
+ */
+export function paymentAmount(payment, basis) {
+  const value = basis === 'net' ? payment.netAmount : payment.grossAmount;
+  return value ?? payment.amount;
+}
+
+/**
+ * Sum payments per currency (lower-cased, sorted).
+ * @param {PaymentRecord[]} payments
+ * @param {PaymentAmountBasis} basis
+ * @returns {PaymentTotals}
+ */
+export function summarizePayments(payments, basis) {
+  const byCurrency = new Map();
+  for (const payment of payments) {
+    const currency = String(payment.currency ?? '').toLowerCase();
+    const total = byCurrency.get(currency) ?? { currency, count: 0, amount: 0 };
+    total.count += 1;
+    total.amount += paymentAmount(payment, basis);
+    byCurrency.set(currency, total);
+  }
+  return {
+    basis,
+    count: payments.length,
+    totals: [...byCurrency.values()].sort((a, b) => a.currency.localeCompare(b.currency)),
+  };
+}
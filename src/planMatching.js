@@ -0,0 +1,243 @@
+import { TributeConfigurationError } from './errors.js';
+
+/**
+ * @typedef {import('./types.js').TributePlan} TributePlan
+ */
+
+/**
+ * @typedef {Object} PlanMatchCriterion
+ * @property {'subscription_id'|'period_id'|'price'|'currency'|'period'|'amount'} criterion - Payload field being checked.
+ * @property {'passed'|'failed'|'skipped'} status - `skipped` when the plan (or, for `period`, the payload) leaves it open.
+ * @property {unknown} expected - Value configured on the plan.
+ * @property {unknown} actual - Value found in the payload.
+ */
+
+/**
+ * @typedef {Object} PlanMatchExplanation
+ * @property {string | null} planId - Plan `#findPlanForPayload` picks, `null` when none matches.
+ * @property {Array<{ planId: string, archived: boolean, matched: boolean, currency: string, criteria: PlanMatchCriterion[] }>} plans
+ *   `currency` is the price variant the criteria were checked against.
+ * @property {string[]} warnings - Set when more than one plan matched and the first one won.
+ */
+
+/**
+ * Criteria a subscription webhook is matched against, in evaluation order. `value` reads the plan side;
+ * `undefined` leaves the criterion open. `matches` compares it with the payload (`undefined`: not checked);
+ * `same` tells whether the values configured on two plans are equal.
+ */
+const CRITERIA = [
+  {
+    criterion: 'subscription_id',
+    value: (plan) => plan.tributeSubscriptionId,
+    actual: (payload) => payload.subscription_id,
+    matches: (expected, payload) => expected === payload.subscription_id,
+    same: (a, b) => a === b,
+  },
+  {
+    criterion: 'period_id',
+    value: (plan) => plan.tributePeriodId,
+    actual: (payload) => payload.period_id,
+    matches: (expected, payload) => expected === payload.period_id,
+    same: (a, b) => a === b,
+  },
+  {
+    criterion: 'price',
+    value: (plan) => plan.price,
+    actual: (payload) => payload.price,
+    matches: (expected, payload) => expected === payload.price,
+    same: (a, b) => a === b,
+  },
+  {
+    criterion: 'currency',
+    value: (plan) => plan.currency,
+    actual: (payload) => payload.currency,
+    matches: (expected, payload) => expected.toLowerCase() === String(payload.currency ?? '').toLowerCase(),
+    same: (a, b) => a.toLowerCase() === b.toLowerCase(),
+  },
+  {
+    criterion: 'period',
+    value: (plan) => plan.period || undefined,
+    actual: (payload) => payload.period,
+    // payloads without `period` are not held against the plan
+    matches: (expected, payload) => (payload.period ? String(expected) === String(payload.period) : undefined),
+    same: (a, b) => String(a) === String(b),
+  },
+  {
+    criterion: 'amount',
+    value: (plan) => plan.amount,
+    actual: (payload) => payload.amount,
+    // Tribute reports the net `amount` and the list `price`; either may equal the configured amount
+    matches: (expected, payload) => expected === payload.amount || expected === payload.price,
+    same: (a, b) => a === b,
+  },
+];
+
+/**
+ * The plan once per currency it is sold in: the base `amount`/`currency` first, then every entry of
+ * `prices`. `price` is an alias of the base amount, so other variants leave it open.
+ * @param {TributePlan} plan
+ * @returns {TributePlan[]}
+ */
+export function planVariants(plan) {
+  const variants = [plan];
+  for (const [currency, amount] of Object.entries(plan.prices ?? {})) {
+    if (currency.toLowerCase() !== plan.currency?.toLowerCase()) {
+      variants.push({ ...plan, currency, amount, price: undefined });
+    }
+  }
+  return variants;
+}
+
+/**
+ * Variant priced in the payload currency, or the base one.
+ * @param {TributePlan} plan
+ * @param {Record<string, any>} payload
+ * @returns {TributePlan}
+ */
+function variantForPayload(plan, payload) {
+  const currency = String(payload.currency ?? '').toLowerCase();
+  return planVariants(plan).find((variant) => variant.currency?.toLowerCase() === currency) ?? plan;
+}
+
+/**
+ * Check every criterion of a plan against a subscription payload.
+ * @param {TributePlan} plan
+ * @param {Record<string, any>} payload
+ * @returns {PlanMatchCriterion[]}
+ */
+export function checkPlanCriteria(plan, payload) {
+  return CRITERIA.map(({ criterion, value, actual, matches }) => {
+    const expected = value(plan);
+    const result = expected === undefined ? undefined : matches(expected, payload);
+    const status = result === undefined ? 'skipped' : result ? 'passed' : 'failed';
+    return { criterion, status, expected, actual: actual(payload) };
+  });
+}
+
+/**
+ * First plan none of whose criteria fail.
+ * @param {TributePlan[]} plans
+ * @param {Record<string, any>} payload
+ * @returns {TributePlan | undefined}
+ */
+export function findPlanForPayload(plans, payload) {
+  return plans.find((plan) =>
+    checkPlanCriteria(variantForPayload(plan, payload), payload).every(({ status }) => status !== 'failed'),
+  );
+}
+
+/**
+ * Per-plan criteria report for a subscription payload.
+ * @param {TributePlan[]} plans
+ * @param {Record<string, any>} payload
+ * @returns {PlanMatchExplanation}
+ */
+export function explainPlanMatch(plans, payload) {
+  const report = plans.map((plan) => {
+    const variant = variantForPayload(plan, payload);
+    const criteria = checkPlanCriteria(variant, payload);
+    return {
+      planId: plan.id,
+      archived: plan.archived === true,
+      matched: criteria.every(({ status }) => status !== 'failed'),
+      currency: variant.currency,
+      criteria,
+    };
+  });
+  const [picked, ...others] = report.filter(({ matched }) => matched);
+  const warnings = others.length
+    ? [`Payload also matches ${others.map(({ planId }) => `"${planId}"`).join(', ')}; "${picked.planId}" is picked as the first one`]
+    : [];
+  return { planId: picked?.planId ?? null, plans: report, warnings };
+}
+
+/**
+ * Pairs of plans one payload could match: no criterion configured on both plans tells them apart.
+ * A criterion left open on either plan does not separate them, because that plan accepts any value.
+ * Tribute always sends `period`, and `amount`/`price` of one payment belong to one price point, so
+ * differing periods or amounts count as distinct. Plans sold in several currencies are compared
+ * variant by variant.
+ * @param {TributePlan[]} plans
+ * @returns {Array<[string, string]>}
+ */
+export function findAmbiguousPlans(plans) {
+  return overlappingPairs(plans, distinguishable);
+}
+
+/**
+ * Pairs `findAmbiguousPlans` accepts only because their amounts differ, while a payload whose `price`
+ * equals one amount and `amount` the other would still match both (the amount matcher accepts either
+ * field). Reported as a warning: such payloads go to the first plan.
+ * @param {TributePlan[]} plans
+ * @returns {Array<[string, string]>}
+ */
+export function findAmountCrossMatches(plans) {
+  const ambiguous = new Set(findAmbiguousPlans(plans).map((pair) => pair.join('\0')));
+  return overlappingPairs(plans, (a, b) => distinguishable(a, b) && !amountsCrossMatch(a, b)).filter(
+    (pair) => !ambiguous.has(pair.join('\0')),
+  );
+}
+
+/**
+ * @param {TributePlan[]} plans
+ * @param {(a: TributePlan, b: TributePlan) => boolean} separated
+ * @returns {Array<[string, string]>}
+ */
+function overlappingPairs(plans, separated) {
+  const pairs = [];
+  const variants = plans.map(planVariants);
+  for (let i = 0; i < plans.length; i += 1) {
+    for (let j = i + 1; j < plans.length; j += 1) {
+      const overlap = variants[i].some((a) => variants[j].some((b) => !separated(a, b)));
+      if (overlap) {
+        pairs.push([plans[i].id, plans[j].id]);
+      }
+    }
+  }
+  return pairs;
+}
+
+/**
+ * @param {TributePlan} a
+ * @param {TributePlan} b
+ * @returns {boolean} Some criterion is configured on both plans with different values.
+ */
+function distinguishable(a, b) {
+  return CRITERIA.some(({ value, same }) => {
+    const first = value(a);
+    const second = value(b);
+    return first !== undefined && second !== undefined && !same(first, second);
+  });
+}
+
+/**
+ * Amount is the only criterion telling the plans apart, and `price` can carry one amount without
+ * failing either plan's own `price`.
+ * @param {TributePlan} a
+ * @param {TributePlan} b
+ * @returns {boolean}
+ */
+function amountsCrossMatch(a, b) {
+  const separating = CRITERIA.filter(({ value, same }) => {
+    const first = value(a);
+    const second = value(b);
+    return first !== undefined && second !== undefined && !same(first, second);
+  });
+  if (separating.length !== 1 || separating[0].criterion !== 'amount') {
+    return false;
+  }
+  return [a.amount, b.amount].some((price) => [a, b].every((plan) => (plan.price ?? price) === price));
+}
+
+/**
+ * @param {TributePlan[]} plans
+ * @throws {TributeConfigurationError} When two plans could match the same webhook.
+ */
+export function assertUnambiguousPlans(plans) {
+  const [pair] = findAmbiguousPlans(plans);
+  if (pair) {
+    throw new TributeConfigurationError(
+      `Plans "${pair[0]}" and "${pair[1]}" can match the same webhook; set tributePeriodId, price or another field that tells them apart`,
+    );
+  }
+}
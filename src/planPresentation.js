@@ -0,0 +1,135 @@
+import { TributeConfigurationError } from './errors.js';
+import { planVariants } from './planMatching.js';
+
+/**
+ * @typedef {import('./types.js').TributePlan} TributePlan
+ */
+
+/**
+ * @typedef {Object} PresentedPlan
+ * @property {string} id
+ * @property {string} title - Translated for the requested locale when available.
+ * @property {string} [description]
+ * @property {number} amount - Minor units in `currency`.
+ * @property {string} currency - Requested currency when the plan is sold in it, the base currency otherwise.
+ * @property {string[]} currencies - Every currency the plan is sold in.
+ * @property {string} [displayPrice] - `amount` formatted with Intl.NumberFormat, e.g. `€10.00` or `990,00 ₽`;
+ *   omitted when the plan has no `currency` or `amount`.
+ * @property {string} period
+ * @property {string} subscriptionLink
+ * @property {Object} [metadata]
+ */
+
+/**
+ * Format an amount in minor units (cents, kopecks) using the currency's own number of fraction digits.
+ * @param {number} amount
+ * @param {string} currency
+ * @param {string} [locale] - Defaults to the runtime locale.
+ * @returns {string}
+ */
+export function formatMinorUnits(amount, currency, locale) {
+  const formatter = new Intl.NumberFormat(locale, { style: 'currency', currency: currency.toUpperCase() });
+  const { maximumFractionDigits } = formatter.resolvedOptions();
+  return formatter.format(amount / 10 ** maximumFractionDigits);
+}
+
+/**
+ * Exact locale first (`en-US`), then its language (`en`).
+ * @param {TributePlan} plan
+ * @param {string} [locale]
+ * @returns {{ title?: string, description?: string }}
+ */
+function translationFor(plan, locale) {
+  if (!locale || !plan.translations) {
+    return {};
+  }
+  const entries = Object.entries(plan.translations);
+  const wanted = locale.toLowerCase();
+  const language = wanted.split('-')[0];
+  return (
+    entries.find(([key]) => key.toLowerCase() === wanted)?.[1] ??
+    entries.find(([key]) => key.toLowerCase() === language)?.[1] ??
+    {}
+  );
+}
+
+/**
+ * Public description of a plan for one locale and currency.
+ * @param {TributePlan} plan
+ * @param {{ locale?: string, currency?: string }} [options]
+ * @returns {PresentedPlan}
+ */
+export function presentPlan(plan, { locale, currency } = {}) {
+  const variants = planVariants(plan);
+  const variant = (currency && variants.find((candidate) => candidate.currency?.toLowerCase() === currency.toLowerCase())) || plan;
+  const translation = translationFor(plan, locale);
+  const description = translation.description ?? plan.description;
+  return {
+    id: plan.id,
+    title: translation.title ?? plan.title,
+    ...(description === undefined ? {} : { description }),
+    amount: variant.amount,
+    currency: variant.currency,
+    currencies: variants.map((candidate) => candidate.currency).filter(Boolean),
+    ...(variant.currency && typeof variant.amount === 'number'
+      ? { displayPrice: formatMinorUnits(variant.amount, variant.currency, locale) }
+      : {}),
+    period: plan.period,
+    subscriptionLink: plan.subscriptionLink,
+    metadata: plan.metadata ?? undefined,
+  };
+}
+
+/**
+ * @param {string} [locale]
+ * @throws {TributeConfigurationError} When the locale is not a valid BCP 47 tag.
+ */
+export function assertValidLocale(locale) {
+  if (locale === undefined) {
+    return;
+  }
+  try {
+    Intl.getCanonicalLocales(locale);
+  } catch {
+    throw new TributeConfigurationError(`Invalid locale "${locale}"`);
+  }
+}
+
+/**
+ * Check `prices` and `translations` of a plan.
+ * @param {TributePlan} plan
+ * @param {string} [source] - Where the plan came from, for error messages.
+ * @throws {TributeConfigurationError}
+ */
+export function assertValidPlanPresentation(plan, source) {
+  const where = source ? ` in ${source}` : '';
+  if (plan.prices !== undefined) {
+    if (!plan.prices || typeof plan.prices !== 'object' || Array.isArray(plan.prices)) {
+      throw new TributeConfigurationError(`Plan ${plan.id}${where} must define "prices" as an object of currency -> amount`);
+    }
+    for (const [currency, amount] of Object.entries(plan.prices)) {
+      if (!/^[A-Za-z]{3}$/.test(currency) || typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0) {
+        throw new TributeConfigurationError(
+          `Plan ${plan.id}${where} must define positive numeric "prices" keyed by three-letter currency codes`,
+        );
+      }
+    }
+  }
+  if (plan.translations !== undefined) {
+    if (!plan.translations || typeof plan.translations !== 'object' || Array.isArray(plan.translations)) {
+      throw new TributeConfigurationError(`Plan ${plan.id}${where} must define "translations" as an object of locale -> texts`);
+    }
+    for (const [locale, texts] of Object.entries(plan.translations)) {
+      assertValidLocale(locale);
+      const valid =
+        texts &&
+        typeof texts === 'object' &&
+        ['title', 'description'].every((key) => texts[key] === undefined || typeof texts[key] === 'string');
+      if (!valid) {
+        throw new TributeConfigurationError(
+          `Plan ${plan.id}${where} translation "${locale}" must be an object with string "title"/"description"`,
+        );
+      }
+    }
+  }
+}
@@ -0,0 +1,326 @@
+import { TributeConfigurationError } from './errors.js';
+import { paymentAmount, resolvePaymentAmountBasis } from './paymentAmounts.js';
+
+/**
+ * @typedef {import('./types.js').StoredSubscription} StoredSubscription
+ * @typedef {import('./types.js').PaymentRecord} PaymentRecord
+ * @typedef {import('./types.js').AnalyticsInterval} AnalyticsInterval
+ * @typedef {import('./types.js').PaymentAggregateQuery} PaymentAggregateQuery
+ * @typedef {import('./types.js').PaymentAggregateRow} PaymentAggregateRow
+ * @typedef {import('./types.js').RevenueAnalyticsOptions} RevenueAnalyticsOptions
+ * @typedef {import('./types.js').RevenueAnalytics} RevenueAnalytics
+ * @typedef {import('./types.js').RevenueAnalyticsRow} RevenueAnalyticsRow
+ * @typedef {import('./types.js').RevenueCohort} RevenueCohort
+ */
+
+/** @type {ReadonlyArray<AnalyticsInterval>} */
+export const ANALYTICS_INTERVALS = Object.freeze(['day', 'week', 'month']);
+
+/**
+ * Share of one billing period's price that falls on a month. Periods not listed (one-off payments)
+ * do not contribute to MRR.
+ */
+const MONTHLY_FACTORS = { weekly: 52 / 12, monthly: 1, quarterly: 1 / 3, halfyearly: 1 / 6, yearly: 1 / 12 };
+
+/**
+ * Start of the UTC interval containing `date`; weeks start on Monday like PostgreSQL `date_trunc('week')`.
+ * @param {Date} date
+ * @param {AnalyticsInterval} interval
+ * @returns {Date}
+ */
+export function startOfInterval(date, interval) {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), interval === 'month' ? 1 : date.getUTCDate()));
+  if (interval === 'week') {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  }
+  return start;
+}
+
+/**
+ * @param {Date} start
+ * @param {AnalyticsInterval} interval
+ * @returns {Date}
+ */
+function nextInterval(start, interval) {
+  const next = new Date(start.getTime());
+  if (interval === 'month') {
+    next.setUTCMonth(next.getUTCMonth() + 1);
+  } else {
+    next.setUTCDate(next.getUTCDate() + (interval === 'week' ? 7 : 1));
+  }
+  return next;
+}
+
+/**
+ * Subscription price normalised to one month, e.g. a third of a quarterly price.
+ * @param {Pick<StoredSubscription, 'amount'|'period'>} subscription
+ * @returns {number}
+ */
+export function monthlyRecurringAmount(subscription) {
+  const factor = MONTHLY_FACTORS[subscription.period];
+  return factor === undefined ? 0 : subscription.amount * factor;
+}
+
+/**
+ * Moment a subscriber was lost: `cancelledAt` for cancelled subscriptions, `expiredAt` (or `expiresAt`) for
+ * expired ones, `null` while the subscription is active.
+ * @param {StoredSubscription} subscription
+ * @returns {Date|null}
+ */
+export function subscriptionEndedAt(subscription) {
+  if (subscription.status === 'cancelled') {
+    return subscription.cancelledAt ?? null;
+  }
+  if (subscription.status === 'expired') {
+    return subscription.expiredAt ?? subscription.expiresAt ?? null;
+  }
+  return null;
+}
+
+/**
+ * In-process implementation of the `aggregatePayments` store hook, for stores that only have `listPayments`.
+ * @param {PaymentRecord[]} payments
+ * @param {PaymentAggregateQuery} query
+ * @returns {PaymentAggregateRow[]}
+ */
+export function aggregatePaymentRecords(payments, { kind, since, until, interval, basis, planId, groupBy = 'interval' }) {
+  const kinds = kind === undefined ? undefined : [kind].flat();
+  const planIds = planId === undefined ? undefined : [planId].flat();
+  const groups = new Map();
+  for (const payment of payments) {
+    if (
+      (kinds && !kinds.includes(payment.kind)) ||
+      (planIds && !planIds.includes(payment.planId)) ||
+      (since && payment.paidAt < since) ||
+      (until && payment.paidAt > until)
+    ) {
+      continue;
+    }
+    const currency = String(payment.currency ?? '').toLowerCase();
+    const bucket =
+      groupBy === 'payer'
+        ? { telegramUserId: payment.telegramUserId }
+        : { intervalStart: startOfInterval(payment.paidAt, interval) };
+    const key = `${bucket.intervalStart?.getTime() ?? bucket.telegramUserId}|${payment.planId ?? ''}|${currency}`;
+    const group = groups.get(key) ?? { ...bucket, planId: payment.planId ?? null, currency, count: 0, amount: 0, payers: new Set() };
+    group.count += 1;
+    group.amount += paymentAmount(payment, basis);
+    group.payers.add(String(payment.telegramUserId));
+    groups.set(key, group);
+  }
+  return [...groups.values()]
+    .map((group) => ({ ...group, payers: group.payers.size }))
+    .sort(groupBy === 'payer' ? comparePayerRows : compareRows('intervalStart'));
+}
+
+/**
+ * @param {'intervalStart'|'cohortStart'} dateField
+ */
+function compareRows(dateField) {
+  return (a, b) =>
+    a[dateField].getTime() - b[dateField].getTime() ||
+    String(a.planId).localeCompare(String(b.planId)) ||
+    a.currency.localeCompare(b.currency);
+}
+
+function comparePayerRows(a, b) {
+  return (
+    String(a.telegramUserId).localeCompare(String(b.telegramUserId)) ||
+    String(a.planId).localeCompare(String(b.planId)) ||
+    a.currency.localeCompare(b.currency)
+  );
+}
+
+/**
+ * @param {unknown} value
+ * @param {string} name
+ * @returns {Date}
+ */
+function toDate(value, name) {
+  const date = value instanceof Date ? value : new Date(/** @type {any} */ (value));
+  if (value === undefined || value === null || Number.isNaN(date.getTime())) {
+    throw new TributeConfigurationError(`${name} must be a valid date`);
+  }
+  return date;
+}
+
+/**
+ * MRR, new and churned subscribers, ARPU, cohort retention and LTV per interval, plan and currency.
+ *
+ * Subscriptions come from `store.listSubscriptions`. Revenue comes from `store.aggregatePayments` when the
+ * store implements it, otherwise from `listPayments` grouped in process. MRR is computed from subscription
+ * prices and is always gross; `basis` applies to revenue, ARPU and LTV only.
+ * @param {import('./store/SubscriptionStore.js').SubscriptionStore} store
+ * @param {RevenueAnalyticsOptions} options
+ * @returns {Promise<RevenueAnalytics>}
+ */
+export async function computeRevenueAnalytics(store, options = {}) {
+  const interval = options.interval ?? 'month';
+  if (!ANALYTICS_INTERVALS.includes(interval)) {
+    throw new TributeConfigurationError(`interval must be one of ${ANALYTICS_INTERVALS.join(', ')}, got "${interval}"`);
+  }
+  const basis = resolvePaymentAmountBasis(options.basis);
+  const until = toDate(options.until ?? new Date(), 'until');
+  const since = startOfInterval(toDate(options.since, 'since'), interval);
+  if (since > until) {
+    throw new TributeConfigurationError('since must not be later than until');
+  }
+  if (typeof store.listSubscriptions !== 'function') {
+    throw new TributeConfigurationError('SubscriptionStore.listSubscriptions is not implemented');
+  }
+
+  const intervals = [];
+  for (let start = since; start <= until; start = nextInterval(start, interval)) {
+    const end = nextInterval(start, interval);
+    // MRR and retention are measured at the end of the interval, or at `until` for the current one
+    intervals.push({ start, end, at: end <= until ? end : until });
+  }
+  const intervalIndex = (date) => intervals.findIndex(({ start, end }) => date >= start && date < end && date <= until);
+
+  const subscriptions = (await store.listSubscriptions({ planId: options.planId, createdBefore: until }))
+    .filter((subscription) => subscription.status !== 'pending')
+    .map((subscription) => ({
+      subscription,
+      currency: String(subscription.currency ?? '').toLowerCase(),
+      endedAt: subscriptionEndedAt(subscription),
+    }));
+  const activeAt = ({ subscription, endedAt }, at) => subscription.createdAt < at && (!endedAt || endedAt >= at);
+
+  const paymentQuery = { kind: 'subscription', since, until, interval, basis, planId: options.planId };
+  const payerQuery = { ...paymentQuery, groupBy: 'payer' };
+  let revenue;
+  let payerRevenue;
+  if (typeof store.aggregatePayments === 'function') {
+    revenue = await store.aggregatePayments(paymentQuery);
+    payerRevenue = await store.aggregatePayments(payerQuery);
+  } else {
+    const payments = await store.listPayments({ kind: 'subscription', since, until });
+    revenue = aggregatePaymentRecords(payments, paymentQuery);
+    payerRevenue = aggregatePaymentRecords(payments, payerQuery);
+  }
+
+  /** @type {Map<string, RevenueAnalyticsRow>} */
+  const rows = new Map();
+  const rowFor = (index, planId, currency) => {
+    const key = `${index}|${planId}|${currency}`;
+    if (!rows.has(key)) {
+      rows.set(key, {
+        intervalStart: intervals[index].start,
+        intervalEnd: intervals[index].end,
+        planId,
+        currency,
+        mrr: 0,
+        activeSubscribers: 0,
+        newSubscribers: 0,
+        churnedSubscribers: 0,
+        revenue: 0,
+        payments: 0,
+        payers: 0,
+        arpu: 0,
+      });
+    }
+    return rows.get(key);
+  };
+
+  for (const entry of subscriptions) {
+    const { subscription, currency, endedAt } = entry;
+    intervals.forEach(({ at }, index) => {
+      if (activeAt(entry, at)) {
+        const row = rowFor(index, subscription.planId, currency);
+        row.mrr += monthlyRecurringAmount(subscription);
+        row.activeSubscribers += 1;
+      }
+    });
+    const createdIndex = intervalIndex(subscription.createdAt);
+    if (createdIndex !== -1) {
+      rowFor(createdIndex, subscription.planId, currency).newSubscribers += 1;
+    }
+    const endedIndex = endedAt ? intervalIndex(endedAt) : -1;
+    if (endedIndex !== -1) {
+      rowFor(endedIndex, subscription.planId, currency).churnedSubscribers += 1;
+    }
+  }
+  for (const group of revenue) {
+    const index = intervals.findIndex(({ start }) => start.getTime() === group.intervalStart.getTime());
+    if (index !== -1) {
+      const row = rowFor(index, group.planId, group.currency);
+      row.revenue = group.amount;
+      row.payments = group.count;
+      row.payers = group.payers;
+      row.arpu = group.payers > 0 ? Math.round(group.amount / group.payers) : 0;
+    }
+  }
+  for (const row of rows.values()) {
+    row.mrr = Math.round(row.mrr);
+  }
+
+  return {
+    since,
+    until,
+    interval,
+    basis,
+    rows: [...rows.values()].sort(compareRows('intervalStart')),
+    cohorts: buildCohorts(subscriptions, payerRevenue, intervals, intervalIndex, activeAt),
+  };
+}
+
+/**
+ * Subscribers grouped by the interval of their first subscription to a plan; `retained[k]` counts those
+ * with an active subscription to the plan at the end of the k-th interval from the cohort start. `ltv` is
+ * the cohort's revenue from the plan up to `until`, divided by its size.
+ * @returns {RevenueCohort[]}
+ */
+function buildCohorts(subscriptions, payerRevenue, intervals, intervalIndex, activeAt) {
+  const revenueBySubscriber = new Map(
+    payerRevenue.map((group) => [`${group.planId}|${group.currency}|${group.telegramUserId}`, group.amount]),
+  );
+  const subscribers = new Map();
+  for (const entry of subscriptions) {
+    const { subscription, currency } = entry;
+    const key = `${subscription.planId}|${currency}|${subscription.telegramUserId}`;
+    const subscriber = subscribers.get(key) ?? {
+      planId: subscription.planId,
+      currency,
+      firstAt: subscription.createdAt,
+      revenue: revenueBySubscriber.get(key) ?? 0,
+      entries: [],
+    };
+    if (subscription.createdAt < subscriber.firstAt) {
+      subscriber.firstAt = subscription.createdAt;
+    }
+    subscriber.entries.push(entry);
+    subscribers.set(key, subscriber);
+  }
+
+  const cohorts = new Map();
+  for (const subscriber of subscribers.values()) {
+    const index = intervalIndex(subscriber.firstAt);
+    if (index === -1) {
+      continue;
+    }
+    const key = `${index}|${subscriber.planId}|${subscriber.currency}`;
+    const cohort = cohorts.get(key) ?? {
+      cohortStart: intervals[index].start,
+      planId: subscriber.planId,
+      currency: subscriber.currency,
+      size: 0,
+      revenue: 0,
+      retained: intervals.slice(index).map(() => 0),
+    };
+    cohort.size += 1;
+    cohort.revenue += subscriber.revenue;
+    intervals.slice(index).forEach(({ at }, offset) => {
+      if (subscriber.entries.some((entry) => activeAt(entry, at))) {
+        cohort.retained[offset] += 1;
+      }
+    });
+    cohorts.set(key, cohort);
+  }
+  return [...cohorts.values()]
+    .map((cohort) => ({
+      ...cohort,
+      ltv: Math.round(cohort.revenue / cohort.size),
+      retention: cohort.retained.map((count) => count / cohort.size),
+    }))
+    .sort(compareRows('cohortStart'));
+}
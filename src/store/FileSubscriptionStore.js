@@ -0,0 +1,464 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { InMemorySubscriptionStore } from './InMemorySubscriptionStore.js';
+import { TributeConfigurationError } from '../errors.js';
+
+/**
+ * @typedef {import('../types.js').SubscriptionIntent} SubscriptionIntent
+ * @typedef {import('../types.js').StoredSubscription} StoredSubscription
+ * @typedef {import('../types.js').PaymentRecord} PaymentRecord
+ * @typedef {import('../types.js').StoredDonation} StoredDonation
+ * @typedef {import('../types.js').StoredOrder} StoredOrder
+ */
+
+const SNAPSHOT_FILE = 'snapshot.json';
+const JOURNAL_FILE = 'journal.ndjson';
+const DEFAULT_COMPACT_EVERY = 1000;
+
+/**
+ * JSON replacer that keeps Date instances distinguishable from plain strings.
+ * `this[key]` is read because Date#toJSON runs before the replacer sees the value.
+ */
+function replacer(key, value) {
+  const raw = this[key];
+  if (raw instanceof Date) {
+    return { $date: raw.toISOString() };
+  }
+  return value;
+}
+
+function reviver(key, value) {
+  if (value && typeof value === 'object' && typeof value.$date === 'string' && Object.keys(value).length === 1) {
+    return new Date(value.$date);
+  }
+  return value;
+}
+
+/**
+ * Durable store for single-instance deployments without a database.
+ *
+ * Working set is kept in memory (same structures as InMemorySubscriptionStore), every
+ * mutation is appended to `journal.ndjson` before the call resolves, and the journal is
+ * periodically folded into `snapshot.json`. A torn last journal line left by a crash is
+ * discarded on startup; sequence numbers prevent replaying entries already in the snapshot.
+ * Only one process may use the directory at a time; other processes (e.g. the CLI) can read
+ * it with `readOnly: true`, which never touches the files.
+ */
+export class FileSubscriptionStore extends InMemorySubscriptionStore {
+  /** @type {string} */
+  #directory;
+  /** @type {number} */
+  #compactEvery;
+  /** @type {boolean} */
+  #fsync;
+  /** @type {Promise<void> | undefined} */
+  #ready;
+  /** @type {import('node:fs/promises').FileHandle | undefined} */
+  #journal;
+  /** @type {Promise<void>} */
+  #writeChain = Promise.resolve();
+  #seq = 0;
+  #entriesSinceCompaction = 0;
+  #broken = false;
+  /** @type {boolean} */
+  #readOnly;
+
+  /**
+   * @param {Object} options
+   * @param {string} options.directory - Directory holding snapshot and journal files.
+   * @param {number} [options.compactEvery=1000] - Compact after this many journal entries (0 disables).
+   * @param {boolean} [options.fsync=true] - Flush journal to disk after every write.
+   * @param {boolean} [options.readOnly=false] - Load an existing directory without creating, repairing or
+   *   appending to any file; every write is refused.
+   */
+  constructor({ directory, compactEvery = DEFAULT_COMPACT_EVERY, fsync = true, readOnly = false } = {}) {
+    super();
+    if (!directory) {
+      throw new TributeConfigurationError('FileSubscriptionStore requires "directory" option');
+    }
+    if (!Number.isInteger(compactEvery) || compactEvery < 0) {
+      throw new TributeConfigurationError('compactEvery must be a non-negative integer');
+    }
+    this.#directory = path.resolve(directory);
+    this.#compactEvery = compactEvery;
+    this.#fsync = fsync;
+    this.#readOnly = readOnly;
+  }
+
+  /**
+   * Load state from disk. Called lazily by every method; may be awaited explicitly at startup.
+   * @returns {Promise<void>}
+   */
+  async open() {
+    if (!this.#ready) {
+      this.#ready = this.#load().catch((error) => {
+        this.#ready = undefined;
+        throw error;
+      });
+    }
+    return this.#ready;
+  }
+
+  /**
+   * Fold journal into a fresh snapshot.
+   * @returns {Promise<void>}
+   */
+  async compact() {
+    this.#assertWritable();
+    await this.open();
+    await this.#enqueue(() => this.#compactNow());
+  }
+
+  /**
+   * Wait for pending writes and release the journal file handle.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (!this.#ready) {
+      return;
+    }
+    await this.#ready.catch(() => undefined);
+    await this.#writeChain;
+    await this.#journal?.close();
+    this.#journal = undefined;
+    this.#ready = undefined;
+  }
+
+  async saveIntent(intent) {
+    await this.open();
+    await this.#persist([{ op: 'intent.put', value: intent }], () => super.saveIntent(intent));
+  }
+
+  async getIntentById(intentId) {
+    await this.open();
+    return super.getIntentById(intentId);
+  }
+
+  async consumeIntent(intentId) {
+    await this.open();
+    if (!this.intents.has(intentId)) {
+      return undefined;
+    }
+    return this.#persist([{ op: 'intent.delete', key: intentId }], () => super.consumeIntent(intentId));
+  }
+
+  async consumeIntentByTelegramAndPlan(telegramUserId, planId) {
+    this.#assertWritable();
+    await this.open();
+    const before = new Set(this.intents.keys());
+    const intent = await super.consumeIntentByTelegramAndPlan(telegramUserId, planId);
+    const removed = [...before].filter((intentId) => !this.intents.has(intentId));
+    await this.#persist(removed.map((intentId) => ({ op: 'intent.delete', key: intentId })));
+    return intent;
+  }
+
+  async upsertSubscription(subscription) {
+    await this.open();
+    return this.#persist([{ op: 'subscription.put', value: subscription }], () => super.upsertSubscription(subscription));
+  }
+
+  async getSubscriptionByTributeId(tributeSubscriptionId) {
+    await this.open();
+    return super.getSubscriptionByTributeId(tributeSubscriptionId);
+  }
+
+  async getSubscriptionByTelegramAndPlan(telegramUserId, planId) {
+    await this.open();
+    return super.getSubscriptionByTelegramAndPlan(telegramUserId, planId);
+  }
+
+  async listExpiringSubscriptions(filters) {
+    await this.open();
+    return super.listExpiringSubscriptions(filters);
+  }
+
+  async listSubscriptions(filters = {}) {
+    await this.open();
+    return super.listSubscriptions(filters);
+  }
+
+  async markSubscriptionCancelled(tributeSubscriptionId, cancellation) {
+    this.#assertWritable();
+    await this.open();
+    const updated = await super.markSubscriptionCancelled(tributeSubscriptionId, cancellation);
+    if (updated) {
+      await this.#persist([{ op: 'subscription.put', value: updated }]);
+    }
+    return updated;
+  }
+
+  async recordPayment(payment) {
+    await this.open();
+    await this.#persist([{ op: 'payment.add', value: payment }], () => super.recordPayment(payment));
+  }
+
+  async listPayments(filters = {}) {
+    await this.open();
+    return super.listPayments(filters);
+  }
+
+  async upsertDonation(donation) {
+    await this.open();
+    return this.#persist([{ op: 'donation.put', value: donation }], () => super.upsertDonation(donation));
+  }
+
+  async getDonationByRequestId(donationRequestId) {
+    await this.open();
+    return super.getDonationByRequestId(donationRequestId);
+  }
+
+  async markDonationCancelled(donationRequestId, cancellation) {
+    this.#assertWritable();
+    await this.open();
+    const updated = await super.markDonationCancelled(donationRequestId, cancellation);
+    if (updated) {
+      await this.#persist([{ op: 'donation.put', value: updated }]);
+    }
+    return updated;
+  }
+
+  async upsertOrder(order) {
+    await this.open();
+    return this.#persist([{ op: 'order.put', value: order }], () => super.upsertOrder(order));
+  }
+
+  async getOrderById(orderId) {
+    await this.open();
+    return super.getOrderById(orderId);
+  }
+
+  async listOrders(filters = {}) {
+    await this.open();
+    return super.listOrders(filters);
+  }
+
+  async saveWebhookEvent(record) {
+    await this.open();
+    await this.#persist([{ op: 'webhookEvent.put', value: record }], () => super.saveWebhookEvent(record));
+  }
+
+  async getWebhookEvent(id) {
+    await this.open();
+    return super.getWebhookEvent(id);
+  }
+
+  async listWebhookEvents(filters = {}) {
+    await this.open();
+    return super.listWebhookEvents(filters);
+  }
+
+  get #snapshotPath() {
+    return path.join(this.#directory, SNAPSHOT_FILE);
+  }
+
+  get #journalPath() {
+    return path.join(this.#directory, JOURNAL_FILE);
+  }
+
+  async #load() {
+    await this.#writeChain;
+    await this.#journal?.close().catch(() => undefined);
+    this.#journal = undefined;
+    this.#broken = false;
+    this.intents.clear();
+    this.subscriptions.clear();
+    this.payments.length = 0;
+    this.donations.clear();
+    this.orders.clear();
+    this.webhookEvents.clear();
+    this.#seq = 0;
+    this.#entriesSinceCompaction = 0;
+
+    if (this.#readOnly) {
+      const stats = await fs.stat(this.#directory).catch(() => undefined);
+      if (!stats?.isDirectory()) {
+        throw new TributeConfigurationError(`Tribute store directory ${this.#directory} does not exist`);
+      }
+    } else {
+      await fs.mkdir(this.#directory, { recursive: true });
+      await fs.rm(`${this.#snapshotPath}.tmp`, { force: true });
+    }
+
+    const snapshotContents = await readIfExists(this.#snapshotPath);
+    if (snapshotContents !== undefined) {
+      const snapshot = JSON.parse(snapshotContents, reviver);
+      this.#seq = snapshot.seq ?? 0;
+      snapshot.intents?.forEach((intent) => this.intents.set(intent.id, intent));
+      snapshot.subscriptions?.forEach((subscription) => this.subscriptions.set(subscription.tributeSubscriptionId, subscription));
+      snapshot.payments?.forEach((payment) => this.payments.push(payment));
+      snapshot.donations?.forEach((donation) => this.donations.set(donation.donationRequestId, donation));
+      snapshot.orders?.forEach((order) => this.orders.set(order.orderId, order));
+      snapshot.webhookEvents?.forEach((record) => this.webhookEvents.set(record.id, record));
+    }
+
+    const journalContents = await readIfExists(this.#journalPath);
+    if (journalContents !== undefined) {
+      // every entry ends with "\n"; a tail without it is a torn write from a crash
+      const complete = journalContents.slice(0, journalContents.lastIndexOf('\n') + 1);
+      const lines = complete.split('\n').slice(0, -1);
+      lines.forEach((line, index) => {
+        let entry;
+        try {
+          entry = JSON.parse(line, reviver);
+        } catch (error) {
+          throw new Error(`Corrupted Tribute journal ${this.#journalPath} at line ${index + 1}`);
+        }
+        if (entry.seq > this.#seq) {
+          this.#apply(entry);
+          this.#seq = entry.seq;
+          this.#entriesSinceCompaction += 1;
+        }
+      });
+      if (complete.length < journalContents.length && !this.#readOnly) {
+        await fs.truncate(this.#journalPath, Buffer.byteLength(complete, 'utf8'));
+      }
+    }
+
+    if (!this.#readOnly) {
+      this.#journal = await fs.open(this.#journalPath, 'a');
+    }
+  }
+
+  /**
+   * Methods that change memory before journaling call this up front, `#persist` covers the rest.
+   */
+  #assertWritable() {
+    if (this.#readOnly) {
+      throw new TributeConfigurationError(`FileSubscriptionStore at ${this.#directory} is opened read-only`);
+    }
+  }
+
+  #apply(entry) {
+    switch (entry.op) {
+      case 'intent.put':
+        this.intents.set(entry.value.id, entry.value);
+        break;
+      case 'intent.delete':
+        this.intents.delete(entry.key);
+        break;
+      case 'subscription.put':
+        this.subscriptions.set(entry.value.tributeSubscriptionId, entry.value);
+        break;
+      case 'payment.add':
+        this.payments.push(entry.value);
+        break;
+      case 'donation.put':
+        this.donations.set(entry.value.donationRequestId, entry.value);
+        break;
+      case 'order.put':
+        this.orders.set(entry.value.orderId, entry.value);
+        break;
+      case 'webhookEvent.put':
+        this.webhookEvents.set(entry.value.id, entry.value);
+        break;
+      default:
+        throw new Error(`Unknown Tribute journal operation: ${entry.op}`);
+    }
+  }
+
+  /**
+   * @template T
+   * @param {() => Promise<T>} task
+   * @returns {Promise<T>}
+   */
+  #enqueue(task) {
+    const run = this.#writeChain.then(task);
+    this.#writeChain = run.then(() => undefined, () => undefined);
+    return run;
+  }
+
+  /**
+   * Append entries to the journal, then apply them to memory via `apply` (omitted when the
+   * caller already mutated memory). Both happen in one queued task so compaction never
+   * snapshots a journaled but unapplied entry. When a write fails the journal may end with
+   * a torn line, so further appends are refused and the next call reloads durable state.
+   * @template T
+   * @param {Array<{ op: string, value?: any, key?: any }>} entries
+   * @param {() => Promise<T>} [apply]
+   * @returns {Promise<T | undefined>}
+   */
+  async #persist(entries, apply) {
+    if (entries.length === 0) {
+      return undefined;
+    }
+    this.#assertWritable();
+    return this.#enqueue(async () => {
+      if (this.#broken) {
+        throw new Error('Tribute journal is unavailable after a failed write; retry to reload state');
+      }
+      try {
+        const lines = entries.map((entry) => {
+          this.#seq += 1;
+          return `${JSON.stringify({ seq: this.#seq, ...entry }, replacer)}\n`;
+        });
+        await this.#journal.write(lines.join(''));
+        if (this.#fsync) {
+          await this.#journal.datasync();
+        }
+      } catch (error) {
+        this.#broken = true;
+        this.#ready = undefined;
+        throw error;
+      }
+      const result = await apply?.();
+      this.#entriesSinceCompaction += entries.length;
+      try {
+        if (this.#compactEvery > 0 && this.#entriesSinceCompaction >= this.#compactEvery) {
+          await this.#compactNow();
+        }
+      } catch (error) {
+        // journal is intact, the snapshot will be retried on the next threshold
+        this.#entriesSinceCompaction = 0;
+      }
+      return result;
+    });
+  }
+
+  async #compactNow() {
+    const snapshot = {
+      seq: this.#seq,
+      intents: [...this.intents.values()],
+      subscriptions: [...this.subscriptions.values()],
+      payments: this.payments,
+      donations: [...this.donations.values()],
+      orders: [...this.orders.values()],
+      webhookEvents: [...this.webhookEvents.values()],
+    };
+    const tmpPath = `${this.#snapshotPath}.tmp`;
+    const handle = await fs.open(tmpPath, 'w');
+    try {
+      await handle.write(JSON.stringify(snapshot, replacer));
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fs.rename(tmpPath, this.#snapshotPath);
+    await syncDirectory(this.#directory);
+    // entries up to snapshot.seq are skipped on replay, so a crash before truncation is harmless
+    await this.#journal.truncate(0);
+    this.#entriesSinceCompaction = 0;
+  }
+}
+
+async function readIfExists(filePath) {
+  try {
+    return await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error?.code === 'ENOENT') {
+      return undefined;
+    }
+    throw error;
+  }
+}
+
+async function syncDirectory(directory) {
+  let handle;
+  try {
+    handle = await fs.open(directory, 'r');
+    await handle.sync();
+  } catch (error) {
+    // not supported on every platform (e.g. Windows); rename is still atomic
+  } finally {
+    await handle?.close();
+  }
+}
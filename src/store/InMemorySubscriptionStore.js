@@ -21,6 +21,10 @@ export class InMemorySubscriptionStore extends SubscriptionStore {
     this.payments = [];
     /** @type {Map<string|number, import('../types.js').StoredDonation>} */
     this.donations = new Map();
+    /** @type {Map<string|number, import('../types.js').StoredOrder>} */
+    this.orders = new Map();
+    /** @type {Map<string, import('../types.js').StoredWebhookEvent>} */
+    this.webhookEvents = new Map();
   }
 
   async saveIntent(intent) {
@@ -63,12 +67,44 @@ export class InMemorySubscriptionStore extends SubscriptionStore {
   }
 
   async getSubscriptionByTelegramAndPlan(telegramUserId, planId) {
+    let latest;
     for (const subscription of this.subscriptions.values()) {
       if (subscription.planId === planId && String(subscription.telegramUserId) === String(telegramUserId)) {
-        return subscription;
+        if (!latest || subscription.lastEventAt > latest.lastEventAt) {
+          latest = subscription;
+        }
       }
     }
-    return undefined;
+    return latest;
+  }
+
+  async listExpiringSubscriptions({ before, status = ['active', 'cancelled'], limit } = {}) {
+    const statuses = Array.isArray(status) ? status : [status];
+    const beforeTime = (before instanceof Date ? before : new Date(before)).getTime();
+    const filtered = [...this.subscriptions.values()].filter(
+      (subscription) =>
+        subscription.expiresAt instanceof Date &&
+        subscription.expiresAt.getTime() < beforeTime &&
+        statuses.includes(subscription.status),
+    );
+    filtered.sort((a, b) => a.expiresAt.getTime() - b.expiresAt.getTime());
+    const limited = typeof limit === 'number' && limit > 0 ? filtered.slice(0, limit) : filtered;
+    return limited.map((subscription) => ({ ...subscription }));
+  }
+
+  async listSubscriptions({ planId, status, createdBefore } = {}) {
+    const planIds = planId === undefined ? undefined : [planId].flat();
+    const statuses = status === undefined ? undefined : [status].flat();
+    const before = createdBefore === undefined ? undefined : new Date(createdBefore);
+    return [...this.subscriptions.values()]
+      .filter(
+        (subscription) =>
+          (!planIds || planIds.includes(subscription.planId)) &&
+          (!statuses || statuses.includes(subscription.status)) &&
+          (!before || subscription.createdAt <= before),
+      )
+      .sort((a, b) => a.createdAt.getTime() - b.createdAt.getTime())
+      .map((subscription) => ({ ...subscription }));
   }
 
   async markSubscriptionCancelled(tributeSubscriptionId, cancellation) {
@@ -122,6 +158,9 @@ export class InMemorySubscriptionStore extends SubscriptionStore {
       if (kinds && !kinds.includes(payment.kind)) {
         return false;
       }
+      if (filters.productId !== undefined && filters.productId !== null && payment.productId !== filters.productId) {
+        return false;
+      }
       if (since && payment.paidAt < since) {
         return false;
       }
@@ -168,4 +207,98 @@ export class InMemorySubscriptionStore extends SubscriptionStore {
     return updated;
   }
 
+  async upsertOrder(order) {
+    const previous = this.orders.get(order.orderId);
+    this.orders.set(order.orderId, order);
+    return { previous };
+  }
+
+  async getOrderById(orderId) {
+    return this.orders.get(orderId);
+  }
+
+  async listOrders(filters = {}) {
+    const statuses = Array.isArray(filters.status)
+      ? filters.status
+      : filters.status
+      ? [filters.status]
+      : undefined;
+    const toDate = (value) => {
+      if (value === undefined || value === null) {
+        return undefined;
+      }
+      const date = value instanceof Date ? value : new Date(value);
+      return Number.isNaN(date.getTime()) ? undefined : date;
+    };
+    const since = toDate(filters.since);
+    const until = toDate(filters.until);
+
+    const filtered = [...this.orders.values()].filter((order) => {
+      if (filters.telegramUserId !== undefined && filters.telegramUserId !== null) {
+        if (String(order.telegramUserId) !== String(filters.telegramUserId)) {
+          return false;
+        }
+      }
+      if (statuses && !statuses.includes(order.status)) {
+        return false;
+      }
+      if (since && order.createdAt < since) {
+        return false;
+      }
+      if (until && order.createdAt > until) {
+        return false;
+      }
+      return true;
+    });
+
+    filtered.sort((a, b) => b.createdAt.getTime() - a.createdAt.getTime());
+    const limited = typeof filters.limit === 'number' && filters.limit > 0 ? filtered.slice(0, filters.limit) : filtered;
+    return limited.map((order) => ({ ...order }));
+  }
+
+  async saveWebhookEvent(record) {
+    this.webhookEvents.set(record.id, record);
+  }
+
+  async getWebhookEvent(id) {
+    const record = this.webhookEvents.get(id);
+    return record ? { ...record } : undefined;
+  }
+
+  async listWebhookEvents(filters = {}) {
+    const statuses = Array.isArray(filters.status)
+      ? filters.status
+      : filters.status
+      ? [filters.status]
+      : undefined;
+    const toDate = (value) => {
+      if (value === undefined || value === null) {
+        return undefined;
+      }
+      const date = value instanceof Date ? value : new Date(value);
+      return Number.isNaN(date.getTime()) ? undefined : date;
+    };
+    const since = toDate(filters.since);
+    const until = toDate(filters.until);
+
+    const filtered = [...this.webhookEvents.values()].filter((record) => {
+      if (statuses && !statuses.includes(record.status)) {
+        return false;
+      }
+      if (filters.name && record.name !== filters.name) {
+        return false;
+      }
+      if (since && record.receivedAt < since) {
+        return false;
+      }
+      if (until && record.receivedAt > until) {
+        return false;
+      }
+      return true;
+    });
+
+    filtered.sort((a, b) => b.receivedAt.getTime() - a.receivedAt.getTime());
+    const limited = typeof filters.limit === 'number' && filters.limit > 0 ? filtered.slice(0, filters.limit) : filtered;
+    return limited.map((record) => ({ ...record }));
+  }
 }
@@ -0,0 +1,788 @@
+import { SubscriptionStore } from './SubscriptionStore.js';
+import { getPostgresSchemaSql, quoteIdentifier } from './postgresSchema.js';
+import { TributeConfigurationError } from '../errors.js';
+
+/**
+ * @typedef {import('../types.js').SubscriptionIntent} SubscriptionIntent
+ * @typedef {import('../types.js').StoredSubscription} StoredSubscription
+ * @typedef {import('../types.js').PaymentRecord} PaymentRecord
+ * @typedef {import('../types.js').StoredDonation} StoredDonation
+ * @typedef {import('../types.js').StoredOrder} StoredOrder
+ * @typedef {import('../types.js').StoredWebhookEvent} StoredWebhookEvent
+ */
+
+/**
+ * Minimal interface of `pg.Pool`/`pg.Client` (or any compatible driver) used by the store.
+ * @typedef {Object} PostgresQueryClient
+ * @property {(text: string, params?: any[]) => Promise<{ rows: Record<string, any>[], rowCount?: number }>} query
+ */
+
+/**
+ * `bigint` columns come back from `pg` as strings; Tribute ids fit into safe integers,
+ * so convert them back to numbers to match what webhook payloads contain.
+ * @param {any} value
+ * @returns {any}
+ */
+function toId(value) {
+  if (typeof value === 'string' && /^-?\d+$/.test(value)) {
+    const numeric = Number(value);
+    return Number.isSafeInteger(numeric) ? numeric : value;
+  }
+  return value;
+}
+
+function toDate(value) {
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * `intent_id` is a uuid column: querying it with arbitrary text (ids come from webhook
+ * metadata) would make PostgreSQL throw instead of reporting a missing intent.
+ * @param {unknown} intentId
+ * @returns {boolean}
+ */
+function isUuid(intentId) {
+  return typeof intentId === 'string' && UUID_PATTERN.test(intentId);
+}
+
+function toJson(value, fallback) {
+  return JSON.stringify(value ?? fallback);
+}
+
+/**
+ * @param {Record<string, any>} row
+ * @returns {SubscriptionIntent}
+ */
+function mapIntent(row) {
+  return {
+    id: row.intent_id,
+    planId: row.plan_id,
+    telegramUserId: toId(row.telegram_user_id),
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+    metadata: row.metadata ?? {},
+  };
+}
+
+/**
+ * @param {Record<string, any>} row
+ * @returns {StoredSubscription}
+ */
+function mapSubscription(row) {
+  return {
+    planId: row.plan_id,
+    tributeSubscriptionId: toId(row.tribute_subscription_id),
+    tributePeriodId: toId(row.tribute_period_id),
+    telegramUserId: toId(row.telegram_user_id),
+    userId: toId(row.user_id) ?? null,
+    amount: row.amount,
+    currency: row.currency,
+    period: row.period,
+    status: row.status,
+    createdAt: row.created_at,
+    lastEventAt: row.last_event_at,
+    expiresAt: row.expires_at ?? null,
+    cancelledAt: row.cancelled_at ?? null,
+    cancelReason: row.cancel_reason ?? null,
+    expiredAt: row.expired_at ?? null,
+    expiringNoticeFor: row.expiring_notice_for ?? null,
+    intentStatus: row.intent_status ?? null,
+    metadata: row.metadata ?? {},
+  };
+}
+
+/**
+ * @param {Record<string, any>} row
+ * @returns {PaymentRecord}
+ */
+function mapPayment(row) {
+  const payment = {
+    kind: row.kind,
+    telegramUserId: toId(row.telegram_user_id),
+    amount: row.amount,
+    currency: row.currency,
+    paidAt: row.paid_at,
+    payload: row.payload ?? undefined,
+  };
+  const optional = {
+    tributeSubscriptionId: toId(row.tribute_subscription_id),
+    planId: row.plan_id,
+    donationRequestId: toId(row.donation_request_id),
+    orderId: toId(row.order_id),
+    productId: row.product_id,
+    tributeProductId: toId(row.tribute_product_id),
+    userId: toId(row.user_id),
+    grossAmount: row.gross_amount,
+    netAmount: row.net_amount,
+    fee: row.fee,
+  };
+  for (const [key, value] of Object.entries(optional)) {
+    if (value !== undefined && value !== null) {
+      payment[key] = value;
+    }
+  }
+  return payment;
+}
+
+/**
+ * @param {Record<string, any>} row
+ * @returns {StoredDonation}
+ */
+function mapDonation(row) {
+  return {
+    donationRequestId: toId(row.donation_request_id),
+    donationName: row.donation_name,
+    telegramUserId: toId(row.telegram_user_id),
+    userId: toId(row.user_id) ?? null,
+    period: row.period,
+    amount: row.amount,
+    currency: row.currency,
+    anonymously: row.anonymously,
+    message: row.message ?? null,
+    webAppLink: row.web_app_link ?? null,
+    status: row.status,
+    createdAt: row.created_at,
+    lastEventAt: row.last_event_at,
+    cancelledAt: row.cancelled_at ?? null,
+    metadata: row.metadata ?? {},
+  };
+}
+
+/**
+ * @param {Record<string, any>} row
+ * @returns {StoredOrder}
+ */
+function mapOrder(row) {
+  return {
+    orderId: toId(row.order_id),
+    telegramUserId: toId(row.telegram_user_id),
+    userId: toId(row.user_id) ?? null,
+    status: row.status,
+    tributeStatus: row.tribute_status ?? null,
+    products: row.products ?? [],
+    total: row.total,
+    currency: row.currency,
+    shippingAddress: row.shipping_address ?? null,
+    trackingNumber: row.tracking_number ?? null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    lastEventAt: row.last_event_at,
+    shippedAt: row.shipped_at ?? null,
+    cancelledAt: row.cancelled_at ?? null,
+    metadata: row.metadata ?? {},
+  };
+}
+
+/**
+ * @param {Record<string, any>} row
+ * @returns {StoredWebhookEvent}
+ */
+function mapWebhookEvent(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    status: row.status,
+    event: row.event,
+    attempts: row.attempts,
+    error: row.error ?? null,
+    receivedAt: row.received_at,
+    updatedAt: row.updated_at,
+    processedAt: row.processed_at ?? null,
+    apiKeyId: row.api_key_id ?? null,
+  };
+}
+
+/**
+ * Same rule as InMemorySubscriptionStore: cancellation `sent_at` wins over `cancelledAt`.
+ * @param {{ cancelledAt: Date, payload?: Record<string, any> }} cancellation
+ * @returns {Date}
+ */
+function resolveCancellationEventAt(cancellation) {
+  if (cancellation.payload?.sent_at) {
+    const parsed = new Date(cancellation.payload.sent_at);
+    if (!Number.isNaN(parsed.getTime())) {
+      return parsed;
+    }
+  }
+  return cancellation.cancelledAt;
+}
+
+/**
+ * PostgreSQL implementation of SubscriptionStore for the schema from README
+ * (see `getPostgresSchemaSql`). The driver is injected: pass `pg.Pool`, `pg.Client`
+ * or any object exposing `query(text, params)`.
+ */
+export class PostgresSubscriptionStore extends SubscriptionStore {
+  /**
+   * @param {Object} options
+   * @param {PostgresQueryClient} options.client
+   * @param {string} [options.schema] - Schema holding Tribute tables (defaults to search_path).
+   * @param {() => Date} [options.now] - Clock used for intent expiration checks.
+   */
+  constructor({ client, schema, now = () => new Date() } = {}) {
+    super();
+    if (!client || typeof client.query !== 'function') {
+      throw new TributeConfigurationError('PostgresSubscriptionStore requires client with query(text, params) method');
+    }
+    this.client = client;
+    this.schema = schema;
+    this.now = now;
+    const table = (name) => (schema ? `${quoteIdentifier(schema)}.${name}` : name);
+    this.tables = {
+      intents: table('tribute_intents'),
+      subscriptions: table('tribute_subscriptions'),
+      donations: table('tribute_donations'),
+      orders: table('tribute_orders'),
+      payments: table('tribute_payments'),
+      webhookEvents: table('tribute_webhook_events'),
+    };
+  }
+
+  /**
+   * Create tables and indexes if they do not exist yet.
+   * @returns {Promise<void>}
+   */
+  async migrate() {
+    await this.client.query(getPostgresSchemaSql({ schema: this.schema }));
+  }
+
+  async saveIntent(intent) {
+    await this.client.query(
+      `INSERT INTO ${this.tables.intents} (intent_id, plan_id, telegram_user_id, created_at, expires_at, metadata)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (intent_id) DO UPDATE SET
+         plan_id = EXCLUDED.plan_id,
+         telegram_user_id = EXCLUDED.telegram_user_id,
+         created_at = EXCLUDED.created_at,
+         expires_at = EXCLUDED.expires_at,
+         metadata = EXCLUDED.metadata`,
+      [intent.id, intent.planId, intent.telegramUserId, intent.createdAt, intent.expiresAt, toJson(intent.metadata, {})],
+    );
+  }
+
+  async getIntentById(intentId) {
+    if (!isUuid(intentId)) {
+      return undefined;
+    }
+    const { rows } = await this.client.query(`SELECT * FROM ${this.tables.intents} WHERE intent_id = $1`, [intentId]);
+    return rows[0] ? mapIntent(rows[0]) : undefined;
+  }
+
+  async consumeIntent(intentId) {
+    if (!isUuid(intentId)) {
+      return undefined;
+    }
+    const { rows } = await this.client.query(
+      `DELETE FROM ${this.tables.intents} WHERE intent_id = $1 RETURNING *`,
+      [intentId],
+    );
+    return rows[0] ? mapIntent(rows[0]) : undefined;
+  }
+
+  /**
+   * Purges expired intents of the pair and atomically deletes the oldest live one.
+   * `FOR UPDATE SKIP LOCKED` keeps concurrent webhook workers from taking the same intent.
+   */
+  async consumeIntentByTelegramAndPlan(telegramUserId, planId) {
+    const now = this.now();
+    await this.client.query(
+      `DELETE FROM ${this.tables.intents} WHERE telegram_user_id = $1 AND plan_id = $2 AND expires_at < $3`,
+      [telegramUserId, planId, now],
+    );
+    const { rows } = await this.client.query(
+      `WITH candidate AS (
+         SELECT intent_id FROM ${this.tables.intents}
+         WHERE telegram_user_id = $1 AND plan_id = $2 AND expires_at >= $3
+         ORDER BY created_at ASC
+         LIMIT 1
+         FOR UPDATE SKIP LOCKED
+       )
+       DELETE FROM ${this.tables.intents} AS intents
+       USING candidate
+       WHERE intents.intent_id = candidate.intent_id
+       RETURNING intents.*`,
+      [telegramUserId, planId, now],
+    );
+    return rows[0] ? mapIntent(rows[0]) : undefined;
+  }
+
+  /**
+   * Data-modifying CTEs share one snapshot, so `previous` holds the row as it was before the upsert.
+   */
+  async upsertSubscription(subscription) {
+    const { rows } = await this.client.query(
+      `WITH previous AS (
+         SELECT * FROM ${this.tables.subscriptions} WHERE tribute_subscription_id = $1 FOR UPDATE
+       ), upserted AS (
+         INSERT INTO ${this.tables.subscriptions} (
+           tribute_subscription_id, tribute_period_id, plan_id, telegram_user_id, user_id, amount, currency, period,
+           status, created_at, last_event_at, expires_at, cancelled_at, cancel_reason, expired_at, expiring_notice_for,
+           intent_status, metadata
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
+         ON CONFLICT (tribute_subscription_id) DO UPDATE SET
+           tribute_period_id = EXCLUDED.tribute_period_id,
+           plan_id = EXCLUDED.plan_id,
+           telegram_user_id = EXCLUDED.telegram_user_id,
+           user_id = EXCLUDED.user_id,
+           amount = EXCLUDED.amount,
+           currency = EXCLUDED.currency,
+           period = EXCLUDED.period,
+           status = EXCLUDED.status,
+           created_at = EXCLUDED.created_at,
+           last_event_at = EXCLUDED.last_event_at,
+           expires_at = EXCLUDED.expires_at,
+           cancelled_at = EXCLUDED.cancelled_at,
+           cancel_reason = EXCLUDED.cancel_reason,
+           expired_at = EXCLUDED.expired_at,
+           expiring_notice_for = EXCLUDED.expiring_notice_for,
+           intent_status = EXCLUDED.intent_status,
+           metadata = EXCLUDED.metadata
+         RETURNING 1
+       )
+       SELECT previous.* FROM previous, upserted`,
+      [
+        subscription.tributeSubscriptionId,
+        subscription.tributePeriodId ?? null,
+        subscription.planId,
+        subscription.telegramUserId,
+        subscription.userId ?? null,
+        subscription.amount,
+        subscription.currency,
+        subscription.period,
+        subscription.status,
+        subscription.createdAt,
+        subscription.lastEventAt,
+        subscription.expiresAt ?? null,
+        subscription.cancelledAt ?? null,
+        subscription.cancelReason ?? null,
+        subscription.expiredAt ?? null,
+        subscription.expiringNoticeFor ?? null,
+        subscription.intentStatus ?? null,
+        toJson(subscription.metadata, {}),
+      ],
+    );
+    return { previous: rows[0] ? mapSubscription(rows[0]) : undefined };
+  }
+
+  async getSubscriptionByTributeId(tributeSubscriptionId) {
+    const { rows } = await this.client.query(
+      `SELECT * FROM ${this.tables.subscriptions} WHERE tribute_subscription_id = $1`,
+      [tributeSubscriptionId],
+    );
+    return rows[0] ? mapSubscription(rows[0]) : undefined;
+  }
+
+  async getSubscriptionByTelegramAndPlan(telegramUserId, planId) {
+    const { rows } = await this.client.query(
+      `SELECT * FROM ${this.tables.subscriptions}
+       WHERE telegram_user_id = $1 AND plan_id = $2
+       ORDER BY last_event_at DESC
+       LIMIT 1`,
+      [telegramUserId, planId],
+    );
+    return rows[0] ? mapSubscription(rows[0]) : undefined;
+  }
+
+  async listExpiringSubscriptions({ before, status = ['active', 'cancelled'], limit } = {}) {
+    const params = [before, Array.isArray(status) ? status : [status]];
+    let limitClause = '';
+    if (typeof limit === 'number' && limit > 0) {
+      params.push(limit);
+      limitClause = `LIMIT $${params.length}`;
+    }
+    const { rows } = await this.client.query(
+      `SELECT * FROM ${this.tables.subscriptions}
+       WHERE expires_at < $1 AND status = ANY($2)
+       ORDER BY expires_at ASC
+       ${limitClause}`,
+      params,
+    );
+    return rows.map(mapSubscription);
+  }
+
+  async listSubscriptions({ planId, status, createdBefore } = {}) {
+    const conditions = [];
+    const params = [];
+    const addCondition = (sql, value) => {
+      params.push(value);
+      conditions.push(sql.replace('?', `$${params.length}`));
+    };
+    if (planId !== undefined) {
+      addCondition('plan_id = ANY(?)', [planId].flat());
+    }
+    if (status !== undefined) {
+      addCondition('status = ANY(?)', [status].flat());
+    }
+    const before = toDate(createdBefore);
+    if (before) {
+      addCondition('created_at <= ?', before);
+    }
+    let sql = `SELECT * FROM ${this.tables.subscriptions}`;
+    if (conditions.length) {
+      sql += ` WHERE ${conditions.join(' AND ')}`;
+    }
+    sql += ' ORDER BY created_at ASC';
+    const { rows } = await this.client.query(sql, params);
+    return rows.map(mapSubscription);
+  }
+
+  async markSubscriptionCancelled(tributeSubscriptionId, cancellation) {
+    const { rows } = await this.client.query(
+      `UPDATE ${this.tables.subscriptions}
+       SET status = 'cancelled', cancelled_at = $2, cancel_reason = $3, last_event_at = $4
+       WHERE tribute_subscription_id = $1
+       RETURNING *`,
+      [
+        tributeSubscriptionId,
+        cancellation.cancelledAt,
+        cancellation.cancelReason ?? null,
+        resolveCancellationEventAt(cancellation),
+      ],
+    );
+    return rows[0] ? mapSubscription(rows[0]) : undefined;
+  }
+
+  async recordPayment(payment) {
+    await this.client.query(
+      `INSERT INTO ${this.tables.payments} (
+         kind, tribute_subscription_id, plan_id, donation_request_id, order_id, product_id, tribute_product_id,
+         telegram_user_id, user_id, amount, gross_amount, net_amount, fee, currency, paid_at, payload
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)`,
+      [
+        payment.kind,
+        payment.tributeSubscriptionId ?? null,
+        payment.planId ?? null,
+        payment.donationRequestId ?? null,
+        payment.orderId ?? null,
+        payment.productId ?? null,
+        payment.tributeProductId ?? null,
+        payment.telegramUserId,
+        payment.userId ?? null,
+        payment.amount,
+        payment.grossAmount ?? null,
+        payment.netAmount ?? null,
+        payment.fee ?? null,
+        payment.currency,
+        payment.paidAt,
+        toJson(payment.payload, {}),
+      ],
+    );
+  }
+
+  async listPayments(filters = {}) {
+    const conditions = [];
+    const params = [];
+    const addCondition = (sql, value) => {
+      params.push(value);
+      conditions.push(sql.replace('?', `$${params.length}`));
+    };
+    if (filters.telegramUserId !== undefined && filters.telegramUserId !== null) {
+      addCondition('telegram_user_id = ?', filters.telegramUserId);
+    }
+    const kinds = Array.isArray(filters.kind) ? filters.kind : filters.kind ? [filters.kind] : undefined;
+    if (kinds) {
+      addCondition('kind = ANY(?)', kinds);
+    }
+    if (filters.productId !== undefined && filters.productId !== null) {
+      addCondition('product_id = ?', filters.productId);
+    }
+    const since = toDate(filters.since);
+    if (since) {
+      addCondition('paid_at >= ?', since);
+    }
+    const until = toDate(filters.until);
+    if (until) {
+      addCondition('paid_at <= ?', until);
+    }
+    let sql = `SELECT * FROM ${this.tables.payments}`;
+    if (conditions.length) {
+      sql += ` WHERE ${conditions.join(' AND ')}`;
+    }
+    sql += ' ORDER BY paid_at DESC, id DESC';
+    if (typeof filters.limit === 'number' && filters.limit > 0) {
+      params.push(Math.floor(filters.limit));
+      sql += ` LIMIT $${params.length}`;
+    }
+    const { rows } = await this.client.query(sql, params);
+    return rows.map(mapPayment);
+  }
+
+  /**
+   * Revenue analytics hook: group payments in the database instead of loading them.
+   * @param {import('../types.js').PaymentAggregateQuery} query
+   * @returns {Promise<import('../types.js').PaymentAggregateRow[]>}
+   */
+  async aggregatePayments({ kind, since, until, interval, basis, planId, groupBy = 'interval' }) {
+    const byPayer = groupBy === 'payer';
+    const params = byPayer ? [] : [interval];
+    const conditions = [];
+    const addCondition = (sql, value) => {
+      params.push(value);
+      conditions.push(sql.replace('?', `$${params.length}`));
+    };
+    if (kind !== undefined) {
+      addCondition('kind = ANY(?)', [kind].flat());
+    }
+    if (planId !== undefined) {
+      addCondition('plan_id = ANY(?)', [planId].flat());
+    }
+    if (toDate(since)) {
+      addCondition('paid_at >= ?', toDate(since));
+    }
+    if (toDate(until)) {
+      addCondition('paid_at <= ?', toDate(until));
+    }
+    const amount = basis === 'net' ? 'COALESCE(net_amount, amount)' : 'COALESCE(gross_amount, amount)';
+    const group = byPayer ? 'telegram_user_id' : "date_trunc($1, paid_at, 'UTC') AS interval_start";
+    let sql = `SELECT ${group}, plan_id, lower(currency) AS currency,
+       count(*) AS count, sum(${amount}) AS amount, count(DISTINCT telegram_user_id) AS payers
+       FROM ${this.tables.payments}`;
+    if (conditions.length) {
+      sql += ` WHERE ${conditions.join(' AND ')}`;
+    }
+    sql += ' GROUP BY 1, 2, 3 ORDER BY 1, 2, 3';
+    const { rows } = await this.client.query(sql, params);
+    // count/sum come back from pg as bigint strings
+    return rows.map((row) => ({
+      ...(byPayer ? { telegramUserId: toId(row.telegram_user_id) } : { intervalStart: row.interval_start }),
+      planId: row.plan_id ?? null,
+      currency: row.currency,
+      count: Number(row.count),
+      amount: Number(row.amount),
+      payers: Number(row.payers),
+    }));
+  }
+
+  async upsertDonation(donation) {
+    const { rows } = await this.client.query(
+      `WITH previous AS (
+         SELECT * FROM ${this.tables.donations} WHERE donation_request_id = $1 FOR UPDATE
+       ), upserted AS (
+         INSERT INTO ${this.tables.donations} (
+           donation_request_id, donation_name, telegram_user_id, user_id, period, amount, currency, anonymously,
+           message, web_app_link, status, created_at, last_event_at, cancelled_at, metadata
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+         ON CONFLICT (donation_request_id) DO UPDATE SET
+           donation_name = EXCLUDED.donation_name,
+           telegram_user_id = EXCLUDED.telegram_user_id,
+           user_id = EXCLUDED.user_id,
+           period = EXCLUDED.period,
+           amount = EXCLUDED.amount,
+           currency = EXCLUDED.currency,
+           anonymously = EXCLUDED.anonymously,
+           message = EXCLUDED.message,
+           web_app_link = EXCLUDED.web_app_link,
+           status = EXCLUDED.status,
+           created_at = EXCLUDED.created_at,
+           last_event_at = EXCLUDED.last_event_at,
+           cancelled_at = EXCLUDED.cancelled_at,
+           metadata = EXCLUDED.metadata
+         RETURNING 1
+       )
+       SELECT previous.* FROM previous, upserted`,
+      [
+        donation.donationRequestId,
+        donation.donationName,
+        donation.telegramUserId,
+        donation.userId ?? null,
+        donation.period,
+        donation.amount,
+        donation.currency,
+        donation.anonymously,
+        donation.message ?? null,
+        donation.webAppLink ?? null,
+        donation.status,
+        donation.createdAt,
+        donation.lastEventAt,
+        donation.cancelledAt ?? null,
+        toJson(donation.metadata, {}),
+      ],
+    );
+    return { previous: rows[0] ? mapDonation(rows[0]) : undefined };
+  }
+
+  async getDonationByRequestId(donationRequestId) {
+    const { rows } = await this.client.query(
+      `SELECT * FROM ${this.tables.donations} WHERE donation_request_id = $1`,
+      [donationRequestId],
+    );
+    return rows[0] ? mapDonation(rows[0]) : undefined;
+  }
+
+  async markDonationCancelled(donationRequestId, cancellation) {
+    const { rows } = await this.client.query(
+      `UPDATE ${this.tables.donations}
+       SET status = 'cancelled', cancelled_at = $2, last_event_at = $3
+       WHERE donation_request_id = $1
+       RETURNING *`,
+      [donationRequestId, cancellation.cancelledAt, resolveCancellationEventAt(cancellation)],
+    );
+    return rows[0] ? mapDonation(rows[0]) : undefined;
+  }
+
+  async upsertOrder(order) {
+    const { rows } = await this.client.query(
+      `WITH previous AS (
+         SELECT * FROM ${this.tables.orders} WHERE order_id = $1 FOR UPDATE
+       ), upserted AS (
+         INSERT INTO ${this.tables.orders} (
+           order_id, telegram_user_id, user_id, status, tribute_status, products, total, currency, shipping_address,
+           tracking_number, created_at, updated_at, last_event_at, shipped_at, cancelled_at, metadata
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+         ON CONFLICT (order_id) DO UPDATE SET
+           telegram_user_id = EXCLUDED.telegram_user_id,
+           user_id = EXCLUDED.user_id,
+           status = EXCLUDED.status,
+           tribute_status = EXCLUDED.tribute_status,
+           products = EXCLUDED.products,
+           total = EXCLUDED.total,
+           currency = EXCLUDED.currency,
+           shipping_address = EXCLUDED.shipping_address,
+           tracking_number = EXCLUDED.tracking_number,
+           created_at = EXCLUDED.created_at,
+           updated_at = EXCLUDED.updated_at,
+           last_event_at = EXCLUDED.last_event_at,
+           shipped_at = EXCLUDED.shipped_at,
+           cancelled_at = EXCLUDED.cancelled_at,
+           metadata = EXCLUDED.metadata
+         RETURNING 1
+       )
+       SELECT previous.* FROM previous, upserted`,
+      [
+        order.orderId,
+        order.telegramUserId,
+        order.userId ?? null,
+        order.status,
+        order.tributeStatus ?? null,
+        toJson(order.products, []),
+        order.total,
+        order.currency,
+        order.shippingAddress ?? null,
+        order.trackingNumber ?? null,
+        order.createdAt,
+        order.updatedAt,
+        order.lastEventAt,
+        order.shippedAt ?? null,
+        order.cancelledAt ?? null,
+        toJson(order.metadata, {}),
+      ],
+    );
+    return { previous: rows[0] ? mapOrder(rows[0]) : undefined };
+  }
+
+  async getOrderById(orderId) {
+    const { rows } = await this.client.query(`SELECT * FROM ${this.tables.orders} WHERE order_id = $1`, [orderId]);
+    return rows[0] ? mapOrder(rows[0]) : undefined;
+  }
+
+  async listOrders(filters = {}) {
+    const conditions = [];
+    const params = [];
+    const addCondition = (sql, value) => {
+      params.push(value);
+      conditions.push(sql.replace('?', `$${params.length}`));
+    };
+    if (filters.telegramUserId !== undefined && filters.telegramUserId !== null) {
+      addCondition('telegram_user_id = ?', filters.telegramUserId);
+    }
+    const statuses = Array.isArray(filters.status) ? filters.status : filters.status ? [filters.status] : undefined;
+    if (statuses) {
+      addCondition('status = ANY(?)', statuses);
+    }
+    const since = toDate(filters.since);
+    if (since) {
+      addCondition('created_at >= ?', since);
+    }
+    const until = toDate(filters.until);
+    if (until) {
+      addCondition('created_at <= ?', until);
+    }
+    let sql = `SELECT * FROM ${this.tables.orders}`;
+    if (conditions.length) {
+      sql += ` WHERE ${conditions.join(' AND ')}`;
+    }
+    sql += ' ORDER BY created_at DESC';
+    if (typeof filters.limit === 'number' && filters.limit > 0) {
+      params.push(Math.floor(filters.limit));
+      sql += ` LIMIT $${params.length}`;
+    }
+    const { rows } = await this.client.query(sql, params);
+    return rows.map(mapOrder);
+  }
+
+  async saveWebhookEvent(record) {
+    await this.client.query(
+      `INSERT INTO ${this.tables.webhookEvents} (
+         id, name, status, event, attempts, error, received_at, updated_at, processed_at, api_key_id
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       ON CONFLICT (id) DO UPDATE SET
+         name = EXCLUDED.name,
+         status = EXCLUDED.status,
+         event = EXCLUDED.event,
+         attempts = EXCLUDED.attempts,
+         error = EXCLUDED.error,
+         received_at = EXCLUDED.received_at,
+         updated_at = EXCLUDED.updated_at,
+         processed_at = EXCLUDED.processed_at,
+         api_key_id = EXCLUDED.api_key_id`,
+      [
+        record.id,
+        record.name,
+        record.status,
+        toJson(record.event, {}),
+        record.attempts,
+        record.error ? JSON.stringify(record.error) : null,
+        record.receivedAt,
+        record.updatedAt,
+        record.processedAt ?? null,
+        record.apiKeyId ?? null,
+      ],
+    );
+  }
+
+  async getWebhookEvent(id) {
+    const { rows } = await this.client.query(`SELECT * FROM ${this.tables.webhookEvents} WHERE id = $1`, [id]);
+    return rows[0] ? mapWebhookEvent(rows[0]) : undefined;
+  }
+
+  async listWebhookEvents(filters = {}) {
+    const conditions = [];
+    const params = [];
+    const addCondition = (sql, value) => {
+      params.push(value);
+      conditions.push(sql.replace('?', `$${params.length}`));
+    };
+    const statuses = Array.isArray(filters.status) ? filters.status : filters.status ? [filters.status] : undefined;
+    if (statuses) {
+      addCondition('status = ANY(?)', statuses);
+    }
+    if (filters.name) {
+      addCondition('name = ?', filters.name);
+    }
+    const since = toDate(filters.since);
+    if (since) {
+      addCondition('received_at >= ?', since);
+    }
+    const until = toDate(filters.until);
+    if (until) {
+      addCondition('received_at <= ?', until);
+    }
+    let sql = `SELECT * FROM ${this.tables.webhookEvents}`;
+    if (conditions.length) {
+      sql += ` WHERE ${conditions.join(' AND ')}`;
+    }
+    sql += ' ORDER BY received_at DESC';
+    if (typeof filters.limit === 'number' && filters.limit > 0) {
+      params.push(Math.floor(filters.limit));
+      sql += ` LIMIT $${params.length}`;
+    }
+    const { rows } = await this.client.query(sql, params);
+    return rows.map(mapWebhookEvent);
+  }
+}
@@ -44,7 +44,8 @@ export class SubscriptionStore {
   }
 
   /**
-   * Persist subscription state.
+   * Persist subscription state. The manager compares the returned `previous` record with the
+   * new one to detect renewals, so it must hold the state from before this call.
    * @param {import('../types.js').StoredSubscription} subscription
    * @returns {Promise<{ previous?: import('../types.js').StoredSubscription }>} - previous state if existed
    */
@@ -64,6 +65,7 @@ export class SubscriptionStore {
 
   /**
    * Load subscription by telegram user id and plan id if supported.
+   * A user can hold several subscriptions to one plan; return the one with the latest `lastEventAt`.
    * @param {number|string} telegramUserId
    * @param {string} planId
    * @returns {Promise<import('../types.js').StoredSubscription | undefined>}
@@ -75,7 +77,20 @@ export class SubscriptionStore {
   }
 
   /**
-   * Mark subscription as cancelled.
+   * List subscriptions whose `expiresAt` is earlier than `before`, soonest first.
+   * Used by the expiry scheduler; subscriptions without `expiresAt` are never returned.
+   * @param {import('../types.js').ExpiringSubscriptionFilters} filters
+   * @returns {Promise<import('../types.js').StoredSubscription[]>}
+   */
+  async listExpiringSubscriptions(filters) {
+    void filters;
+    throw new Error('listExpiringSubscriptions is not implemented');
+  }
+
+  /**
+   * Mark subscription as cancelled: set `status`, `cancelledAt`, `cancelReason` and move
+   * `lastEventAt` to `payload.sent_at` (falling back to `cancelledAt`).
+   * Resolve with the updated record, or `undefined` when the subscription is unknown.
    * @param {number|string} tributeSubscriptionId
    * @param {import('../types.js').CancellationRecord} cancellation
    * @returns {Promise<import('../types.js').StoredSubscription | undefined>}
@@ -84,6 +99,16 @@ export class SubscriptionStore {
     throw new Error('markSubscriptionCancelled is not implemented');
   }
 
+  /**
+   * List subscriptions, oldest `createdAt` first. Optional: only revenue analytics needs it.
+   * @param {import('../types.js').SubscriptionListFilters} [filters]
+   * @returns {Promise<import('../types.js').StoredSubscription[]>}
+   */
+  async listSubscriptions(filters = {}) {
+    void filters;
+    throw new Error('listSubscriptions is not implemented');
+  }
+
   /**
    * Store payment record.
    * @param {import('../types.js').PaymentRecord} payment
@@ -94,7 +119,7 @@ export class SubscriptionStore {
   }
 
   /**
-   * List stored payments.
+   * List stored payments, newest `paidAt` first; `limit` applies after sorting.
    * @param {import('../types.js').PaymentListFilters} filters
    * @returns {Promise<import('../types.js').PaymentRecord[]>}
    */
@@ -134,4 +159,63 @@ export class SubscriptionStore {
     throw new Error('markDonationCancelled is not implemented');
   }
 
+  /**
+   * Store or update physical order information.
+   * @param {import('../types.js').StoredOrder} order
+   * @returns {Promise<{ previous?: import('../types.js').StoredOrder }>}
+   */
+  async upsertOrder(order) {
+    void order;
+    throw new Error('upsertOrder is not implemented');
+  }
+
+  /**
+   * Load physical order by Tribute order id if supported.
+   * @param {number|string} orderId
+   * @returns {Promise<import('../types.js').StoredOrder | undefined>}
+   */
+  async getOrderById(orderId) {
+    void orderId;
+    return undefined;
+  }
+
+  /**
+   * List stored physical orders.
+   * @param {import('../types.js').OrderListFilters} filters
+   * @returns {Promise<import('../types.js').StoredOrder[]>}
+   */
+  async listOrders(filters = {}) {
+    void filters;
+    throw new Error('listOrders is not implemented');
+  }
+
+  /**
+   * Insert or replace webhook inbox record by `id`. Optional: without an override
+   * the manager processes webhooks but cannot replay them.
+   * @param {import('../types.js').StoredWebhookEvent} record
+   * @returns {Promise<void>}
+   */
+  async saveWebhookEvent(record) {
+    void record;
+  }
+
+  /**
+   * Load webhook inbox record by id if supported.
+   * @param {string} id
+   * @returns {Promise<import('../types.js').StoredWebhookEvent | undefined>}
+   */
+  async getWebhookEvent(id) {
+    void id;
+    return undefined;
+  }
+
+  /**
+   * List webhook inbox records, newest `receivedAt` first.
+   * @param {import('../types.js').WebhookEventListFilters} filters
+   * @returns {Promise<import('../types.js').StoredWebhookEvent[]>}
+   */
+  async listWebhookEvents(filters = {}) {
+    void filters;
+    return [];
+  }
 }
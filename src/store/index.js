@@ -1,2 +1,5 @@
 export { SubscriptionStore } from './SubscriptionStore.js';
 export { InMemorySubscriptionStore } from './InMemorySubscriptionStore.js';
+export { FileSubscriptionStore } from './FileSubscriptionStore.js';
+export { PostgresSubscriptionStore } from './PostgresSubscriptionStore.js';
+export { getPostgresSchemaSql } from './postgresSchema.js';
@@ -0,0 +1,162 @@
+/**
+ * Build PostgreSQL DDL used by PostgresSubscriptionStore (same schema as documented in README).
+ * Statements are idempotent, so the script doubles as a migration for existing databases.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.schema] - Optional schema to create tables in.
+ * @returns {string}
+ */
+export function getPostgresSchemaSql({ schema } = {}) {
+  const table = (name) => (schema ? `${quoteIdentifier(schema)}.${name}` : name);
+  const statements = [
+    schema ? `CREATE SCHEMA IF NOT EXISTS ${quoteIdentifier(schema)};` : undefined,
+    `CREATE TABLE IF NOT EXISTS ${table('tribute_intents')} (
+  intent_id uuid PRIMARY KEY,
+  plan_id text NOT NULL,
+  telegram_user_id bigint NOT NULL,
+  created_at timestamptz NOT NULL,
+  expires_at timestamptz NOT NULL,
+  metadata jsonb DEFAULT '{}'::jsonb
+);`,
+    `CREATE INDEX IF NOT EXISTS tribute_intents_user_plan_idx
+  ON ${table('tribute_intents')} (telegram_user_id, plan_id, created_at);`,
+    `CREATE TABLE IF NOT EXISTS ${table('tribute_subscriptions')} (
+  tribute_subscription_id bigint PRIMARY KEY,
+  tribute_period_id bigint,
+  plan_id text NOT NULL,
+  telegram_user_id bigint NOT NULL,
+  user_id bigint,
+  amount integer NOT NULL,
+  currency text NOT NULL,
+  period text NOT NULL,
+  status text NOT NULL,
+  created_at timestamptz NOT NULL,
+  last_event_at timestamptz NOT NULL,
+  expires_at timestamptz,
+  cancelled_at timestamptz,
+  cancel_reason text,
+  expired_at timestamptz,
+  expiring_notice_for timestamptz,
+  intent_status text,
+  metadata jsonb DEFAULT '{}'::jsonb
+);`,
+    `ALTER TABLE ${table('tribute_subscriptions')}
+  ADD COLUMN IF NOT EXISTS expired_at timestamptz,
+  ADD COLUMN IF NOT EXISTS expiring_notice_for timestamptz,
+  ADD COLUMN IF NOT EXISTS intent_status text;`,
+    `ALTER TABLE ${table('tribute_subscriptions')}
+  ALTER COLUMN tribute_period_id DROP NOT NULL;`,
+    // Early schemas declared this index UNIQUE on (telegram_user_id, plan_id), which rejects resubscriptions;
+    // only that variant is dropped, so later runs do not rebuild the index.
+    `DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM pg_index
+    WHERE indexrelid = to_regclass(${quoteLiteral(table('tribute_subscriptions_user_plan_idx'))}) AND indisunique
+  ) THEN
+    DROP INDEX IF EXISTS ${table('tribute_subscriptions_user_plan_idx')};
+  END IF;
+END $$;`,
+    `CREATE INDEX IF NOT EXISTS tribute_subscriptions_user_plan_idx
+  ON ${table('tribute_subscriptions')} (telegram_user_id, plan_id, last_event_at DESC);`,
+    `CREATE INDEX IF NOT EXISTS tribute_subscriptions_status_expires_at_idx
+  ON ${table('tribute_subscriptions')} (status, expires_at);`,
+    `CREATE TABLE IF NOT EXISTS ${table('tribute_donations')} (
+  donation_request_id bigint PRIMARY KEY,
+  donation_name text NOT NULL,
+  telegram_user_id bigint NOT NULL,
+  user_id bigint,
+  period text NOT NULL,
+  amount integer NOT NULL,
+  currency text NOT NULL,
+  anonymously boolean NOT NULL,
+  message text,
+  web_app_link text,
+  status text NOT NULL,
+  created_at timestamptz NOT NULL,
+  last_event_at timestamptz NOT NULL,
+  cancelled_at timestamptz,
+  metadata jsonb DEFAULT '{}'::jsonb
+);`,
+    `CREATE TABLE IF NOT EXISTS ${table('tribute_orders')} (
+  order_id bigint PRIMARY KEY,
+  telegram_user_id bigint NOT NULL,
+  user_id bigint,
+  status text NOT NULL,
+  tribute_status text,
+  products jsonb NOT NULL DEFAULT '[]'::jsonb,
+  total integer NOT NULL,
+  currency text NOT NULL,
+  shipping_address text,
+  tracking_number text,
+  created_at timestamptz NOT NULL,
+  updated_at timestamptz NOT NULL,
+  last_event_at timestamptz NOT NULL,
+  shipped_at timestamptz,
+  cancelled_at timestamptz,
+  metadata jsonb DEFAULT '{}'::jsonb
+);`,
+    `CREATE INDEX IF NOT EXISTS tribute_orders_user_created_at_idx
+  ON ${table('tribute_orders')} (telegram_user_id, created_at DESC);`,
+    `CREATE TABLE IF NOT EXISTS ${table('tribute_payments')} (
+  id bigserial PRIMARY KEY,
+  kind text NOT NULL,
+  tribute_subscription_id bigint,
+  plan_id text,
+  donation_request_id bigint,
+  order_id bigint,
+  product_id text,
+  tribute_product_id bigint,
+  telegram_user_id bigint NOT NULL,
+  user_id bigint,
+  amount integer NOT NULL,
+  currency text NOT NULL,
+  paid_at timestamptz NOT NULL,
+  payload jsonb DEFAULT '{}'::jsonb
+);`,
+    `ALTER TABLE ${table('tribute_payments')}
+  ADD COLUMN IF NOT EXISTS order_id bigint,
+  ADD COLUMN IF NOT EXISTS product_id text,
+  ADD COLUMN IF NOT EXISTS tribute_product_id bigint,
+  ADD COLUMN IF NOT EXISTS gross_amount integer,
+  ADD COLUMN IF NOT EXISTS net_amount integer,
+  ADD COLUMN IF NOT EXISTS fee integer;`,
+    `CREATE INDEX IF NOT EXISTS tribute_payments_user_paid_at_idx
+  ON ${table('tribute_payments')} (telegram_user_id, paid_at DESC);`,
+    `CREATE INDEX IF NOT EXISTS tribute_payments_kind_paid_at_idx
+  ON ${table('tribute_payments')} (kind, paid_at);`,
+    `CREATE TABLE IF NOT EXISTS ${table('tribute_webhook_events')} (
+  id text PRIMARY KEY,
+  name text NOT NULL,
+  status text NOT NULL,
+  event jsonb NOT NULL,
+  attempts integer NOT NULL DEFAULT 0,
+  error jsonb,
+  received_at timestamptz NOT NULL,
+  updated_at timestamptz NOT NULL,
+  processed_at timestamptz,
+  api_key_id text
+);`,
+    `ALTER TABLE ${table('tribute_webhook_events')}
+  ADD COLUMN IF NOT EXISTS api_key_id text;`,
+    `CREATE INDEX IF NOT EXISTS tribute_webhook_events_status_received_at_idx
+  ON ${table('tribute_webhook_events')} (status, received_at DESC);`,
+  ];
+  return `${statements.filter(Boolean).join('\n\n')}\n`;
+}
+
+/**
+ * @param {string} identifier
+ * @returns {string}
+ */
+export function quoteIdentifier(identifier) {
+  return `"${String(identifier).replace(/"/g, '""')}"`;
+}
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+function quoteLiteral(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
@@ -0,0 +1,15 @@
+export { runStoreConformanceTests } from './storeConformance.js';
+export {
+  addBillingPeriod,
+  buildNewSubscriptionEvent,
+  buildCancelledSubscriptionEvent,
+  buildNewDonationEvent,
+  buildRecurrentDonationEvent,
+  buildCancelledDonationEvent,
+  buildPhysicalOrderCreatedEvent,
+  buildPhysicalOrderShippedEvent,
+  buildPhysicalOrderCanceledEvent,
+  buildNewDigitalProductEvent,
+  signEvent,
+} from './webhookFixtures.js';
+export { TributeWebhookSimulator, buildSubscriptionLifecycle } from './webhookSimulator.js';
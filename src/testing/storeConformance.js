@@ -0,0 +1,435 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomUUID } from 'node:crypto';
+import { SubscriptionStore } from '../store/SubscriptionStore.js';
+
+/**
+ * @typedef {Object} StoreConformanceOptions
+ * @property {string} [name="SubscriptionStore conformance"] - Name of the `describe` block.
+ * @property {(store: SubscriptionStore) => (void|Promise<void>)} [teardown] - Called after every test with the store it used.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BASE_TIME = Date.parse('2025-01-01T00:00:00Z');
+
+function at(days) {
+  return new Date(BASE_TIME + days * DAY_MS);
+}
+
+/**
+ * Stores may return ids as numbers or strings (e.g. `bigint` columns), the manager compares them as strings.
+ */
+function assertSameId(actual, expected, message) {
+  assert.equal(String(actual), String(expected), message);
+}
+
+function assertSameDate(actual, expected, message) {
+  assert.ok(actual instanceof Date, `${message} should be a Date`);
+  assert.equal(actual.getTime(), expected.getTime(), message);
+}
+
+function buildIntent(overrides = {}) {
+  return {
+    id: randomUUID(),
+    planId: 'monthly',
+    telegramUserId: 1001,
+    createdAt: new Date(),
+    expiresAt: new Date(Date.now() + 30 * 60 * 1000),
+    metadata: { source: 'conformance' },
+    ...overrides,
+  };
+}
+
+function buildSubscription(overrides = {}) {
+  return {
+    planId: 'monthly',
+    tributeSubscriptionId: 5001,
+    tributePeriodId: 11,
+    telegramUserId: 1001,
+    userId: null,
+    amount: 1000,
+    currency: 'eur',
+    period: 'monthly',
+    status: 'active',
+    createdAt: at(0),
+    lastEventAt: at(0),
+    expiresAt: at(30),
+    cancelledAt: null,
+    cancelReason: null,
+    metadata: {},
+    ...overrides,
+  };
+}
+
+function buildPayment(overrides = {}) {
+  return {
+    kind: 'subscription',
+    tributeSubscriptionId: 5001,
+    planId: 'monthly',
+    telegramUserId: 1001,
+    amount: 1000,
+    currency: 'eur',
+    paidAt: at(0),
+    payload: {},
+    ...overrides,
+  };
+}
+
+function buildDonation(overrides = {}) {
+  return {
+    donationRequestId: 7001,
+    donationName: 'Support',
+    telegramUserId: 1001,
+    userId: null,
+    period: 'once',
+    amount: 500,
+    currency: 'eur',
+    anonymously: false,
+    message: null,
+    webAppLink: null,
+    status: 'completed',
+    createdAt: at(0),
+    lastEventAt: at(0),
+    cancelledAt: null,
+    metadata: {},
+    ...overrides,
+  };
+}
+
+function buildOrder(overrides = {}) {
+  return {
+    orderId: 9001,
+    telegramUserId: 1001,
+    userId: null,
+    status: 'created',
+    tributeStatus: 'pending',
+    products: [{ productName: 'Mug', quantity: 1, price: 2500, currency: 'eur' }],
+    total: 2500,
+    currency: 'eur',
+    shippingAddress: null,
+    trackingNumber: null,
+    createdAt: at(0),
+    updatedAt: at(0),
+    lastEventAt: at(0),
+    shippedAt: null,
+    cancelledAt: null,
+    metadata: {},
+    ...overrides,
+  };
+}
+
+/**
+ * Register `node:test` cases checking the behaviour TributeSubscriptionManager relies on.
+ * `factory` must return a fresh, empty store for every call.
+ *
+ * @param {() => SubscriptionStore | Promise<SubscriptionStore>} factory
+ * @param {StoreConformanceOptions} [options]
+ */
+export function runStoreConformanceTests(factory, options = {}) {
+  if (typeof factory !== 'function') {
+    throw new TypeError('runStoreConformanceTests requires a store factory function');
+  }
+  const { name = 'SubscriptionStore conformance', teardown } = options;
+
+  const check = (title, fn) =>
+    test(title, async (t) => {
+      const store = await factory();
+      try {
+        await fn(store, t);
+      } finally {
+        await teardown?.(store);
+      }
+    });
+
+  describe(name, () => {
+    check('saveIntent/getIntentById round-trip intent with dates and metadata', async (store) => {
+      const intent = buildIntent();
+      await store.saveIntent(intent);
+
+      const loaded = await store.getIntentById(intent.id);
+      assert.ok(loaded, 'saved intent should be found');
+      assert.equal(loaded.id, intent.id);
+      assert.equal(loaded.planId, intent.planId);
+      assertSameId(loaded.telegramUserId, intent.telegramUserId);
+      assertSameDate(loaded.expiresAt, intent.expiresAt, 'intent.expiresAt');
+      assert.deepEqual(loaded.metadata, intent.metadata);
+      assert.equal(await store.getIntentById(randomUUID()), undefined);
+    });
+
+    check('consumeIntent returns the intent once', async (store) => {
+      const intent = buildIntent();
+      await store.saveIntent(intent);
+
+      const consumed = await store.consumeIntent(intent.id);
+      assert.equal(consumed?.id, intent.id);
+      assert.equal(await store.consumeIntent(intent.id), undefined);
+      assert.equal(await store.getIntentById(intent.id), undefined);
+    });
+
+    check('consumeIntentByTelegramAndPlan skips expired intents and other plans', async (store) => {
+      const expired = buildIntent({
+        createdAt: new Date(Date.now() - 60 * 60 * 1000),
+        expiresAt: new Date(Date.now() - 30 * 60 * 1000),
+      });
+      const otherPlan = buildIntent({ planId: 'yearly' });
+      const live = buildIntent();
+      await store.saveIntent(expired);
+      await store.saveIntent(otherPlan);
+      await store.saveIntent(live);
+
+      const consumed = await store.consumeIntentByTelegramAndPlan(live.telegramUserId, 'monthly');
+      assert.equal(consumed?.id, live.id);
+      assert.equal(await store.consumeIntentByTelegramAndPlan(live.telegramUserId, 'monthly'), undefined);
+      assert.equal(await store.getIntentById(live.id), undefined);
+      assert.equal((await store.getIntentById(otherPlan.id))?.id, otherPlan.id);
+    });
+
+    check('upsertSubscription returns { previous } with the state before the call', async (store) => {
+      const first = buildSubscription();
+      const created = await store.upsertSubscription(first);
+      assert.ok(created && typeof created === 'object', 'upsertSubscription must resolve with an object');
+      assert.equal(created.previous, undefined);
+
+      const renewed = buildSubscription({ tributePeriodId: 12, lastEventAt: at(30), expiresAt: at(60) });
+      const { previous } = await store.upsertSubscription(renewed);
+      assert.ok(previous, 'second upsert should return previous state');
+      assertSameId(previous.tributePeriodId, 11);
+      assertSameDate(previous.lastEventAt, at(0), 'previous.lastEventAt');
+
+      const stored = await store.getSubscriptionByTributeId(first.tributeSubscriptionId);
+      assertSameId(stored?.tributePeriodId, 12);
+      assertSameDate(stored.lastEventAt, at(30), 'subscription.lastEventAt');
+      assertSameDate(stored.expiresAt, at(60), 'subscription.expiresAt');
+    });
+
+    check('getSubscriptionByTelegramAndPlan finds subscription of the user and plan', async (store) => {
+      await store.upsertSubscription(buildSubscription());
+      await store.upsertSubscription(buildSubscription({ tributeSubscriptionId: 5002, telegramUserId: 1002 }));
+
+      const found = await store.getSubscriptionByTelegramAndPlan(1002, 'monthly');
+      assertSameId(found?.tributeSubscriptionId, 5002);
+      assert.equal(await store.getSubscriptionByTelegramAndPlan(1001, 'yearly'), undefined);
+    });
+
+    check('getSubscriptionByTelegramAndPlan returns the subscription with the latest lastEventAt', async (store) => {
+      await store.upsertSubscription(buildSubscription({ status: 'cancelled', lastEventAt: at(20) }));
+      await store.upsertSubscription(buildSubscription({ tributeSubscriptionId: 5002, lastEventAt: at(40) }));
+      await store.upsertSubscription(buildSubscription({ tributeSubscriptionId: 5003, lastEventAt: at(5) }));
+
+      const found = await store.getSubscriptionByTelegramAndPlan(1001, 'monthly');
+      assertSameId(found?.tributeSubscriptionId, 5002);
+      assertSameDate(found.lastEventAt, at(40), 'subscription.lastEventAt');
+    });
+
+    check('markSubscriptionCancelled returns the updated record', async (store) => {
+      await store.upsertSubscription(buildSubscription());
+      const cancelledAt = at(10);
+
+      const updated = await store.markSubscriptionCancelled(5001, {
+        cancelledAt,
+        cancelReason: 'user_request',
+        payload: { sent_at: at(11).toISOString() },
+      });
+      assert.ok(updated, 'markSubscriptionCancelled must resolve with the updated subscription');
+      assert.equal(updated.status, 'cancelled');
+      assert.equal(updated.cancelReason, 'user_request');
+      assertSameDate(updated.cancelledAt, cancelledAt, 'cancelledAt');
+      assertSameDate(updated.lastEventAt, at(11), 'lastEventAt taken from payload.sent_at');
+      assert.equal(updated.planId, 'monthly');
+
+      const stored = await store.getSubscriptionByTributeId(5001);
+      assert.equal(stored?.status, 'cancelled');
+      assert.equal(await store.markSubscriptionCancelled(404404, { cancelledAt }), undefined);
+    });
+
+    check('listExpiringSubscriptions returns subscriptions ending before a moment, soonest first', async (store, t) => {
+      if (store.listExpiringSubscriptions === SubscriptionStore.prototype.listExpiringSubscriptions) {
+        t.skip('store does not implement listExpiringSubscriptions (needed only by the expiry scheduler)');
+        return;
+      }
+      await store.upsertSubscription(buildSubscription({ tributeSubscriptionId: 5001, expiresAt: at(20) }));
+      await store.upsertSubscription(buildSubscription({ tributeSubscriptionId: 5002, expiresAt: at(10) }));
+      await store.upsertSubscription(buildSubscription({ tributeSubscriptionId: 5003, expiresAt: at(40) }));
+      await store.upsertSubscription(buildSubscription({ tributeSubscriptionId: 5004, expiresAt: null }));
+      await store.upsertSubscription(
+        buildSubscription({ tributeSubscriptionId: 5005, expiresAt: at(5), status: 'expired', expiredAt: at(6) }),
+      );
+      await store.upsertSubscription(buildSubscription({ tributeSubscriptionId: 5006, expiresAt: at(15), status: 'cancelled' }));
+
+      const ending = await store.listExpiringSubscriptions({ before: at(30) });
+      assert.deepEqual(
+        ending.map((subscription) => String(subscription.tributeSubscriptionId)),
+        ['5002', '5006', '5001'],
+      );
+      assertSameDate(ending[0].expiresAt, at(10), 'expiresAt');
+
+      const active = await store.listExpiringSubscriptions({ before: at(30), status: 'active', limit: 1 });
+      assert.deepEqual(active.map((subscription) => String(subscription.tributeSubscriptionId)), ['5002']);
+
+      const [expired] = await store.listExpiringSubscriptions({ before: at(30), status: ['expired'] });
+      assertSameDate(expired?.expiredAt, at(6), 'expiredAt');
+      assert.deepEqual(await store.listExpiringSubscriptions({ before: at(10) }), []);
+    });
+
+    check('listSubscriptions returns subscriptions oldest first and filters by plan, status and creation', async (store, t) => {
+      if (store.listSubscriptions === SubscriptionStore.prototype.listSubscriptions) {
+        t.skip('store does not implement listSubscriptions (needed only by revenue analytics)');
+        return;
+      }
+      await store.upsertSubscription(buildSubscription({ tributeSubscriptionId: 5001, createdAt: at(3) }));
+      await store.upsertSubscription(buildSubscription({ tributeSubscriptionId: 5002, createdAt: at(1), planId: 'yearly' }));
+      await store.upsertSubscription(
+        buildSubscription({ tributeSubscriptionId: 5003, createdAt: at(2), status: 'cancelled', cancelledAt: at(4) }),
+      );
+
+      const ids = (subscriptions) => subscriptions.map((subscription) => String(subscription.tributeSubscriptionId));
+      const all = await store.listSubscriptions();
+      assert.deepEqual(ids(all), ['5002', '5003', '5001']);
+      assertSameDate(all[1].cancelledAt, at(4), 'cancelledAt');
+      assert.deepEqual(ids(await store.listSubscriptions({ planId: 'monthly' })), ['5003', '5001']);
+      assert.deepEqual(ids(await store.listSubscriptions({ planId: ['yearly'], status: 'active' })), ['5002']);
+      assert.deepEqual(ids(await store.listSubscriptions({ createdBefore: at(2) })), ['5002', '5003']);
+    });
+
+    check('listPayments returns newest payments first and applies limit after sorting', async (store) => {
+      await store.recordPayment(buildPayment({ paidAt: at(1), amount: 1 }));
+      await store.recordPayment(buildPayment({ paidAt: at(3), amount: 3 }));
+      await store.recordPayment(buildPayment({ paidAt: at(2), amount: 2 }));
+
+      const payments = await store.listPayments();
+      assert.deepEqual(
+        payments.map((payment) => payment.amount),
+        [3, 2, 1],
+      );
+      assertSameDate(payments[0].paidAt, at(3), 'payment.paidAt');
+      const latest = await store.listPayments({ limit: 1 });
+      assert.deepEqual(
+        latest.map((payment) => payment.amount),
+        [3],
+      );
+    });
+
+    check('listPayments filters by user, kind, product and period', async (store) => {
+      await store.recordPayment(buildPayment({ paidAt: at(1) }));
+      await store.recordPayment(buildPayment({ telegramUserId: 1002, paidAt: at(2) }));
+      await store.recordPayment(
+        buildPayment({
+          kind: 'donation',
+          tributeSubscriptionId: undefined,
+          planId: undefined,
+          donationRequestId: 7001,
+          paidAt: at(3),
+        }),
+      );
+      await store.recordPayment(
+        buildPayment({
+          kind: 'digital_product',
+          tributeSubscriptionId: undefined,
+          planId: undefined,
+          productId: 'guide',
+          tributeProductId: 77,
+          paidAt: at(4),
+        }),
+      );
+
+      const kindsOf = (payments) => payments.map((payment) => payment.kind);
+      assert.deepEqual(kindsOf(await store.listPayments({ telegramUserId: 1001 })), [
+        'digital_product',
+        'donation',
+        'subscription',
+      ]);
+      assert.deepEqual(kindsOf(await store.listPayments({ kind: 'donation' })), ['donation']);
+      assert.deepEqual(kindsOf(await store.listPayments({ kind: ['donation', 'digital_product'] })), [
+        'digital_product',
+        'donation',
+      ]);
+      const [product] = await store.listPayments({ productId: 'guide' });
+      assert.equal(product?.productId, 'guide');
+      assertSameId(product.tributeProductId, 77);
+      const window = await store.listPayments({ since: at(2), until: at(3) });
+      assert.deepEqual(
+        window.map((payment) => payment.paidAt.getTime()),
+        [at(3).getTime(), at(2).getTime()],
+      );
+    });
+
+    check('upsertDonation returns { previous } and markDonationCancelled returns updated record', async (store) => {
+      const created = await store.upsertDonation(buildDonation({ period: 'monthly', status: 'active' }));
+      assert.equal(created?.previous, undefined);
+      const { previous } = await store.upsertDonation(
+        buildDonation({ period: 'monthly', status: 'active', lastEventAt: at(30) }),
+      );
+      assertSameDate(previous?.lastEventAt, at(0), 'previous donation lastEventAt');
+
+      const updated = await store.markDonationCancelled(7001, { cancelledAt: at(40), payload: {} });
+      assert.equal(updated?.status, 'cancelled');
+      assertSameDate(updated.cancelledAt, at(40), 'donation.cancelledAt');
+      assertSameDate(updated.lastEventAt, at(40), 'donation.lastEventAt');
+      assert.equal((await store.getDonationByRequestId(7001))?.status, 'cancelled');
+      assert.equal(await store.markDonationCancelled(404404, { cancelledAt: at(40) }), undefined);
+    });
+
+    check('upsertOrder returns { previous } and listOrders returns newest orders first', async (store) => {
+      const created = await store.upsertOrder(buildOrder());
+      assert.equal(created?.previous, undefined);
+      const { previous } = await store.upsertOrder(
+        buildOrder({ status: 'shipped', shippedAt: at(2), lastEventAt: at(2), updatedAt: at(2) }),
+      );
+      assert.equal(previous?.status, 'created');
+      await store.upsertOrder(buildOrder({ orderId: 9002, createdAt: at(5), updatedAt: at(5), lastEventAt: at(5) }));
+
+      const stored = await store.getOrderById(9001);
+      assert.equal(stored?.status, 'shipped');
+      assertSameDate(stored.shippedAt, at(2), 'order.shippedAt');
+      assert.deepEqual(stored.products, buildOrder().products);
+
+      const orders = await store.listOrders({ telegramUserId: 1001 });
+      assert.deepEqual(
+        orders.map((order) => String(order.orderId)),
+        ['9002', '9001'],
+      );
+      assert.deepEqual(
+        (await store.listOrders({ status: 'shipped' })).map((order) => String(order.orderId)),
+        ['9001'],
+      );
+      assert.equal((await store.listOrders({ limit: 1 })).length, 1);
+    });
+
+    check('webhook inbox saves, replaces and lists events newest first', async (store, t) => {
+      if (store.saveWebhookEvent === SubscriptionStore.prototype.saveWebhookEvent) {
+        t.skip('store does not implement the optional webhook inbox');
+        return;
+      }
+      const record = (overrides) => ({
+        id: 'event-1',
+        name: 'new_subscription',
+        status: 'received',
+        event: { name: 'new_subscription', created_at: at(0).toISOString(), payload: { subscription_id: 5001 } },
+        attempts: 1,
+        error: null,
+        receivedAt: at(0),
+        updatedAt: at(0),
+        processedAt: null,
+        ...overrides,
+      });
+      await store.saveWebhookEvent(record());
+      await store.saveWebhookEvent(
+        record({ status: 'failed', error: { name: 'TributePlanNotFoundError', message: 'no plan' }, updatedAt: at(1) }),
+      );
+      await store.saveWebhookEvent(record({ id: 'event-2', name: 'new_donation', status: 'processed', receivedAt: at(2) }));
+
+      const stored = await store.getWebhookEvent('event-1');
+      assert.equal(stored?.status, 'failed');
+      assert.deepEqual(stored.error, { name: 'TributePlanNotFoundError', message: 'no plan' });
+      assert.deepEqual(stored.event.payload, { subscription_id: 5001 });
+      assertSameDate(stored.receivedAt, at(0), 'webhookEvent.receivedAt');
+      assert.equal(await store.getWebhookEvent('missing'), undefined);
+
+      const ids = (records) => records.map((item) => item.id);
+      assert.deepEqual(ids(await store.listWebhookEvents()), ['event-2', 'event-1']);
+      assert.deepEqual(ids(await store.listWebhookEvents({ status: 'failed' })), ['event-1']);
+      assert.deepEqual(ids(await store.listWebhookEvents({ status: ['failed', 'processed'], limit: 1 })), ['event-2']);
+      assert.deepEqual(ids(await store.listWebhookEvents({ name: 'new_donation' })), ['event-2']);
+    });
+  });
+}
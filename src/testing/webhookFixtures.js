@@ -0,0 +1,251 @@
+import crypto from 'node:crypto';
+
+/**
+ * @typedef {import('../types.js').TributeEventEnvelope} TributeEventEnvelope
+ */
+
+/**
+ * @typedef {Object} EventBuildOptions
+ * @property {Date|string|number} [createdAt] - Envelope `created_at`, defaults to now.
+ * @property {Date|string|number} [sentAt] - Envelope `sent_at`, defaults to `createdAt`.
+ */
+
+/**
+ * @typedef {Object} SignedEvent
+ * @property {Buffer} body - Exact bytes to send.
+ * @property {string} signature - Value for the `trbt-signature` header.
+ * @property {Record<string, string>} headers - `content-type` and `trbt-signature`.
+ */
+
+// Ids and names below are the samples from tribute-webhooks.md
+const TELEGRAM_USER_ID = 12321321;
+const USER_ID = 31326;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PERIOD_MONTHS = { monthly: 1, quarterly: 3, halfyearly: 6, yearly: 12 };
+
+function toDate(value) {
+  const date = value instanceof Date ? value : new Date(value ?? Date.now());
+  if (Number.isNaN(date.getTime())) {
+    throw new TypeError(`Invalid date: ${value}`);
+  }
+  return date;
+}
+
+/**
+ * Move a date by one billing period the way Tribute extends subscriptions.
+ * @param {Date|string|number} date
+ * @param {string} [period="monthly"] - `weekly`, `monthly`, `quarterly`, `halfyearly` or `yearly`.
+ * @param {number} [count=1]
+ * @returns {Date}
+ */
+export function addBillingPeriod(date, period = 'monthly', count = 1) {
+  const result = new Date(toDate(date).getTime());
+  if (period === 'weekly') {
+    return new Date(result.getTime() + 7 * DAY_MS * count);
+  }
+  const months = PERIOD_MONTHS[period];
+  if (!months) {
+    throw new TypeError(`Unsupported billing period: ${period}`);
+  }
+  result.setUTCMonth(result.getUTCMonth() + months * count);
+  return result;
+}
+
+function buildEnvelope(name, payload, { createdAt, sentAt } = {}) {
+  const created = toDate(createdAt);
+  return {
+    name,
+    created_at: created.toISOString(),
+    sent_at: toDate(sentAt ?? created).toISOString(),
+    payload,
+  };
+}
+
+function subscriptionPayload(defaults, payload, options) {
+  const period = payload.period ?? 'monthly';
+  return {
+    subscription_name: 'Поддержите творчество',
+    subscription_id: 1644,
+    period_id: 1547,
+    period,
+    price: 1000,
+    amount: 700,
+    currency: 'eur',
+    user_id: USER_ID,
+    telegram_user_id: TELEGRAM_USER_ID,
+    channel_id: 614,
+    channel_name: 'lbs',
+    ...defaults,
+    expires_at: addBillingPeriod(options.createdAt ?? Date.now(), period).toISOString(),
+    ...payload,
+  };
+}
+
+function donationPayload(defaults, payload) {
+  return {
+    donation_request_id: 123,
+    donation_name: 'Ежемесячная поддержка',
+    period: 'monthly',
+    amount: 500,
+    currency: 'eur',
+    anonymously: false,
+    web_app_link: 'https://t.me/tribute/app?startapp=d456',
+    user_id: USER_ID,
+    telegram_user_id: TELEGRAM_USER_ID,
+    ...defaults,
+    ...payload,
+  };
+}
+
+function orderPayload(payload, options) {
+  const createdAt = toDate(options.createdAt).toISOString();
+  return {
+    order_id: 12345,
+    status: 'pending',
+    user_id: USER_ID,
+    telegram_user_id: TELEGRAM_USER_ID,
+    products: [{ product_name: 'Футболка с принтом', quantity: 2, price: 150000, currency: 'rub' }],
+    total: 300000,
+    currency: 'rub',
+    shipping_address: 'Россия, Москва, ул. Пушкина, д. 10, кв. 5',
+    tracking_number: 'RU123456789CN',
+    created_at: createdAt,
+    updated_at: createdAt,
+    ...payload,
+  };
+}
+
+/**
+ * `new_subscription`: a purchase or a renewal. `expires_at` defaults to one `period` after `createdAt`.
+ * @param {Record<string, any>} [payload] - Fields to override, in Tribute (snake_case) format.
+ * @param {EventBuildOptions} [options]
+ * @returns {TributeEventEnvelope}
+ */
+export function buildNewSubscriptionEvent(payload = {}, options = {}) {
+  return buildEnvelope('new_subscription', subscriptionPayload({}, payload, options), options);
+}
+
+/**
+ * @param {Record<string, any>} [payload]
+ * @param {EventBuildOptions} [options]
+ * @returns {TributeEventEnvelope}
+ */
+export function buildCancelledSubscriptionEvent(payload = {}, options = {}) {
+  return buildEnvelope(
+    'cancelled_subscription',
+    subscriptionPayload({ amount: 1000, cancel_reason: '' }, payload, options),
+    options,
+  );
+}
+
+/**
+ * @param {Record<string, any>} [payload]
+ * @param {EventBuildOptions} [options]
+ * @returns {TributeEventEnvelope}
+ */
+export function buildNewDonationEvent(payload = {}, options = {}) {
+  return buildEnvelope(
+    'new_donation',
+    donationPayload(
+      {
+        donation_name: 'Поддержать мою работу',
+        message: 'Спасибо за ваш контент!',
+        period: 'once',
+        amount: 1000,
+        currency: 'usd',
+        web_app_link: 'https://t.me/tribute/app?startapp=d123',
+      },
+      payload,
+    ),
+    options,
+  );
+}
+
+/**
+ * @param {Record<string, any>} [payload]
+ * @param {EventBuildOptions} [options]
+ * @returns {TributeEventEnvelope}
+ */
+export function buildRecurrentDonationEvent(payload = {}, options = {}) {
+  return buildEnvelope('recurrent_donation', donationPayload({}, payload), options);
+}
+
+/**
+ * @param {Record<string, any>} [payload]
+ * @param {EventBuildOptions} [options]
+ * @returns {TributeEventEnvelope}
+ */
+export function buildCancelledDonationEvent(payload = {}, options = {}) {
+  return buildEnvelope('cancelled_donation', donationPayload({}, payload), options);
+}
+
+/**
+ * @param {Record<string, any>} [payload]
+ * @param {EventBuildOptions} [options]
+ * @returns {TributeEventEnvelope}
+ */
+export function buildPhysicalOrderCreatedEvent(payload = {}, options = {}) {
+  return buildEnvelope('physical_order_created', orderPayload(payload, options), options);
+}
+
+/**
+ * @param {Record<string, any>} [payload]
+ * @param {EventBuildOptions} [options]
+ * @returns {TributeEventEnvelope}
+ */
+export function buildPhysicalOrderShippedEvent(payload = {}, options = {}) {
+  return buildEnvelope('physical_order_shipped', orderPayload(payload, options), options);
+}
+
+/**
+ * @param {Record<string, any>} [payload]
+ * @param {EventBuildOptions} [options]
+ * @returns {TributeEventEnvelope}
+ */
+export function buildPhysicalOrderCanceledEvent(payload = {}, options = {}) {
+  return buildEnvelope('physical_order_canceled', orderPayload(payload, options), options);
+}
+
+/**
+ * @param {Record<string, any>} [payload]
+ * @param {EventBuildOptions} [options]
+ * @returns {TributeEventEnvelope}
+ */
+export function buildNewDigitalProductEvent(payload = {}, options = {}) {
+  return buildEnvelope(
+    'new_digital_product',
+    {
+      product_id: 456,
+      amount: 500,
+      currency: 'usd',
+      user_id: USER_ID,
+      telegram_user_id: TELEGRAM_USER_ID,
+      ...payload,
+    },
+    options,
+  );
+}
+
+/**
+ * Serialize an event and sign it like Tribute does.
+ * @param {TributeEventEnvelope | string | Buffer} event - Envelope object, or a raw body to sign as is.
+ * @param {string} apiKey
+ * @param {Object} [options]
+ * @param {"hex"|"base64"} [options.encoding="hex"]
+ * @param {string} [options.signatureHeader="trbt-signature"]
+ * @returns {SignedEvent}
+ */
+export function signEvent(event, apiKey, { encoding = 'hex', signatureHeader = 'trbt-signature' } = {}) {
+  if (!apiKey) {
+    throw new TypeError('apiKey is required to sign a Tribute event');
+  }
+  const body = Buffer.isBuffer(event)
+    ? event
+    : Buffer.from(typeof event === 'string' ? event : JSON.stringify(event));
+  const signature = crypto.createHmac('sha256', apiKey).update(body).digest(encoding);
+  return {
+    body,
+    signature,
+    headers: { 'content-type': 'application/json', [signatureHeader]: signature },
+  };
+}
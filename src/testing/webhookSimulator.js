@@ -0,0 +1,137 @@
+import { mapWebhookError } from '../middleware.js';
+import {
+  addBillingPeriod,
+  buildCancelledSubscriptionEvent,
+  buildNewSubscriptionEvent,
+  signEvent,
+} from './webhookFixtures.js';
+
+/**
+ * @typedef {import('../types.js').TributeEventEnvelope} TributeEventEnvelope
+ * @typedef {import('../types.js').TributeEventResult} TributeEventResult
+ */
+
+/**
+ * @typedef {Object} SimulatedDelivery
+ * @property {TributeEventEnvelope} event
+ * @property {number} status - HTTP status the endpoint answered (or would answer) with.
+ * @property {boolean} ok
+ * @property {TributeEventResult} [result] - Only for manager targets; `undefined` for duplicates.
+ * @property {unknown} [error] - Only for manager targets.
+ * @property {any} [response] - Parsed response body, only for URL targets.
+ */
+
+/**
+ * @typedef {Object} SubscriptionLifecycleOptions
+ * @property {Date|string|number} [startAt] - Purchase moment, defaults to now.
+ * @property {number} [renewals=0] - How many renewals follow the purchase, one period apart.
+ * @property {boolean} [cancel=false] - Finish with `cancelled_subscription` a day after the last payment.
+ * @property {Record<string, any>} [payload] - Payload fields shared by every event (`subscription_id`, `intent_id`, ...).
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Events Tribute sends for one subscription: the purchase, renewals and optionally a cancellation.
+ * @param {SubscriptionLifecycleOptions} [options]
+ * @returns {TributeEventEnvelope[]}
+ */
+export function buildSubscriptionLifecycle({ startAt = new Date(), renewals = 0, cancel = false, payload = {} } = {}) {
+  const period = payload.period ?? 'monthly';
+  const events = [];
+  for (let index = 0; index <= renewals; index += 1) {
+    const createdAt = addBillingPeriod(startAt, period, index);
+    events.push(buildNewSubscriptionEvent(payload, { createdAt }));
+  }
+  if (cancel) {
+    const paidAt = addBillingPeriod(startAt, period, renewals);
+    events.push(
+      buildCancelledSubscriptionEvent(
+        { expires_at: addBillingPeriod(paidAt, period).toISOString(), ...payload },
+        { createdAt: new Date(paidAt.getTime() + DAY_MS) },
+      ),
+    );
+  }
+  return events;
+}
+
+/**
+ * Delivers signed events to a webhook endpoint (URL) or straight to a manager/router,
+ * reporting the status Tribute would see.
+ */
+export class TributeWebhookSimulator {
+  /**
+   * @param {Object} options
+   * @param {string | URL | { handleWebhook: Function }} options.target - Webhook URL, manager or router.
+   * @param {string} options.apiKey - Key the events are signed with.
+   * @param {"hex"|"base64"} [options.encoding="hex"]
+   * @param {string} [options.signatureHeader="trbt-signature"]
+   * @param {typeof fetch} [options.fetch] - Used for URL targets.
+   */
+  constructor({ target, apiKey, encoding = 'hex', signatureHeader = 'trbt-signature', fetch = globalThis.fetch } = {}) {
+    if (!target || (typeof target !== 'string' && !(target instanceof URL) && typeof target.handleWebhook !== 'function')) {
+      throw new TypeError('target must be a webhook URL or an object with handleWebhook()');
+    }
+    if (!apiKey) {
+      throw new TypeError('apiKey is required to sign simulated webhooks');
+    }
+    this.isUrlTarget = typeof target === 'string' || target instanceof URL;
+    if (this.isUrlTarget && typeof fetch !== 'function') {
+      throw new TypeError('fetch is required to deliver webhooks to a URL');
+    }
+    this.target = target;
+    this.apiKey = apiKey;
+    this.encoding = encoding;
+    this.signatureHeader = signatureHeader;
+    this.fetch = fetch;
+  }
+
+  /**
+   * @param {TributeEventEnvelope} event
+   * @returns {Promise<SimulatedDelivery>}
+   */
+  async send(event) {
+    const { body, signature, headers } = signEvent(event, this.apiKey, {
+      encoding: this.encoding,
+      signatureHeader: this.signatureHeader,
+    });
+    if (!this.isUrlTarget) {
+      try {
+        const result = await this.target.handleWebhook(body, signature);
+        return { event, status: 200, ok: true, result };
+      } catch (error) {
+        const { status } = mapWebhookError(error);
+        return { event, status, ok: false, error };
+      }
+    }
+
+    const response = await this.fetch(String(this.target), { method: 'POST', headers, body });
+    const text = await response.text();
+    let parsed = text;
+    try {
+      parsed = text ? JSON.parse(text) : undefined;
+    } catch (error) {
+      // keep non-JSON answers as text
+    }
+    return { event, status: response.status, ok: response.ok, response: parsed };
+  }
+
+  /**
+   * Deliver events one by one, in order.
+   * @param {TributeEventEnvelope[]} events
+   * @param {Object} [options]
+   * @param {boolean} [options.stopOnError=true] - Stop at the first non-2xx delivery.
+   * @returns {Promise<SimulatedDelivery[]>}
+   */
+  async run(events, { stopOnError = true } = {}) {
+    const deliveries = [];
+    for (const event of events) {
+      const delivery = await this.send(event);
+      deliveries.push(delivery);
+      if (!delivery.ok && stopOnError) {
+        break;
+      }
+    }
+    return deliveries;
+  }
+}
@@ -9,6 +9,24 @@
  * @property {number|string} [tributeSubscriptionId] - Expected Tribute subscription identifier.
  * @property {number|string} [tributePeriodId] - Expected Tribute period identifier.
  * @property {number} [price] - Convenience alias for Tribute's `price` field (if different from amount).
+ * @property {string[]} [includes] - Ids of lower-tier plans this plan also grants access to.
+ * @property {string} [description]
+ * @property {Record<string, number>} [prices] - Amounts in other currencies (minor units), e.g. `{ rub: 99000, usd: 1100 }`.
+ *   Webhooks paid in any of them match the plan.
+ * @property {Record<string, { title?: string, description?: string }>} [translations] - Texts by locale (`ru`, `en-US`).
+ * @property {number} [rank] - Tier used to label plan changes: moving to a higher rank is an upgrade.
+ * @property {boolean} [archived] - Legacy plan: still matches webhooks of existing subscribers, but is not listed or sold.
+ * @property {Object} [metadata]
+ */
+
+/**
+ * @typedef {Object} TributeDigitalProduct
+ * @property {string} id - Internal product identifier.
+ * @property {string} title
+ * @property {number|string} tributeProductId - Tribute `product_id` reported in `new_digital_product`.
+ * @property {number} [amount] - Amount in the smallest currency unit (e.g. cents).
+ * @property {string} [currency]
+ * @property {string} [productLink] - Tribute link to the product page.
  * @property {Object} [metadata]
  */
 
@@ -22,6 +40,17 @@
  * @property {Object} [metadata]
  */
 
+/**
+ * @typedef {string | { key: string, id?: string, expiresAt?: Date|string|number|null }} TributeApiKeyInput
+ */
+
+/**
+ * @typedef {Object} TributeApiKey
+ * @property {string} id - Given id or fingerprint of the key; safe to log.
+ * @property {string} key
+ * @property {Date|null} expiresAt - Signatures made with the key are rejected from this moment.
+ */
+
 /**
  * @typedef {Object} StoredSubscription
  * @property {string} planId
@@ -32,17 +61,28 @@
  * @property {number} amount
  * @property {string} currency
  * @property {string} period
- * @property {'pending'|'active'|'cancelled'} status
+ * @property {'pending'|'active'|'cancelled'|'expired'} status
  * @property {Date} createdAt
  * @property {Date} lastEventAt
  * @property {Date|null} expiresAt
  * @property {Date|null} cancelledAt
  * @property {string|null} cancelReason
+ * @property {Date|null} [expiredAt] - Set by the expiry scheduler when it moves the subscription to `expired`.
+ * @property {Date|null} [expiringNoticeFor] - `expiresAt` value `subscription.expiring` was already emitted for.
+ * @property {'matched'|'expired'|'missing'|null} [intentStatus] - Intent check of the first payment; `missing` when
+ *   the subscription was created without an intent under `intentPolicy: 'optional'`. Kept across renewals.
  * @property {Object} [metadata]
  */
 
 /**
- * @typedef {'subscription'|'donation'} PaymentKind
+ * @typedef {Object} ExpiringSubscriptionFilters
+ * @property {Date} before - Only subscriptions with `expiresAt` earlier than this moment.
+ * @property {StoredSubscription['status']|StoredSubscription['status'][]} [status] - Defaults to `['active', 'cancelled']`.
+ * @property {number} [limit]
+ */
+
+/**
+ * @typedef {'subscription'|'donation'|'order'|'digital_product'} PaymentKind
  */
 
 /**
@@ -51,9 +91,15 @@
  * @property {number|string|undefined} [tributeSubscriptionId]
  * @property {string|undefined} [planId]
  * @property {number|string|undefined} [donationRequestId]
+ * @property {number|string|undefined} [orderId]
+ * @property {string|undefined} [productId] - Internal digital product id.
+ * @property {number|string|undefined} [tributeProductId]
  * @property {number|string} telegramUserId
  * @property {number|string|undefined} [userId]
- * @property {number} amount
+ * @property {number} amount - Gross amount, same as `grossAmount`; kept for records written before the split.
+ * @property {number} [grossAmount] - What the buyer paid (Tribute `price`).
+ * @property {number} [netAmount] - What the creator receives after Tribute's commission (Tribute `amount`).
+ * @property {number} [fee] - `grossAmount - netAmount`.
  * @property {string} currency
  * @property {Date} paidAt
  * @property {Object} [payload]
@@ -63,11 +109,108 @@
  * @typedef {Object} PaymentListFilters
  * @property {number|string} [telegramUserId]
  * @property {PaymentKind|PaymentKind[]} [kind]
+ * @property {string} [productId]
  * @property {Date|string|number} [since]
  * @property {Date|string|number} [until]
  * @property {number} [limit]
  */
 
+/**
+ * @typedef {'gross'|'net'} PaymentAmountBasis
+ */
+
+/**
+ * @typedef {PaymentListFilters & { basis?: PaymentAmountBasis }} PaymentTotalsFilters
+ */
+
+/**
+ * @typedef {Object} PaymentTotals
+ * @property {PaymentAmountBasis} basis
+ * @property {number} count - Payments summed.
+ * @property {Array<{ currency: string, count: number, amount: number }>} totals - Per lower-cased currency.
+ */
+
+/**
+ * @typedef {Object} SubscriptionListFilters
+ * @property {string|string[]} [planId]
+ * @property {StoredSubscription['status']|StoredSubscription['status'][]} [status]
+ * @property {Date|string|number} [createdBefore] - Only subscriptions with `createdAt` at or before this moment.
+ */
+
+/**
+ * @typedef {'day'|'week'|'month'} AnalyticsInterval
+ */
+
+/**
+ * @typedef {Object} PaymentAggregateQuery - Argument of the optional `aggregatePayments` store hook.
+ * @property {PaymentKind|PaymentKind[]} [kind]
+ * @property {string|string[]} [planId]
+ * @property {Date} since
+ * @property {Date} until
+ * @property {AnalyticsInterval} interval - Payments are grouped by UTC interval of `paidAt`.
+ * @property {PaymentAmountBasis} basis
+ * @property {'interval'|'payer'} [groupBy] - `payer` groups by `telegramUserId` over the whole period instead of by interval.
+ */
+
+/**
+ * @typedef {Object} PaymentAggregateRow
+ * @property {Date} [intervalStart] - Set when grouped by interval.
+ * @property {string|number} [telegramUserId] - Set when grouped by payer.
+ * @property {string|null} planId
+ * @property {string} currency - Lower-cased.
+ * @property {number} count - Payments in the group.
+ * @property {number} amount - Sum of gross or net amounts, per `basis`.
+ * @property {number} payers - Distinct `telegramUserId`.
+ */
+
+/**
+ * @typedef {Object} RevenueAnalyticsOptions
+ * @property {Date|string|number} since - Rounded down to the start of its interval.
+ * @property {Date|string|number} [until] - Defaults to now.
+ * @property {AnalyticsInterval} [interval] - Defaults to `month`.
+ * @property {PaymentAmountBasis} [basis] - Revenue, ARPU and LTV basis, defaults to `gross`. MRR is always gross.
+ * @property {string|string[]} [planId]
+ */
+
+/**
+ * @typedef {Object} RevenueAnalyticsRow
+ * @property {Date} intervalStart
+ * @property {Date} intervalEnd - Exclusive.
+ * @property {string} planId
+ * @property {string} currency - Lower-cased.
+ * @property {number} mrr - Monthly recurring revenue of active subscriptions at the interval end (or `until`), in minor units.
+ *   Taken from subscription prices, so it is gross whatever the `basis`.
+ * @property {number} activeSubscribers
+ * @property {number} newSubscribers - Subscriptions created in the interval.
+ * @property {number} churnedSubscribers - Subscriptions cancelled or expired in the interval.
+ * @property {number} revenue - Subscription payments in the interval, gross or net.
+ * @property {number} payments
+ * @property {number} payers
+ * @property {number} arpu - `revenue / payers`, rounded to minor units.
+ */
+
+/**
+ * @typedef {Object} RevenueCohort
+ * @property {Date} cohortStart - Interval of the subscriber's first subscription to the plan.
+ * @property {string} planId
+ * @property {string} currency
+ * @property {number} size
+ * @property {number} revenue - Subscription payments of the cohort's subscribers to the plan up to `until`, gross or net.
+ * @property {number} ltv - `revenue / size`, rounded to minor units.
+ * @property {number[]} retained - Subscribers still active at the end of each interval, starting with the cohort's own.
+ * @property {number[]} retention - `retained / size`.
+ */
+
+/**
+ * @typedef {Object} RevenueAnalytics
+ * @property {Date} since
+ * @property {Date} until
+ * @property {AnalyticsInterval} interval
+ * @property {PaymentAmountBasis} basis - Applies to `revenue`, `arpu` and cohort `revenue`/`ltv`, not to `mrr`.
+ * @property {RevenueAnalyticsRow[]} rows - One per interval, plan and currency with any activity.
+ * @property {RevenueCohort[]} cohorts
+ */
+
 /**
  * @typedef {Object} CancellationRecord
  * @property {Date} cancelledAt
@@ -100,6 +243,43 @@
  * @property {Object} [payload]
  */
 
+/**
+ * @typedef {Object} OrderProduct
+ * @property {string} productName
+ * @property {number} quantity
+ * @property {number} price - Price per unit in the smallest currency unit.
+ * @property {string} currency
+ */
+
+/**
+ * @typedef {Object} StoredOrder
+ * @property {number|string} orderId
+ * @property {number|string} telegramUserId
+ * @property {number|string|null} userId
+ * @property {'created'|'shipped'|'canceled'} status
+ * @property {string|null} tributeStatus - Raw `status` reported by Tribute.
+ * @property {OrderProduct[]} products
+ * @property {number} total
+ * @property {string} currency
+ * @property {string|null} shippingAddress
+ * @property {string|null} trackingNumber
+ * @property {Date} createdAt
+ * @property {Date} updatedAt
+ * @property {Date} lastEventAt
+ * @property {Date|null} shippedAt
+ * @property {Date|null} cancelledAt
+ * @property {Object} [metadata]
+ */
+
+/**
+ * @typedef {Object} OrderListFilters
+ * @property {number|string} [telegramUserId]
+ * @property {StoredOrder['status']|StoredOrder['status'][]} [status]
+ * @property {Date|string|number} [since]
+ * @property {Date|string|number} [until]
+ * @property {number} [limit]
+ */
+
 /**
  * @typedef {Object} TributeEventEnvelope
  * @property {string} name
@@ -111,9 +291,9 @@
 /**
  * @typedef {Object} SubscriptionEventResult
  * @property {'subscription'} category
- * @property {"created"|"renewed"|"cancelled"} type
+ * @property {"created"|"renewed"|"changed"|"cancelled"|"expired"|"expiring"} type
  * @property {StoredSubscription} subscription
- * @property {{ intent?: SubscriptionIntent, intentStatus?: 'matched'|'expired', previousSubscription?: StoredSubscription, cancellation?: any, event?: TributeEventEnvelope }} [context]
+ * @property {{ intent?: SubscriptionIntent, intentStatus?: 'matched'|'expired'|'missing', previousSubscription?: StoredSubscription, cancellation?: any, event?: TributeEventEnvelope, apiKeyId?: string, expiresAt?: Date, daysLeft?: number, fromPlan?: TributePlan, toPlan?: TributePlan, direction?: 'upgrade'|'downgrade'|'crossgrade' }} [context]
  */
 
 /**
@@ -125,7 +305,24 @@
  */
 
 /**
- * @typedef {SubscriptionEventResult | DonationEventResult} TributeEventResult
+ * @typedef {Object} OrderEventResult
+ * @property {'order'} category
+ * @property {'created'|'shipped'|'canceled'} type
+ * @property {StoredOrder} order
+ * @property {{ previousOrder?: StoredOrder, event?: TributeEventEnvelope }} [context]
+ */
+
+/**
+ * @typedef {Object} DigitalProductEventResult
+ * @property {'product'} category
+ * @property {'purchased'} type
+ * @property {TributeDigitalProduct} product
+ * @property {PaymentRecord} payment
+ * @property {{ event?: TributeEventEnvelope }} [context]
+ */
+
+/**
+ * @typedef {SubscriptionEventResult | DonationEventResult | OrderEventResult | DigitalProductEventResult} TributeEventResult
  */
 
 /**
@@ -136,4 +333,62 @@
  * @property {Object} [payload]
  */
 
+/**
+ * @typedef {Object} Entitlement
+ * @property {string} planId - Plan the user has access to.
+ * @property {string} grantedByPlanId - Plan of the subscription granting it (differs for plans from `includes`).
+ * @property {StoredSubscription} subscription
+ * @property {Date|null} accessUntil - `expiresAt` plus grace period; `null` when the subscription has no expiry.
+ * @property {boolean} inGracePeriod - `expiresAt` has passed but the grace period has not.
+ */
+
+/**
+ * @typedef {'received'|'processed'|'ignored'|'duplicate'|'failed'|'deferred'} WebhookEventStatus
+ */
+
+/**
+ * Verified webhook envelope kept in the inbox for auditing and replay.
+ * @typedef {Object} StoredWebhookEvent
+ * @property {string} id - Derived from event name, `created_at` and payload, so Tribute retries share one record.
+ * @property {string} name
+ * @property {WebhookEventStatus} status
+ * @property {TributeEventEnvelope} event
+ * @property {number} attempts - Deliveries and replays processed so far.
+ * @property {{ name: string, message: string } | null} error - Last processing error for `failed` events.
+ * @property {Date} receivedAt
+ * @property {Date} updatedAt
+ * @property {Date|null} processedAt - When processing last finished without error.
+ * @property {string|null} [apiKeyId] - Id of the API key the last delivery was signed with.
+ */
+
+/**
+ * @typedef {Object} WebhookEventListFilters
+ * @property {WebhookEventStatus|WebhookEventStatus[]} [status]
+ * @property {string} [name]
+ * @property {Date|string|number} [since] - Lower bound for `receivedAt`.
+ * @property {Date|string|number} [until] - Upper bound for `receivedAt`.
+ * @property {number} [limit]
+ */
+
+/**
+ * @typedef {Object} WebhookReplayResult
+ * @property {string} id
+ * @property {WebhookEventStatus} status
+ * @property {TributeEventResult} [result]
+ * @property {Error} [error]
+ */
+
+/**
+ * @typedef {Object} ExpiryCheckResult
+ * @property {SubscriptionEventResult[]} expired - Subscriptions moved to `expired` during the run.
+ * @property {SubscriptionEventResult[]} expiring - `subscription.expiring` notices emitted during the run.
+ */
+
+/**
+ * @typedef {Object} PlansUpdateResult
+ * @property {string[]} added - Ids of plans that were not in the previous catalog.
+ * @property {string[]} removed - Ids of plans missing from the new catalog.
+ * @property {string[]} changed - Ids of plans whose definition changed.
+ */
+
 export const __types = {};
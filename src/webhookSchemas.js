@@ -0,0 +1,204 @@
+/**
+ * @typedef {'id'|'string'|'number'|'integer'|'boolean'|'date'|'currency'|'array'|'object'} FieldType
+ */
+
+/**
+ * @typedef {Object} FieldSchema
+ * @property {FieldType} type
+ * @property {boolean} [required] - Field must be present and not `null`.
+ * @property {boolean} [nullable] - `null` is accepted for an optional field.
+ * @property {boolean} [positive] - Numbers must be greater than zero.
+ * @property {boolean} [nonNegative] - Numbers must not be below zero.
+ * @property {Record<string, FieldSchema>} [items] - Schema of objects inside an `array` field.
+ */
+
+/**
+ * @typedef {Object} PayloadProblem
+ * @property {string} field - Path of the field, e.g. `payload.products[0].quantity`.
+ * @property {string} message
+ */
+
+/**
+ * Only fields the manager reads are described; unknown fields are allowed so new Tribute
+ * additions do not break processing. Trials and promo periods arrive with a zero price.
+ */
+const subscriptionFields = {
+  subscription_id: { type: 'id', required: true },
+  period_id: { type: 'id' },
+  period: { type: 'string' },
+  price: { type: 'number', nonNegative: true },
+  amount: { type: 'number', nonNegative: true },
+  currency: { type: 'currency' },
+  user_id: { type: 'id', nullable: true },
+  telegram_user_id: { type: 'id' },
+  expires_at: { type: 'date', nullable: true },
+};
+
+const donationFields = {
+  donation_request_id: { type: 'id', required: true },
+  telegram_user_id: { type: 'id', required: true },
+  user_id: { type: 'id', nullable: true },
+  amount: { type: 'number', required: true, positive: true },
+  currency: { type: 'currency', required: true },
+  period: { type: 'string' },
+  donation_name: { type: 'string' },
+  message: { type: 'string', nullable: true },
+  anonymously: { type: 'boolean' },
+  web_app_link: { type: 'string', nullable: true },
+};
+
+const orderProductFields = {
+  product_name: { type: 'string' },
+  quantity: { type: 'integer', positive: true },
+  price: { type: 'number' },
+  currency: { type: 'currency' },
+};
+
+const orderFields = {
+  order_id: { type: 'id', required: true },
+  status: { type: 'string', nullable: true },
+  user_id: { type: 'id', nullable: true },
+  telegram_user_id: { type: 'id' },
+  products: { type: 'array', items: orderProductFields },
+  total: { type: 'number' },
+  currency: { type: 'currency' },
+  shipping_address: { type: 'string', nullable: true },
+  tracking_number: { type: 'string', nullable: true },
+  created_at: { type: 'date' },
+  updated_at: { type: 'date' },
+};
+
+/**
+ * Payload schemas of the Tribute event catalog (see tribute-webhooks.md).
+ * @type {Readonly<Record<string, Record<string, FieldSchema>>>}
+ */
+export const webhookPayloadSchemas = Object.freeze({
+  new_subscription: {
+    ...subscriptionFields,
+    telegram_user_id: { type: 'id', required: true },
+    intent_id: { type: 'id' },
+  },
+  cancelled_subscription: {
+    ...subscriptionFields,
+    cancel_reason: { type: 'string', nullable: true },
+  },
+  new_donation: donationFields,
+  recurrent_donation: donationFields,
+  cancelled_donation: {
+    ...donationFields,
+    telegram_user_id: { type: 'id' },
+    amount: { type: 'number', positive: true },
+    currency: { type: 'currency' },
+  },
+  physical_order_created: {
+    ...orderFields,
+    telegram_user_id: { type: 'id', required: true },
+    total: { type: 'number', required: true },
+    currency: { type: 'currency', required: true },
+  },
+  physical_order_shipped: orderFields,
+  physical_order_canceled: orderFields,
+  new_digital_product: {
+    product_id: { type: 'id', required: true },
+    telegram_user_id: { type: 'id', required: true },
+    user_id: { type: 'id', nullable: true },
+    amount: { type: 'number', positive: true },
+    currency: { type: 'currency' },
+  },
+});
+
+const TYPE_CHECKS = {
+  id: (value) => (typeof value === 'number' && Number.isSafeInteger(value) && value > 0) || (typeof value === 'string' && value.trim() !== ''),
+  string: (value) => typeof value === 'string',
+  number: (value) => typeof value === 'number' && Number.isFinite(value),
+  integer: (value) => Number.isSafeInteger(value),
+  boolean: (value) => typeof value === 'boolean',
+  date: (value) => typeof value === 'string' && value !== '' && !Number.isNaN(Date.parse(value)),
+  currency: (value) => typeof value === 'string' && /^[A-Za-z]{3}$/.test(value),
+  array: (value) => Array.isArray(value),
+  object: (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value),
+};
+
+const TYPE_DESCRIPTIONS = {
+  id: 'a positive integer or a non-empty string',
+  string: 'a string',
+  number: 'a number',
+  integer: 'an integer',
+  boolean: 'a boolean',
+  date: 'an ISO 8601 timestamp',
+  currency: 'a three-letter currency code',
+  array: 'an array',
+  object: 'an object',
+};
+
+/**
+ * @param {Record<string, any>} value
+ * @param {Record<string, FieldSchema>} schema
+ * @param {string} path
+ * @param {PayloadProblem[]} problems
+ */
+function checkFields(value, schema, path, problems) {
+  for (const [name, field] of Object.entries(schema)) {
+    const fieldPath = path ? `${path}.${name}` : name;
+    const fieldValue = value[name];
+    if (fieldValue === undefined || fieldValue === null) {
+      if (field.required) {
+        problems.push({ field: fieldPath, message: 'is required' });
+      } else if (fieldValue === null && !field.nullable) {
+        problems.push({ field: fieldPath, message: 'must not be null' });
+      }
+      continue;
+    }
+    if (!TYPE_CHECKS[field.type](fieldValue)) {
+      problems.push({ field: fieldPath, message: `must be ${TYPE_DESCRIPTIONS[field.type]}` });
+      continue;
+    }
+    if (field.positive && fieldValue <= 0) {
+      problems.push({ field: fieldPath, message: 'must be greater than 0' });
+    }
+    if (field.nonNegative && fieldValue < 0) {
+      problems.push({ field: fieldPath, message: 'must not be negative' });
+    }
+    if (field.items) {
+      fieldValue.forEach((item, index) => {
+        const itemPath = `${fieldPath}[${index}]`;
+        if (!TYPE_CHECKS.object(item)) {
+          problems.push({ field: itemPath, message: 'must be an object' });
+          return;
+        }
+        checkFields(item, field.items, itemPath, problems);
+      });
+    }
+  }
+}
+
+/**
+ * Check the envelope and, for catalog events, the payload. Events outside the catalog only get
+ * the envelope check, so they can still be ignored or logged.
+ * @param {import('./types.js').TributeEventEnvelope} event
+ * @returns {PayloadProblem[]} Empty when the event is valid.
+ */
+export function validateWebhookEvent(event) {
+  /** @type {PayloadProblem[]} */
+  const problems = [];
+  checkFields(
+    event,
+    {
+      name: { type: 'string', required: true },
+      created_at: { type: 'date', required: true },
+      sent_at: { type: 'date', nullable: true },
+    },
+    '',
+    problems,
+  );
+  const schema = webhookPayloadSchemas[event.name];
+  if (!schema) {
+    return problems;
+  }
+  if (!TYPE_CHECKS.object(event.payload)) {
+    problems.push({ field: 'payload', message: 'must be an object' });
+  } else {
+    checkFields(event.payload, schema, 'payload', problems);
+  }
+  return problems;
+}
@@ -0,0 +1,157 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  TributeSubscriptionManager,
+  InMemorySubscriptionStore,
+  TributeConfigurationError,
+  TributePlanNotFoundError,
+  createTributeConfig,
+} from '../src/index.js';
+
+const SECRET = 'test-secret';
+const silentLogger = { debug() {}, info() {}, warn() {}, error() {} };
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date('2025-06-15T12:00:00Z');
+
+const plans = [
+  {
+    id: 'monthly-basic',
+    title: 'Basic',
+    amount: 500,
+    currency: 'eur',
+    period: 'monthly',
+    subscriptionLink: 'https://t.me/tribute/app?startapp=basic',
+    tributeSubscriptionId: 100,
+  },
+  {
+    id: 'monthly-pro',
+    title: 'Pro',
+    amount: 1000,
+    currency: 'eur',
+    period: 'monthly',
+    subscriptionLink: 'https://t.me/tribute/app?startapp=pro',
+    tributeSubscriptionId: 200,
+    includes: ['monthly-basic'],
+  },
+  {
+    id: 'yearly-premium',
+    title: 'Premium',
+    amount: 9000,
+    currency: 'eur',
+    period: 'yearly',
+    subscriptionLink: 'https://t.me/tribute/app?startapp=premium',
+    tributeSubscriptionId: 300,
+    includes: ['monthly-pro'],
+  },
+];
+
+function createManager(store, options = {}) {
+  return new TributeSubscriptionManager({ plans, apiKey: SECRET, store, logger: silentLogger, ...options });
+}
+
+function subscription(overrides) {
+  return {
+    tributePeriodId: 1,
+    telegramUserId: 42,
+    userId: null,
+    amount: 500,
+    currency: 'eur',
+    period: 'monthly',
+    status: 'active',
+    createdAt: new Date(NOW.getTime() - 20 * DAY_MS),
+    lastEventAt: new Date(NOW.getTime() - 20 * DAY_MS),
+    expiresAt: new Date(NOW.getTime() + 10 * DAY_MS),
+    cancelledAt: null,
+    cancelReason: null,
+    metadata: {},
+    ...overrides,
+  };
+}
+
+test('hasActiveAccess follows status, expiresAt and grace period', async () => {
+  const store = new InMemorySubscriptionStore();
+  const manager = createManager(store, { accessGracePeriodMs: 2 * DAY_MS });
+
+  assert.equal(await manager.hasActiveAccess({ telegramUserId: 42, at: NOW }), false);
+
+  await store.upsertSubscription(
+    subscription({
+      planId: 'monthly-basic',
+      tributeSubscriptionId: 100,
+      status: 'cancelled',
+      cancelledAt: new Date(NOW.getTime() - DAY_MS),
+    }),
+  );
+  // cancelled but paid up until expiresAt
+  assert.equal(await manager.hasActiveAccess({ telegramUserId: 42, planId: 'monthly-basic', at: NOW }), true);
+
+  const expiresAt = new Date(NOW.getTime() + 10 * DAY_MS);
+  const inGrace = new Date(expiresAt.getTime() + DAY_MS);
+  const [entitlement] = await manager.listEntitlements(42, { at: inGrace });
+  assert.equal(entitlement.planId, 'monthly-basic');
+  assert.equal(entitlement.inGracePeriod, true);
+  assert.equal(entitlement.accessUntil.getTime(), expiresAt.getTime() + 2 * DAY_MS);
+
+  const afterGrace = new Date(expiresAt.getTime() + 2 * DAY_MS);
+  assert.equal(await manager.hasActiveAccess({ telegramUserId: 42, planId: 'monthly-basic', at: afterGrace }), false);
+  assert.equal(await manager.hasActiveAccess({ telegramUserId: 42, planId: 'monthly-pro', at: NOW }), false);
+
+  await assert.rejects(() => manager.hasActiveAccess({ telegramUserId: 42, planId: 'unknown' }), TributePlanNotFoundError);
+  await assert.rejects(() => manager.listEntitlements(undefined), TributeConfigurationError);
+});
+
+test('higher tier plans grant access to included plans transitively', async () => {
+  const store = new InMemorySubscriptionStore();
+  const manager = createManager(store);
+  await store.upsertSubscription(
+    subscription({ planId: 'yearly-premium', tributeSubscriptionId: 300, expiresAt: new Date(NOW.getTime() + 200 * DAY_MS) }),
+  );
+  await store.upsertSubscription(subscription({ planId: 'monthly-basic', tributeSubscriptionId: 100 }));
+
+  const entitlements = await manager.listEntitlements(42, { at: NOW });
+  assert.deepEqual(
+    entitlements.map(({ planId, grantedByPlanId }) => [planId, grantedByPlanId]),
+    [
+      ['monthly-basic', 'yearly-premium'],
+      ['monthly-pro', 'yearly-premium'],
+      ['yearly-premium', 'yearly-premium'],
+    ],
+  );
+  assert.equal(await manager.hasActiveAccess({ telegramUserId: 42, planId: 'monthly-pro', at: NOW }), true);
+  assert.equal(await manager.hasActiveAccess({ telegramUserId: 43, at: NOW }), false);
+});
+
+test('subscriptions without expiresAt grant access only while active', async () => {
+  const store = new InMemorySubscriptionStore();
+  const manager = createManager(store);
+  await store.upsertSubscription(subscription({ planId: 'monthly-basic', tributeSubscriptionId: 100, expiresAt: null }));
+
+  const [entitlement] = await manager.listEntitlements(42, { at: NOW });
+  assert.equal(entitlement.accessUntil, null);
+
+  await store.markSubscriptionCancelled(100, { cancelledAt: NOW });
+  assert.equal(await manager.hasActiveAccess({ telegramUserId: 42, at: NOW }), false);
+});
+
+test('plan hierarchy and grace period are validated and configurable', () => {
+  const store = new InMemorySubscriptionStore();
+  assert.throws(
+    () => createManager(store, { plans: [{ ...plans[1], includes: ['missing'] }] }),
+    /includes unknown plan "missing"/,
+  );
+  assert.throws(() => createManager(store, { accessGracePeriodMs: -1 }), TributeConfigurationError);
+
+  const env = {
+    TRIBUTE_PLANS: JSON.stringify(plans),
+    TRIBUTE_API_KEY: SECRET,
+    TRIBUTE_ACCESS_GRACE_PERIOD_HOURS: '12',
+  };
+  const config = createTributeConfig({}, { env });
+  assert.equal(config.accessGracePeriodMs, 12 * 60 * 60 * 1000);
+  assert.deepEqual(config.plans[2].includes, ['monthly-pro']);
+  assert.equal(createTributeConfig({ accessGracePeriodMs: 1000 }, { env }).accessGracePeriodMs, 1000);
+  assert.throws(
+    () => createTributeConfig({}, { env: { ...env, TRIBUTE_PLANS: JSON.stringify([{ ...plans[0], includes: 'x' }]) } }),
+    /"includes"/,
+  );
+});
@@ -0,0 +1,186 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import {
+  TributeAccountRouter,
+  TributeSubscriptionManager,
+  InMemorySubscriptionStore,
+  TributeAccountNotFoundError,
+  TributeConfigurationError,
+  TributeSignatureError,
+  createFetchHandler,
+  createTributeConfig,
+} from '../src/index.js';
+
+const silentLogger = { debug() {}, info() {}, warn() {}, error() {} };
+
+function sign(body, key) {
+  return crypto.createHmac('sha256', key).update(body).digest('hex');
+}
+
+function plan(id, tributeSubscriptionId) {
+  return {
+    id,
+    title: id,
+    amount: 1000,
+    currency: 'eur',
+    period: 'monthly',
+    subscriptionLink: `https://t.me/tribute/app?startapp=${id}`,
+    tributeSubscriptionId,
+  };
+}
+
+function subscriptionBody(subscriptionId) {
+  return Buffer.from(
+    JSON.stringify({
+      name: 'new_subscription',
+      created_at: '2025-06-15T11:00:00.000Z',
+      sent_at: '2025-06-15T11:00:01.000Z',
+      payload: {
+        subscription_id: subscriptionId,
+        period: 'monthly',
+        price: 1000,
+        amount: 1000,
+        currency: 'eur',
+        telegram_user_id: 555,
+        expires_at: '2025-07-15T11:00:00.000Z',
+      },
+    }),
+  );
+}
+
+function buildRouter() {
+  const studioStore = new InMemorySubscriptionStore();
+  const academyStore = new InMemorySubscriptionStore();
+  const router = new TributeAccountRouter({
+    logger: silentLogger,
+    accounts: {
+      studio: { plans: [plan('studio-monthly', 100)], apiKey: 'studio-key', store: studioStore, intentPolicy: 'optional' },
+      academy: new TributeSubscriptionManager({
+        plans: [plan('academy-monthly', 200)],
+        apiKey: 'academy-key',
+        store: academyStore,
+        intentPolicy: 'optional',
+        logger: silentLogger,
+      }),
+    },
+  });
+  return { router, studioStore, academyStore };
+}
+
+test('router dispatches webhooks to the account whose key signed them', async () => {
+  const { router, studioStore, academyStore } = buildRouter();
+  const events = [];
+  router.on('subscription.created', (result, account) => events.push([account, result.subscription.planId]));
+
+  assert.deepEqual(router.listAccounts(), ['studio', 'academy']);
+
+  const academyBody = subscriptionBody(200);
+  assert.equal(router.resolveAccount(academyBody, sign(academyBody, 'academy-key'))?.name, 'academy');
+  const result = await router.handleWebhook(academyBody, sign(academyBody, 'academy-key'));
+  assert.equal(result.subscription.planId, 'academy-monthly');
+  assert.equal(academyStore.subscriptions.size, 1);
+  assert.equal(studioStore.subscriptions.size, 0);
+
+  const studioBody = subscriptionBody(100);
+  await router.handleWebhook(studioBody, sign(studioBody, 'studio-key'));
+  assert.equal(studioStore.subscriptions.size, 1);
+  assert.deepEqual(events, [
+    ['academy', 'academy-monthly'],
+    ['studio', 'studio-monthly'],
+  ]);
+
+  await assert.rejects(() => router.handleWebhook(studioBody, sign(studioBody, 'other-key')), TributeSignatureError);
+  assert.equal(router.getManager('studio').plans[0].id, 'studio-monthly');
+  assert.throws(() => router.getManager('missing'), TributeAccountNotFoundError);
+
+  const handler = createFetchHandler(router);
+  const response = await handler(
+    new Request('https://example.com/webhooks/tribute', {
+      method: 'POST',
+      body: studioBody,
+      headers: { 'trbt-signature': sign(studioBody, 'academy-key') },
+    }),
+  );
+  // signed by another account's key: stays inside the academy store and does not match its plans
+  assert.equal(response.status, 500);
+  assert.equal(studioStore.subscriptions.size, 1);
+});
+
+test('router rejects accounts that share an API key', () => {
+  assert.throws(
+    () =>
+      new TributeAccountRouter({
+        logger: silentLogger,
+        accounts: {
+          one: { plans: [plan('a', 1)], apiKey: 'same', store: new InMemorySubscriptionStore() },
+          two: { plans: [plan('b', 2)], apiKeys: ['other', 'same'], store: new InMemorySubscriptionStore() },
+        },
+      }),
+    /share an API key/,
+  );
+  assert.throws(() => new TributeAccountRouter({ accounts: {} }), TributeConfigurationError);
+});
+
+test('createTributeConfig builds account sections from overrides and env', () => {
+  const config = createTributeConfig(
+    {
+      intentTtlMinutes: 5,
+      accounts: {
+        studio: { plans: [plan('studio-monthly', 100)], apiKey: 'studio-key' },
+        academy: { plans: [plan('academy-monthly', 200)], apiKey: 'academy-key', intentTtlMinutes: 30 },
+      },
+    },
+    { env: { TRIBUTE_API_KEY: 'global-key', TRIBUTE_INTENT_POLICY: 'optional' } },
+  );
+  assert.deepEqual(Object.keys(config.accounts), ['studio', 'academy']);
+  assert.equal(config.accounts.studio.apiKey, 'studio-key');
+  assert.equal(config.accounts.studio.apiKeys.length, 1);
+  assert.equal(config.accounts.studio.intentTtlMs, 5 * 60 * 1000);
+  assert.equal(config.accounts.academy.intentTtlMs, 30 * 60 * 1000);
+  assert.equal(config.accounts.academy.intentPolicy, 'optional');
+
+  const fromEnv = createTributeConfig(
+    {},
+    {
+      env: {
+        TRIBUTE_ACCOUNTS: 'studio, night-school',
+        TRIBUTE_SIGNATURE_ENCODING: 'base64',
+        TRIBUTE_ACCOUNT_STUDIO_API_KEY: 'studio-key',
+        TRIBUTE_ACCOUNT_STUDIO_PLANS: JSON.stringify([plan('studio-monthly', 100)]),
+        TRIBUTE_ACCOUNT_NIGHT_SCHOOL_API_KEY: 'night-key',
+        TRIBUTE_ACCOUNT_NIGHT_SCHOOL_PLANS: JSON.stringify([plan('night-monthly', 300)]),
+        TRIBUTE_ACCOUNT_NIGHT_SCHOOL_SIGNATURE_ENCODING: 'hex',
+      },
+    },
+  );
+  assert.equal(fromEnv.accounts['night-school'].plans[0].id, 'night-monthly');
+  assert.equal(fromEnv.accounts['night-school'].signatureEncoding, 'hex');
+  assert.equal(fromEnv.accounts.studio.signatureEncoding, 'base64');
+
+  assert.throws(
+    () =>
+      createTributeConfig(
+        {},
+        { env: { TRIBUTE_ACCOUNTS: 'studio', TRIBUTE_API_KEY: 'global-key', TRIBUTE_PLANS: JSON.stringify([plan('x', 1)]) } },
+      ),
+    /Account "studio": No subscription plans defined/,
+  );
+});
+
+test('createTributeConfig rejects account names that map to the same env prefix', () => {
+  const accountsConfig = (accounts) => ({
+    accounts: Object.fromEntries(accounts.map((name, index) => [name, { plans: [plan(name, index + 1)], apiKey: `${name}-key` }])),
+  });
+  assert.throws(
+    () => createTributeConfig(accountsConfig(['eu-shop', 'eu_shop']), { env: {} }),
+    (error) =>
+      error instanceof TributeConfigurationError &&
+      error.message.includes('"eu-shop" and "eu_shop"') &&
+      error.message.includes('TRIBUTE_ACCOUNT_EU_SHOP_'),
+  );
+  assert.throws(
+    () => createTributeConfig({}, { env: { TRIBUTE_ACCOUNTS: 'Studio,studio' } }),
+    /Accounts "Studio" and "studio" share the environment prefix TRIBUTE_ACCOUNT_STUDIO_/,
+  );
+});
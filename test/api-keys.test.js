@@ -0,0 +1,119 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import {
+  TributeSubscriptionManager,
+  InMemorySubscriptionStore,
+  TributeConfigurationError,
+  TributeSignatureError,
+  createTributeConfig,
+  matchTributeSignature,
+} from '../src/index.js';
+
+const NEW_KEY = 'new-secret';
+const OLD_KEY = 'old-secret';
+const NOW = new Date('2025-06-15T12:00:00Z');
+const silentLogger = { debug() {}, info() {}, warn() {}, error() {} };
+
+function sign(body, key) {
+  return crypto.createHmac('sha256', key).update(body).digest('hex');
+}
+
+const plans = [
+  {
+    id: 'monthly',
+    title: 'Monthly',
+    amount: 1000,
+    currency: 'eur',
+    period: 'monthly',
+    subscriptionLink: 'https://t.me/tribute/app?startapp=monthly',
+    tributeSubscriptionId: 1644,
+  },
+];
+
+function donationBody(donationRequestId) {
+  return Buffer.from(
+    JSON.stringify({
+      name: 'new_donation',
+      created_at: '2025-06-15T11:00:00.000Z',
+      sent_at: '2025-06-15T11:00:01.000Z',
+      payload: { donation_request_id: donationRequestId, telegram_user_id: 555, amount: 100, currency: 'eur', period: 'once' },
+    }),
+  );
+}
+
+test('manager accepts any configured key until it expires and reports which one matched', async () => {
+  const store = new InMemorySubscriptionStore();
+  let now = NOW;
+  const manager = new TributeSubscriptionManager({
+    plans,
+    store,
+    logger: silentLogger,
+    apiKeys: [
+      { key: NEW_KEY, id: 'current' },
+      { key: OLD_KEY, id: 'previous', expiresAt: '2025-06-16T00:00:00Z' },
+    ],
+    clock: { now: () => now },
+  });
+  assert.equal(manager.apiKey, NEW_KEY);
+
+  const first = donationBody(1);
+  const viaNew = await manager.handleWebhook(first, sign(first, NEW_KEY));
+  assert.equal(viaNew.context.apiKeyId, 'current');
+
+  now = new Date(NOW.getTime() + 1000);
+  const second = donationBody(2);
+  const viaOld = await manager.handleWebhook(second, sign(second, OLD_KEY));
+  assert.equal(viaOld.context.apiKeyId, 'previous');
+  const [record] = await manager.listWebhookEvents({ limit: 1 });
+  assert.equal(record.apiKeyId, 'previous');
+
+  now = new Date('2025-06-16T00:00:00Z');
+  const third = donationBody(3);
+  await assert.rejects(() => manager.handleWebhook(third, sign(third, OLD_KEY)), TributeSignatureError);
+  await assert.rejects(() => manager.handleWebhook(third, sign(third, 'unknown')), TributeSignatureError);
+});
+
+test('matchTributeSignature skips expired keys and falls back to fingerprints for ids', () => {
+  const body = Buffer.from('{}');
+  const config = createTributeConfig({ plans, apiKey: NEW_KEY, apiKeys: [OLD_KEY] }, { env: {} });
+
+  assert.deepEqual(
+    config.apiKeys.map(({ key }) => key),
+    [NEW_KEY, OLD_KEY],
+  );
+  assert.match(config.apiKeys[1].id, /^[0-9a-f]{12}$/);
+  assert.equal(matchTributeSignature(body, sign(body, OLD_KEY), config.apiKeys)?.key, OLD_KEY);
+  assert.equal(matchTributeSignature(body, undefined, config.apiKeys), undefined);
+
+  const expired = [{ ...config.apiKeys[1], expiresAt: new Date(NOW.getTime() - 1) }];
+  assert.equal(matchTributeSignature(body, sign(body, OLD_KEY), expired, { now: NOW }), undefined);
+});
+
+test('createTributeConfig reads TRIBUTE_API_KEYS as a list or JSON', () => {
+  const base = { TRIBUTE_PLANS: JSON.stringify(plans) };
+
+  const fromList = createTributeConfig({}, { env: { ...base, TRIBUTE_API_KEYS: `${NEW_KEY}, ${OLD_KEY}@2025-07-01T00:00:00Z` } });
+  assert.equal(fromList.apiKey, NEW_KEY);
+  assert.equal(fromList.apiKeys[1].key, OLD_KEY);
+  assert.equal(fromList.apiKeys[1].expiresAt.toISOString(), '2025-07-01T00:00:00.000Z');
+
+  const fromJson = createTributeConfig(
+    {},
+    { env: { ...base, TRIBUTE_API_KEY: NEW_KEY, TRIBUTE_API_KEYS: JSON.stringify([{ key: OLD_KEY, id: 'old' }]) } },
+  );
+  assert.deepEqual(
+    fromJson.apiKeys.map(({ id, key }) => [id === 'old' ? id : 'fingerprint', key]),
+    [['fingerprint', NEW_KEY], ['old', OLD_KEY]],
+  );
+
+  assert.throws(() => createTributeConfig({}, { env: base }), /TRIBUTE_API_KEYS/);
+  assert.throws(
+    () => createTributeConfig({}, { env: { ...base, TRIBUTE_API_KEYS: `${OLD_KEY}@not-a-date` } }),
+    TributeConfigurationError,
+  );
+  assert.throws(
+    () => new TributeSubscriptionManager({ plans, store: new InMemorySubscriptionStore(), apiKeys: [] }),
+    /API key is required/,
+  );
+});
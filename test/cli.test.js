@@ -0,0 +1,239 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import http from 'node:http';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import { fileURLToPath } from 'node:url';
+import { runCli } from '../src/cli.js';
+import {
+  TributeSubscriptionManager,
+  FileSubscriptionStore,
+  InMemorySubscriptionStore,
+  createNodeHttpHandler,
+  verifyTributeSignature,
+} from '../src/index.js';
+import { buildNewDonationEvent, buildNewSubscriptionEvent, signEvent } from '../src/testing/index.js';
+
+const SECRET = 'test-secret';
+const silentLogger = { debug() {}, info() {}, warn() {}, error() {} };
+const BIN = fileURLToPath(new URL('../bin/tribute.js', import.meta.url));
+
+const plans = [
+  {
+    id: 'monthly',
+    title: 'Monthly',
+    amount: 1000,
+    currency: 'eur',
+    period: 'monthly',
+    subscriptionLink: 'https://t.me/tribute/app?startapp=monthly',
+    tributeSubscriptionId: 1644,
+  },
+];
+
+async function createTempDir(t) {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'tribute-cli-'));
+  t.after(() => fs.rm(directory, { recursive: true, force: true }));
+  return directory;
+}
+
+async function run(argv, env = {}, io = {}) {
+  let stdout = '';
+  let stderr = '';
+  const code = await runCli(argv, {
+    env,
+    stdout: { write: (chunk) => (stdout += chunk) },
+    stderr: { write: (chunk) => (stderr += chunk) },
+    ...io,
+  });
+  return { code, stdout, stderr };
+}
+
+test('plans validate reports loaded plans and configuration errors', async (t) => {
+  const directory = await createTempDir(t);
+  const plansFile = path.join(directory, 'plans.json');
+  await fs.writeFile(plansFile, JSON.stringify(plans));
+
+  const ok = await run(['plans', 'validate'], { TRIBUTE_PLANS_FILE: plansFile });
+  assert.equal(ok.code, 0);
+  assert.match(ok.stdout, /OK: 1 plan\(s\): monthly/);
+
+  const broken = await run(['plans', 'validate'], { TRIBUTE_PLANS: JSON.stringify([{ ...plans[0], amount: 0 }]) });
+  assert.equal(broken.code, 1);
+  assert.match(broken.stderr, /Configuration error: Plan monthly in TRIBUTE_PLANS must define positive numeric "amount"/);
+
+  const missingFile = await run(['plans', 'validate', '--file', plansFile.replace('plans.json', 'missing.json')], {});
+  assert.equal(missingFile.code, 1);
+  assert.match(missingFile.stderr, /Plans file not found/);
+
+  const accounts = await run(['plans', 'validate'], {
+    TRIBUTE_ACCOUNTS: 'studio,academy',
+    TRIBUTE_ACCOUNT_STUDIO_PLANS_FILE: plansFile,
+    TRIBUTE_ACCOUNT_ACADEMY_PLANS: JSON.stringify([{ ...plans[0], id: 'academy' }]),
+  });
+  assert.equal(accounts.code, 0);
+  assert.match(accounts.stdout, /OK: studio: 1 plan\(s\): monthly\nOK: academy: 1 plan\(s\): academy/);
+
+  const tiers = [
+    { ...plans[0], id: 'basic', amount: 500, tributeSubscriptionId: undefined },
+    { ...plans[0], id: 'pro', amount: 1500, tributeSubscriptionId: undefined },
+  ];
+  const crossMatch = await run(['plans', 'validate'], { TRIBUTE_PLANS: JSON.stringify(tiers) });
+  assert.equal(crossMatch.code, 0);
+  assert.match(crossMatch.stdout, /OK: 2 plan\(s\): basic, pro/);
+  assert.match(crossMatch.stderr, /WARN: plans "basic" and "pro" differ only by amount/);
+
+  const usage = await run(['plans', 'check'], {});
+  assert.equal(usage.code, 2);
+  assert.match(usage.stderr, /Unknown command: plans check/);
+});
+
+test('sign prints the signature of the exact file bytes', async (t) => {
+  const directory = await createTempDir(t);
+  const file = path.join(directory, 'event.json');
+  const body = `${JSON.stringify(buildNewSubscriptionEvent(), null, 2)}\n`;
+  await fs.writeFile(file, body);
+
+  const { code, stdout } = await run(['sign', file], { TRIBUTE_API_KEY: SECRET });
+  assert.equal(code, 0);
+  assert.ok(verifyTributeSignature(Buffer.from(body), stdout.trim(), SECRET));
+
+  const base64 = await run(['sign', file, '--api-key', 'other', '--encoding=base64'], {});
+  assert.ok(verifyTributeSignature(Buffer.from(body), base64.stdout.trim(), 'other', 'base64'));
+
+  const missingKey = await run(['sign', file], {});
+  assert.equal(missingKey.code, 2);
+  assert.match(missingKey.stderr, /API key is required/);
+
+  const viaBin = await promisify(execFile)(process.execPath, [BIN, 'sign', file], {
+    env: { ...process.env, TRIBUTE_API_KEY: SECRET },
+    timeout: 10000,
+  });
+  assert.equal(viaBin.stdout, stdout);
+});
+
+test('send posts the signed file and exits with 1 on rejection', async (t) => {
+  const directory = await createTempDir(t);
+  const manager = new TributeSubscriptionManager({
+    plans,
+    apiKey: SECRET,
+    store: new InMemorySubscriptionStore(),
+    logger: silentLogger,
+  });
+  const server = http.createServer(createNodeHttpHandler(manager));
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+  const url = `http://127.0.0.1:${server.address().port}/webhooks/tribute`;
+  const file = path.join(directory, 'donation.json');
+  await fs.writeFile(file, JSON.stringify(buildNewDonationEvent()));
+
+  const sent = await run(['send', file, '--url', url], { TRIBUTE_API_KEY: SECRET });
+  assert.equal(sent.code, 0);
+  assert.match(sent.stdout, /^200 OK\n\{"ok":true\}/);
+  assert.equal(manager.store.payments.length, 1);
+
+  const rejected = await run(['send', file, '--url', url, '--api-key', 'wrong'], {});
+  assert.equal(rejected.code, 1);
+  assert.match(rejected.stdout, /^401 /);
+});
+
+test('payments export dumps the store as JSON or CSV', async (t) => {
+  const directory = await createTempDir(t);
+  const store = new FileSubscriptionStore({ directory, fsync: false });
+  const manager = new TributeSubscriptionManager({ plans, apiKey: SECRET, store, logger: silentLogger });
+  for (const [id, createdAt] of [
+    [1, '2025-03-01T00:00:00Z'],
+    [2, '2025-04-01T00:00:00Z'],
+  ]) {
+    const { body, signature } = signEvent(
+      buildNewDonationEvent({ donation_request_id: id }, { createdAt }),
+      SECRET,
+    );
+    await manager.handleWebhook(body, signature);
+  }
+  await store.close();
+  const env = { TRIBUTE_API_KEY: SECRET, TRIBUTE_PLANS: JSON.stringify(plans) };
+
+  const json = await run(['payments', 'export', '--store-dir', directory, '--since', '2025-03-15'], env);
+  assert.equal(json.code, 0, json.stderr);
+  const payments = JSON.parse(json.stdout);
+  assert.deepEqual(
+    payments.map((payment) => [payment.kind, payment.donationRequestId]),
+    [['donation', 2]],
+  );
+
+  const csv = await run(['payments', 'export', '--store-dir', directory, '--format', 'csv', '--kind', 'donation'], env);
+  assert.equal(csv.code, 0, csv.stderr);
+  const [header, ...rows] = csv.stdout.trim().split('\n');
+  assert.equal(header.split(',')[0], 'paidAt');
+  assert.equal(rows.length, 2);
+  assert.ok(rows.every((row) => row.includes(',donation,')));
+
+  const noStore = await run(['payments', 'export'], env);
+  assert.equal(noStore.code, 2);
+  assert.match(noStore.stderr, /--store-dir/);
+});
+
+test('payments export reads the store directory without modifying it', async (t) => {
+  const directory = await createTempDir(t);
+  const store = new FileSubscriptionStore({ directory, fsync: false });
+  const manager = new TributeSubscriptionManager({ plans, apiKey: SECRET, store, logger: silentLogger });
+  const { body, signature } = signEvent(buildNewDonationEvent({ donation_request_id: 1 }), SECRET);
+  await manager.handleWebhook(body, signature);
+  await store.close();
+  // the bot is mid-append: the last journal line has no newline yet
+  const journalPath = path.join(directory, 'journal.ndjson');
+  await fs.appendFile(journalPath, '{"seq":99,"op":"payment.add","value":{"kind"');
+  const before = await Promise.all([fs.readdir(directory), fs.readFile(journalPath)]);
+  const env = { TRIBUTE_API_KEY: SECRET, TRIBUTE_PLANS: JSON.stringify(plans) };
+
+  const exported = await run(['payments', 'export', '--store-dir', directory], env);
+  assert.equal(exported.code, 0, exported.stderr);
+  assert.deepEqual(JSON.parse(exported.stdout).map(({ donationRequestId }) => donationRequestId), [1]);
+  assert.deepEqual(await Promise.all([fs.readdir(directory), fs.readFile(journalPath)]), before);
+
+  const missing = path.join(directory, 'typo');
+  const mistyped = await run(['payments', 'export', '--store-dir', missing], env);
+  assert.equal(mistyped.code, 1);
+  assert.match(mistyped.stderr, /does not exist/);
+  await assert.rejects(() => fs.stat(missing), { code: 'ENOENT' });
+});
+
+test('payments totals sums the store by gross or net amount', async (t) => {
+  const directory = await createTempDir(t);
+  const store = new FileSubscriptionStore({ directory, fsync: false });
+  const manager = new TributeSubscriptionManager({
+    plans,
+    apiKey: SECRET,
+    store,
+    logger: silentLogger,
+    intentPolicy: 'optional',
+  });
+  const { body, signature } = signEvent(buildNewSubscriptionEvent({ price: 1000, amount: 700 }), SECRET);
+  await manager.handleWebhook(body, signature);
+  await store.close();
+  const env = { TRIBUTE_API_KEY: SECRET, TRIBUTE_PLANS: JSON.stringify(plans) };
+
+  const gross = await run(['payments', 'totals', '--store-dir', directory], env);
+  assert.equal(gross.code, 0, gross.stderr);
+  assert.deepEqual(JSON.parse(gross.stdout), { basis: 'gross', count: 1, totals: [{ currency: 'eur', count: 1, amount: 1000 }] });
+
+  const net = await run(['payments', 'totals', '--store-dir', directory, '--basis', 'net', '--format', 'csv'], env);
+  assert.equal(net.code, 0, net.stderr);
+  assert.equal(net.stdout, 'currency,count,amount\neur,1,700\n');
+
+  const csv = await run(['payments', 'export', '--store-dir', directory, '--format', 'csv'], env);
+  const [header, row] = csv.stdout.trim().split('\n');
+  const columns = header.split(',');
+  const values = row.split(',');
+  assert.deepEqual(
+    ['grossAmount', 'netAmount', 'fee'].map((column) => values[columns.indexOf(column)]),
+    ['1000', '700', '300'],
+  );
+
+  const invalid = await run(['payments', 'totals', '--store-dir', directory, '--basis', 'fee'], env);
+  assert.equal(invalid.code, 2);
+  assert.match(invalid.stderr, /--basis must be one of gross, net/);
+});
@@ -0,0 +1,125 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  TributeSubscriptionManager,
+  InMemorySubscriptionStore,
+  TributeError,
+  TributeIntentNotFoundError,
+  TributePayloadTooLargeError,
+  TributePayloadValidationError,
+  TributeProcessingError,
+  TributeSignatureError,
+  TributeWebhookEventNotFoundError,
+  mapWebhookError,
+} from '../src/index.js';
+import { buildNewDonationEvent, buildNewSubscriptionEvent, signEvent } from '../src/testing/index.js';
+
+const SECRET = 'test-secret';
+const silentLogger = { debug() {}, info() {}, warn() {}, error() {} };
+
+const plans = [
+  {
+    id: 'monthly',
+    title: 'Monthly',
+    amount: 1000,
+    currency: 'eur',
+    period: 'monthly',
+    subscriptionLink: 'https://t.me/tribute/app?startapp=monthly',
+    tributeSubscriptionId: 1644,
+  },
+];
+
+test('library errors share code, httpStatus and retryable', () => {
+  const signature = new TributeSignatureError();
+  assert.ok(signature instanceof TributeError);
+  assert.deepEqual([signature.code, signature.httpStatus, signature.retryable], ['invalid_signature', 401, false]);
+
+  const intent = new TributeIntentNotFoundError(1, 'monthly');
+  assert.deepEqual([intent.code, intent.httpStatus, intent.retryable], ['intent_not_found', 404, true]);
+
+  const validation = new TributePayloadValidationError('new_donation', [{ field: 'payload.amount', message: 'is required' }]);
+  assert.deepEqual([validation.code, validation.httpStatus, validation.retryable], ['payload_validation_failed', 400, false]);
+
+  const cause = new Error('connection reset');
+  const processing = new TributeProcessingError('inbox', cause);
+  assert.equal(processing.cause, cause);
+  assert.equal(processing.stage, 'inbox');
+  assert.equal(processing.message, 'Tribute webhook processing failed in inbox: connection reset');
+  assert.deepEqual([processing.code, processing.httpStatus, processing.retryable], ['processing_failed', 500, true]);
+});
+
+test('handleWebhook wraps store and publisher failures in TributeProcessingError', async () => {
+  const cause = new Error('connection reset');
+  const store = new InMemorySubscriptionStore();
+  store.recordPayment = async () => {
+    throw cause;
+  };
+  const manager = new TributeSubscriptionManager({ plans, apiKey: SECRET, store, logger: silentLogger });
+  const donation = signEvent(buildNewDonationEvent(), SECRET);
+
+  const error = await manager.handleWebhook(donation.body, donation.signature).then(
+    () => assert.fail('expected processing error'),
+    (rejection) => rejection,
+  );
+  assert.ok(error instanceof TributeProcessingError);
+  assert.equal(error.stage, 'handler');
+  assert.equal(error.cause, cause);
+  const [record] = await manager.listWebhookEvents({ limit: 1 });
+  assert.equal(record.status, 'failed');
+  assert.equal(record.error.name, 'TributeProcessingError');
+
+  const inboxStore = new InMemorySubscriptionStore();
+  inboxStore.saveWebhookEvent = async () => {
+    throw cause;
+  };
+  const inboxManager = new TributeSubscriptionManager({ plans, apiKey: SECRET, store: inboxStore, logger: silentLogger });
+  await assert.rejects(
+    () => inboxManager.handleWebhook(donation.body, donation.signature),
+    (rejection) => rejection instanceof TributeProcessingError && rejection.stage === 'inbox' && rejection.cause === cause,
+  );
+
+  const publisherManager = new TributeSubscriptionManager({
+    plans,
+    apiKey: SECRET,
+    store: new InMemorySubscriptionStore(),
+    logger: silentLogger,
+    intentPolicy: 'optional',
+    eventPublisher: async () => {
+      throw new Error('queue offline');
+    },
+    eventPublisherFailureMode: 'throw',
+  });
+  const subscription = signEvent(buildNewSubscriptionEvent(), SECRET);
+  await assert.rejects(
+    () => publisherManager.handleWebhook(subscription.body, subscription.signature),
+    (rejection) =>
+      rejection instanceof TributeProcessingError && rejection.stage === 'publisher' && /queue offline/.test(rejection.message),
+  );
+
+  const strictManager = new TributeSubscriptionManager({ plans, apiKey: SECRET, store: new InMemorySubscriptionStore(), logger: silentLogger });
+  await assert.rejects(
+    () => strictManager.handleWebhook(subscription.body, subscription.signature),
+    TributeIntentNotFoundError,
+  );
+});
+
+test('mapWebhookError answers by retryability', () => {
+  assert.deepEqual(mapWebhookError(new TributeProcessingError('handler', new Error('down'))), {
+    status: 500,
+    body: { ok: false, error: 'internal error' },
+  });
+  assert.equal(mapWebhookError(new TributeIntentNotFoundError(1, 'monthly')).status, 500);
+  assert.deepEqual(mapWebhookError(new TributeWebhookEventNotFoundError('evt-1')), {
+    status: 404,
+    body: { ok: false, error: 'webhook_event_not_found' },
+  });
+  assert.deepEqual(mapWebhookError(new TributeSignatureError()), {
+    status: 401,
+    body: { ok: false, error: 'invalid signature' },
+  });
+  const tooLarge = new TributePayloadTooLargeError(1024);
+  assert.ok(tooLarge instanceof TributeError);
+  assert.deepEqual([tooLarge.code, tooLarge.httpStatus, tooLarge.limit], ['payload_too_large', 413, 1024]);
+  assert.deepEqual(mapWebhookError(tooLarge), { status: 413, body: { ok: false, error: 'payload too large' } });
+  assert.equal(mapWebhookError(new Error('boom')).status, 500);
+});
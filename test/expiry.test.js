@@ -0,0 +1,213 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import {
+  TributeSubscriptionManager,
+  InMemorySubscriptionStore,
+  TributeConfigurationError,
+  createTributeConfig,
+} from '../src/index.js';
+
+const SECRET = 'test-secret';
+const silentLogger = { debug() {}, info() {}, warn() {}, error() {} };
+const DAY_MS = 24 * 60 * 60 * 1000;
+const START = new Date('2025-06-01T00:00:00Z');
+
+function sign(body) {
+  return crypto.createHmac('sha256', SECRET).update(body).digest('hex');
+}
+
+const plans = [
+  {
+    id: 'monthly',
+    title: 'Monthly',
+    amount: 1000,
+    currency: 'eur',
+    period: 'monthly',
+    subscriptionLink: 'https://t.me/tribute/app?startapp=monthly',
+    tributeSubscriptionId: 1644,
+  },
+];
+
+/**
+ * Manual clock: time only moves with `advance`, timers fire when their time is reached.
+ */
+function createFakeClock(start = START) {
+  let now = start.getTime();
+  let timers = [];
+  return {
+    now: () => new Date(now),
+    setTimeout(callback, ms) {
+      const timer = { at: now + ms, callback };
+      timers.push(timer);
+      return timer;
+    },
+    clearTimeout(timer) {
+      timers = timers.filter((candidate) => candidate !== timer);
+    },
+    get pendingTimers() {
+      return timers.length;
+    },
+    async advance(ms) {
+      now += ms;
+      const due = timers.filter((timer) => timer.at <= now);
+      timers = timers.filter((timer) => timer.at > now);
+      for (const timer of due) {
+        timer.callback();
+      }
+      // let the scheduled async run settle
+      await new Promise((resolve) => setImmediate(resolve));
+    },
+  };
+}
+
+function subscription(overrides) {
+  return {
+    planId: 'monthly',
+    tributeSubscriptionId: 1644,
+    tributePeriodId: 1,
+    telegramUserId: 42,
+    userId: null,
+    amount: 1000,
+    currency: 'eur',
+    period: 'monthly',
+    status: 'active',
+    createdAt: new Date(START.getTime() - 25 * DAY_MS),
+    lastEventAt: new Date(START.getTime() - 25 * DAY_MS),
+    expiresAt: new Date(START.getTime() + 5 * DAY_MS),
+    cancelledAt: null,
+    cancelReason: null,
+    metadata: {},
+    ...overrides,
+  };
+}
+
+function createManager(store, clock, options = {}) {
+  return new TributeSubscriptionManager({ plans, apiKey: SECRET, store, logger: silentLogger, clock, ...options });
+}
+
+test('runExpiryCheck emits expiring once per period and expires ended subscriptions', async () => {
+  const store = new InMemorySubscriptionStore();
+  const clock = createFakeClock();
+  const published = [];
+  const manager = createManager(store, clock, { eventPublisher: (event) => published.push(event) });
+  const expiring = [];
+  const expired = [];
+  manager.on('subscription.expiring', (result) => expiring.push(result));
+  manager.on('subscription.expired', (result) => expired.push(result));
+  await store.upsertSubscription(subscription());
+  await store.upsertSubscription(
+    subscription({ tributeSubscriptionId: 1700, telegramUserId: 43, expiresAt: new Date(START.getTime() + 60 * DAY_MS) }),
+  );
+
+  assert.deepEqual(await manager.runExpiryCheck(), { expired: [], expiring: [] });
+
+  await clock.advance(3 * DAY_MS);
+  const first = await manager.runExpiryCheck();
+  assert.equal(first.expiring.length, 1);
+  assert.equal(first.expiring[0].context.daysLeft, 2);
+  assert.equal(expiring[0].subscription.tributeSubscriptionId, 1644);
+  assert.equal(store.subscriptions.get(1644).expiringNoticeFor.getTime(), START.getTime() + 5 * DAY_MS);
+
+  await clock.advance(DAY_MS);
+  assert.deepEqual(await manager.runExpiryCheck(), { expired: [], expiring: [] }, 'notice is not repeated');
+
+  await clock.advance(DAY_MS + 60 * 60 * 1000);
+  const second = await manager.runExpiryCheck();
+  assert.equal(second.expired.length, 1);
+  assert.equal(expired[0].subscription.status, 'expired');
+  assert.equal(expired[0].context.previousSubscription.status, 'active');
+  assert.equal(store.subscriptions.get(1644).status, 'expired');
+  assert.equal(store.subscriptions.get(1644).expiredAt.getTime(), clock.now().getTime());
+  assert.equal(await manager.hasActiveAccess({ telegramUserId: 42 }), false);
+  assert.equal(store.subscriptions.get(1700).status, 'active');
+  assert.deepEqual(
+    published.map((event) => event.type),
+    ['expiring', 'expired'],
+  );
+
+  assert.deepEqual(await manager.runExpiryCheck(), { expired: [], expiring: [] });
+});
+
+test('expiry respects grace period and cancelled subscriptions, renewal reactivates', async () => {
+  const store = new InMemorySubscriptionStore();
+  const clock = createFakeClock();
+  const manager = createManager(store, clock, { accessGracePeriodMs: 2 * DAY_MS, expiringNoticeDays: 0 });
+  await store.upsertSubscription(
+    subscription({ status: 'cancelled', cancelledAt: START, cancelReason: 'user' }),
+  );
+
+  await clock.advance(6 * DAY_MS);
+  const inGrace = await manager.runExpiryCheck();
+  assert.deepEqual(inGrace, { expired: [], expiring: [] }, 'no notices and still within grace period');
+
+  await clock.advance(DAY_MS + 60 * 60 * 1000);
+  const { expired } = await manager.runExpiryCheck();
+  assert.equal(expired.length, 1);
+  assert.equal(expired[0].subscription.cancelReason, 'user');
+
+  // renewal webhook sent before the expiry run still applies
+  const sentAt = new Date(START.getTime() + DAY_MS).toISOString();
+  const body = Buffer.from(
+    JSON.stringify({
+      name: 'new_subscription',
+      created_at: sentAt,
+      sent_at: sentAt,
+      payload: {
+        subscription_id: 1644,
+        period_id: 1,
+        period: 'monthly',
+        price: 1000,
+        amount: 1000,
+        currency: 'eur',
+        telegram_user_id: 42,
+        expires_at: new Date(START.getTime() + 35 * DAY_MS).toISOString(),
+      },
+    }),
+  );
+  const renewed = await manager.handleWebhook(body, sign(body));
+  assert.equal(renewed?.type, 'renewed');
+  assert.equal(store.subscriptions.get(1644).status, 'active');
+  assert.equal(store.subscriptions.get(1644).expiredAt, undefined);
+  assert.equal(await manager.hasActiveAccess({ telegramUserId: 42 }), true);
+});
+
+test('expiry scheduler runs on the injected clock until stopped', async () => {
+  const store = new InMemorySubscriptionStore();
+  const clock = createFakeClock();
+  const manager = createManager(store, clock, { expiryCheckIntervalMs: DAY_MS });
+  const expired = [];
+  manager.on('subscription.expired', (result) => expired.push(result));
+  await store.upsertSubscription(subscription());
+
+  manager.startExpiryScheduler();
+  manager.startExpiryScheduler();
+  assert.equal(clock.pendingTimers, 1);
+  await clock.advance(0);
+  assert.equal(clock.pendingTimers, 1, 'next run is scheduled after the first one');
+
+  await clock.advance(5 * DAY_MS + 60 * 60 * 1000);
+  assert.equal(expired.length, 1);
+
+  manager.stopExpiryScheduler();
+  assert.equal(clock.pendingTimers, 0);
+});
+
+test('expiry settings are validated and configurable', () => {
+  const store = new InMemorySubscriptionStore();
+  assert.throws(() => createManager(store, { now: 'soon' }), TributeConfigurationError);
+  assert.throws(() => createManager(store, undefined, { expiringNoticeDays: -1 }), TributeConfigurationError);
+  assert.throws(() => createManager(store, undefined, { expiryCheckIntervalMs: 0 }), TributeConfigurationError);
+
+  const env = {
+    TRIBUTE_PLANS: JSON.stringify(plans),
+    TRIBUTE_API_KEY: SECRET,
+    TRIBUTE_EXPIRING_NOTICE_DAYS: '7',
+    TRIBUTE_EXPIRY_CHECK_INTERVAL_MINUTES: '10',
+  };
+  const config = createTributeConfig({}, { env });
+  assert.equal(config.expiringNoticeDays, 7);
+  assert.equal(config.expiryCheckIntervalMs, 10 * 60 * 1000);
+  assert.equal(createTributeConfig({ expiringNoticeDays: 0 }, { env }).expiringNoticeDays, 0);
+  assert.equal(createTributeConfig({}, { env: { ...env, TRIBUTE_EXPIRING_NOTICE_DAYS: '' } }).expiringNoticeDays, 3);
+});
@@ -0,0 +1,146 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { TributeSubscriptionManager, FileSubscriptionStore, TributeConfigurationError } from '../src/index.js';
+
+const SECRET = 'test-secret';
+const silentLogger = { debug() {}, info() {}, warn() {}, error() {} };
+
+function sign(body) {
+  return crypto.createHmac('sha256', SECRET).update(body).digest('hex');
+}
+
+async function createDirectory(t) {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'tribute-store-'));
+  t.after(() => fs.rm(directory, { recursive: true, force: true }));
+  return directory;
+}
+
+function createManager(store, options = {}) {
+  return new TributeSubscriptionManager({
+    plans: [
+      {
+        id: 'monthly',
+        title: 'Monthly',
+        amount: 1000,
+        currency: 'eur',
+        period: 'monthly',
+        subscriptionLink: 'https://t.me/tribute/app?startapp=monthly',
+        tributeSubscriptionId: 1644,
+      },
+    ],
+    apiKey: SECRET,
+    store,
+    logger: silentLogger,
+    ...options,
+  });
+}
+
+function subscriptionBody(createdAt) {
+  return Buffer.from(
+    JSON.stringify({
+      name: 'new_subscription',
+      created_at: createdAt,
+      sent_at: createdAt,
+      payload: {
+        subscription_id: 1644,
+        period_id: 1547,
+        period: 'monthly',
+        price: 1000,
+        amount: 1000,
+        currency: 'eur',
+        telegram_user_id: 42,
+        expires_at: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString(),
+      },
+    })
+  );
+}
+
+test('file store survives restart and keeps duplicate detection working', async (t) => {
+  const directory = await createDirectory(t);
+  const store = new FileSubscriptionStore({ directory });
+  const manager = createManager(store);
+  await manager.createSubscriptionIntent({ planId: 'monthly', telegramUserId: 42 });
+  const body = subscriptionBody(new Date().toISOString());
+  assert.equal((await manager.handleWebhook(body, sign(body)))?.type, 'created');
+  await store.close();
+
+  const reopened = new FileSubscriptionStore({ directory });
+  t.after(() => reopened.close());
+  const subscription = await reopened.getSubscriptionByTributeId(1644);
+  assert(subscription);
+  assert(subscription.lastEventAt instanceof Date);
+  assert(subscription.expiresAt instanceof Date);
+  assert.equal(reopened.intents.size, 0);
+  const payments = await reopened.listPayments();
+  assert.equal(payments.length, 1);
+  assert(payments[0].paidAt instanceof Date);
+
+  const restartedManager = createManager(reopened);
+  assert.equal(await restartedManager.handleWebhook(body, sign(body)), undefined);
+  assert.equal((await reopened.listPayments()).length, 1);
+});
+
+test('file store keeps the missing-intent flag across restart and renewal', async (t) => {
+  const directory = await createDirectory(t);
+  const store = new FileSubscriptionStore({ directory });
+  const manager = createManager(store, { intentPolicy: 'optional' });
+  const body = subscriptionBody(new Date(Date.now() - 60 * 1000).toISOString());
+  assert.equal((await manager.handleWebhook(body, sign(body)))?.subscription.intentStatus, 'missing');
+  await store.close();
+
+  const reopened = new FileSubscriptionStore({ directory });
+  t.after(() => reopened.close());
+  assert.equal((await reopened.getSubscriptionByTributeId(1644))?.intentStatus, 'missing');
+
+  const renewal = subscriptionBody(new Date().toISOString());
+  const renewed = await createManager(reopened).handleWebhook(renewal, sign(renewal));
+  assert.equal(renewed?.type, 'renewed');
+  assert.equal(renewed.subscription.intentStatus, 'missing');
+});
+
+test('read-only file store loads state and refuses writes', async (t) => {
+  const directory = await createDirectory(t);
+  const store = new FileSubscriptionStore({ directory });
+  await store.recordPayment({ kind: 'donation', donationRequestId: 1, telegramUserId: 1, amount: 100, currency: 'usd', paidAt: new Date() });
+  await store.close();
+
+  const reader = new FileSubscriptionStore({ directory, readOnly: true });
+  t.after(() => reader.close());
+  assert.equal((await reader.listPayments()).length, 1);
+  await assert.rejects(
+    () => reader.recordPayment({ kind: 'donation', donationRequestId: 2, telegramUserId: 1, amount: 100, currency: 'usd', paidAt: new Date() }),
+    TributeConfigurationError,
+  );
+  await assert.rejects(() => reader.compact(), TributeConfigurationError);
+  assert.equal((await reader.listPayments()).length, 1);
+});
+
+test('file store discards torn journal tail and compacts without double replay', async (t) => {
+  const directory = await createDirectory(t);
+  const store = new FileSubscriptionStore({ directory, compactEvery: 3 });
+  const paidAt = new Date();
+  for (let index = 0; index < 4; index += 1) {
+    await store.recordPayment({ kind: 'donation', donationRequestId: index, telegramUserId: 1, amount: 100, currency: 'usd', paidAt });
+  }
+  await store.close();
+
+  const snapshot = JSON.parse(await fs.readFile(path.join(directory, 'snapshot.json'), 'utf8'));
+  assert.equal(snapshot.payments.length, 3);
+  await fs.appendFile(path.join(directory, 'journal.ndjson'), '{"seq":99,"op":"payment.add","value":{"kind"');
+
+  const reopened = new FileSubscriptionStore({ directory });
+  t.after(() => reopened.close());
+  const payments = await reopened.listPayments();
+  assert.equal(payments.length, 4);
+  assert.equal(payments[0].paidAt.getTime(), paidAt.getTime());
+  const journal = await fs.readFile(path.join(directory, 'journal.ndjson'), 'utf8');
+  assert(journal.endsWith('\n'));
+
+  await reopened.compact();
+  await reopened.recordPayment({ kind: 'donation', donationRequestId: 5, telegramUserId: 1, amount: 100, currency: 'usd', paidAt });
+  assert.equal((await reopened.listPayments()).length, 5);
+});
@@ -0,0 +1,160 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import {
+  TributeSubscriptionManager,
+  InMemorySubscriptionStore,
+  TributePlanNotFoundError,
+  TributeWebhookEventNotFoundError,
+} from '../src/index.js';
+
+const SECRET = 'test-secret';
+const silentLogger = { debug() {}, info() {}, warn() {}, error() {} };
+
+function sign(body) {
+  return crypto.createHmac('sha256', SECRET).update(body).digest('hex');
+}
+
+const monthlyPlan = {
+  id: 'monthly',
+  title: 'Monthly',
+  amount: 1000,
+  currency: 'eur',
+  period: 'monthly',
+  subscriptionLink: 'https://t.me/tribute/app?startapp=monthly',
+  tributeSubscriptionId: 1644,
+};
+
+const yearlyPlan = {
+  id: 'yearly',
+  title: 'Yearly',
+  amount: 9000,
+  currency: 'eur',
+  period: 'yearly',
+  subscriptionLink: 'https://t.me/tribute/app?startapp=yearly',
+  tributeSubscriptionId: 2001,
+};
+
+function createManager(store, plans, options = {}) {
+  return new TributeSubscriptionManager({ plans, apiKey: SECRET, store, logger: silentLogger, ...options });
+}
+
+function buildYearlySubscriptionBody(sentAt = new Date()) {
+  return Buffer.from(
+    JSON.stringify({
+      name: 'new_subscription',
+      created_at: '2025-03-20T01:15:58.332Z',
+      sent_at: sentAt.toISOString(),
+      payload: {
+        subscription_id: 2001,
+        period_id: 7,
+        period: 'yearly',
+        price: 9000,
+        amount: 9000,
+        currency: 'eur',
+        telegram_user_id: 555,
+        expires_at: '2026-03-20T01:15:58.332Z',
+      },
+    }),
+  );
+}
+
+test('failed webhooks stay in the inbox and can be replayed after config fix', async () => {
+  const store = new InMemorySubscriptionStore();
+  const misconfigured = createManager(store, [monthlyPlan]);
+  const body = buildYearlySubscriptionBody();
+
+  await assert.rejects(() => misconfigured.handleWebhook(body, sign(body)), TributePlanNotFoundError);
+  // Tribute retries the delivery with a newer sent_at
+  const retry = buildYearlySubscriptionBody(new Date(Date.now() + 1000));
+  await assert.rejects(() => misconfigured.handleWebhook(retry, sign(retry)), TributePlanNotFoundError);
+
+  const [failed] = await misconfigured.listWebhookEvents({ status: 'failed' });
+  assert.equal(store.webhookEvents.size, 1, 'retries share one inbox record');
+  assert.equal(failed.name, 'new_subscription');
+  assert.equal(failed.attempts, 2);
+  assert.equal(failed.error.name, 'TributePlanNotFoundError');
+  assert.equal(failed.processedAt, null);
+  assert.equal(failed.event.payload.subscription_id, 2001);
+
+  const fixed = createManager(store, [monthlyPlan, yearlyPlan]);
+  await fixed.createSubscriptionIntent({ planId: 'yearly', telegramUserId: 555 });
+  const replayed = await fixed.replayFailed();
+
+  assert.equal(replayed.length, 1);
+  assert.equal(replayed[0].id, failed.id);
+  assert.equal(replayed[0].status, 'processed');
+  assert.equal(replayed[0].result?.type, 'created');
+  assert.equal(store.subscriptions.get(2001)?.planId, 'yearly');
+  const processed = await store.getWebhookEvent(failed.id);
+  assert.equal(processed.status, 'processed');
+  assert.equal(processed.error, null);
+  assert.equal(processed.attempts, 3);
+  assert(processed.processedAt instanceof Date);
+
+  assert.equal(await fixed.replayEvent(failed.id), undefined);
+  assert.equal((await store.getWebhookEvent(failed.id)).status, 'duplicate');
+  assert.deepEqual(await fixed.replayFailed(), []);
+});
+
+test('replayFailed keeps going when an event still fails', async () => {
+  const store = new InMemorySubscriptionStore();
+  const manager = createManager(store, [monthlyPlan, yearlyPlan]);
+  const body = buildYearlySubscriptionBody();
+
+  // no intent was created, so processing keeps failing
+  await assert.rejects(() => manager.handleWebhook(body, sign(body)));
+  const [result] = await manager.replayFailed();
+
+  assert.equal(result.status, 'failed');
+  assert.equal(result.error?.name, 'TributeIntentNotFoundError');
+  const [record] = await manager.listWebhookEvents();
+  assert.equal(record.status, 'failed');
+  assert.equal(record.attempts, 2);
+});
+
+test('inbox records ignored events and rejects unknown replay ids', async () => {
+  const store = new InMemorySubscriptionStore();
+  const now = new Date('2025-03-20T01:16:00Z');
+  const manager = createManager(store, [monthlyPlan], { allowedWebhookEvents: ['new_subscription'], clock: { now: () => now } });
+  const body = Buffer.from(
+    JSON.stringify({
+      name: 'new_donation',
+      created_at: '2025-03-20T01:15:58.332Z',
+      sent_at: '2025-03-20T01:15:58.542Z',
+      payload: { donation_request_id: 1, telegram_user_id: 555, amount: 100, currency: 'eur' },
+    }),
+  );
+
+  assert.equal(await manager.handleWebhook(body, sign(body)), undefined);
+  const [record] = await manager.listWebhookEvents({ name: 'new_donation' });
+  assert.equal(record.status, 'ignored');
+  assert.equal(record.error, null);
+  // inbox timestamps come from the manager clock
+  assert.deepEqual([record.receivedAt, record.updatedAt, record.processedAt], [now, now, now]);
+
+  await assert.rejects(() => manager.replayEvent('missing'), TributeWebhookEventNotFoundError);
+});
+
+test('redelivery of a processed event keeps its inbox status and skips the handlers', async () => {
+  const store = new InMemorySubscriptionStore();
+  let now = new Date('2025-03-20T01:16:00Z');
+  const manager = createManager(store, [monthlyPlan, yearlyPlan], { clock: { now: () => now } });
+  await manager.createSubscriptionIntent({ planId: 'yearly', telegramUserId: 555 });
+  const body = buildYearlySubscriptionBody(now);
+  assert.equal((await manager.handleWebhook(body, sign(body)))?.type, 'created');
+  const [processed] = await manager.listWebhookEvents();
+
+  const events = [];
+  manager.on('event', (result) => events.push(result));
+  now = new Date('2025-03-20T01:20:00Z');
+  assert.equal(await manager.handleWebhook(body, sign(body)), undefined);
+
+  const [record] = await manager.listWebhookEvents();
+  assert.equal(record.status, 'processed');
+  assert.equal(record.attempts, 2);
+  assert.deepEqual(record.processedAt, processed.processedAt);
+  assert.deepEqual(record.updatedAt, now);
+  assert.deepEqual(events, []);
+  assert.equal(store.payments.length, 1);
+});
@@ -0,0 +1,135 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import {
+  TributeSubscriptionManager,
+  InMemorySubscriptionStore,
+  TributeConfigurationError,
+  TributeInitDataError,
+  createTributeConfig,
+  verifyWebAppInitData,
+} from '../src/index.js';
+
+const BOT_TOKEN = '123456:test-bot-token';
+const silentLogger = { debug() {}, info() {}, warn() {}, error() {} };
+const NOW = new Date('2025-06-15T12:00:00Z');
+
+const plans = [
+  {
+    id: 'monthly',
+    title: 'Monthly',
+    amount: 1000,
+    currency: 'eur',
+    period: 'monthly',
+    subscriptionLink: 'https://t.me/tribute/app?startapp=monthly',
+    tributeSubscriptionId: 1644,
+  },
+];
+
+/**
+ * Build initData the way Telegram signs it for Mini Apps.
+ */
+function signInitData(fields, botToken = BOT_TOKEN) {
+  const dataCheckString = Object.keys(fields)
+    .sort()
+    .map((key) => `${key}=${fields[key]}`)
+    .join('\n');
+  const secret = crypto.createHmac('sha256', 'WebAppData').update(botToken).digest();
+  const hash = crypto.createHmac('sha256', secret).update(dataCheckString).digest('hex');
+  return new URLSearchParams({ ...fields, hash }).toString();
+}
+
+function buildInitData({ authDate = NOW, user = { id: 777, first_name: 'Ann', username: 'ann', language_code: 'ru' } } = {}) {
+  return signInitData({
+    query_id: 'AAH1',
+    user: JSON.stringify(user),
+    auth_date: String(Math.floor(authDate.getTime() / 1000)),
+  });
+}
+
+function createManager(store, options = {}) {
+  return new TributeSubscriptionManager({
+    plans,
+    apiKey: 'test-secret',
+    store,
+    logger: silentLogger,
+    clock: { now: () => NOW },
+    ...options,
+  });
+}
+
+test('verifyWebAppInitData checks hash, auth_date and user', () => {
+  const verified = verifyWebAppInitData(buildInitData(), BOT_TOKEN, { now: NOW });
+  assert.deepEqual(verified.user, { id: 777, firstName: 'Ann', username: 'ann', languageCode: 'ru' });
+  assert.equal(verified.authDate.getTime(), NOW.getTime());
+  assert.equal(verified.queryId, 'AAH1');
+
+  const reasonOf = (fn) => {
+    try {
+      fn();
+    } catch (error) {
+      assert(error instanceof TributeInitDataError);
+      return error.reason;
+    }
+    return undefined;
+  };
+  assert.equal(reasonOf(() => verifyWebAppInitData(buildInitData(), 'other:token', { now: NOW })), 'invalid_hash');
+  assert.equal(reasonOf(() => verifyWebAppInitData(buildInitData().replace('Ann', 'Bob'), BOT_TOKEN, { now: NOW })), 'invalid_hash');
+  assert.equal(reasonOf(() => verifyWebAppInitData('user=%7B%7D', BOT_TOKEN)), 'missing_hash');
+  assert.equal(reasonOf(() => verifyWebAppInitData('', BOT_TOKEN)), 'missing');
+  const stale = buildInitData({ authDate: new Date(NOW.getTime() - 2 * 60 * 60 * 1000) });
+  assert.equal(reasonOf(() => verifyWebAppInitData(stale, BOT_TOKEN, { now: NOW, maxAgeSeconds: 3600 })), 'expired');
+  assert.equal(verifyWebAppInitData(stale, BOT_TOKEN, { now: NOW, maxAgeSeconds: 0 }).user.id, 777);
+  const noUser = signInitData({ auth_date: String(Math.floor(NOW.getTime() / 1000)) });
+  assert.equal(reasonOf(() => verifyWebAppInitData(noUser, BOT_TOKEN, { now: NOW })), 'invalid_user');
+});
+
+test('createSubscriptionIntentFromInitData takes the user from signed initData', async () => {
+  const store = new InMemorySubscriptionStore();
+  const manager = createManager(store, { botToken: BOT_TOKEN });
+
+  const { intentId, telegramUser, subscriptionLink } = await manager.createSubscriptionIntentFromInitData({
+    planId: 'monthly',
+    initData: buildInitData(),
+    metadata: { source: 'mini-app' },
+  });
+
+  assert.equal(subscriptionLink, plans[0].subscriptionLink);
+  assert.equal(telegramUser.id, 777);
+  const intent = await store.getIntentById(intentId);
+  assert.equal(intent.telegramUserId, 777);
+  assert.equal(intent.metadata.source, 'mini-app');
+  assert.deepEqual(intent.metadata.telegramUser, telegramUser);
+  assert.equal(intent.metadata.telegramAuthDate, NOW.toISOString());
+});
+
+test('createSubscriptionIntentFromInitData rejects forged or stale data without saving intents', async () => {
+  const store = new InMemorySubscriptionStore();
+  const manager = createManager(store, { initDataMaxAgeSeconds: 60 });
+  const stale = buildInitData({ authDate: new Date(NOW.getTime() - 5 * 60 * 1000) });
+
+  await assert.rejects(
+    () => manager.createSubscriptionIntentFromInitData({ planId: 'monthly', initData: buildInitData() }),
+    TributeConfigurationError,
+  );
+  await assert.rejects(
+    () => manager.createSubscriptionIntentFromInitData({ planId: 'monthly', initData: stale, botToken: BOT_TOKEN }),
+    (error) => error instanceof TributeInitDataError && error.reason === 'expired',
+  );
+  await assert.rejects(
+    () => manager.createSubscriptionIntentFromInitData({ planId: 'monthly', initData: buildInitData(), botToken: '1:x' }),
+    TributeInitDataError,
+  );
+  assert.equal(store.intents.size, 0);
+
+  const env = {
+    TRIBUTE_PLANS: JSON.stringify(plans),
+    TRIBUTE_API_KEY: 'test-secret',
+    TELEGRAM_BOT_TOKEN: BOT_TOKEN,
+    TRIBUTE_INIT_DATA_MAX_AGE_SECONDS: '600',
+  };
+  const config = createTributeConfig({}, { env });
+  assert.equal(config.botToken, BOT_TOKEN);
+  assert.equal(config.initDataMaxAgeSeconds, 600);
+  assert.equal(createTributeConfig({}, { env: { ...env, TELEGRAM_BOT_TOKEN: '' } }).botToken, undefined);
+});
@@ -0,0 +1,137 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import {
+  TributeSubscriptionManager,
+  InMemorySubscriptionStore,
+  SubscriptionStore,
+  TributeConfigurationError,
+  TributeIntentNotFoundError,
+  createTributeConfig,
+} from '../src/index.js';
+
+const SECRET = 'test-secret';
+const silentLogger = { debug() {}, info() {}, warn() {}, error() {} };
+
+function sign(body) {
+  return crypto.createHmac('sha256', SECRET).update(body).digest('hex');
+}
+
+const plans = [
+  {
+    id: 'monthly',
+    title: 'Monthly',
+    amount: 1000,
+    currency: 'eur',
+    period: 'monthly',
+    subscriptionLink: 'https://t.me/tribute/app?startapp=monthly',
+    tributeSubscriptionId: 1644,
+  },
+  {
+    id: 'yearly',
+    title: 'Yearly',
+    amount: 9000,
+    currency: 'eur',
+    period: 'yearly',
+    subscriptionLink: 'https://t.me/tribute/app?startapp=yearly',
+    tributeSubscriptionId: 2001,
+  },
+];
+
+function createManager(store, intentPolicy) {
+  return new TributeSubscriptionManager({ plans, apiKey: SECRET, store, logger: silentLogger, intentPolicy });
+}
+
+function buildNewSubscriptionBody({ subscriptionId = 1644, telegramUserId = 777 } = {}) {
+  const now = new Date().toISOString();
+  return Buffer.from(
+    JSON.stringify({
+      name: 'new_subscription',
+      created_at: now,
+      sent_at: now,
+      payload: {
+        subscription_id: subscriptionId,
+        period_id: 1,
+        period: subscriptionId === 1644 ? 'monthly' : 'yearly',
+        price: subscriptionId === 1644 ? 1000 : 9000,
+        amount: subscriptionId === 1644 ? 1000 : 9000,
+        currency: 'eur',
+        telegram_user_id: telegramUserId,
+        expires_at: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString(),
+      },
+    }),
+  );
+}
+
+test('required intent policy keeps rejecting subscriptions without intent', async () => {
+  const manager = createManager(new InMemorySubscriptionStore(), undefined);
+  const body = buildNewSubscriptionBody();
+
+  assert.equal(manager.intentPolicy, 'required');
+  await assert.rejects(() => manager.handleWebhook(body, sign(body)), TributeIntentNotFoundError);
+});
+
+test('optional intent policy creates subscription flagged as missing intent', async () => {
+  const store = new InMemorySubscriptionStore();
+  const manager = createManager(store, 'optional');
+  const body = buildNewSubscriptionBody();
+
+  const result = await manager.handleWebhook(body, sign(body));
+
+  assert.equal(result?.type, 'created');
+  assert.equal(result.context.intentStatus, 'missing');
+  assert.equal(result.context.intent, undefined);
+  assert.equal(store.subscriptions.get(1644)?.status, 'active');
+  assert.equal(store.subscriptions.get(1644).intentStatus, 'missing');
+  assert.equal(store.payments.length, 1);
+});
+
+test('deferred intent policy parks the event until a matching intent is created', async () => {
+  const store = new InMemorySubscriptionStore();
+  const manager = createManager(store, 'deferred');
+  const deferredEvents = [];
+  const createdEvents = [];
+  manager.on('subscription.deferred', (deferred) => deferredEvents.push(deferred));
+  manager.on('subscription.created', (result) => createdEvents.push(result));
+  const body = buildNewSubscriptionBody();
+
+  assert.equal(await manager.handleWebhook(body, sign(body)), undefined);
+  assert.equal(store.subscriptions.size, 0);
+  assert.equal(deferredEvents.length, 1);
+  assert.equal(deferredEvents[0].planId, 'monthly');
+  const [parked] = await manager.listWebhookEvents({ status: 'deferred' });
+  assert.equal(parked.name, 'new_subscription');
+
+  // another plan or user does not pick up the parked event
+  const otherPlan = await manager.createSubscriptionIntent({ planId: 'yearly', telegramUserId: 777 });
+  assert.equal(otherPlan.deferredSubscription, undefined);
+  const otherUser = await manager.createSubscriptionIntent({ planId: 'monthly', telegramUserId: 778 });
+  assert.equal(otherUser.deferredSubscription, undefined);
+
+  const { intentId, deferredSubscription } = await manager.createSubscriptionIntent({
+    planId: 'monthly',
+    telegramUserId: 777,
+    metadata: { source: 'bot' },
+  });
+
+  assert.equal(deferredSubscription?.type, 'created');
+  assert.equal(deferredSubscription.context.intent.id, intentId);
+  assert.equal(deferredSubscription.context.intentStatus, 'matched');
+  assert.deepEqual(store.subscriptions.get(1644)?.metadata, { source: 'bot' });
+  assert.equal(await store.getIntentById(intentId), undefined, 'intent consumed by the parked event');
+  assert.equal(createdEvents.length, 1);
+  assert.equal((await store.getWebhookEvent(parked.id)).status, 'processed');
+  assert.deepEqual(await manager.listWebhookEvents({ status: 'deferred' }), []);
+});
+
+test('intent policy is validated and configurable through createTributeConfig', () => {
+  class NoInboxStore extends SubscriptionStore {}
+
+  assert.throws(() => createManager(new InMemorySubscriptionStore(), 'sometimes'), TributeConfigurationError);
+  assert.throws(() => createManager(new NoInboxStore(), 'deferred'), /webhook inbox/);
+
+  const env = { TRIBUTE_PLANS: JSON.stringify(plans), TRIBUTE_API_KEY: SECRET, TRIBUTE_INTENT_POLICY: 'Deferred' };
+  assert.equal(createTributeConfig({}, { env }).intentPolicy, 'deferred');
+  assert.equal(createTributeConfig({ intentPolicy: 'optional' }, { env }).intentPolicy, 'optional');
+  assert.throws(() => createTributeConfig({ intentPolicy: 'never' }, { env }), TributeConfigurationError);
+});
@@ -0,0 +1,130 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import {
+  TributeSubscriptionManager,
+  InMemorySubscriptionStore,
+  TributeLoginPayloadError,
+  TributePlanNotFoundError,
+  createTributeConfig,
+  verifyTelegramLoginPayload,
+} from '../src/index.js';
+
+const BOT_TOKEN = '123456:test-bot-token';
+const silentLogger = { debug() {}, info() {}, warn() {}, error() {} };
+const NOW = new Date('2025-06-15T12:00:00Z');
+
+const plans = [
+  {
+    id: 'monthly',
+    title: 'Monthly',
+    amount: 1000,
+    currency: 'eur',
+    period: 'monthly',
+    subscriptionLink: 'https://t.me/tribute/app?startapp=monthly',
+    tributeSubscriptionId: 1644,
+  },
+];
+
+/**
+ * Sign widget data the way Telegram does: HMAC-SHA256 with SHA-256(botToken) as the key.
+ */
+function signLoginPayload(fields, botToken = BOT_TOKEN) {
+  const dataCheckString = Object.keys(fields)
+    .sort()
+    .map((key) => `${key}=${fields[key]}`)
+    .join('\n');
+  const secret = crypto.createHash('sha256').update(botToken).digest();
+  const hash = crypto.createHmac('sha256', secret).update(dataCheckString).digest('hex');
+  return { ...fields, hash };
+}
+
+function buildLoginPayload(authDate = NOW) {
+  return signLoginPayload({
+    id: 777,
+    first_name: 'Ann',
+    username: 'ann',
+    photo_url: 'https://t.me/i/userpic/320/ann.jpg',
+    auth_date: Math.floor(authDate.getTime() / 1000),
+  });
+}
+
+function reasonOf(fn) {
+  try {
+    fn();
+  } catch (error) {
+    assert(error instanceof TributeLoginPayloadError);
+    return error.reason;
+  }
+  return undefined;
+}
+
+test('verifyTelegramLoginPayload accepts widget data with numbers or query strings', () => {
+  const payload = buildLoginPayload();
+  const verified = verifyTelegramLoginPayload(payload, BOT_TOKEN, { now: NOW });
+  assert.deepEqual(verified.user, {
+    id: 777,
+    firstName: 'Ann',
+    username: 'ann',
+    photoUrl: 'https://t.me/i/userpic/320/ann.jpg',
+  });
+  assert.equal(verified.authDate.getTime(), NOW.getTime());
+
+  // e.g. req.query of the redirect flow: every value is a string
+  const fromQuery = Object.fromEntries(Object.entries(payload).map(([key, value]) => [key, String(value)]));
+  assert.equal(verifyTelegramLoginPayload(fromQuery, BOT_TOKEN, { now: NOW }).user.id, 777);
+});
+
+test('verifyTelegramLoginPayload rejects forged and stale payloads', () => {
+  const payload = buildLoginPayload();
+  assert.equal(reasonOf(() => verifyTelegramLoginPayload({ ...payload, id: 778 }, BOT_TOKEN, { now: NOW })), 'invalid_hash');
+  assert.equal(reasonOf(() => verifyTelegramLoginPayload(payload, '1:other', { now: NOW })), 'invalid_hash');
+  assert.equal(reasonOf(() => verifyTelegramLoginPayload({ ...payload, hash: 'zz' }, BOT_TOKEN, { now: NOW })), 'invalid_hash');
+  assert.equal(reasonOf(() => verifyTelegramLoginPayload({ id: 777 }, BOT_TOKEN)), 'missing_hash');
+  assert.equal(reasonOf(() => verifyTelegramLoginPayload(null, BOT_TOKEN)), 'missing');
+
+  const stale = buildLoginPayload(new Date(NOW.getTime() - 2 * 60 * 60 * 1000));
+  assert.equal(reasonOf(() => verifyTelegramLoginPayload(stale, BOT_TOKEN, { now: NOW, maxAgeSeconds: 3600 })), 'expired');
+  assert.equal(verifyTelegramLoginPayload(stale, BOT_TOKEN, { now: NOW, maxAgeSeconds: 0 }).user.id, 777);
+  assert.throws(() => verifyTelegramLoginPayload(payload, ''), /bot token is required/);
+});
+
+test('createSubscriptionIntentFromLoginPayload creates intent for the verified user', async () => {
+  const store = new InMemorySubscriptionStore();
+  const manager = new TributeSubscriptionManager({
+    plans,
+    apiKey: 'test-secret',
+    store,
+    logger: silentLogger,
+    botToken: BOT_TOKEN,
+    loginMaxAgeSeconds: 600,
+    clock: { now: () => NOW },
+  });
+
+  const { intentId, telegramUser } = await manager.createSubscriptionIntentFromLoginPayload({
+    planId: 'monthly',
+    loginPayload: buildLoginPayload(),
+  });
+  const intent = await store.getIntentById(intentId);
+  assert.equal(intent.telegramUserId, 777);
+  assert.deepEqual(intent.metadata.telegramUser, telegramUser);
+  assert.equal(intent.metadata.telegramAuthDate, NOW.toISOString());
+
+  await assert.rejects(
+    () =>
+      manager.createSubscriptionIntentFromLoginPayload({
+        planId: 'monthly',
+        loginPayload: buildLoginPayload(new Date(NOW.getTime() - 11 * 60 * 1000)),
+      }),
+    (error) => error instanceof TributeLoginPayloadError && error.reason === 'expired',
+  );
+  await assert.rejects(
+    () => manager.createSubscriptionIntentFromLoginPayload({ planId: 'yearly', loginPayload: buildLoginPayload() }),
+    TributePlanNotFoundError,
+  );
+  assert.equal(store.intents.size, 1);
+
+  const env = { TRIBUTE_PLANS: JSON.stringify(plans), TRIBUTE_API_KEY: 'x', TRIBUTE_LOGIN_MAX_AGE_SECONDS: '300' };
+  assert.equal(createTributeConfig({}, { env }).loginMaxAgeSeconds, 300);
+  assert.equal(createTributeConfig({}, { env: { ...env, TRIBUTE_LOGIN_MAX_AGE_SECONDS: '' } }).loginMaxAgeSeconds, 86400);
+});
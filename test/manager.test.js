@@ -1,7 +1,15 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
 import crypto from 'node:crypto';
-import { TributeSubscriptionManager, InMemorySubscriptionStore, TributeSignatureError, createTributeConfig } from '../src/index.js';
+import path from 'node:path';
+import {
+  TributeSubscriptionManager,
+  InMemorySubscriptionStore,
+  SubscriptionStore,
+  TributeSignatureError,
+  TributeProductNotFoundError,
+  createTributeConfig,
+} from '../src/index.js';
 
 const SECRET = 'test-secret';
 const silentLogger = { debug() {}, info() {}, warn() {}, error() {} };
@@ -254,6 +262,185 @@ test('processes donation and donation lifecycle events', async (t) => {
   });
 });
 
+test('processes physical order lifecycle events', async (t) => {
+  const store = new InMemorySubscriptionStore();
+  const manager = new TributeSubscriptionManager({
+    plans: [
+      {
+        id: 'placeholder',
+        title: 'Placeholder',
+        amount: 500,
+        currency: 'usd',
+        period: 'monthly',
+        subscriptionLink: 'https://t.me/tribute/app?startapp=placeholder',
+      },
+    ],
+    apiKey: SECRET,
+    store,
+    logger: silentLogger,
+  });
+  const emitted = [];
+  manager.on('order.any', (event) => emitted.push(event.type));
+
+  const orderPayload = {
+    order_id: 12345,
+    status: 'pending',
+    user_id: 31326,
+    telegram_user_id: 12321321,
+    products: [{ product_name: 'T-shirt', quantity: 2, price: 150000, currency: 'rub' }],
+    total: 300000,
+    currency: 'rub',
+    shipping_address: 'Moscow, Pushkina 10',
+    tracking_number: null,
+    created_at: new Date().toISOString(),
+    updated_at: new Date().toISOString(),
+  };
+  const orderEvent = (name, offsetMs, payload = {}) => {
+    const timestamp = new Date(Date.now() + offsetMs).toISOString();
+    return Buffer.from(
+      JSON.stringify({ name, created_at: timestamp, sent_at: timestamp, payload: { ...orderPayload, ...payload } })
+    );
+  };
+
+  const createdBody = orderEvent('physical_order_created', 0);
+  const created = await manager.handleWebhook(createdBody, sign(createdBody));
+  assert.equal(created?.category, 'order');
+  assert.equal(created?.type, 'created');
+  assert.equal(created?.order.total, 300000);
+  assert.deepEqual(created?.order.products, [{ productName: 'T-shirt', quantity: 2, price: 150000, currency: 'rub' }]);
+  assert.equal(store.payments.at(-1)?.kind, 'order');
+  assert.equal(store.payments.at(-1)?.orderId, 12345);
+
+  await t.test('duplicate order webhook is ignored', async () => {
+    const duplicate = await manager.handleWebhook(createdBody, sign(createdBody));
+    assert.equal(duplicate, undefined);
+    assert.equal(store.payments.filter((p) => p.kind === 'order').length, 1);
+  });
+
+  await t.test('shipped order stores tracking number', async () => {
+    const shippedBody = orderEvent('physical_order_shipped', 60 * 1000, { tracking_number: 'RU123456789CN' });
+    const shipped = await manager.handleWebhook(shippedBody, sign(shippedBody));
+    assert.equal(shipped?.type, 'shipped');
+    assert.equal(shipped?.context?.previousOrder?.status, 'created');
+    const stored = await manager.getOrderById(12345);
+    assert.equal(stored?.status, 'shipped');
+    assert.equal(stored?.trackingNumber, 'RU123456789CN');
+    assert(stored?.shippedAt instanceof Date);
+    assert.equal(store.payments.filter((p) => p.kind === 'order').length, 1);
+
+    const outdated = orderEvent('physical_order_shipped', 30 * 1000);
+    assert.equal(await manager.handleWebhook(outdated, sign(outdated)), undefined);
+  });
+
+  await t.test('canceled order updates status', async () => {
+    const cancelBody = orderEvent('physical_order_canceled', 2 * 60 * 1000);
+    const canceled = await manager.handleWebhook(cancelBody, sign(cancelBody));
+    assert.equal(canceled?.type, 'canceled');
+    assert.equal(store.orders.get(12345)?.status, 'canceled');
+    assert(store.orders.get(12345)?.cancelledAt instanceof Date);
+
+    const duplicateCancel = await manager.handleWebhook(cancelBody, sign(cancelBody));
+    assert.equal(duplicateCancel, undefined);
+
+    const orders = await manager.listOrders({ telegramUserId: 12321321, status: 'canceled' });
+    assert.equal(orders.length, 1);
+    assert.deepEqual(emitted, ['created', 'shipped', 'canceled']);
+  });
+});
+
+test('order webhooks are acknowledged when the store has no order support', async () => {
+  // a custom store written before physical orders were handled
+  class LegacyStore extends InMemorySubscriptionStore {}
+  LegacyStore.prototype.upsertOrder = SubscriptionStore.prototype.upsertOrder;
+  const store = new LegacyStore();
+  const manager = new TributeSubscriptionManager({
+    plans: [
+      {
+        id: 'placeholder',
+        title: 'Placeholder',
+        amount: 500,
+        currency: 'usd',
+        period: 'monthly',
+        subscriptionLink: 'https://t.me/tribute/app?startapp=placeholder',
+      },
+    ],
+    apiKey: SECRET,
+    store,
+    logger: silentLogger,
+  });
+  const timestamp = new Date().toISOString();
+  const body = Buffer.from(
+    JSON.stringify({
+      name: 'physical_order_created',
+      created_at: timestamp,
+      sent_at: timestamp,
+      payload: { order_id: 1, telegram_user_id: 12321321, total: 1000, currency: 'rub' },
+    }),
+  );
+
+  assert.equal(await manager.handleWebhook(body, sign(body)), undefined);
+  const [record] = await manager.listWebhookEvents();
+  assert.equal(record.status, 'ignored');
+  assert.equal(store.payments.length, 0);
+});
+
+test('records digital product purchases against the catalog', async () => {
+  const store = new InMemorySubscriptionStore();
+  const manager = new TributeSubscriptionManager({
+    plans: [
+      {
+        id: 'placeholder',
+        title: 'Placeholder',
+        amount: 500,
+        currency: 'usd',
+        period: 'monthly',
+        subscriptionLink: 'https://t.me/tribute/app?startapp=placeholder',
+      },
+    ],
+    products: [{ id: 'ebook', title: 'E-book', tributeProductId: 456, amount: 500, currency: 'usd' }],
+    apiKey: SECRET,
+    store,
+    logger: silentLogger,
+  });
+  const purchased = [];
+  manager.on('product.purchased', (event) => purchased.push(event));
+
+  assert.equal(await manager.hasPurchasedProduct(12321321, 'ebook'), false);
+
+  const createdAt = new Date().toISOString();
+  const body = Buffer.from(
+    JSON.stringify({
+      name: 'new_digital_product',
+      created_at: createdAt,
+      sent_at: createdAt,
+      payload: { product_id: 456, amount: 500, currency: 'usd', user_id: 31326, telegram_user_id: 12321321 },
+    })
+  );
+  const result = await manager.handleWebhook(body, sign(body));
+  assert.equal(result?.category, 'product');
+  assert.equal(result?.type, 'purchased');
+  assert.equal(result?.product.id, 'ebook');
+  assert.equal(result?.payment.kind, 'digital_product');
+  assert.equal(purchased.length, 1);
+  assert.equal(await manager.hasPurchasedProduct(12321321, 'ebook'), true);
+  assert.equal(await manager.hasPurchasedProduct(1, 'ebook'), false);
+  await assert.rejects(() => manager.hasPurchasedProduct(12321321, 'missing'), TributeProductNotFoundError);
+
+  const duplicate = await manager.handleWebhook(body, sign(body));
+  assert.equal(duplicate, undefined);
+  assert.equal(store.payments.filter((p) => p.kind === 'digital_product').length, 1);
+
+  const unknownBody = Buffer.from(
+    JSON.stringify({
+      name: 'new_digital_product',
+      created_at: createdAt,
+      sent_at: createdAt,
+      payload: { product_id: 999, amount: 500, currency: 'usd', telegram_user_id: 12321321 },
+    })
+  );
+  await assert.rejects(() => manager.handleWebhook(unknownBody, sign(unknownBody)), TributeProductNotFoundError);
+});
+
 test('manager ignores disabled webhook categories', async () => {
   const store = new InMemorySubscriptionStore();
   const manager = new TributeSubscriptionManager({
@@ -548,6 +735,7 @@ test('createTributeConfig loads plans and options from environment', () => {
     TRIBUTE_INTENT_TTL_MINUTES: '2',
     TRIBUTE_SIGNATURE_ENCODING: 'base64',
     TRIBUTE_ALLOW_DONATIONS: 'false',
+    TRIBUTE_ALLOW_ORDERS: 'false',
     TRIBUTE_EVENT_PUBLISHER_FAILURE_MODE: 'log',
   };
 
@@ -560,3 +748,47 @@ test('createTributeConfig loads plans and options from environment', () => {
   assert.equal(config.store, undefined);
   assert.equal(config.eventPublisherFailureMode, 'log');
 });
+
+test('createTributeConfig enables digital products when catalog is provided', () => {
+  const env = {
+    TRIBUTE_PLANS: JSON.stringify([
+      {
+        id: 'env-plan',
+        title: 'ENV Plan',
+        amount: 900,
+        currency: 'eur',
+        period: 'monthly',
+        subscriptionLink: 'https://t.me/tribute/app?startapp=env-plan',
+      },
+    ]),
+    TRIBUTE_PRODUCTS: JSON.stringify([{ id: 'ebook', title: 'E-book', tributeProductId: 456 }]),
+    TRIBUTE_API_KEY: 'env-secret',
+  };
+
+  const config = createTributeConfig({}, { env });
+  assert.equal(config.products.length, 1);
+  assert(config.allowedWebhookEvents.includes('new_digital_product'));
+
+  const withoutCatalog = createTributeConfig({}, { env: { ...env, TRIBUTE_PRODUCTS: undefined } });
+  assert.deepEqual(withoutCatalog.products, []);
+  assert(!withoutCatalog.allowedWebhookEvents.includes('new_digital_product'));
+
+  assert.throws(
+    () => createTributeConfig({ products: [{ id: 'broken', title: 'Broken' }] }, { env }),
+    /tributeProductId/,
+  );
+
+  const files = { [path.resolve('products.json')]: JSON.stringify([{ id: 'ebook', title: 'E-book', tributeProductId: 456 }]) };
+  const fakeFs = { existsSync: (file) => file in files, readFileSync: (file) => files[file] };
+  const fromFile = createTributeConfig({}, { env: { ...env, TRIBUTE_PRODUCTS: undefined, TRIBUTE_PRODUCTS_FILE: 'products.json' }, fs: fakeFs });
+  assert.equal(fromFile.products[0].tributeProductId, 456);
+  assert.throws(
+    () => createTributeConfig({ productsFile: 'missing.json' }, { env, fs: fakeFs }),
+    /Products file not found: .*missing\.json/,
+  );
+  files[path.resolve('broken.json')] = '[';
+  assert.throws(
+    () => createTributeConfig({ productsFile: 'broken.json' }, { env, fs: fakeFs }),
+    /Failed to parse products from .*broken\.json/,
+  );
+});
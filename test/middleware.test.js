@@ -0,0 +1,174 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import http from 'node:http';
+import { Readable } from 'node:stream';
+import {
+  TributeSubscriptionManager,
+  InMemorySubscriptionStore,
+  createExpressMiddleware,
+  createFastifyHandler,
+  createNodeHttpHandler,
+  verifyTributeSignature,
+} from '../src/index.js';
+
+const SECRET = 'test-secret';
+const silentLogger = { debug() {}, info() {}, warn() {}, error() {} };
+
+function sign(body) {
+  return crypto.createHmac('sha256', SECRET).update(body).digest('hex');
+}
+
+function createManager() {
+  return new TributeSubscriptionManager({
+    plans: [
+      {
+        id: 'placeholder',
+        title: 'Placeholder',
+        amount: 500,
+        currency: 'usd',
+        period: 'monthly',
+        subscriptionLink: 'https://t.me/tribute/app?startapp=placeholder',
+      },
+    ],
+    apiKey: SECRET,
+    store: new InMemorySubscriptionStore(),
+    logger: silentLogger,
+  });
+}
+
+function donationBody() {
+  const createdAt = new Date().toISOString();
+  return Buffer.from(
+    JSON.stringify({
+      name: 'new_donation',
+      created_at: createdAt,
+      sent_at: createdAt,
+      payload: { donation_request_id: 42, period: 'once', amount: 1000, currency: 'usd', telegram_user_id: 1 },
+    })
+  );
+}
+
+function createResponse() {
+  const headers = {};
+  return {
+    statusCode: 0,
+    body: '',
+    headers,
+    setHeader(name, value) {
+      headers[name.toLowerCase()] = value;
+    },
+    end(payload) {
+      this.body = payload;
+    },
+  };
+}
+
+test('node:http listener maps results to Tribute response contract', async (t) => {
+  const manager = createManager();
+  const server = http.createServer(createNodeHttpHandler(manager));
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+  const url = `http://127.0.0.1:${server.address().port}/`;
+
+  const body = donationBody();
+  const ok = await fetch(url, { method: 'POST', body, headers: { 'trbt-signature': sign(body) } });
+  assert.equal(ok.status, 200);
+  assert.deepEqual(await ok.json(), { ok: true });
+
+  const duplicate = await fetch(url, { method: 'POST', body, headers: { 'trbt-signature': sign(body) } });
+  assert.equal(duplicate.status, 200);
+
+  const forged = await fetch(url, { method: 'POST', body, headers: { 'trbt-signature': 'forged' } });
+  assert.equal(forged.status, 401);
+
+  const malformed = Buffer.from('{not json');
+  const badJson = await fetch(url, { method: 'POST', body: malformed, headers: { 'trbt-signature': sign(malformed) } });
+  assert.equal(badJson.status, 400);
+
+  const unsupported = await fetch(url, { method: 'GET' });
+  assert.equal(unsupported.status, 405);
+});
+
+test('express middleware accepts express.raw bodies and unread streams', async () => {
+  const manager = createManager();
+  const middleware = createExpressMiddleware(manager);
+  const body = donationBody();
+
+  const rawRes = createResponse();
+  await middleware({ body, headers: { 'trbt-signature': sign(body) } }, rawRes);
+  assert.equal(rawRes.statusCode, 200);
+
+  const streamReq = Object.assign(Readable.from([body]), { headers: { 'trbt-signature': 'forged' } });
+  const streamRes = createResponse();
+  await middleware(streamReq, streamRes);
+  assert.equal(streamRes.statusCode, 401);
+
+  // some frameworks set `body: null` when nothing was parsed; the stream must still be read
+  const nullBodyReq = Object.assign(Readable.from([body]), { body: null, headers: { 'trbt-signature': sign(body) } });
+  const nullBodyRes = createResponse();
+  await middleware(nullBodyReq, nullBodyRes);
+  assert.equal(nullBodyRes.statusCode, 200);
+
+  const parsedRes = createResponse();
+  await middleware({ body: { name: 'new_donation' }, _body: true, headers: {} }, parsedRes);
+  assert.equal(parsedRes.statusCode, 500);
+});
+
+test('fastify handler replies through reply API', async () => {
+  const manager = createManager();
+  const handler = createFastifyHandler(manager);
+  const reply = {
+    sent: undefined,
+    code(status) {
+      this.status = status;
+      return this;
+    },
+    header() {
+      return this;
+    },
+    send(payload) {
+      this.sent = payload;
+      return this;
+    },
+  };
+  const malformed = Buffer.from('[]');
+  await handler({ body: malformed, headers: { 'trbt-signature': sign(malformed) } }, reply);
+  assert.equal(reply.status, 400);
+  assert.deepEqual(reply.sent, { ok: false, error: 'invalid payload' });
+});
+
+test('handleRequest accepts WHATWG Request and returns Response', async () => {
+  const manager = createManager();
+  const body = donationBody();
+  const request = (payload, signature, method = 'POST') =>
+    new Request('https://example.com/webhooks/tribute', {
+      method,
+      body: method === 'POST' ? payload : undefined,
+      headers: signature ? { 'trbt-signature': signature } : {},
+    });
+
+  const ok = await manager.handleRequest(request(body, sign(body)));
+  assert(ok instanceof Response);
+  assert.equal(ok.status, 200);
+  assert.deepEqual(await ok.json(), { ok: true });
+
+  assert.equal((await manager.handleRequest(request(body, 'forged'))).status, 401);
+  assert.equal((await manager.handleRequest(request(body, sign(body), 'GET'))).status, 405);
+
+  const malformed = Buffer.from('not json');
+  assert.equal((await manager.handleRequest(request(malformed, sign(malformed)))).status, 400);
+
+  const tooLarge = await manager.handleRequest(request(body, sign(body)), { maxBodyBytes: 8 });
+  assert.equal(tooLarge.status, 413);
+});
+
+test('verifyTributeSignature accepts ArrayBuffer and Uint8Array bodies', () => {
+  const body = donationBody();
+  const signature = sign(body);
+  const bytes = new Uint8Array(body);
+  assert.equal(verifyTributeSignature(bytes, signature, SECRET), true);
+  assert.equal(verifyTributeSignature(bytes.buffer, signature, SECRET), true);
+  assert.equal(verifyTributeSignature(bytes.subarray(1), signature, SECRET), false);
+  assert.throws(() => verifyTributeSignature('plain string', signature, SECRET), TypeError);
+});
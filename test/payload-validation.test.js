@@ -0,0 +1,134 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  TributeSubscriptionManager,
+  InMemorySubscriptionStore,
+  TributeInvalidPayloadError,
+  TributePayloadValidationError,
+  mapWebhookError,
+  validateWebhookEvent,
+  webhookPayloadSchemas,
+} from '../src/index.js';
+import {
+  buildCancelledDonationEvent,
+  buildCancelledSubscriptionEvent,
+  buildNewDigitalProductEvent,
+  buildNewDonationEvent,
+  buildNewSubscriptionEvent,
+  buildPhysicalOrderCanceledEvent,
+  buildPhysicalOrderCreatedEvent,
+  buildPhysicalOrderShippedEvent,
+  buildRecurrentDonationEvent,
+  signEvent,
+} from '../src/testing/index.js';
+
+const SECRET = 'test-secret';
+const silentLogger = { debug() {}, info() {}, warn() {}, error() {} };
+
+function createManager() {
+  const store = new InMemorySubscriptionStore();
+  const manager = new TributeSubscriptionManager({
+    plans: [
+      {
+        id: 'monthly',
+        title: 'Monthly',
+        amount: 1000,
+        currency: 'eur',
+        period: 'monthly',
+        subscriptionLink: 'https://t.me/tribute/app?startapp=monthly',
+        tributeSubscriptionId: 1644,
+      },
+    ],
+    apiKey: SECRET,
+    store,
+    logger: silentLogger,
+  });
+  return { manager, store };
+}
+
+test('catalog fixtures satisfy their schemas', () => {
+  const fixtures = [
+    buildNewSubscriptionEvent(),
+    buildCancelledSubscriptionEvent(),
+    buildNewDonationEvent(),
+    buildRecurrentDonationEvent(),
+    buildCancelledDonationEvent(),
+    buildPhysicalOrderCreatedEvent(),
+    buildPhysicalOrderShippedEvent(),
+    buildPhysicalOrderCanceledEvent(),
+    buildNewDigitalProductEvent(),
+  ];
+  assert.deepEqual(
+    fixtures.map((event) => event.name).sort(),
+    Object.keys(webhookPayloadSchemas).sort(),
+  );
+  for (const event of fixtures) {
+    assert.deepEqual(validateWebhookEvent(event), [], event.name);
+  }
+  assert.deepEqual(validateWebhookEvent({ name: 'future_event', created_at: '2025-01-01T00:00:00Z' }), []);
+});
+
+test('validateWebhookEvent lists every field problem', () => {
+  const donation = buildNewDonationEvent({ amount: 0, currency: '', telegram_user_id: null, anonymously: 'no' });
+  delete donation.payload.donation_request_id;
+  assert.deepEqual(validateWebhookEvent(donation), [
+    { field: 'payload.donation_request_id', message: 'is required' },
+    { field: 'payload.telegram_user_id', message: 'is required' },
+    { field: 'payload.amount', message: 'must be greater than 0' },
+    { field: 'payload.currency', message: 'must be a three-letter currency code' },
+    { field: 'payload.anonymously', message: 'must be a boolean' },
+  ]);
+
+  const order = buildPhysicalOrderShippedEvent({ products: [{ product_name: 'Cap', quantity: 0 }, 'cap'] });
+  order.created_at = 'yesterday';
+  assert.deepEqual(validateWebhookEvent(order), [
+    { field: 'created_at', message: 'must be an ISO 8601 timestamp' },
+    { field: 'payload.products[0].quantity', message: 'must be greater than 0' },
+    { field: 'payload.products[1]', message: 'must be an object' },
+  ]);
+
+  // unread fields are not checked; trials come with a zero price
+  assert.deepEqual(validateWebhookEvent(buildNewSubscriptionEvent({ price: 0, amount: 0, channel_id: -1001234567890 })), []);
+  assert.deepEqual(validateWebhookEvent(buildNewSubscriptionEvent({ price: -1 })), [
+    { field: 'payload.price', message: 'must not be negative' },
+  ]);
+
+  assert.deepEqual(validateWebhookEvent({ ...buildCancelledSubscriptionEvent(), payload: [] }), [
+    { field: 'payload', message: 'must be an object' },
+  ]);
+});
+
+test('manager rejects invalid payloads before touching the store and adapters answer 400', async () => {
+  const { manager, store } = createManager();
+  const { body, signature } = signEvent(buildNewDonationEvent({ amount: '10', currency: undefined }), SECRET);
+
+  const error = await manager.handleWebhook(body, signature).then(
+    () => assert.fail('expected validation error'),
+    (rejection) => rejection,
+  );
+  assert.ok(error instanceof TributePayloadValidationError);
+  assert.ok(error instanceof TributeInvalidPayloadError);
+  assert.equal(error.eventName, 'new_donation');
+  assert.deepEqual(error.problems, [
+    { field: 'payload.amount', message: 'must be a number' },
+    { field: 'payload.currency', message: 'is required' },
+  ]);
+  assert.equal(store.donations.size, 0);
+  assert.equal(store.payments.length, 0);
+
+  const [record] = await manager.listWebhookEvents({ limit: 1 });
+  assert.equal(record.status, 'failed');
+  assert.equal(record.error.name, 'TributePayloadValidationError');
+
+  assert.deepEqual(mapWebhookError(error), {
+    status: 400,
+    body: { ok: false, error: 'invalid payload', problems: error.problems },
+  });
+
+  const shipped = signEvent(buildPhysicalOrderShippedEvent({ telegram_user_id: undefined }), SECRET);
+  await assert.rejects(
+    () => manager.handleWebhook(shipped.body, shipped.signature),
+    (rejection) =>
+      rejection instanceof TributePayloadValidationError && rejection.problems[0].field === 'payload.telegram_user_id',
+  );
+});
@@ -0,0 +1,78 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  TributeSubscriptionManager,
+  InMemorySubscriptionStore,
+  TributeConfigurationError,
+} from '../src/index.js';
+import { buildNewDonationEvent, buildNewSubscriptionEvent, signEvent } from '../src/testing/index.js';
+
+const SECRET = 'test-secret';
+const silentLogger = { debug() {}, info() {}, warn() {}, error() {} };
+
+const monthly = {
+  id: 'monthly',
+  title: 'Monthly',
+  amount: 1000,
+  currency: 'eur',
+  period: 'monthly',
+  subscriptionLink: 'https://t.me/tribute/app?startapp=monthly',
+  tributeSubscriptionId: 1644,
+};
+
+function createManager() {
+  return new TributeSubscriptionManager({
+    plans: [monthly],
+    apiKey: SECRET,
+    store: new InMemorySubscriptionStore(),
+    logger: silentLogger,
+    intentPolicy: 'optional',
+  });
+}
+
+async function deliver(manager, event) {
+  const { body, signature } = signEvent(event, SECRET);
+  return manager.handleWebhook(body, signature);
+}
+
+test('payments keep gross price, net amount and Tribute fee', async () => {
+  const manager = createManager();
+  await deliver(manager, buildNewSubscriptionEvent({ price: 1000, amount: 700 }, { createdAt: '2025-01-01T00:00:00Z' }));
+  await deliver(manager, buildNewDonationEvent({ amount: 500 }, { createdAt: '2025-01-02T00:00:00Z' }));
+
+  const [donation, subscription] = await manager.listPayments();
+  assert.deepEqual(
+    [subscription.amount, subscription.grossAmount, subscription.netAmount, subscription.fee],
+    [1000, 1000, 700, 300],
+  );
+  assert.deepEqual([donation.amount, donation.grossAmount, donation.netAmount, donation.fee], [500, 500, 500, 0]);
+});
+
+test('getPaymentTotals sums per currency by gross or net amount', async () => {
+  const manager = createManager();
+  await deliver(manager, buildNewSubscriptionEvent({ price: 1000, amount: 700 }, { createdAt: '2025-01-01T00:00:00Z' }));
+  await deliver(manager, buildNewDonationEvent({ amount: 500, currency: 'EUR' }, { createdAt: '2025-01-02T00:00:00Z' }));
+  // recorded before gross/net were stored
+  await manager.store.recordPayment({
+    kind: 'donation',
+    telegramUserId: 1,
+    amount: 9900,
+    currency: 'rub',
+    paidAt: new Date('2025-01-03T00:00:00Z'),
+  });
+
+  assert.deepEqual(await manager.getPaymentTotals(), {
+    basis: 'gross',
+    count: 3,
+    totals: [
+      { currency: 'eur', count: 2, amount: 1500 },
+      { currency: 'rub', count: 1, amount: 9900 },
+    ],
+  });
+  assert.deepEqual(await manager.getPaymentTotals({ basis: 'net', kind: 'subscription' }), {
+    basis: 'net',
+    count: 1,
+    totals: [{ currency: 'eur', count: 1, amount: 700 }],
+  });
+  await assert.rejects(manager.getPaymentTotals({ basis: 'fee' }), TributeConfigurationError);
+});
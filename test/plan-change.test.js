@@ -0,0 +1,132 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  TributeSubscriptionManager,
+  InMemorySubscriptionStore,
+  TributeConfigurationError,
+  createTributeConfig,
+} from '../src/index.js';
+import { buildCancelledSubscriptionEvent, buildNewSubscriptionEvent, signEvent } from '../src/testing/index.js';
+
+const SECRET = 'test-secret';
+const silentLogger = { debug() {}, info() {}, warn() {}, error() {} };
+
+const basic = {
+  id: 'basic',
+  title: 'Basic',
+  amount: 1000,
+  currency: 'eur',
+  period: 'monthly',
+  subscriptionLink: 'https://t.me/tribute/app?startapp=basic',
+  tributeSubscriptionId: 1644,
+  rank: 1,
+};
+
+const premium = {
+  ...basic,
+  id: 'premium',
+  title: 'Premium',
+  amount: 2500,
+  subscriptionLink: 'https://t.me/tribute/app?startapp=premium',
+  tributeSubscriptionId: 1700,
+  rank: 2,
+};
+
+function createManager(options = {}) {
+  const manager = new TributeSubscriptionManager({
+    plans: [basic, premium],
+    apiKey: SECRET,
+    store: new InMemorySubscriptionStore(),
+    logger: silentLogger,
+    intentPolicy: 'optional',
+    ...options,
+  });
+  const events = [];
+  manager.on('subscription.any', (result) => events.push(result));
+  return { manager, events };
+}
+
+async function subscribe(manager, payload, createdAt) {
+  const { body, signature } = signEvent(buildNewSubscriptionEvent(payload, { createdAt }), SECRET);
+  return manager.handleWebhook(body, signature);
+}
+
+test('a new subscription on another plan emits subscription.changed with direction by rank', async () => {
+  const { manager, events } = createManager();
+  await subscribe(manager, { subscription_id: 1644, price: 1000 }, '2025-01-01T00:00:00Z');
+  const created = await subscribe(manager, { subscription_id: 1700, price: 2500 }, '2025-01-10T00:00:00Z');
+
+  assert.equal(created.type, 'created');
+  assert.deepEqual(events.map(({ type }) => type), ['created', 'created', 'changed']);
+  const changed = events[2];
+  assert.equal(changed.subscription, created.subscription);
+  assert.equal(changed.context.fromPlan.id, 'basic');
+  assert.equal(changed.context.toPlan.id, 'premium');
+  assert.equal(changed.context.direction, 'upgrade');
+  assert.equal(changed.context.previousSubscription.tributeSubscriptionId, 1644);
+  assert.equal((await manager.getSubscriptionByTributeId(1644)).status, 'active');
+
+  events.length = 0;
+  await subscribe(manager, { subscription_id: 1644, price: 1000 }, '2025-01-20T00:00:00Z');
+  assert.deepEqual(events.map(({ type }) => type), ['renewed']);
+});
+
+test('a plan change after resubscribing compares against the latest subscription of the old plan', async () => {
+  const plans = [
+    { ...basic, tributeSubscriptionId: undefined, price: 1000 },
+    { ...premium, tributeSubscriptionId: undefined, price: 2500 },
+  ];
+  const { manager, events } = createManager({ plans });
+  await subscribe(manager, { subscription_id: 1644, price: 1000 }, '2025-01-01T00:00:00Z');
+  const { body, signature } = signEvent(
+    buildCancelledSubscriptionEvent({ subscription_id: 1644, price: 1000 }, { createdAt: '2025-01-15T00:00:00Z' }),
+    SECRET,
+  );
+  await manager.handleWebhook(body, signature);
+  await subscribe(manager, { subscription_id: 1645, price: 1000 }, '2025-02-01T00:00:00Z');
+  events.length = 0;
+
+  await subscribe(manager, { subscription_id: 1700, price: 2500 }, '2025-02-10T00:00:00Z');
+
+  assert.deepEqual(events.map(({ type }) => type), ['created', 'changed']);
+  assert.equal(events[1].context.fromPlan.id, 'basic');
+  assert.equal(events[1].context.previousSubscription.tributeSubscriptionId, 1645);
+});
+
+test('closeSupersededSubscriptions cancels the previous subscription', async () => {
+  const config = createTributeConfig(
+    { plans: [basic, premium], apiKey: SECRET },
+    { env: { TRIBUTE_CLOSE_SUPERSEDED_SUBSCRIPTIONS: 'true' } },
+  );
+  assert.equal(config.closeSupersededSubscriptions, true);
+  const { manager, events } = createManager({ closeSupersededSubscriptions: config.closeSupersededSubscriptions });
+  await subscribe(manager, { subscription_id: 1700, price: 2500 }, '2025-01-01T00:00:00Z');
+  await subscribe(manager, { subscription_id: 1644, price: 1000 }, '2025-02-01T00:00:00Z');
+
+  assert.deepEqual(events.map(({ type }) => type), ['created', 'created', 'changed', 'cancelled']);
+  assert.equal(events[2].context.direction, 'downgrade');
+  const cancelled = events[3];
+  assert.equal(cancelled.subscription.tributeSubscriptionId, 1700);
+  assert.equal(cancelled.subscription.cancelReason, 'plan_changed');
+  assert.equal(cancelled.context.cancellation.source, 'plan_change');
+  assert.equal(cancelled.context.cancellation.cancelledAt.toISOString(), '2025-02-01T00:00:00.000Z');
+  assert.equal((await manager.getSubscriptionByTributeId(1700)).status, 'cancelled');
+
+  assert.throws(() => createManager({ closeSupersededSubscriptions: 'yes' }), TributeConfigurationError);
+  assert.throws(() => createManager({ plans: [{ ...basic, rank: '1' }] }), /"rank" as a number/);
+});
+
+test('a renewal on another period of the same Tribute subscription is a crossgrade without ranks', async () => {
+  const monthly = { ...basic, id: 'monthly', rank: undefined, tributePeriodId: 1547 };
+  const yearly = { ...monthly, id: 'yearly', amount: 10000, period: 'yearly', tributePeriodId: 1548 };
+  const { manager, events } = createManager({ plans: [monthly, yearly], closeSupersededSubscriptions: true });
+  await subscribe(manager, { period_id: 1547 }, '2025-01-01T00:00:00Z');
+  const renewed = await subscribe(manager, { period_id: 1548, period: 'yearly', price: 10000 }, '2025-02-01T00:00:00Z');
+
+  assert.equal(renewed.type, 'renewed');
+  assert.equal(renewed.subscription.planId, 'yearly');
+  assert.deepEqual(events.map(({ type }) => type), ['created', 'renewed', 'changed']);
+  assert.equal(events[2].context.direction, 'crossgrade');
+  assert.equal(events[2].context.previousSubscription.planId, 'monthly');
+  assert.equal(renewed.subscription.status, 'active');
+});
@@ -0,0 +1,126 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  TributeSubscriptionManager,
+  InMemorySubscriptionStore,
+  TributePlanNotFoundError,
+  createTributeConfig,
+} from '../src/index.js';
+import { buildNewSubscriptionEvent, signEvent } from '../src/testing/index.js';
+import { findAmountCrossMatches } from '../src/planMatching.js';
+
+const SECRET = 'test-secret';
+const silentLogger = { debug() {}, info() {}, warn() {}, error() {} };
+
+const monthly = {
+  id: 'monthly',
+  title: 'Monthly',
+  amount: 1000,
+  currency: 'eur',
+  period: 'monthly',
+  subscriptionLink: 'https://t.me/tribute/app?startapp=monthly',
+  tributeSubscriptionId: 1644,
+  tributePeriodId: 1547,
+};
+
+const yearly = {
+  ...monthly,
+  id: 'yearly',
+  title: 'Yearly',
+  amount: 10000,
+  period: 'yearly',
+  subscriptionLink: 'https://t.me/tribute/app?startapp=yearly',
+  tributePeriodId: 1548,
+};
+
+function createManager(plans = [monthly, yearly], logger = silentLogger) {
+  return new TributeSubscriptionManager({
+    plans,
+    apiKey: SECRET,
+    store: new InMemorySubscriptionStore(),
+    logger,
+    intentPolicy: 'optional',
+  });
+}
+
+test('explainPlanMatch reports every criterion of every plan', () => {
+  const manager = createManager();
+  const explanation = manager.explainPlanMatch({
+    subscription_id: 1644,
+    period_id: 1548,
+    period: 'yearly',
+    price: 10000,
+    amount: 7000,
+    currency: 'EUR',
+  });
+  assert.equal(explanation.planId, 'yearly');
+  assert.deepEqual(
+    explanation.plans.map(({ planId, matched }) => [planId, matched]),
+    [
+      ['monthly', false],
+      ['yearly', true],
+    ],
+  );
+  assert.deepEqual(explanation.plans[0].criteria, [
+    { criterion: 'subscription_id', status: 'passed', expected: 1644, actual: 1644 },
+    { criterion: 'period_id', status: 'failed', expected: 1547, actual: 1548 },
+    { criterion: 'price', status: 'skipped', expected: undefined, actual: 10000 },
+    { criterion: 'currency', status: 'passed', expected: 'eur', actual: 'EUR' },
+    { criterion: 'period', status: 'failed', expected: 'monthly', actual: 'yearly' },
+    { criterion: 'amount', status: 'failed', expected: 1000, actual: 7000 },
+  ]);
+  assert.equal(manager.explainPlanMatch({ subscription_id: 1 }).planId, null);
+});
+
+test('unmatched webhooks carry the explanation and log failed criteria', async () => {
+  const warnings = [];
+  const manager = createManager([monthly, yearly], { ...silentLogger, warn: (message, details) => warnings.push({ message, details }) });
+  const { body, signature } = signEvent(buildNewSubscriptionEvent({ period_id: 9999 }), SECRET);
+
+  const error = await manager.handleWebhook(body, signature).then(
+    () => assert.fail('expected plan not found'),
+    (rejection) => rejection,
+  );
+  assert.ok(error instanceof TributePlanNotFoundError);
+  assert.equal(error.planId, '1644');
+  assert.equal(error.explanation.planId, null);
+  const warning = warnings.find(({ message }) => message === 'Plan not found for new_subscription');
+  assert.deepEqual(warning.details.failedCriteria, { monthly: ['period_id'], yearly: ['period_id', 'period', 'amount'] });
+});
+
+test('plan sets where one payload could match two plans are refused', () => {
+  const loose = { ...yearly, id: 'loose', tributePeriodId: undefined, period: 'monthly', amount: undefined };
+  assert.throws(
+    () => createManager([monthly, loose]),
+    /Plans "monthly" and "loose" can match the same webhook/,
+  );
+  assert.throws(
+    () => createTributeConfig({ plans: [monthly, { ...monthly, id: 'copy', currency: 'EUR' }], apiKey: SECRET }, { env: {} }),
+    /Plans "monthly" and "copy" can match the same webhook/,
+  );
+
+  const manager = createManager();
+  assert.throws(() => manager.updatePlans([monthly, yearly, loose]), /"monthly" and "loose"/);
+  assert.deepEqual(manager.listPlans().map(({ id }) => id), ['monthly', 'yearly']);
+
+  createManager([monthly, { ...loose, currency: 'usd' }]);
+  createManager([monthly, { ...loose, period: 'yearly' }]);
+});
+
+test('plans differing only in amount are accepted and the price/amount cross-match is a warning', () => {
+  const base = { currency: 'rub', period: 'monthly', subscriptionLink: 'https://t.me/tribute/app' };
+  const cheap = { ...base, id: 'cheap', title: 'Cheap', amount: 700 };
+  const full = { ...base, id: 'full', title: 'Full', amount: 1000 };
+  const manager = createManager([cheap, full]);
+
+  assert.deepEqual(findAmountCrossMatches([cheap, full]), [['cheap', 'full']]);
+  const explanation = manager.explainPlanMatch({ currency: 'rub', period: 'monthly', price: 1000, amount: 700 });
+  assert.equal(explanation.planId, 'cheap');
+  assert.deepEqual(explanation.warnings, ['Payload also matches "full"; "cheap" is picked as the first one']);
+  assert.deepEqual(manager.explainPlanMatch({ currency: 'rub', period: 'monthly', price: 1000, amount: 1000 }).warnings, []);
+
+  assert.deepEqual(findAmountCrossMatches([{ ...cheap, price: 900 }, full]), []);
+  assert.deepEqual(findAmountCrossMatches([{ ...cheap, price: 700 }, { ...full, price: 1000 }]), []);
+  // already refused as ambiguous, not reported twice
+  assert.deepEqual(findAmountCrossMatches([cheap, { ...full, amount: undefined }]), []);
+});
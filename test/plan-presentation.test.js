@@ -0,0 +1,124 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  TributeSubscriptionManager,
+  InMemorySubscriptionStore,
+  TributeConfigurationError,
+  createTributeConfig,
+} from '../src/index.js';
+import { buildNewSubscriptionEvent, signEvent } from '../src/testing/index.js';
+
+const SECRET = 'test-secret';
+const silentLogger = { debug() {}, info() {}, warn() {}, error() {} };
+
+const monthly = {
+  id: 'monthly',
+  title: 'Monthly',
+  description: 'Access to the private channel',
+  amount: 1000,
+  currency: 'eur',
+  prices: { rub: 99000, usd: 1100 },
+  translations: {
+    ru: { title: 'Ежемесячная подписка', description: 'Доступ в закрытый канал' },
+    'en-GB': { title: 'Monthly membership' },
+  },
+  period: 'monthly',
+  subscriptionLink: 'https://t.me/tribute/app?startapp=monthly',
+  tributeSubscriptionId: 1644,
+  tributePeriodId: 1547,
+};
+
+const yearly = {
+  id: 'yearly',
+  title: 'Yearly',
+  amount: 10000,
+  currency: 'eur',
+  period: 'yearly',
+  subscriptionLink: 'https://t.me/tribute/app?startapp=yearly',
+  tributeSubscriptionId: 1644,
+  tributePeriodId: 1548,
+};
+
+function createManager(plans = [monthly, yearly]) {
+  return new TributeSubscriptionManager({
+    plans,
+    apiKey: SECRET,
+    store: new InMemorySubscriptionStore(),
+    logger: silentLogger,
+    intentPolicy: 'optional',
+  });
+}
+
+test('listPlans localizes texts and prices', () => {
+  const manager = createManager();
+  const [ru, ruYearly] = manager.listPlans({ locale: 'ru-RU', currency: 'RUB' });
+  assert.deepEqual(ru, {
+    id: 'monthly',
+    title: 'Ежемесячная подписка',
+    description: 'Доступ в закрытый канал',
+    amount: 99000,
+    currency: 'rub',
+    currencies: ['eur', 'rub', 'usd'],
+    displayPrice: '990,00 ₽',
+    period: 'monthly',
+    subscriptionLink: monthly.subscriptionLink,
+    metadata: undefined,
+  });
+  assert.equal(ruYearly.title, 'Yearly');
+  assert.equal(ruYearly.currency, 'eur');
+  assert.equal(ruYearly.displayPrice, '100,00 €');
+
+  const [gb] = manager.listPlans({ locale: 'en-GB', currency: 'usd' });
+  assert.equal(gb.title, 'Monthly membership');
+  assert.equal(gb.description, 'Access to the private channel');
+  assert.equal(gb.displayPrice, 'US$11.00');
+
+  const [us] = manager.listPlans({ locale: 'en-US' });
+  assert.equal(us.title, 'Monthly');
+  assert.equal(us.displayPrice, '€10.00');
+
+  assert.throws(() => manager.listPlans({ locale: 'not a locale' }), TributeConfigurationError);
+});
+
+test('listPlans leaves out displayPrice for plans without a currency', () => {
+  const manager = createManager([monthly, { ...yearly, currency: undefined }]);
+  const [, yearlyPlan] = manager.listPlans({ locale: 'en-US', currency: 'rub' });
+  assert.equal(yearlyPlan.amount, 10000);
+  assert.deepEqual(yearlyPlan.currencies, []);
+  assert.equal('displayPrice' in yearlyPlan, false);
+});
+
+test('subscription webhooks match any currency variant of a plan', async () => {
+  const manager = createManager();
+  const { body, signature } = signEvent(
+    buildNewSubscriptionEvent({ period_id: 1547, currency: 'RUB', price: 99000, amount: 69300 }),
+    SECRET,
+  );
+  const result = await manager.handleWebhook(body, signature);
+  assert.equal(result.subscription.planId, 'monthly');
+  assert.equal(result.subscription.currency, 'RUB');
+
+  const explanation = manager.explainPlanMatch({ subscription_id: 1644, period_id: 1547, currency: 'usd', price: 1200 });
+  assert.equal(explanation.planId, null);
+  assert.equal(explanation.plans[0].currency, 'usd');
+  assert.deepEqual(explanation.plans[0].criteria.find(({ criterion }) => criterion === 'amount'), {
+    criterion: 'amount',
+    status: 'failed',
+    expected: 1100,
+    actual: undefined,
+  });
+});
+
+test('prices and translations are validated and take part in the ambiguity check', () => {
+  assert.throws(() => createManager([{ ...monthly, prices: { rub: 0 } }]), /positive numeric "prices"/);
+  assert.throws(() => createManager([{ ...monthly, prices: [990] }]), /"prices" as an object/);
+  assert.throws(() => createManager([{ ...monthly, translations: { ru: 'Подписка' } }]), /translation "ru"/);
+  assert.throws(
+    () => createTributeConfig({ plansJson: [{ ...monthly, translations: { '!!': {} } }], apiKey: SECRET }, { env: {} }),
+    /Invalid locale "!!"/,
+  );
+
+  const rubOnly = { ...yearly, id: 'rub-monthly', currency: 'rub', amount: 99000, period: 'monthly', tributePeriodId: 1547 };
+  assert.throws(() => createManager([monthly, rubOnly]), /Plans "monthly" and "rub-monthly" can match the same webhook/);
+  createManager([monthly, { ...rubOnly, amount: 149000 }]);
+});
@@ -0,0 +1,164 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import {
+  TributeSubscriptionManager,
+  InMemorySubscriptionStore,
+  TributeConfigurationError,
+  TributePlanNotFoundError,
+  createTributeConfig,
+} from '../src/index.js';
+import { buildNewSubscriptionEvent, signEvent } from '../src/testing/index.js';
+
+const SECRET = 'test-secret';
+const silentLogger = { debug() {}, info() {}, warn() {}, error() {} };
+
+const legacyPlan = {
+  id: 'monthly-2024',
+  title: 'Monthly (2024)',
+  amount: 1000,
+  currency: 'eur',
+  period: 'monthly',
+  subscriptionLink: 'https://t.me/tribute/app?startapp=monthly-2024',
+  tributeSubscriptionId: 1644,
+  tributePeriodId: 1547,
+};
+
+const currentPlan = {
+  id: 'monthly-2025',
+  title: 'Monthly',
+  amount: 1200,
+  currency: 'eur',
+  period: 'monthly',
+  subscriptionLink: 'https://t.me/tribute/app?startapp=monthly-2025',
+  tributeSubscriptionId: 1644,
+  tributePeriodId: 1548,
+};
+
+function createManager(options = {}) {
+  return new TributeSubscriptionManager({
+    plans: [legacyPlan],
+    apiKey: SECRET,
+    store: new InMemorySubscriptionStore(),
+    logger: silentLogger,
+    intentPolicy: 'optional',
+    ...options,
+  });
+}
+
+function renewal(createdAt) {
+  return signEvent(buildNewSubscriptionEvent({}, { createdAt }), SECRET);
+}
+
+/**
+ * Manual clock: timers fire only when `advance` reaches them.
+ */
+function createFakeClock() {
+  let now = Date.parse('2025-06-01T00:00:00Z');
+  let timers = [];
+  return {
+    now: () => new Date(now),
+    setTimeout(callback, ms) {
+      const timer = { at: now + ms, callback };
+      timers.push(timer);
+      return timer;
+    },
+    clearTimeout(timer) {
+      timers = timers.filter((candidate) => candidate !== timer);
+    },
+    async advance(ms) {
+      now += ms;
+      const due = timers.filter((timer) => timer.at <= now);
+      timers = timers.filter((timer) => timer.at > now);
+      for (const timer of due) {
+        timer.callback();
+      }
+      await new Promise((resolve) => setImmediate(resolve));
+    },
+  };
+}
+
+test('archived plans keep matching renewals but are not listed or sold', async () => {
+  const manager = createManager();
+  const first = renewal('2025-01-01T00:00:00Z');
+  await manager.handleWebhook(first.body, first.signature);
+
+  const summary = manager.updatePlans([{ ...legacyPlan, archived: true }, currentPlan]);
+  assert.deepEqual(summary, { added: ['monthly-2025'], removed: [], changed: ['monthly-2024'] });
+  assert.deepEqual(manager.listPlans().map((plan) => plan.id), ['monthly-2025']);
+  await assert.rejects(
+    () => manager.createSubscriptionIntent({ planId: 'monthly-2024', telegramUserId: 42 }),
+    TributePlanNotFoundError,
+  );
+
+  const second = renewal('2025-02-01T00:00:00Z');
+  const result = await manager.handleWebhook(second.body, second.signature);
+  assert.equal(result.type, 'renewed');
+  assert.equal(result.subscription.planId, 'monthly-2024');
+  assert.equal(await manager.hasActiveAccess({ telegramUserId: result.subscription.telegramUserId, planId: 'monthly-2024', at: '2025-02-02T00:00:00Z' }), true);
+
+  manager.updatePlans([currentPlan]);
+  const third = renewal('2025-03-01T00:00:00Z');
+  await assert.rejects(() => manager.handleWebhook(third.body, third.signature), TributePlanNotFoundError);
+});
+
+test('updatePlans validates the whole catalog before swapping it', () => {
+  const manager = createManager();
+  const updates = [];
+  manager.on('plans.updated', (summary) => updates.push(summary));
+
+  assert.throws(() => manager.updatePlans([]), TributeConfigurationError);
+  assert.throws(() => manager.updatePlans([legacyPlan, { ...currentPlan, includes: ['gold'] }]), /includes unknown plan "gold"/);
+  assert.throws(() => manager.updatePlans([legacyPlan, { ...legacyPlan }]), /defined more than once/);
+  assert.throws(() => manager.updatePlans([{ ...legacyPlan, archived: 'yes' }]), /"archived" as a boolean/);
+  assert.deepEqual(manager.listPlans().map((plan) => plan.id), ['monthly-2024']);
+  assert.equal(updates.length, 0);
+
+  manager.updatePlans([legacyPlan, { ...currentPlan, includes: ['monthly-2024'] }]);
+  assert.deepEqual(updates, [{ added: ['monthly-2025'], removed: [], changed: [] }]);
+  assert.throws(() => manager.reloadPlans(), /plansFile is not configured/);
+  assert.throws(() => manager.startPlansWatcher(), TributeConfigurationError);
+});
+
+test('plans watcher reloads TRIBUTE_PLANS_FILE and keeps plans when the file breaks', async (t) => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'tribute-plans-'));
+  t.after(() => fs.rm(directory, { recursive: true, force: true }));
+  const plansFile = path.join(directory, 'plans.json');
+  await fs.writeFile(plansFile, JSON.stringify([legacyPlan]));
+
+  const config = createTributeConfig(
+    { plansWatchIntervalSeconds: 2 },
+    { env: { TRIBUTE_API_KEY: SECRET, TRIBUTE_PLANS_FILE: plansFile } },
+  );
+  assert.equal(config.plansFile, plansFile);
+  assert.equal(config.plansWatchIntervalMs, 2000);
+
+  const clock = createFakeClock();
+  const errors = [];
+  const manager = new TributeSubscriptionManager({
+    ...config,
+    store: new InMemorySubscriptionStore(),
+    clock,
+    logger: { ...silentLogger, error: (message, details) => errors.push({ message, details }) },
+  });
+  manager.startPlansWatcher();
+  t.after(() => manager.stopPlansWatcher());
+
+  await fs.writeFile(plansFile, JSON.stringify([{ ...legacyPlan, archived: true }, currentPlan]));
+  await clock.advance(1000);
+  assert.deepEqual(manager.listPlans().map((plan) => plan.id), ['monthly-2024']);
+  await clock.advance(1000);
+  assert.deepEqual(manager.listPlans().map((plan) => plan.id), ['monthly-2025']);
+
+  await fs.writeFile(plansFile, '[{ "id": "broken"');
+  await clock.advance(2000);
+  assert.deepEqual(manager.listPlans().map((plan) => plan.id), ['monthly-2025']);
+  assert.equal(errors.length, 1);
+  assert.match(errors[0].details.error.message, /Failed to parse plans/);
+
+  await fs.writeFile(plansFile, JSON.stringify([currentPlan]));
+  await clock.advance(2000);
+  assert.deepEqual(manager.plans.map((plan) => plan.id), ['monthly-2025']);
+});
@@ -0,0 +1,524 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  PostgresSubscriptionStore,
+  getPostgresSchemaSql,
+  TributeConfigurationError,
+} from '../src/index.js';
+
+const INTENT_ID = '6f1c2d4e-8a9b-4c3d-9e8f-0a1b2c3d4e5f';
+
+/**
+ * Fake pg client: records every query and answers with rows from `respond`.
+ */
+function createFakeClient(respond = () => []) {
+  const calls = [];
+  return {
+    calls,
+    async query(text, params = []) {
+      calls.push({ text: text.replace(/\s+/g, ' ').trim(), params });
+      return { rows: respond(text, params) ?? [] };
+    },
+  };
+}
+
+test('PostgresSubscriptionStore requires query client', () => {
+  assert.throws(() => new PostgresSubscriptionStore(), TributeConfigurationError);
+  assert.throws(() => new PostgresSubscriptionStore({ client: {} }), TributeConfigurationError);
+});
+
+test('migrate runs idempotent schema script in configured schema', async () => {
+  const client = createFakeClient();
+  const store = new PostgresSubscriptionStore({ client, schema: 'billing' });
+
+  await store.migrate();
+
+  assert.equal(client.calls.length, 1);
+  assert.equal(client.calls[0].text, getPostgresSchemaSql({ schema: 'billing' }).replace(/\s+/g, ' ').trim());
+  assert.match(client.calls[0].text, /CREATE SCHEMA IF NOT EXISTS "billing";/);
+  const tables = [
+    'tribute_intents',
+    'tribute_subscriptions',
+    'tribute_donations',
+    'tribute_orders',
+    'tribute_payments',
+    'tribute_webhook_events',
+  ];
+  for (const table of tables) {
+    assert.match(client.calls[0].text, new RegExp(`CREATE TABLE IF NOT EXISTS "billing"\\.${table} \\(`));
+  }
+  assert.doesNotMatch(getPostgresSchemaSql(), /CREATE SCHEMA/);
+});
+
+/** Schema from the README example shipped before `migrate()` existed. */
+const README_BASELINE_DDL = `
+CREATE TABLE tribute_intents (
+  intent_id uuid PRIMARY KEY,
+  plan_id text NOT NULL,
+  telegram_user_id bigint NOT NULL,
+  created_at timestamptz NOT NULL,
+  expires_at timestamptz NOT NULL,
+  metadata jsonb DEFAULT '{}'::jsonb
+);
+CREATE TABLE tribute_subscriptions (
+  tribute_subscription_id bigint PRIMARY KEY,
+  tribute_period_id bigint NOT NULL,
+  plan_id text NOT NULL,
+  telegram_user_id bigint NOT NULL,
+  user_id bigint,
+  amount integer NOT NULL,
+  currency text NOT NULL,
+  period text NOT NULL,
+  status text NOT NULL,
+  created_at timestamptz NOT NULL,
+  last_event_at timestamptz NOT NULL,
+  expires_at timestamptz,
+  cancelled_at timestamptz,
+  cancel_reason text,
+  metadata jsonb DEFAULT '{}'::jsonb
+);
+CREATE UNIQUE INDEX tribute_subscriptions_user_plan_idx
+  ON tribute_subscriptions (telegram_user_id, plan_id);
+CREATE TABLE tribute_donations (
+  donation_request_id bigint PRIMARY KEY,
+  donation_name text NOT NULL,
+  telegram_user_id bigint NOT NULL,
+  user_id bigint,
+  period text NOT NULL,
+  amount integer NOT NULL,
+  currency text NOT NULL,
+  anonymously boolean NOT NULL,
+  message text,
+  web_app_link text,
+  status text NOT NULL,
+  created_at timestamptz NOT NULL,
+  last_event_at timestamptz NOT NULL,
+  cancelled_at timestamptz,
+  metadata jsonb DEFAULT '{}'::jsonb
+);
+CREATE TABLE tribute_payments (
+  id bigserial PRIMARY KEY,
+  kind text NOT NULL,
+  tribute_subscription_id bigint,
+  plan_id text,
+  donation_request_id bigint,
+  telegram_user_id bigint NOT NULL,
+  user_id bigint,
+  amount integer NOT NULL,
+  currency text NOT NULL,
+  paid_at timestamptz NOT NULL,
+  payload jsonb DEFAULT '{}'::jsonb
+);
+CREATE INDEX tribute_payments_user_paid_at_idx
+  ON tribute_payments (telegram_user_id, paid_at DESC);
+`;
+
+/**
+ * Tiny catalog model that applies the DDL subset used by the schema script
+ * and fails the same way PostgreSQL would on conflicting statements.
+ * `dropped` lists every index a DROP INDEX actually executed on.
+ */
+function createDdlClient() {
+  const tables = new Map();
+  const indexes = new Map();
+  const dropped = [];
+  const name = (raw) => raw.replace(/^"[^"]*"\./, '');
+  const apply = (sql) => {
+    let m;
+    if (/^CREATE SCHEMA IF NOT EXISTS /.test(sql)) return;
+    if ((m = sql.match(/^CREATE TABLE (IF NOT EXISTS )?(\S+) \((.*)\)$/s))) {
+      const table = name(m[2]);
+      if (tables.has(table)) {
+        if (m[1]) return;
+        throw new Error(`relation "${table}" already exists`);
+      }
+      const columns = new Map();
+      for (const definition of m[3].split(/,\n/)) {
+        const [column, type] = definition.trim().split(/\s+/);
+        columns.set(column, { type, notNull: /NOT NULL|PRIMARY KEY/.test(definition) });
+      }
+      tables.set(table, columns);
+      return;
+    }
+    if ((m = sql.match(/^ALTER TABLE (\S+)\s+(.*)$/s))) {
+      const columns = tables.get(name(m[1]));
+      if (!columns) throw new Error(`relation "${m[1]}" does not exist`);
+      for (const action of m[2].split(/,\s*/)) {
+        let a;
+        if ((a = action.match(/^ADD COLUMN (IF NOT EXISTS )?(\w+) (\w+)$/))) {
+          if (columns.has(a[2])) {
+            if (a[1]) continue;
+            throw new Error(`column "${a[2]}" already exists`);
+          }
+          columns.set(a[2], { type: a[3], notNull: false });
+        } else if ((a = action.match(/^ALTER COLUMN (\w+) DROP NOT NULL$/))) {
+          columns.get(a[1]).notNull = false;
+        } else {
+          throw new Error(`unsupported ALTER action: ${action}`);
+        }
+      }
+      return;
+    }
+    if ((m = sql.match(/^DROP INDEX IF EXISTS (\S+)$/))) {
+      dropped.push(name(m[1]));
+      indexes.delete(name(m[1]));
+      return;
+    }
+    if ((m = sql.match(/^DO \$\$.*to_regclass\('([^']+)'\) AND indisunique.*THEN\s+(DROP INDEX IF EXISTS \S+);\s+END IF;\s+END \$\$$/s))) {
+      if (indexes.get(name(m[1]))?.unique) apply(m[2]);
+      return;
+    }
+    if ((m = sql.match(/^CREATE (UNIQUE )?INDEX (IF NOT EXISTS )?(\w+)\s+ON (\S+) \((.*)\)$/s))) {
+      if (indexes.has(m[3])) {
+        if (m[2]) return;
+        throw new Error(`relation "${m[3]}" already exists`);
+      }
+      const table = name(m[4]);
+      const columns = m[5].split(/,\s*/).map((part) => part.split(/\s+/)[0]);
+      for (const column of columns) {
+        if (!tables.get(table)?.has(column)) throw new Error(`column "${column}" does not exist`);
+      }
+      indexes.set(m[3], { table, unique: Boolean(m[1]), columns });
+      return;
+    }
+    throw new Error(`unsupported statement: ${sql}`);
+  };
+  return {
+    tables,
+    indexes,
+    dropped,
+    async query(text) {
+      // DO blocks contain semicolons of their own
+      for (const part of text.split(/(DO \$\$[\s\S]*?\$\$;)/)) {
+        const statements = part.startsWith('DO $$') ? [part.slice(0, -1)] : part.split(/;\s*/);
+        for (const statement of statements) {
+          if (statement.trim()) apply(statement.trim());
+        }
+      }
+      return { rows: [] };
+    },
+  };
+}
+
+test('migrate upgrades a database created from the README baseline schema', async () => {
+  const client = createDdlClient();
+  await client.query(README_BASELINE_DDL);
+  const store = new PostgresSubscriptionStore({ client });
+
+  await store.migrate();
+  assert.deepEqual(client.dropped, ['tribute_subscriptions_user_plan_idx']);
+  await store.migrate();
+  assert.equal(client.dropped.length, 1, 'a second migrate must not rebuild the index');
+
+  const payments = client.tables.get('tribute_payments');
+  for (const column of ['order_id', 'product_id', 'tribute_product_id', 'gross_amount', 'net_amount', 'fee']) {
+    assert.ok(payments.has(column), `tribute_payments.${column} is missing`);
+  }
+  const subscriptions = client.tables.get('tribute_subscriptions');
+  assert.equal(subscriptions.get('tribute_period_id').notNull, false);
+  assert.ok(subscriptions.has('expired_at'));
+  assert.ok(subscriptions.has('intent_status'));
+  assert.deepEqual(client.indexes.get('tribute_subscriptions_user_plan_idx'), {
+    table: 'tribute_subscriptions',
+    unique: false,
+    columns: ['telegram_user_id', 'plan_id', 'last_event_at'],
+  });
+  assert.ok(client.tables.has('tribute_orders'));
+  assert.ok(client.tables.get('tribute_webhook_events').has('api_key_id'));
+
+  const fresh = createDdlClient();
+  await new PostgresSubscriptionStore({ client: fresh, schema: 'billing' }).migrate();
+  await new PostgresSubscriptionStore({ client: fresh, schema: 'billing' }).migrate();
+  assert.deepEqual(fresh.dropped, []);
+});
+
+test('consumeIntentByTelegramAndPlan purges expired intents and takes the oldest live one', async () => {
+  const now = new Date('2025-03-01T12:00:00Z');
+  const client = createFakeClient((text) =>
+    text.includes('USING candidate')
+      ? [
+          {
+            intent_id: INTENT_ID,
+            plan_id: 'monthly',
+            telegram_user_id: '9007199254740993',
+            created_at: new Date('2025-03-01T11:50:00Z'),
+            expires_at: new Date('2025-03-01T12:20:00Z'),
+            metadata: { source: 'bot' },
+          },
+        ]
+      : [],
+  );
+  const store = new PostgresSubscriptionStore({ client, now: () => now });
+
+  const intent = await store.consumeIntentByTelegramAndPlan(42, 'monthly');
+
+  assert.equal(client.calls.length, 2);
+  assert.match(client.calls[0].text, /^DELETE FROM tribute_intents WHERE .* expires_at < \$3$/);
+  assert.deepEqual(client.calls[0].params, [42, 'monthly', now]);
+  assert.match(client.calls[1].text, /ORDER BY created_at ASC LIMIT 1 FOR UPDATE SKIP LOCKED/);
+  assert.deepEqual(client.calls[1].params, [42, 'monthly', now]);
+  assert.equal(intent.id, INTENT_ID);
+  // ids beyond Number.MAX_SAFE_INTEGER stay strings
+  assert.equal(intent.telegramUserId, '9007199254740993');
+  assert.deepEqual(intent.metadata, { source: 'bot' });
+});
+
+test('intent lookups skip the database for ids that are not uuids', async () => {
+  const client = createFakeClient();
+  const store = new PostgresSubscriptionStore({ client });
+
+  assert.equal(await store.getIntentById('not-a-uuid'), undefined);
+  assert.equal(await store.consumeIntent('123'), undefined);
+  assert.equal(client.calls.length, 0);
+
+  await store.consumeIntent(INTENT_ID);
+  assert.match(client.calls[0].text, /^DELETE FROM tribute_intents WHERE intent_id = \$1 RETURNING \*$/);
+});
+
+test('upsertSubscription returns previous row mapped to StoredSubscription', async () => {
+  const previousRow = {
+    tribute_subscription_id: '1644',
+    tribute_period_id: '11',
+    plan_id: 'monthly',
+    telegram_user_id: '42',
+    user_id: null,
+    amount: 1000,
+    currency: 'eur',
+    period: 'monthly',
+    status: 'active',
+    created_at: new Date('2025-01-01T00:00:00Z'),
+    last_event_at: new Date('2025-01-01T00:00:00Z'),
+    expires_at: new Date('2025-02-01T00:00:00Z'),
+    cancelled_at: null,
+    cancel_reason: null,
+    intent_status: 'missing',
+    metadata: { intentId: INTENT_ID },
+  };
+  const client = createFakeClient((text) => (text.includes('WITH previous') ? [previousRow] : []));
+  const store = new PostgresSubscriptionStore({ client, schema: 'billing' });
+  const subscription = {
+    planId: 'monthly',
+    tributeSubscriptionId: 1644,
+    tributePeriodId: 12,
+    telegramUserId: 42,
+    userId: null,
+    amount: 1000,
+    currency: 'eur',
+    period: 'monthly',
+    status: 'active',
+    createdAt: new Date('2025-01-01T00:00:00Z'),
+    lastEventAt: new Date('2025-02-01T00:00:00Z'),
+    expiresAt: new Date('2025-03-01T00:00:00Z'),
+    cancelledAt: null,
+    cancelReason: null,
+    intentStatus: 'missing',
+    metadata: { intentId: INTENT_ID },
+  };
+
+  const { previous } = await store.upsertSubscription(subscription);
+
+  const [call] = client.calls;
+  assert.match(call.text, /INSERT INTO "billing"\.tribute_subscriptions/);
+  assert.match(call.text, /ON CONFLICT \(tribute_subscription_id\) DO UPDATE SET/);
+  assert.equal(call.params[0], 1644);
+  assert.equal(call.params.at(-1), JSON.stringify({ intentId: INTENT_ID }));
+  assert.equal(call.params.at(-2), 'missing');
+  assert.equal(previous.tributeSubscriptionId, 1644);
+  assert.equal(previous.tributePeriodId, 11);
+  assert.equal(previous.telegramUserId, 42);
+  assert.equal(previous.status, 'active');
+  assert.deepEqual(previous.expiresAt, new Date('2025-02-01T00:00:00Z'));
+  assert.equal(previous.intentStatus, 'missing');
+
+  const fresh = new PostgresSubscriptionStore({ client: createFakeClient() });
+  assert.deepEqual(await fresh.upsertSubscription(subscription), { previous: undefined });
+});
+
+test('markSubscriptionCancelled uses sent_at as last event time', async () => {
+  const client = createFakeClient();
+  const store = new PostgresSubscriptionStore({ client });
+  const cancelledAt = new Date('2025-02-10T00:00:00Z');
+
+  const result = await store.markSubscriptionCancelled(1644, {
+    cancelledAt,
+    cancelReason: 'user',
+    payload: { sent_at: '2025-02-10T00:00:05Z' },
+  });
+
+  assert.equal(result, undefined);
+  assert.deepEqual(client.calls[0].params, [1644, cancelledAt, 'user', new Date('2025-02-10T00:00:05Z')]);
+});
+
+test('listExpiringSubscriptions queries by status and expires_at', async () => {
+  const client = createFakeClient(() => [
+    {
+      tribute_subscription_id: '1644',
+      plan_id: 'monthly',
+      telegram_user_id: '42',
+      status: 'active',
+      expires_at: new Date('2025-02-01T00:00:00Z'),
+      expiring_notice_for: new Date('2025-02-01T00:00:00Z'),
+    },
+  ]);
+  const store = new PostgresSubscriptionStore({ client });
+  const before = new Date('2025-02-03T00:00:00Z');
+
+  const [subscription] = await store.listExpiringSubscriptions({ before, status: 'active', limit: 50 });
+  await store.listExpiringSubscriptions({ before });
+
+  assert.match(client.calls[0].text, /WHERE expires_at < \$1 AND status = ANY\(\$2\) ORDER BY expires_at ASC LIMIT \$3/);
+  assert.deepEqual(client.calls[0].params, [before, ['active'], 50]);
+  assert.deepEqual(client.calls[1].params, [before, ['active', 'cancelled']]);
+  assert.equal(subscription.tributeSubscriptionId, 1644);
+  assert.deepEqual(subscription.expiringNoticeFor, new Date('2025-02-01T00:00:00Z'));
+  assert.equal(subscription.expiredAt, null);
+});
+
+test('listPayments translates filters into SQL parameters', async () => {
+  const client = createFakeClient(() => [
+    {
+      id: '2',
+      kind: 'digital_product',
+      tribute_subscription_id: null,
+      plan_id: null,
+      donation_request_id: null,
+      order_id: null,
+      product_id: 'guide',
+      tribute_product_id: '77',
+      telegram_user_id: '42',
+      user_id: null,
+      amount: 500,
+      currency: 'eur',
+      paid_at: new Date('2025-02-02T00:00:00Z'),
+      payload: { name: 'new_digital_product' },
+    },
+  ]);
+  const store = new PostgresSubscriptionStore({ client });
+
+  const payments = await store.listPayments({
+    telegramUserId: 42,
+    kind: ['digital_product', 'order'],
+    productId: 'guide',
+    since: '2025-01-01T00:00:00Z',
+    until: new Date('2025-03-01T00:00:00Z'),
+    limit: 10,
+  });
+
+  const [call] = client.calls;
+  assert.equal(
+    call.text,
+    'SELECT * FROM tribute_payments WHERE telegram_user_id = $1 AND kind = ANY($2) AND product_id = $3' +
+      ' AND paid_at >= $4 AND paid_at <= $5 ORDER BY paid_at DESC, id DESC LIMIT $6',
+  );
+  assert.deepEqual(call.params, [
+    42,
+    ['digital_product', 'order'],
+    'guide',
+    new Date('2025-01-01T00:00:00Z'),
+    new Date('2025-03-01T00:00:00Z'),
+    10,
+  ]);
+  assert.deepEqual(payments, [
+    {
+      kind: 'digital_product',
+      telegramUserId: 42,
+      amount: 500,
+      currency: 'eur',
+      paidAt: new Date('2025-02-02T00:00:00Z'),
+      payload: { name: 'new_digital_product' },
+      productId: 'guide',
+      tributeProductId: 77,
+    },
+  ]);
+
+  await store.listPayments();
+  assert.equal(client.calls[1].text, 'SELECT * FROM tribute_payments ORDER BY paid_at DESC, id DESC');
+  assert.deepEqual(client.calls[1].params, []);
+});
+
+test('aggregatePayments groups payments in SQL for revenue analytics', async () => {
+  const client = createFakeClient(() => [
+    {
+      interval_start: new Date('2025-01-01T00:00:00Z'),
+      plan_id: 'monthly',
+      currency: 'eur',
+      count: '3',
+      amount: '2100',
+      payers: '2',
+    },
+  ]);
+  const store = new PostgresSubscriptionStore({ client });
+  const since = new Date('2025-01-01T00:00:00Z');
+  const until = new Date('2025-03-01T00:00:00Z');
+
+  const rows = await store.aggregatePayments({ kind: 'subscription', planId: 'monthly', since, until, interval: 'month', basis: 'net' });
+
+  assert.equal(
+    client.calls[0].text,
+    "SELECT date_trunc($1, paid_at, 'UTC') AS interval_start, plan_id, lower(currency) AS currency," +
+      ' count(*) AS count, sum(COALESCE(net_amount, amount)) AS amount, count(DISTINCT telegram_user_id) AS payers' +
+      ' FROM tribute_payments WHERE kind = ANY($2) AND plan_id = ANY($3) AND paid_at >= $4 AND paid_at <= $5' +
+      ' GROUP BY 1, 2, 3 ORDER BY 1, 2, 3',
+  );
+  assert.deepEqual(client.calls[0].params, ['month', ['subscription'], ['monthly'], since, until]);
+  assert.deepEqual(rows, [
+    { intervalStart: since, planId: 'monthly', currency: 'eur', count: 3, amount: 2100, payers: 2 },
+  ]);
+
+  await store.aggregatePayments({ kind: 'subscription', since, until, interval: 'month', basis: 'gross', groupBy: 'payer' });
+  assert.equal(
+    client.calls[1].text,
+    'SELECT telegram_user_id, plan_id, lower(currency) AS currency,' +
+      ' count(*) AS count, sum(COALESCE(gross_amount, amount)) AS amount, count(DISTINCT telegram_user_id) AS payers' +
+      ' FROM tribute_payments WHERE kind = ANY($1) AND paid_at >= $2 AND paid_at <= $3' +
+      ' GROUP BY 1, 2, 3 ORDER BY 1, 2, 3',
+  );
+  assert.deepEqual(client.calls[1].params, [['subscription'], since, until]);
+
+  await store.listSubscriptions({ status: ['active', 'cancelled'], createdBefore: until });
+  assert.equal(
+    client.calls[2].text,
+    'SELECT * FROM tribute_subscriptions WHERE status = ANY($1) AND created_at <= $2 ORDER BY created_at ASC',
+  );
+  assert.deepEqual(client.calls[2].params, [['active', 'cancelled'], until]);
+});
+
+test('recordPayment and upsertOrder serialize jsonb columns', async () => {
+  const client = createFakeClient();
+  const store = new PostgresSubscriptionStore({ client });
+  const paidAt = new Date('2025-02-02T00:00:00Z');
+
+  await store.recordPayment({
+    kind: 'order',
+    orderId: 900,
+    telegramUserId: 42,
+    amount: 2500,
+    currency: 'rub',
+    paidAt,
+    payload: { order_id: 900 },
+  });
+  await store.upsertOrder({
+    orderId: 900,
+    telegramUserId: 42,
+    userId: null,
+    status: 'created',
+    tributeStatus: 'pending',
+    products: [{ productName: 'Mug', quantity: 1, price: 2500, currency: 'rub' }],
+    total: 2500,
+    currency: 'rub',
+    shippingAddress: null,
+    trackingNumber: null,
+    createdAt: paidAt,
+    updatedAt: paidAt,
+    lastEventAt: paidAt,
+    shippedAt: null,
+    cancelledAt: null,
+  });
+
+  const [payment, order] = client.calls;
+  assert.deepEqual(payment.params, [
+    'order', null, null, null, 900, null, null, 42, null, 2500, null, null, null, 'rub', paidAt, JSON.stringify({ order_id: 900 }),
+  ]);
+  assert.equal(order.params[5], JSON.stringify([{ productName: 'Mug', quantity: 1, price: 2500, currency: 'rub' }]));
+  assert.equal(order.params.at(-1), '{}');
+});
@@ -0,0 +1,226 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  TributeSubscriptionManager,
+  InMemorySubscriptionStore,
+  TributeConfigurationError,
+  computeRevenueAnalytics,
+} from '../src/index.js';
+import { buildCancelledSubscriptionEvent, buildNewSubscriptionEvent, signEvent } from '../src/testing/index.js';
+
+const SECRET = 'test-secret';
+const silentLogger = { debug() {}, info() {}, warn() {}, error() {} };
+
+const monthly = {
+  id: 'monthly',
+  title: 'Monthly',
+  amount: 1000,
+  currency: 'eur',
+  period: 'monthly',
+  subscriptionLink: 'https://t.me/tribute/app?startapp=monthly',
+  tributePeriodId: 1547,
+};
+
+const yearly = {
+  ...monthly,
+  id: 'yearly',
+  title: 'Yearly',
+  amount: 12000,
+  period: 'yearly',
+  subscriptionLink: 'https://t.me/tribute/app?startapp=yearly',
+  tributePeriodId: 1548,
+};
+
+async function deliver(manager, event) {
+  const { body, signature } = signEvent(event, SECRET);
+  return manager.handleWebhook(body, signature);
+}
+
+async function createManagerWithHistory() {
+  const manager = new TributeSubscriptionManager({
+    plans: [monthly, yearly],
+    apiKey: SECRET,
+    store: new InMemorySubscriptionStore(),
+    logger: silentLogger,
+    intentPolicy: 'optional',
+  });
+  const pay = (subscriptionId, telegramUserId, createdAt, plan = monthly) =>
+    deliver(
+      manager,
+      buildNewSubscriptionEvent(
+        {
+          subscription_id: subscriptionId,
+          telegram_user_id: telegramUserId,
+          period_id: plan.tributePeriodId,
+          period: plan.period,
+          price: plan.amount,
+          amount: plan.amount * 0.7,
+        },
+        { createdAt },
+      ),
+    );
+  await pay(1, 101, '2025-01-05T00:00:00Z');
+  await pay(2, 102, '2025-01-10T00:00:00Z');
+  await pay(3, 103, '2025-02-01T00:00:00Z', yearly);
+  await pay(1, 101, '2025-02-05T00:00:00Z');
+  await pay(2, 102, '2025-02-10T00:00:00Z');
+  await deliver(
+    manager,
+    buildCancelledSubscriptionEvent({ subscription_id: 2, telegram_user_id: 102, period_id: 1547 }, { createdAt: '2025-02-20T00:00:00Z' }),
+  );
+  await pay(1, 101, '2025-03-05T00:00:00Z');
+  return manager;
+}
+
+test('getRevenueAnalytics reports MRR, churn, ARPU, cohorts and LTV per plan and month', async () => {
+  const manager = await createManagerWithHistory();
+  const analytics = await manager.getRevenueAnalytics({ since: '2025-01-15', until: '2025-03-31T23:59:59Z' });
+
+  assert.equal(analytics.since.toISOString(), '2025-01-01T00:00:00.000Z');
+  assert.equal(analytics.basis, 'gross');
+  assert.deepEqual(
+    analytics.rows.map((row) => [
+      row.intervalStart.toISOString().slice(0, 7),
+      row.planId,
+      row.currency,
+      row.mrr,
+      row.activeSubscribers,
+      row.newSubscribers,
+      row.churnedSubscribers,
+      row.revenue,
+      row.payers,
+      row.arpu,
+    ]),
+    [
+      ['2025-01', 'monthly', 'eur', 2000, 2, 2, 0, 2000, 2, 1000],
+      ['2025-02', 'monthly', 'eur', 1000, 1, 0, 1, 2000, 2, 1000],
+      ['2025-02', 'yearly', 'eur', 1000, 1, 1, 0, 12000, 1, 12000],
+      ['2025-03', 'monthly', 'eur', 1000, 1, 0, 0, 1000, 1, 1000],
+      ['2025-03', 'yearly', 'eur', 1000, 1, 0, 0, 0, 0, 0],
+    ],
+  );
+  assert.deepEqual(
+    analytics.cohorts.map(({ cohortStart, planId, size, retained, retention, revenue, ltv }) => [
+      cohortStart.toISOString().slice(0, 7),
+      planId,
+      size,
+      retained,
+      retention,
+      revenue,
+      ltv,
+    ]),
+    [
+      ['2025-01', 'monthly', 2, [2, 1, 1], [1, 0.5, 0.5], 5000, 2500],
+      ['2025-02', 'yearly', 1, [1, 1], [1, 1], 12000, 12000],
+    ],
+  );
+
+  // MRR is taken from subscription prices and stays gross; basis only changes the payment figures
+  const net = await manager.getRevenueAnalytics({ since: '2025-01-01', until: '2025-02-28T23:59:59Z', basis: 'net', planId: 'monthly' });
+  assert.deepEqual(
+    net.rows.map(({ mrr, revenue, arpu }) => [mrr, revenue, arpu]),
+    [
+      [2000, 1400, 700],
+      [1000, 1400, 700],
+    ],
+  );
+  assert.deepEqual(
+    net.cohorts.map(({ revenue, ltv }) => [revenue, ltv]),
+    [[2800, 1400]],
+  );
+});
+
+test('revenue is taken from the aggregatePayments store hook when present', async () => {
+  const manager = await createManagerWithHistory();
+  const store = manager.store;
+  const queries = [];
+  store.listPayments = () => assert.fail('payments must be aggregated by the store');
+  store.aggregatePayments = async (query) => {
+    queries.push(query);
+    const group = query.groupBy === 'payer' ? { telegramUserId: 103 } : { intervalStart: new Date('2025-02-01T00:00:00Z') };
+    return [{ ...group, planId: 'yearly', currency: 'eur', count: 1, amount: 8400, payers: 1 }];
+  };
+
+  const analytics = await computeRevenueAnalytics(store, {
+    since: '2025-02-01',
+    until: '2025-02-28T23:59:59Z',
+    basis: 'net',
+    planId: ['yearly'],
+  });
+  assert.deepEqual(queries, [
+    {
+      kind: 'subscription',
+      since: new Date('2025-02-01T00:00:00Z'),
+      until: new Date('2025-02-28T23:59:59Z'),
+      interval: 'month',
+      basis: 'net',
+      planId: ['yearly'],
+    },
+    {
+      kind: 'subscription',
+      since: new Date('2025-02-01T00:00:00Z'),
+      until: new Date('2025-02-28T23:59:59Z'),
+      interval: 'month',
+      basis: 'net',
+      planId: ['yearly'],
+      groupBy: 'payer',
+    },
+  ]);
+  assert.deepEqual(
+    analytics.rows.map(({ planId, mrr, revenue, arpu }) => [planId, mrr, revenue, arpu]),
+    [['yearly', 1000, 8400, 8400]],
+  );
+  assert.deepEqual(
+    analytics.cohorts.map(({ planId, size, revenue, ltv }) => [planId, size, revenue, ltv]),
+    [['yearly', 1, 8400, 8400]],
+  );
+
+  await assert.rejects(computeRevenueAnalytics(store, { until: '2025-02-01' }), /since must be a valid date/);
+  await assert.rejects(computeRevenueAnalytics(store, { since: '2025-02-01', interval: 'year' }), TributeConfigurationError);
+  await assert.rejects(
+    computeRevenueAnalytics({ listPayments: async () => [] }, { since: '2025-02-01' }),
+    /listSubscriptions is not implemented/,
+  );
+});
+
+test('weekly intervals normalise other billing periods and count expiries as churn', async () => {
+  const store = new InMemorySubscriptionStore();
+  await store.upsertSubscription({
+    planId: 'quarterly',
+    tributeSubscriptionId: 1,
+    tributePeriodId: 1,
+    telegramUserId: 101,
+    userId: null,
+    amount: 3000,
+    currency: 'USD',
+    period: 'quarterly',
+    status: 'expired',
+    createdAt: new Date('2025-01-06T10:00:00Z'),
+    lastEventAt: new Date('2025-01-06T10:00:00Z'),
+    expiresAt: new Date('2025-01-15T00:00:00Z'),
+    expiredAt: new Date('2025-01-15T01:00:00Z'),
+    cancelledAt: null,
+    cancelReason: null,
+  });
+
+  const analytics = await computeRevenueAnalytics(store, {
+    since: '2025-01-08',
+    until: '2025-01-19T23:59:59Z',
+    interval: 'week',
+  });
+  assert.deepEqual(
+    analytics.rows.map(({ intervalStart, currency, mrr, activeSubscribers, newSubscribers, churnedSubscribers }) => [
+      intervalStart.toISOString().slice(0, 10),
+      currency,
+      mrr,
+      activeSubscribers,
+      newSubscribers,
+      churnedSubscribers,
+    ]),
+    [
+      ['2025-01-06', 'usd', 1000, 1, 1, 0],
+      ['2025-01-13', 'usd', 0, 0, 0, 1],
+    ],
+  );
+  assert.deepEqual(analytics.cohorts[0].retained, [1, 0]);
+});
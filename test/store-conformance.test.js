@@ -0,0 +1,26 @@
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { InMemorySubscriptionStore, FileSubscriptionStore } from '../src/index.js';
+import { runStoreConformanceTests } from '../src/testing/index.js';
+
+runStoreConformanceTests(() => new InMemorySubscriptionStore(), { name: 'InMemorySubscriptionStore conformance' });
+
+const directories = new Map();
+
+runStoreConformanceTests(
+  async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'tribute-conformance-'));
+    // compactEvery: 2 makes the suite exercise snapshot compaction as well
+    const store = new FileSubscriptionStore({ directory, compactEvery: 2, fsync: false });
+    directories.set(store, directory);
+    return store;
+  },
+  {
+    name: 'FileSubscriptionStore conformance',
+    teardown: async (store) => {
+      await store.close();
+      await fs.rm(directories.get(store), { recursive: true, force: true });
+    },
+  },
+);
@@ -0,0 +1,134 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import {
+  TributeSubscriptionManager,
+  InMemorySubscriptionStore,
+  createNodeHttpHandler,
+  verifyTributeSignature,
+} from '../src/index.js';
+import {
+  TributeWebhookSimulator,
+  buildCancelledDonationEvent,
+  buildNewDigitalProductEvent,
+  buildNewDonationEvent,
+  buildNewSubscriptionEvent,
+  buildPhysicalOrderCanceledEvent,
+  buildPhysicalOrderCreatedEvent,
+  buildPhysicalOrderShippedEvent,
+  buildRecurrentDonationEvent,
+  buildSubscriptionLifecycle,
+  signEvent,
+} from '../src/testing/index.js';
+
+const SECRET = 'test-secret';
+const silentLogger = { debug() {}, info() {}, warn() {}, error() {} };
+
+function createManager() {
+  const store = new InMemorySubscriptionStore();
+  const manager = new TributeSubscriptionManager({
+    plans: [
+      {
+        id: 'monthly',
+        title: 'Monthly',
+        amount: 1000,
+        currency: 'eur',
+        period: 'monthly',
+        subscriptionLink: 'https://t.me/tribute/app?startapp=monthly',
+        tributeSubscriptionId: 1644,
+      },
+    ],
+    products: [{ id: 'ebook', title: 'E-book', tributeProductId: 456 }],
+    apiKey: SECRET,
+    store,
+    logger: silentLogger,
+    intentPolicy: 'optional',
+  });
+  return { manager, store };
+}
+
+test('signEvent produces bodies the manager accepts', () => {
+  const event = buildNewSubscriptionEvent({ telegram_user_id: 42 }, { createdAt: '2025-03-20T01:15:58Z' });
+  assert.equal(event.created_at, '2025-03-20T01:15:58.000Z');
+  assert.equal(event.sent_at, event.created_at);
+  assert.equal(event.payload.subscription_id, 1644);
+  assert.equal(event.payload.telegram_user_id, 42);
+  assert.equal(event.payload.expires_at, '2025-04-20T01:15:58.000Z');
+
+  const { body, signature, headers } = signEvent(event, SECRET);
+  assert.deepEqual(JSON.parse(body.toString('utf8')), event);
+  assert.equal(headers['trbt-signature'], signature);
+  assert.ok(verifyTributeSignature(body, signature, SECRET));
+  const base64 = signEvent(event, SECRET, { encoding: 'base64' });
+  assert.ok(verifyTributeSignature(base64.body, base64.signature, SECRET, 'base64'));
+});
+
+test('simulator replays every catalog event against a manager', async () => {
+  const { manager, store } = createManager();
+  const simulator = new TributeWebhookSimulator({ target: manager, apiKey: SECRET });
+  const start = Date.parse('2025-03-20T00:00:00Z');
+  const at = (hours) => ({ createdAt: new Date(start + hours * 60 * 60 * 1000) });
+
+  const deliveries = await simulator.run([
+    ...buildSubscriptionLifecycle({ startAt: start, renewals: 2, cancel: true }),
+    buildNewDonationEvent({}, at(1)),
+    buildRecurrentDonationEvent({ donation_request_id: 124 }, at(2)),
+    buildCancelledDonationEvent({ donation_request_id: 124 }, at(3)),
+    buildPhysicalOrderCreatedEvent({}, at(4)),
+    buildPhysicalOrderShippedEvent({}, at(5)),
+    buildPhysicalOrderCanceledEvent({}, at(6)),
+    buildNewDigitalProductEvent({}, at(7)),
+  ]);
+
+  assert.ok(deliveries.every((delivery) => delivery.ok));
+  assert.deepEqual(
+    deliveries.map(({ result }) => `${result.category}.${result.type}`),
+    [
+      'subscription.created',
+      'subscription.renewed',
+      'subscription.renewed',
+      'subscription.cancelled',
+      'donation.created',
+      'donation.recurrent',
+      'donation.cancelled',
+      'order.created',
+      'order.shipped',
+      'order.canceled',
+      'product.purchased',
+    ],
+  );
+  const subscription = store.subscriptions.get(1644);
+  assert.equal(subscription.status, 'cancelled');
+  assert.equal(subscription.expiresAt.toISOString(), '2025-06-20T00:00:00.000Z');
+
+  const forged = new TributeWebhookSimulator({ target: manager, apiKey: 'wrong' });
+  const [rejected] = await forged.run([buildNewDonationEvent({ donation_request_id: 999 })]);
+  assert.equal(rejected.ok, false);
+  assert.equal(rejected.status, 401);
+});
+
+test('simulator delivers signed requests to a webhook URL', async (t) => {
+  const { manager, store } = createManager();
+  const server = http.createServer(createNodeHttpHandler(manager));
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+  const url = `http://127.0.0.1:${server.address().port}/webhooks/tribute`;
+
+  const deliveries = await new TributeWebhookSimulator({ target: url, apiKey: SECRET }).run(
+    buildSubscriptionLifecycle({ renewals: 1 }),
+  );
+  assert.deepEqual(
+    deliveries.map(({ status, response }) => [status, response]),
+    [
+      [200, { ok: true }],
+      [200, { ok: true }],
+    ],
+  );
+  assert.equal(store.payments.length, 2);
+
+  const [rejected, ...rest] = await new TributeWebhookSimulator({ target: new URL(url), apiKey: 'wrong' }).run(
+    buildSubscriptionLifecycle({ renewals: 1 }),
+  );
+  assert.equal(rejected.status, 401);
+  assert.equal(rest.length, 0);
+});
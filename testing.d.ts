@@ -0,0 +1,84 @@
+import type { SubscriptionStore, TributeEventResult, TributeSubscriptionManager } from './index';
+
+export interface StoreConformanceOptions {
+  name?: string;
+  teardown?: (store: SubscriptionStore) => void | Promise<void>;
+}
+
+export function runStoreConformanceTests(
+  factory: () => SubscriptionStore | Promise<SubscriptionStore>,
+  options?: StoreConformanceOptions,
+): void;
+
+export interface EventBuildOptions {
+  /** `created_at` конверта, по умолчанию — текущий момент. */
+  createdAt?: Date | string | number;
+  /** `sent_at` конверта, по умолчанию равен `createdAt`. */
+  sentAt?: Date | string | number;
+}
+
+export interface TributeWebhookEnvelope<TName extends string = string> {
+  name: TName;
+  created_at: string;
+  sent_at: string;
+  payload: Record<string, any>;
+}
+
+export interface SignedEvent {
+  body: Buffer;
+  signature: string;
+  headers: Record<string, string>;
+}
+
+export type BillingPeriod = 'weekly' | 'monthly' | 'quarterly' | 'halfyearly' | 'yearly';
+
+export function addBillingPeriod(date: Date | string | number, period?: BillingPeriod, count?: number): Date;
+
+export function buildNewSubscriptionEvent(payload?: Record<string, any>, options?: EventBuildOptions): TributeWebhookEnvelope<'new_subscription'>;
+export function buildCancelledSubscriptionEvent(payload?: Record<string, any>, options?: EventBuildOptions): TributeWebhookEnvelope<'cancelled_subscription'>;
+export function buildNewDonationEvent(payload?: Record<string, any>, options?: EventBuildOptions): TributeWebhookEnvelope<'new_donation'>;
+export function buildRecurrentDonationEvent(payload?: Record<string, any>, options?: EventBuildOptions): TributeWebhookEnvelope<'recurrent_donation'>;
+export function buildCancelledDonationEvent(payload?: Record<string, any>, options?: EventBuildOptions): TributeWebhookEnvelope<'cancelled_donation'>;
+export function buildPhysicalOrderCreatedEvent(payload?: Record<string, any>, options?: EventBuildOptions): TributeWebhookEnvelope<'physical_order_created'>;
+export function buildPhysicalOrderShippedEvent(payload?: Record<string, any>, options?: EventBuildOptions): TributeWebhookEnvelope<'physical_order_shipped'>;
+export function buildPhysicalOrderCanceledEvent(payload?: Record<string, any>, options?: EventBuildOptions): TributeWebhookEnvelope<'physical_order_canceled'>;
+export function buildNewDigitalProductEvent(payload?: Record<string, any>, options?: EventBuildOptions): TributeWebhookEnvelope<'new_digital_product'>;
+
+/**
+ * Сериализует событие и подписывает его так же, как Tribute (HMAC-SHA256 тела запроса).
+ */
+export function signEvent(
+  event: TributeWebhookEnvelope | string | Buffer,
+  apiKey: string,
+  options?: { encoding?: 'hex' | 'base64'; signatureHeader?: string },
+): SignedEvent;
+
+export interface SubscriptionLifecycleOptions {
+  startAt?: Date | string | number;
+  renewals?: number;
+  cancel?: boolean;
+  payload?: Record<string, any>;
+}
+
+export function buildSubscriptionLifecycle(options?: SubscriptionLifecycleOptions): TributeWebhookEnvelope[];
+
+export interface SimulatedDelivery {
+  event: TributeWebhookEnvelope;
+  status: number;
+  ok: boolean;
+  result?: TributeEventResult;
+  error?: unknown;
+  response?: any;
+}
+
+export class TributeWebhookSimulator {
+  constructor(options: {
+    target: string | URL | Pick<TributeSubscriptionManager, 'handleWebhook'>;
+    apiKey: string;
+    encoding?: 'hex' | 'base64';
+    signatureHeader?: string;
+    fetch?: typeof fetch;
+  });
+  send(event: TributeWebhookEnvelope): Promise<SimulatedDelivery>;
+  run(events: TributeWebhookEnvelope[], options?: { stopOnError?: boolean }): Promise<SimulatedDelivery[]>;
+}